@@ -0,0 +1,29 @@
+// Apply the retention policy of the config once, and print what was done.
+// Nothing is changed unless --apply is given:
+//   node scripts/retention.js [--config=./config.run.yml] [--apply]
+import config from "./config/config.js";
+import RetentionService from "./services/RetentionService.js";
+import { loadStorageProvider } from "./services/storageProviders.js";
+import { getArgs } from "./utils.js";
+
+const args = getArgs();
+const dryRun = !("apply" in args);
+
+const whiteboardStorage = await loadStorageProvider(config.backend.storageProvider, {
+    distributed: process.env.USE_REDIS === "true",
+});
+if (!(await whiteboardStorage.initialize())) {
+    throw new Error(
+        `Could not initialize the storage provider "${config.backend.storageProvider}"`
+    );
+}
+
+const retentionService = new RetentionService({
+    storage: whiteboardStorage,
+    uploadsFolder: "public/uploads",
+    policy: config.backend.retention,
+});
+const report = await retentionService.run(dryRun);
+
+console.log(JSON.stringify(report, null, 2));
+process.exit(0);
@@ -1,12 +1,50 @@
 //This file is only for saving the whiteboard.
 import fs from "fs";
+import path from "path";
 import config from "./config/config.js";
 import { getSafeFilePath } from "./utils.js";
+import StorageProvider, { imageUrls } from "./services/StorageProvider.js";
+import {
+    JOURNAL_OPS,
+    applyJournalEntry,
+    createBoardState,
+    replayJournal,
+} from "./services/EventJournal.js";
+import { compactEvents } from "./services/EventCompaction.js";
 const FILE_DATABASE_FOLDER = "savedBoards";
+const SNAPSHOT_EXTENSION = ".json";
+const JOURNAL_EXTENSION = ".journal";
+const COMPACTING_JOURNAL_EXTENSION = ".journal.compacting";
+const READ_ONLY_ID_EXTENSION = ".readonly";
+const SETTINGS_EXTENSION = ".settings";
+const HISTORY_FOLDER = path.join(FILE_DATABASE_FOLDER, "history");
 
+/**
+ * State of the loaded whiteboards
+ * @type {Object<string, {events: Array, undos: Array, seq: number, journalSize: number, journalFd: number|null, lastModified: number|null, lastAccess: number}>}
+ */
 var savedBoards = {};
-var savedUndos = {};
-var saveDelay = {};
+/**
+ * Running compactions, by whiteboard id
+ * @type {Object<string, Promise>}
+ */
+var compacting = {};
+/**
+ * Versions of the whiteboards, when they are not stored in the file database
+ * @type {Object<string, Array<object>>}
+ */
+var boardVersions = {};
+/**
+ * Read-only ids of the whiteboards, and the reverse mapping; loaded from the file database on first use
+ * @type {Map<string, string>|null}
+ */
+var readOnlyIds = null;
+var widsByReadOnlyId = null;
+/**
+ * Settings of the whiteboards, loaded from the file database on first use of each whiteboard
+ * @type {Map<string, object>}
+ */
+var boardSettings = new Map();
 
 if (config.backend.enableFileDatabase) {
     // make sure that folder with saved boards exists
@@ -19,170 +57,609 @@ if (config.backend.enableFileDatabase) {
 /**
  * Get the file path for a whiteboard.
  * @param {string} wid Whiteboard id to get the path for
+ * @param {string} [extension] Extension of the file (snapshot by default)
  * @returns {string} File path to the whiteboard
  * @throws {Error} if wid contains potentially unsafe directory characters
  */
-function fileDatabasePath(wid) {
-    return getSafeFilePath(FILE_DATABASE_FOLDER, wid + ".json");
+function fileDatabasePath(wid, extension = SNAPSHOT_EXTENSION) {
+    return getSafeFilePath(FILE_DATABASE_FOLDER, wid + extension);
 }
 
-const s_whiteboard = {
-    handleEventsAndData: function (content) {
-        var tool = content["t"]; //Tool witch is used
-        var wid = content["wid"]; //whiteboard ID
-        var username = content["username"];
-        if (tool === "clear") {
-            //Clear the whiteboard
-            delete savedBoards[wid];
-            delete savedUndos[wid];
-            // delete the corresponding file too
-            fs.unlink(fileDatabasePath(wid), function (err) {
-                if (err) {
-                    return console.log(err);
-                }
-            });
-        } else if (tool === "undo") {
-            //Undo an action
-            if (!savedUndos[wid]) {
-                savedUndos[wid] = [];
+/**
+ * Get the folder holding the versions of a whiteboard.
+ * @param {string} wid
+ * @returns {string}
+ * @throws {Error} if wid contains potentially unsafe directory characters
+ */
+function historyFolderPath(wid) {
+    return getSafeFilePath(HISTORY_FOLDER, wid);
+}
+
+/**
+ * Read the journal entries of a file, one JSON entry per line
+ *
+ * A truncated last line (crash while writing) is ignored.
+ *
+ * @param {string} filePath
+ * @returns {Array<object>}
+ */
+function readJournalFile(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+        if (!line) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            console.warn("Ignoring corrupted journal entry in", filePath);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Delete a file, ignoring missing files
+ * @param {string} filePath
+ */
+function unlinkIfExists(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (err) {
+        if (err.code !== "ENOENT") console.log(err);
+    }
+}
+
+/**
+ * Read a whiteboard of the file database: its snapshot and the journal entries written after it
+ *
+ * Snapshots written before the journal existed only hold the array of events.
+ *
+ * @param {string} wid
+ * @returns {{events: Array, undos: Array, seq: number, hasInterruptedCompaction: boolean}}
+ */
+export function readFileDatabaseBoard(wid) {
+    let board = createBoardState();
+    let seq = 0;
+
+    const snapshotPath = fileDatabasePath(wid);
+    if (fs.existsSync(snapshotPath)) {
+        const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+        if (Array.isArray(snapshot)) {
+            board.events = snapshot;
+        } else {
+            board = createBoardState(snapshot.events, snapshot.undos);
+            seq = snapshot.seq;
+        }
+    }
+
+    const compactingPath = fileDatabasePath(wid, COMPACTING_JOURNAL_EXTENSION);
+    const hasInterruptedCompaction = fs.existsSync(compactingPath);
+    const entries = readJournalFile(compactingPath)
+        .concat(readJournalFile(fileDatabasePath(wid, JOURNAL_EXTENSION)))
+        .filter((entry) => entry.seq > seq);
+    replayJournal(board, entries);
+    if (entries.length > 0) {
+        seq = entries[entries.length - 1].seq;
+    }
+
+    return { ...board, seq, hasInterruptedCompaction };
+}
+
+/**
+ * Get the time of the last change of a whiteboard stored in the file database
+ * @param {string} wid
+ * @returns {number} timestamp, 0 if the whiteboard isn't stored
+ */
+function fileDatabaseLastModified(wid) {
+    let lastModified = 0;
+    for (const extension of [SNAPSHOT_EXTENSION, JOURNAL_EXTENSION, COMPACTING_JOURNAL_EXTENSION]) {
+        const filePath = fileDatabasePath(wid, extension);
+        if (fs.existsSync(filePath)) {
+            lastModified = Math.max(lastModified, fs.statSync(filePath).mtimeMs);
+        }
+    }
+    return lastModified;
+}
+
+/**
+ * List the ids of the whiteboards stored in the file database
+ * @returns {string[]}
+ */
+export function listFileDatabaseBoards() {
+    if (!fs.existsSync(FILE_DATABASE_FOLDER)) return [];
+
+    const wids = new Set();
+    for (const file of fs.readdirSync(FILE_DATABASE_FOLDER)) {
+        for (const extension of [SNAPSHOT_EXTENSION, JOURNAL_EXTENSION]) {
+            if (file.endsWith(extension)) {
+                wids.add(path.basename(file, extension));
             }
-            let savedBoard = this.loadStoredData(wid);
-            if (savedBoard) {
-                for (var i = savedBoards[wid].length - 1; i >= 0; i--) {
-                    if (savedBoards[wid][i]["username"] == username) {
-                        var drawId = savedBoards[wid][i]["drawId"];
-                        for (var i = savedBoards[wid].length - 1; i >= 0; i--) {
-                            if (
-                                savedBoards[wid][i]["drawId"] == drawId &&
-                                savedBoards[wid][i]["username"] == username
-                            ) {
-                                savedUndos[wid].push(savedBoards[wid][i]);
-                                savedBoards[wid].splice(i, 1);
-                            }
-                        }
-                        break;
-                    }
-                }
-                if (savedUndos[wid].length > 1000) {
-                    savedUndos[wid].splice(0, savedUndos[wid].length - 1000);
-                }
+        }
+    }
+    return Array.from(wids);
+}
+
+/**
+ * Read the read-only ids stored in the file database (one <wid>.readonly file per whiteboard)
+ * @returns {Map<string, string>} read-only id by whiteboard id
+ */
+export function listFileDatabaseReadOnlyIds() {
+    const ids = new Map();
+    if (!fs.existsSync(FILE_DATABASE_FOLDER)) return ids;
+
+    for (const file of fs.readdirSync(FILE_DATABASE_FOLDER)) {
+        if (file.endsWith(READ_ONLY_ID_EXTENSION)) {
+            const readOnlyId = fs.readFileSync(path.join(FILE_DATABASE_FOLDER, file), "utf8");
+            ids.set(path.basename(file, READ_ONLY_ID_EXTENSION), readOnlyId.trim());
+        }
+    }
+    return ids;
+}
+
+/**
+ * Read the settings of the whiteboards stored in the file database (one <wid>.settings file per
+ * whiteboard with settings)
+ * @returns {Map<string, object>} settings by whiteboard id
+ */
+export function listFileDatabaseBoardSettings() {
+    const settings = new Map();
+    if (!fs.existsSync(FILE_DATABASE_FOLDER)) return settings;
+
+    for (const file of fs.readdirSync(FILE_DATABASE_FOLDER)) {
+        if (file.endsWith(SETTINGS_EXTENSION)) {
+            const content = fs.readFileSync(path.join(FILE_DATABASE_FOLDER, file), "utf8");
+            settings.set(path.basename(file, SETTINGS_EXTENSION), JSON.parse(content));
+        }
+    }
+    return settings;
+}
+
+function loadReadOnlyIds() {
+    if (readOnlyIds) return;
+
+    readOnlyIds = config.backend.enableFileDatabase ? listFileDatabaseReadOnlyIds() : new Map();
+    widsByReadOnlyId = new Map();
+    readOnlyIds.forEach((readOnlyId, wid) => widsByReadOnlyId.set(readOnlyId, wid));
+}
+
+/**
+ * Storage provider keeping the whiteboards in memory,
+ * and in the savedBoards folder if enableFileDatabase is set
+ *
+ * In the folder, every board has a snapshot (<wid>.json) and an append-only journal of the
+ * changes made since the snapshot (<wid>.journal). Journals are compacted into the snapshots in
+ * the background, so a change only costs the append of one line; the superseded events are
+ * dropped when a snapshot is written.
+ * The read-only id of a board is kept in <wid>.readonly, only deleted with the board (see
+ * RetentionService), and its settings in <wid>.settings.
+ */
+class LocalWhiteboardStorage extends StorageProvider {
+    compactionTimer = null;
+
+    async initialize() {
+        if (config.backend.enableFileDatabase && !this.compactionTimer) {
+            const { journalCompactionInterval } = config.backend.performance;
+            this.compactionTimer = setInterval(
+                () => this.compactJournals(),
+                journalCompactionInterval * 1000
+            );
+            this.compactionTimer.unref();
+        }
+        return true;
+    }
+
+    async close() {
+        await super.close();
+        clearInterval(this.compactionTimer);
+        this.compactionTimer = null;
+
+        for (const wid of Object.keys(savedBoards)) {
+            try {
+                // the journals are already written: the snapshots just make the next start faster
+                await compacting[wid];
+                await this.compact(wid);
+            } catch (err) {
+                console.log("Could not compact the journal of", wid, err);
+            }
+            const board = savedBoards[wid];
+            if (board && board.journalFd !== null) {
+                fs.fsyncSync(board.journalFd);
+                fs.closeSync(board.journalFd);
+                board.journalFd = null;
+            }
+        }
+    }
+
+    async load(wid) {
+        return this.loadStoredData(wid);
+    }
+
+    async append(wid, event) {
+        this.writeJournalEntry(wid, { op: JOURNAL_OPS.APPEND, event });
+    }
+
+    async appendAll(wid, events) {
+        this.writeJournalEntry(wid, { op: JOURNAL_OPS.APPEND_ALL, events });
+    }
+
+    async undo(wid, username) {
+        this.writeJournalEntry(wid, { op: JOURNAL_OPS.UNDO, username });
+    }
+
+    async redo(wid, username) {
+        this.writeJournalEntry(wid, { op: JOURNAL_OPS.REDO, username });
+    }
+
+    async clear(wid) {
+        const board = savedBoards[wid];
+        if (board && board.journalFd !== null) {
+            fs.closeSync(board.journalFd);
+        }
+        delete savedBoards[wid];
+        if (config.backend.enableFileDatabase) {
+            // delete the corresponding files too
+            unlinkIfExists(fileDatabasePath(wid));
+            unlinkIfExists(fileDatabasePath(wid, JOURNAL_EXTENSION));
+            unlinkIfExists(fileDatabasePath(wid, COMPACTING_JOURNAL_EXTENSION));
+        }
+    }
+
+    async copy(sourceWid, targetWid) {
+        const sourceData = this.loadStoredData(sourceWid);
+        if (sourceData.length === 0 || this.loadStoredData(targetWid).length > 0) {
+            return;
+        }
+        savedBoards[targetWid].events = sourceData.slice();
+        savedBoards[targetWid].lastModified = Date.now();
+        await this.compact(targetWid, true);
+    }
+
+    async saveData(wid, data) {
+        const existingData = this.loadStoredData(wid);
+        if (existingData.length > 0 || !data) {
+            return;
+        }
+        savedBoards[wid].events = JSON.parse(data);
+        savedBoards[wid].lastModified = Date.now();
+        await this.compact(wid, true);
+    }
+
+    async replaceEvents(wid, events) {
+        this.loadStoredData(wid);
+        // the snapshot being written would overwrite the new events
+        await compacting[wid];
+
+        this.loadStoredData(wid);
+        const board = savedBoards[wid];
+        board.events = events.slice();
+        board.undos = [];
+        board.lastModified = Date.now();
+        // one snapshot replaces the previous one and the journal entries it contained (by seq)
+        await this.compact(wid, true);
+    }
+
+    async saveVersion(wid, version) {
+        if (config.backend.enableFileDatabase) {
+            const folder = historyFolderPath(wid);
+            await fs.promises.mkdir(folder, { recursive: true });
+            await fs.promises.writeFile(
+                getSafeFilePath(folder, version.id + ".json"),
+                JSON.stringify(version)
+            );
+        } else {
+            boardVersions[wid] = boardVersions[wid] || [];
+            boardVersions[wid].push(version);
+        }
+    }
+
+    async listVersions(wid) {
+        let versions = boardVersions[wid] || [];
+        if (config.backend.enableFileDatabase) {
+            const folder = historyFolderPath(wid);
+            const files = fs.existsSync(folder) ? await fs.promises.readdir(folder) : [];
+            versions = await Promise.all(
+                files.map(async (file) =>
+                    JSON.parse(await fs.promises.readFile(getSafeFilePath(folder, file), "utf8"))
+                )
+            );
+        }
+        return versions
+            .map(({ events, ...versionInfo }) => versionInfo)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async loadVersion(wid, versionId) {
+        if (config.backend.enableFileDatabase) {
+            const filePath = getSafeFilePath(historyFolderPath(wid), versionId + ".json");
+            if (!fs.existsSync(filePath)) return null;
+            return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+        }
+        return (boardVersions[wid] || []).find((version) => version.id === versionId) || null;
+    }
+
+    async deleteVersion(wid, versionId) {
+        if (config.backend.enableFileDatabase) {
+            unlinkIfExists(getSafeFilePath(historyFolderPath(wid), versionId + ".json"));
+        } else if (boardVersions[wid]) {
+            boardVersions[wid] = boardVersions[wid].filter((version) => version.id !== versionId);
+        }
+    }
+
+    async listBoards() {
+        const boards = new Map();
+        if (config.backend.enableFileDatabase) {
+            for (const wid of listFileDatabaseBoards()) {
+                boards.set(wid, fileDatabaseLastModified(wid));
             }
-        } else if (tool === "redo") {
-            if (!savedUndos[wid]) {
-                savedUndos[wid] = [];
+        }
+        for (const wid of Object.keys(savedBoards)) {
+            const { lastModified } = savedBoards[wid];
+            if (lastModified) {
+                boards.set(wid, Math.max(lastModified, boards.get(wid) || 0));
+            }
+        }
+        return Array.from(boards, ([wid, lastModified]) => ({ wid, lastModified }));
+    }
+
+    async boardStats(wid) {
+        if (!config.backend.enableFileDatabase) {
+            const { events, undos } = savedBoards[wid] || createBoardState();
+            return {
+                eventCount: events.length,
+                storageSize: Buffer.byteLength(JSON.stringify({ events, undos })),
+            };
+        }
+
+        // read from the files, so listing the whiteboards doesn't load them all in memory
+        const { events } = savedBoards[wid] || readFileDatabaseBoard(wid);
+        let storageSize = 0;
+        for (const extension of [
+            SNAPSHOT_EXTENSION,
+            JOURNAL_EXTENSION,
+            COMPACTING_JOURNAL_EXTENSION,
+        ]) {
+            const filePath = fileDatabasePath(wid, extension);
+            if (fs.existsSync(filePath)) {
+                storageSize += fs.statSync(filePath).size;
             }
-            let savedBoard = this.loadStoredData(wid);
-            for (var i = savedUndos[wid].length - 1; i >= 0; i--) {
-                if (savedUndos[wid][i]["username"] == username) {
-                    var drawId = savedUndos[wid][i]["drawId"];
-                    for (var i = savedUndos[wid].length - 1; i >= 0; i--) {
-                        if (
-                            savedUndos[wid][i]["drawId"] == drawId &&
-                            savedUndos[wid][i]["username"] == username
-                        ) {
-                            savedBoard.push(savedUndos[wid][i]);
-                            savedUndos[wid].splice(i, 1);
-                        }
-                    }
-                    break;
+        }
+        return { eventCount: events.length, storageSize };
+    }
+
+    async listImageUrls(wid) {
+        // read from the files, like boardStats
+        const { events } =
+            savedBoards[wid] ||
+            (config.backend.enableFileDatabase ? readFileDatabaseBoard(wid) : createBoardState());
+        return imageUrls(events);
+    }
+
+    async compactBoard(wid) {
+        this.loadStoredData(wid);
+        // the snapshot being written may not be compacted yet
+        await compacting[wid];
+
+        this.loadStoredData(wid);
+        const board = savedBoards[wid];
+        const before = board.events.length;
+        board.events = compactEvents(board.events);
+        if (board.events.length !== before) this.eventsReplaced(wid);
+        await this.compact(wid, true);
+        return { before, after: board.events.length };
+    }
+
+    async evictFromMemory(idleSince, dryRun = false) {
+        // without the file database, the memory is the only copy of the whiteboards
+        if (!config.backend.enableFileDatabase) return [];
+
+        const evicted = [];
+        for (const wid of Object.keys(savedBoards)) {
+            const board = savedBoards[wid];
+            if (board.lastAccess >= idleSince || compacting[wid]) continue;
+
+            evicted.push(wid);
+            if (dryRun) continue;
+
+            await this.compact(wid);
+            // skip whiteboards used or cleared during the compaction
+            if (savedBoards[wid] === board && board.lastAccess < idleSince) {
+                if (board.journalFd !== null) {
+                    fs.closeSync(board.journalFd);
                 }
+                delete savedBoards[wid];
             }
-        } else if (
-            [
-                "line",
-                "pen",
-                "rect",
-                "circle",
-                "eraser",
-                "addImgBG",
-                "recSelect",
-                "eraseRec",
-                "addTextBox",
-                "setTextboxText",
-                "removeTextbox",
-                "setTextboxPosition",
-                "setTextboxFontSize",
-                "setTextboxFontColor",
-            ].includes(tool)
-        ) {
-            let savedBoard = this.loadStoredData(wid);
-            //Save all this actions
-            delete content["wid"]; //Delete id from content so we don't store it twice
-            if (tool === "setTextboxText") {
-                for (var i = savedBoard.length - 1; i >= 0; i--) {
-                    //Remove old textbox tex -> dont store it twice
-                    if (
-                        savedBoard[i]["t"] === "setTextboxText" &&
-                        savedBoard[i]["d"][0] === content["d"][0]
-                    ) {
-                        savedBoard.splice(i, 1);
-                    }
+        }
+        return evicted;
+    }
+
+    async loadReadOnlyId(wid) {
+        loadReadOnlyIds();
+        return readOnlyIds.get(wid) || null;
+    }
+
+    async loadIdFromReadOnlyId(readOnlyId) {
+        loadReadOnlyIds();
+        return widsByReadOnlyId.get(readOnlyId) || null;
+    }
+
+    async saveReadOnlyId(wid, readOnlyId) {
+        loadReadOnlyIds();
+        if (readOnlyIds.has(wid)) {
+            return readOnlyIds.get(wid);
+        }
+
+        if (config.backend.enableFileDatabase) {
+            fs.writeFileSync(fileDatabasePath(wid, READ_ONLY_ID_EXTENSION), readOnlyId);
+        }
+        readOnlyIds.set(wid, readOnlyId);
+        widsByReadOnlyId.set(readOnlyId, wid);
+        return readOnlyId;
+    }
+
+    async deleteReadOnlyId(wid) {
+        loadReadOnlyIds();
+        if (!readOnlyIds.has(wid)) return;
+
+        if (config.backend.enableFileDatabase) {
+            fs.rmSync(fileDatabasePath(wid, READ_ONLY_ID_EXTENSION), { force: true });
+        }
+        widsByReadOnlyId.delete(readOnlyIds.get(wid));
+        readOnlyIds.delete(wid);
+    }
+
+    async loadBoardSettings(wid) {
+        if (!boardSettings.has(wid)) {
+            let stored = {};
+            if (config.backend.enableFileDatabase) {
+                const filePath = fileDatabasePath(wid, SETTINGS_EXTENSION);
+                if (fs.existsSync(filePath)) {
+                    stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
                 }
             }
-            savedBoard.push(content);
+            boardSettings.set(wid, stored);
         }
-        this.saveToDB(wid);
-    },
-    saveToDB: function (wid) {
+        return { ...boardSettings.get(wid) };
+    }
+
+    async saveBoardSettings(wid, settings) {
         if (config.backend.enableFileDatabase) {
-            //Save whiteboard to file
-            if (!saveDelay[wid]) {
-                saveDelay[wid] = true;
-                setTimeout(function () {
-                    saveDelay[wid] = false;
-                    if (savedBoards[wid]) {
-                        fs.writeFile(
-                            fileDatabasePath(wid),
-                            JSON.stringify(savedBoards[wid]),
-                            (err) => {
-                                if (err) {
-                                    return console.log(err);
-                                }
-                            }
-                        );
-                    }
-                }, 1000 * 10); //Save after 10 sec
+            fs.writeFileSync(fileDatabasePath(wid, SETTINGS_EXTENSION), JSON.stringify(settings));
+        }
+        boardSettings.set(wid, { ...settings });
+    }
+
+    /**
+     * Apply a change to a whiteboard and append it to its journal
+     * @param {string} wid
+     * @param {object} entry
+     */
+    writeJournalEntry(wid, entry) {
+        this.loadStoredData(wid);
+        const board = savedBoards[wid];
+        if (applyJournalEntry(board, entry)) this.eventsReplaced(wid);
+        board.lastModified = Date.now();
+
+        if (config.backend.enableFileDatabase) {
+            board.seq++;
+            if (board.journalFd === null) {
+                board.journalFd = fs.openSync(fileDatabasePath(wid, JOURNAL_EXTENSION), "a");
+            }
+            fs.writeSync(board.journalFd, JSON.stringify({ seq: board.seq, ...entry }) + "\n");
+            board.journalSize++;
+        }
+    }
+
+    /**
+     * Compact the journals that reached the configured size
+     */
+    async compactJournals() {
+        const { journalCompactionThreshold } = config.backend.performance;
+        for (const wid of Object.keys(savedBoards)) {
+            if (savedBoards[wid].journalSize >= journalCompactionThreshold) {
+                try {
+                    await this.compact(wid);
+                } catch (err) {
+                    console.log("Could not compact the journal of", wid, err);
+                }
             }
         }
-    },
+    }
+
+    /**
+     * Write the snapshot of a whiteboard and drop the journal entries it contains
+     *
+     * The journal is first renamed, so changes made while the snapshot is written go to a new one.
+     *
+     * @param {string} wid
+     * @param {boolean} [force] write the snapshot even if the journal is empty
+     */
+    async compact(wid, force = false) {
+        const board = savedBoards[wid];
+        if (!config.backend.enableFileDatabase || !board || compacting[wid]) return;
+        if (board.journalSize === 0 && !force) return;
+
+        compacting[wid] = this.writeSnapshot(wid, board);
+        try {
+            await compacting[wid];
+        } finally {
+            delete compacting[wid];
+        }
+    }
+
+    /**
+     * Move the journal of a whiteboard aside and write its snapshot, see compact()
+     *
+     * @param {string} wid
+     * @param {object} board the loaded whiteboard
+     * @private
+     */
+    async writeSnapshot(wid, board) {
+        const journalPath = fileDatabasePath(wid, JOURNAL_EXTENSION);
+        const compactingPath = fileDatabasePath(wid, COMPACTING_JOURNAL_EXTENSION);
+        if (board.journalFd !== null) {
+            fs.closeSync(board.journalFd);
+            board.journalFd = null;
+        }
+        if (fs.existsSync(compactingPath)) {
+            // a previous compaction was interrupted: keep its entries until the snapshot is written
+            if (fs.existsSync(journalPath)) {
+                fs.appendFileSync(compactingPath, fs.readFileSync(journalPath));
+                fs.unlinkSync(journalPath);
+            }
+        } else if (fs.existsSync(journalPath)) {
+            fs.renameSync(journalPath, compactingPath);
+        }
+        board.journalSize = 0;
+        const count = board.events.length;
+        board.events = compactEvents(board.events);
+        if (board.events.length !== count) this.eventsReplaced(wid);
+
+        const { seq, events, undos } = board;
+        const snapshotPath = fileDatabasePath(wid);
+        await fs.promises.writeFile(snapshotPath + ".tmp", JSON.stringify({ seq, events, undos }));
+        if (savedBoards[wid] !== board) {
+            // the whiteboard was cleared in the meantime
+            unlinkIfExists(snapshotPath + ".tmp");
+            return;
+        }
+        await fs.promises.rename(snapshotPath + ".tmp", snapshotPath);
+        unlinkIfExists(compactingPath);
+    }
+
     // Load saved whiteboard
-    loadStoredData: function (wid) {
+    loadStoredData(wid) {
         if (wid in savedBoards) {
-            return savedBoards[wid];
+            savedBoards[wid].lastAccess = Date.now();
+            return savedBoards[wid].events;
         }
 
-        savedBoards[wid] = [];
+        savedBoards[wid] = {
+            ...createBoardState(),
+            seq: 0,
+            journalSize: 0,
+            journalFd: null,
+            lastModified: null,
+            lastAccess: Date.now(),
+        };
 
         // try to load from DB
         if (config.backend.enableFileDatabase) {
             //read saved board from file
-            var filePath = fileDatabasePath(wid);
-            if (fs.existsSync(filePath)) {
-                var data = fs.readFileSync(filePath);
-                if (data) {
-                    savedBoards[wid] = JSON.parse(data);
-                }
+            const { events, undos, seq, hasInterruptedCompaction } = readFileDatabaseBoard(wid);
+            Object.assign(savedBoards[wid], { events, undos, seq });
+            if (hasInterruptedCompaction) {
+                // the renamed journal is only removed once its entries are in a snapshot
+                this.compact(wid, true).catch((err) =>
+                    console.log("Could not compact the journal of", wid, err)
+                );
             }
         }
 
-        return savedBoards[wid];
-    },
-    copyStoredData: function (sourceWid, targetWid) {
-        const sourceData = this.loadStoredData(sourceWid);
-        if (sourceData.length === 0 || this.loadStoredData(targetWid).lenght > 0) {
-            return;
-        }
-        savedBoards[targetWid] = sourceData.slice();
-        this.saveToDB(targetWid);
-    },
-    saveData: function (wid, data) {
-        const existingData = this.loadStoredData(wid);
-        if (existingData.length > 0 || !data) {
-            return;
-        }
-        savedBoards[wid] = JSON.parse(data);
-        this.saveToDB(wid);
-    },
-};
+        return savedBoards[wid].events;
+    }
+}
+
+const s_whiteboard = new LocalWhiteboardStorage();
 
-export { s_whiteboard as default };
+export { s_whiteboard as default, LocalWhiteboardStorage, FILE_DATABASE_FOLDER, fileDatabasePath };
@@ -0,0 +1,185 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+jest.mock("./config/config.js", () => ({
+    __esModule: true,
+    default: {
+        backend: {
+            enableFileDatabase: true,
+            performance: { journalCompactionInterval: 60, journalCompactionThreshold: 100 },
+        },
+    },
+}));
+
+const WID = "board";
+
+let cwd;
+let folder;
+
+beforeEach(() => {
+    cwd = process.cwd();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "whiteboard-"));
+    process.chdir(folder);
+});
+
+afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+/**
+ * Load a new copy of the provider, as after a restart of the server
+ */
+function startProvider() {
+    let provider;
+    jest.isolateModules(() => {
+        const { LocalWhiteboardStorage } = require("./s_whiteboard");
+        provider = new LocalWhiteboardStorage();
+    });
+    return provider;
+}
+
+function line(username, drawId) {
+    return { t: "line", username, drawId, d: [drawId, 0, drawId, 10] };
+}
+
+function savedFile(extension) {
+    return path.join("savedBoards", WID + extension);
+}
+
+test("Events are appended, undone, redone and cleared", async () => {
+    const provider = startProvider();
+    await provider.append(WID, line("alice", 1));
+    await provider.appendAll(WID, [line("bob", 2), line("alice", 3)]);
+
+    await provider.undo(WID, "alice");
+    expect(await provider.load(WID)).toEqual([line("alice", 1), line("bob", 2)]);
+    await provider.undo(WID, "alice");
+    expect(await provider.load(WID)).toEqual([line("bob", 2)]);
+    await provider.redo(WID, "alice");
+    expect(await provider.load(WID)).toEqual([line("bob", 2), line("alice", 1)]);
+
+    await provider.clear(WID);
+    expect(await provider.load(WID)).toEqual([]);
+    expect(fs.existsSync(savedFile(".journal"))).toBe(false);
+});
+
+test("Only the latest text of a textbox is stored", async () => {
+    const provider = startProvider();
+    const listener = jest.fn();
+    provider.onEventsReplaced(listener);
+
+    await provider.append(WID, { t: "setTextboxText", d: ["text1", "a"] });
+    await provider.append(WID, { t: "setTextboxText", d: ["text2", "b"] });
+    expect(listener).not.toHaveBeenCalled();
+    await provider.append(WID, { t: "setTextboxText", d: ["text1", "c"] });
+
+    expect(await provider.load(WID)).toEqual([
+        { t: "setTextboxText", d: ["text2", "b"] },
+        { t: "setTextboxText", d: ["text1", "c"] },
+    ]);
+    expect(listener).toHaveBeenCalledWith(WID);
+});
+
+test("The journal is reloaded after a restart", async () => {
+    const provider = startProvider();
+    await provider.append(WID, line("alice", 1));
+    await provider.append(WID, line("alice", 2));
+    await provider.undo(WID, "alice");
+
+    const restarted = startProvider();
+    expect(await restarted.load(WID)).toEqual([line("alice", 1)]);
+    // the undo stack is kept too
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([line("alice", 1), line("alice", 2)]);
+});
+
+test("A restart after a compaction loads the snapshot", async () => {
+    const provider = startProvider();
+    await provider.append(WID, line("alice", 1));
+    await provider.append(WID, line("alice", 2));
+    await provider.undo(WID, "alice");
+    await provider.close();
+
+    expect(fs.existsSync(savedFile(".journal"))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(savedFile(".json"), "utf8"))).toEqual({
+        seq: 3,
+        events: [line("alice", 1)],
+        undos: [line("alice", 2)],
+    });
+
+    const restarted = startProvider();
+    await restarted.append(WID, line("alice", 3));
+    expect(await restarted.load(WID)).toEqual([line("alice", 1), line("alice", 3)]);
+    expect(fs.readFileSync(savedFile(".journal"), "utf8")).toContain('"seq":4');
+});
+
+test("An interrupted compaction is recovered without replaying the entries twice", async () => {
+    fs.mkdirSync("savedBoards");
+    // the snapshot was written, but the renamed journal not deleted yet
+    fs.writeFileSync(
+        savedFile(".json"),
+        JSON.stringify({ seq: 2, events: [line("alice", 1), line("alice", 2)], undos: [] })
+    );
+    fs.writeFileSync(
+        savedFile(".journal.compacting"),
+        [
+            { seq: 1, op: "append", event: line("alice", 1) },
+            { seq: 2, op: "append", event: line("alice", 2) },
+            { seq: 3, op: "append", event: line("alice", 3) },
+        ]
+            .map((entry) => JSON.stringify(entry) + "\n")
+            .join("")
+    );
+    // and a new journal was written since, its last line truncated by the crash
+    fs.writeFileSync(
+        savedFile(".journal"),
+        JSON.stringify({ seq: 4, op: "undo", username: "alice" }) + '\n{"seq":5,"op":"app'
+    );
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const provider = startProvider();
+    expect(await provider.load(WID)).toEqual([line("alice", 1), line("alice", 2)]);
+    expect(warn).toHaveBeenCalledWith("Ignoring corrupted journal entry in", savedFile(".journal"));
+    warn.mockRestore();
+    await provider.close();
+
+    expect(fs.existsSync(savedFile(".journal.compacting"))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(savedFile(".json"), "utf8"))).toEqual({
+        seq: 4,
+        events: [line("alice", 1), line("alice", 2)],
+        undos: [line("alice", 3)],
+    });
+
+    const restarted = startProvider();
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([
+        line("alice", 1),
+        line("alice", 2),
+        line("alice", 3),
+    ]);
+});
+
+test("A version is restored with one snapshot", async () => {
+    const provider = startProvider();
+    await provider.append(WID, line("alice", 1));
+    const version = await provider.createVersion(WID, { name: "First" });
+    await provider.append(WID, line("alice", 2));
+    await provider.append(WID, line("alice", 3));
+    await provider.undo(WID, "alice");
+
+    expect(await provider.restoreVersion(WID, version.id)).toEqual(version);
+    expect(await provider.load(WID)).toEqual([line("alice", 1)]);
+    expect(fs.existsSync(savedFile(".journal"))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(savedFile(".json"), "utf8"))).toEqual({
+        seq: 4,
+        events: [line("alice", 1)],
+        undos: [],
+    });
+
+    // the journal entries before the restore are not replayed
+    const restarted = startProvider();
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([line("alice", 1)]);
+});
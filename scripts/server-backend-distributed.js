@@ -6,15 +6,28 @@ import path from "path";
 
 import config from "./config/config.js";
 import ROBackendService from "./services/ReadOnlyBackendService.js";
-const ReadOnlyBackendService = new ROBackendService();
 import WBInfoBackendService from "./services/WhiteboardInfoBackendService.js";
-const WhiteboardInfoBackendService = new WBInfoBackendService();
 
 import redisAdapter from "./services/RedisAdapter.js";
-import redisWhiteboardService from "./services/RedisWhiteboardService.js";
 import metricsService from "./services/MetricsService.js";
+import { loadStorageProvider } from "./services/storageProviders.js";
+import { MAX_BATCH_SIZE, validateEvent, validateEventBatch } from "./services/EventValidator.js";
+import RetentionService from "./services/RetentionService.js";
+import BoardListService from "./services/BoardListService.js";
+import BoardForkService from "./services/BoardForkService.js";
+import TemplateService from "./services/TemplateService.js";
+import WebhookService from "./services/WebhookService.js";
+import BoardStreamService from "./services/BoardStreamService.js";
+import UploadService, { UploadError } from "./services/UploadService.js";
+import BoardAccessService from "./services/BoardAccessService.js";
+import JwtService, { stampUsername } from "./services/JwtService.js";
+import RateLimitService from "./services/RateLimitService.js";
+import { embedUploadedImages, renderBoardSvg } from "./services/SvgExport.js";
+import { renderBoardPdf } from "./services/PdfExport.js";
+import { readUploadedImages } from "./services/BoardScene.js";
+import { isRole, mayLockBoard, mayManageVersions } from "../src/js/shared/roles.js";
 
-import { getSafeFilePath } from "./utils.js";
+import { asyncHandler, getSafeFilePath } from "./utils.js";
 
 import fs from "fs-extra";
 import express from "express";
@@ -24,7 +37,6 @@ import createDOMPurify from "dompurify";
 import { JSDOM } from "jsdom";
 
 import { createClient } from "webdav";
-import s_whiteboard from "./s_whiteboard.js";
 
 import http from "http";
 import { Server } from "socket.io";
@@ -44,63 +56,125 @@ export default async function startBackendServer(port) {
 
     var app = express();
     var server = http.Server(app);
-    
+
     // Initialize Socket.IO
-    var io = new Server(server, { 
+    var io = new Server(server, {
         path: "/ws-api",
         // Enable sticky sessions for load balancer compatibility
         transports: ["websocket", "polling"],
         // Allow cross-origin for distributed setup
         cors: {
             origin: "*",
-            methods: ["GET", "POST"]
-        }
+            methods: ["GET", "POST"],
+        },
     });
 
     // Initialize Redis connection
     const redisUrl = process.env.REDIS_URL || "redis://localhost:6379";
     const useRedis = process.env.USE_REDIS !== "false";
-    
+
     let useDistributed = false;
-    
+    // Redis clients of the Socket.IO adapter, closed on shutdown
+    const socketRedisClients = [];
+
     if (useRedis) {
         try {
             // Connect Redis adapter
             const connected = await redisAdapter.connect({ url: redisUrl });
-            
+
             if (connected) {
                 // Setup Socket.IO Redis adapter for cross-node communication
                 const pubClient = (await import("redis")).createClient({ url: redisUrl });
                 const subClient = pubClient.duplicate();
-                
+                socketRedisClients.push(pubClient, subClient);
+
                 await Promise.all([pubClient.connect(), subClient.connect()]);
-                
+
                 io.adapter(createAdapter(pubClient, subClient));
                 console.log(`✅ Socket.IO Redis adapter enabled`);
-                
-                // Initialize Redis whiteboard service
-                await redisWhiteboardService.initialize();
-                
-                // Listen for remote whiteboard events
-                redisWhiteboardService.onRemoteEvent((event) => {
-                    if (event.type === "update" && event.content) {
-                        // Broadcast to local clients
-                        io.to(event.wid).emit("drawToWhiteboard", event.content);
-                    }
-                });
-                
+
                 useDistributed = true;
                 metricsService.setRedisConnected(true);
                 console.log(`✅ Distributed mode enabled (Node: ${NODE_ID})`);
             }
         } catch (error) {
-            console.warn("⚠️ Redis connection failed, falling back to standalone mode:", error.message);
+            console.warn(
+                "⚠️ Redis connection failed, falling back to standalone mode:",
+                error.message
+            );
             metricsService.setRedisConnected(false);
         }
     }
 
-    // Use appropriate whiteboard service
-    const whiteboardService = useDistributed ? redisWhiteboardService : s_whiteboard;
+    // Use the configured storage provider (Redis by default in distributed mode)
+    const whiteboardStorage = await loadStorageProvider(config.backend.storageProvider, {
+        distributed: useDistributed,
+    });
+    if (!(await whiteboardStorage.initialize())) {
+        throw new Error(
+            `Could not initialize the storage provider "${config.backend.storageProvider}"`
+        );
+    }
+    whiteboardStorage.startVersionHistory(config.backend.history);
+    // Read-only ids are stored with the whiteboards, so shared links survive restarts
+    const ReadOnlyBackendService = new ROBackendService(whiteboardStorage);
+    const WhiteboardInfoBackendService = new WBInfoBackendService(ReadOnlyBackendService);
+    const retentionService = new RetentionService({
+        storage: whiteboardStorage,
+        whiteboardInfoBackendService: WhiteboardInfoBackendService,
+        uploadsFolder: "public/uploads",
+        policy: config.backend.retention,
+    });
+    retentionService.start();
+    const boardListService = new BoardListService({
+        storage: whiteboardStorage,
+        whiteboardInfoBackendService: WhiteboardInfoBackendService,
+    });
+    const boardForkService = new BoardForkService({
+        storage: whiteboardStorage,
+        readOnlyBackendService: ReadOnlyBackendService,
+        uploadsFolder: "public/uploads",
+    });
+    const templateService = new TemplateService({
+        storage: whiteboardStorage,
+        boardForkService,
+        templatesFolder: config.backend.templatesFolder,
+        uploadsFolder: "public/uploads",
+    });
+    const webhookService = new WebhookService({
+        webhooks: config.backend.webhooks,
+        whiteboardInfoBackendService: WhiteboardInfoBackendService,
+    });
+    const boardStreamService = new BoardStreamService({ storage: whiteboardStorage });
+    boardStreamService.start();
+    const rateLimitService = new RateLimitService({ limits: config.backend.rateLimits });
+    rateLimitService.start();
+    const uploadService = new UploadService({
+        uploadsFolder: "public/uploads",
+        limits: config.backend.uploads,
+        purify: DOMPurify,
+    });
+    const boardAccessService = new BoardAccessService({
+        storage: whiteboardStorage,
+        readOnlyBackendService: ReadOnlyBackendService,
+        accessToken: config.backend.accessToken,
+        jwtService: new JwtService({ jwt: config.backend.jwt }),
+        defaultRole: config.backend.defaultRole,
+    });
+
+    // Listen for whiteboard events stored by other nodes
+    whiteboardStorage.onRemoteEvent((event) => {
+        if (event.type === "update" && event.content) {
+            // Broadcast to local clients
+            io.to(event.wid).emit("drawToWhiteboard", event.content);
+            boardStreamService.publish(event.wid, event.content);
+            // The node that stored the last event tells when the whiteboard is idle
+            webhookService.eventsDrawnElsewhere(event.wid, [event.content]);
+        } else if (event.type === "clear" && event.wid) {
+            // cleared or restored on another node
+            boardAccessService.forgetStickyNotes(event.wid);
+        }
+    });
 
     server.listen(port);
     WhiteboardInfoBackendService.start(io);
@@ -109,8 +183,34 @@ export default async function startBackendServer(port) {
 
     const { accessToken, enableWebdav } = config.backend;
 
+    let shuttingDown = false;
+    // Whiteboard changes being stored, waited for on shutdown
+    const pendingWrites = new Set();
+
+    // Refuse the requests coming through connections still open during the shutdown
+    app.use(function (req, res, next) {
+        if (shuttingDown) {
+            res.set("Connection", "close");
+            res.status(503).end();
+        } else {
+            next();
+        }
+    });
+
     // Expose static folders
     app.use(express.static(path.join(__dirname, "..", "dist")));
+    // Downscaled variant of an uploaded image for ?w=<displayed width>, if there is one
+    app.use(
+        "/uploads",
+        asyncHandler(async function (req, res, next) {
+            const width = Number(req.query.w);
+            if (Number.isInteger(width) && width > 0) {
+                const variant = await uploadService.variantPath(req.path.slice(1), width);
+                if (variant) req.url = "/" + variant;
+            }
+            next();
+        })
+    );
     app.use("/uploads", express.static(path.join(__dirname, "..", "public", "uploads")));
 
     // Health check endpoint for load balancer
@@ -120,7 +220,7 @@ export default async function startBackendServer(port) {
             status: "healthy",
             nodeId: NODE_ID,
             distributed: useDistributed,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
         });
     });
 
@@ -142,164 +242,819 @@ export default async function startBackendServer(port) {
             nodeId: NODE_ID,
             distributed: useDistributed,
             redisConnected: redisAdapter.isReady(),
-            uptime: process.uptime()
+            uptime: process.uptime(),
         });
     });
 
     // Load whiteboard data
-    app.get("/api/loadwhiteboard", async function (req, res) {
-        let query = escapeAllContentStrings(req["query"]);
-        const wid = query["wid"];
-        const at = query["at"];
-        
-        if (accessToken === "" || accessToken == at) {
-            const widForData = ReadOnlyBackendService.isReadOnly(wid)
-                ? ReadOnlyBackendService.getIdFromReadOnlyId(wid)
-                : wid;
-            
-            let ret;
-            if (useDistributed) {
-                ret = await whiteboardService.loadStoredData(widForData);
+    app.get(
+        "/api/loadwhiteboard",
+        asyncHandler(async function (req, res) {
+            let query = escapeAllContentStrings(req["query"]);
+            const wid = query["wid"];
+            const at = query["at"];
+
+            if (await boardAccessService.authorize(wid, at)) {
+                const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                    ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                    : wid;
+
+                const ret = await whiteboardStorage.load(widForData);
+                res.send(ret);
+                res.end();
             } else {
-                ret = whiteboardService.loadStoredData(widForData);
+                res.status(401);
+                res.end();
             }
-            res.send(ret);
-            res.end();
-        } else {
-            res.status(401);
-            res.end();
-        }
-    });
+        })
+    );
 
     // Get read-only whiteboard ID
-    app.get("/api/getReadOnlyWid", function (req, res) {
-        let query = escapeAllContentStrings(req["query"]);
-        const wid = query["wid"];
-        const at = query["at"];
-        
-        if (accessToken === "" || accessToken == at) {
-            res.send(ReadOnlyBackendService.getReadOnlyId(wid));
-            res.end();
-        } else {
-            res.status(401);
-            res.end();
-        }
-    });
+    app.get(
+        "/api/getReadOnlyWid",
+        asyncHandler(async function (req, res) {
+            let query = escapeAllContentStrings(req["query"]);
+            const wid = query["wid"];
+            const at = query["at"];
+
+            if (await boardAccessService.authorize(wid, at)) {
+                res.send(await ReadOnlyBackendService.getReadOnlyId(wid));
+                res.end();
+            } else {
+                res.status(401);
+                res.end();
+            }
+        })
+    );
 
     // Upload endpoint
-    app.post("/api/upload", function (req, res) {
-        var form = formidable({});
-        var formData = { files: {}, fields: {} };
+    app.post(
+        "/api/upload",
+        asyncHandler(async function (req, res) {
+            //File upload
+            const { maxFileSize } = uploadService;
+            const form = formidable({
+                maxFileSize,
+                // room for an image encoded in base64 in the imagedata field
+                maxFieldsSize: Math.ceil((maxFileSize * 4) / 3) + 1024 * 1024,
+            });
+            let fields, files;
+            try {
+                [fields, files] = await form.parse(req);
+            } catch (err) {
+                console.log("File upload Error!", err.message);
+                sendUploadError(
+                    res,
+                    err.httpCode === 413
+                        ? uploadService.fileTooLarge()
+                        : new UploadError("NO_IMAGE", 400, "The upload could not be read")
+                );
+                return;
+            }
+            // formidable gives lists of values
+            fields = Object.fromEntries(
+                Object.entries(fields).map(([name, values]) => [name, values[0]])
+            );
+            const uploadedFiles = Object.values(files).flat();
 
-        form.on("file", function (name, file) {
-            formData["files"][file.name] = file;
-        });
+            try {
+                const wid = fields["wid"];
+                if (
+                    !wid ||
+                    (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                    !(await boardAccessService.authorize(wid, fields["at"]))
+                ) {
+                    res.status(401);
+                    res.end();
+                    return;
+                }
+                res.send(await progressUploadFormData(fields, uploadedFiles[0]));
+            } catch (err) {
+                if (err instanceof UploadError) {
+                    sendUploadError(res, err);
+                } else {
+                    console.log("error", err);
+                    res.status(err == "403" ? 403 : 500);
+                    res.end();
+                }
+            } finally {
+                uploadedFiles.forEach((file) => fs.remove(file.filepath));
+            }
+        })
+    );
 
-        form.on("field", function (name, value) {
-            formData["fields"][name] = value;
-        });
+    // Draw to whiteboard via API
+    app.get(
+        "/api/drawToWhiteboard",
+        asyncHandler(async function (req, res) {
+            let query = escapeAllContentStrings(req["query"]);
+            const wid = query["wid"];
+            const at = query["at"];
 
-        form.on("error", function (err) {
-            console.log("File upload Error!");
-        });
+            if (!wid || (await ReadOnlyBackendService.isReadOnly(wid))) {
+                res.status(401);
+                res.end();
+                return;
+            }
 
-        form.on("end", function () {
-            if (accessToken === "" || accessToken == formData["fields"]["at"]) {
-                progressUploadFormData(formData, function (err) {
-                    if (err) {
-                        res.status(err == "403" ? 403 : 500);
-                        res.end();
-                    } else {
-                        res.send("done");
-                    }
-                });
+            if (await boardAccessService.authorize(wid, at)) {
+                delete query["at"]; // not sent to the others nor stored
+                if (query.th !== undefined) {
+                    query.th = parseFloat(query.th);
+                }
+                try {
+                    query.d = JSON.parse(query.d);
+                } catch (e) {}
+                const { valid, errors } = validateEvent(query);
+                if (!valid) {
+                    res.status(400).send({ errors });
+                    return;
+                }
+                // the username of an authenticated user can't be taken by others
+                stampUsername(query, boardAccessService.authenticate(at));
+                const role = await boardAccessService.role(wid, at);
+                if (!(await boardAccessService.mayDraw(wid, role, query))) {
+                    res.status(403);
+                    res.end();
+                    return;
+                }
+                if (await boardAccessService.isLocked(wid)) {
+                    res.status(423);
+                    res.end();
+                    return;
+                }
+                // only charged for the events drawn, so nobody drains the buckets of the others
+                const limitedScope = rateLimitService.take({ ip: req.ip, board: wid });
+                if (limitedScope) {
+                    metricsService.eventsRateLimited(limitedScope);
+                    res.status(429).send({ code: "RATE_LIMITED", scope: limitedScope });
+                    return;
+                }
+
+                const broadcastTo = (targetWid) =>
+                    io.compress(false).to(targetWid).emit("drawToWhiteboard", query);
+                broadcastTo(wid);
+
+                const readOnlyId = await ReadOnlyBackendService.getReadOnlyId(wid);
+                broadcastTo(readOnlyId);
+
+                await storeEventsAndData(query);
+                webhookService.eventsDrawn(wid, [query]);
+                boardStreamService.publish(wid, query);
+                res.send("done");
             } else {
                 res.status(401);
                 res.end();
             }
-        });
-        form.parse(req);
-    });
+        })
+    );
 
-    // Draw to whiteboard via API
-    app.get("/api/drawToWhiteboard", async function (req, res) {
-        let query = escapeAllContentStrings(req["query"]);
-        const wid = query["wid"];
-        const at = query["at"];
-        
-        if (!wid || ReadOnlyBackendService.isReadOnly(wid)) {
-            res.status(401);
-            res.end();
-            return;
-        }
+    // Draw a batch of events, stored all together or not at all
+    app.post(
+        "/api/v2/boards/:wid/events",
+        express.json({ limit: "10mb" }),
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"]))
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
 
-        if (accessToken === "" || accessToken == at) {
-            const broadcastTo = (targetWid) => io.compress(false).to(targetWid).emit("drawToWhiteboard", query);
-            broadcastTo(wid);
-            
-            const readOnlyId = ReadOnlyBackendService.getReadOnlyId(wid);
-            broadcastTo(readOnlyId);
-            
-            try { query.th = parseFloat(query.th); } catch (e) {}
-            try { query.d = JSON.parse(query.d); } catch (e) {}
-            
-            if (useDistributed) {
-                await whiteboardService.handleEventsAndData(query);
-            } else {
-                whiteboardService.handleEventsAndData(query);
+            // escaped one by one: escapeAllContentStrings only goes 10 objects deep
+            const events = Array.isArray(req.body)
+                ? req.body.map((event) => escapeAllContentStrings(event))
+                : req.body;
+            // a batch over the burst of a limit could never be accepted
+            const maxSize = Math.min(
+                MAX_BATCH_SIZE,
+                rateLimitService.maxCount({ ip: req.ip, board: wid })
+            );
+            const { valid, errors } = validateEventBatch(events, maxSize);
+            if (!valid) {
+                res.status(400).send({ errors });
+                return;
             }
-            res.send("done");
-        } else {
-            res.status(401);
-            res.end();
+            const role = await boardAccessService.role(wid, query["at"]);
+            for (const event of events) {
+                if (!(await boardAccessService.mayDraw(wid, role, event))) {
+                    res.status(403);
+                    res.end();
+                    return;
+                }
+            }
+            if (await boardAccessService.isLocked(wid)) {
+                res.status(423);
+                res.end();
+                return;
+            }
+            // only charged for the events drawn, so nobody drains the buckets of the others
+            const limitedScope = rateLimitService.take({ ip: req.ip, board: wid }, events.length);
+            if (limitedScope) {
+                metricsService.eventsRateLimited(limitedScope, events.length);
+                res.status(429).send({ code: "RATE_LIMITED", scope: limitedScope });
+                return;
+            }
+            const user = boardAccessService.authenticate(query["at"]);
+            events.forEach((event) => {
+                event["wid"] = wid;
+                stampUsername(event, user);
+                purifyEncodedStrings(event);
+            });
+
+            let ids;
+            try {
+                ids = await storeEventBatch(wid, events);
+                webhookService.eventsDrawn(wid, events);
+                events.forEach((event) => boardStreamService.publish(wid, event));
+            } catch (err) {
+                console.log("Could not store the events of", wid, err.message);
+                res.status(400);
+                res.end();
+                return;
+            }
+
+            const readOnlyId = await ReadOnlyBackendService.getReadOnlyId(wid);
+            for (const event of events) {
+                io.compress(false).to(wid).emit("drawToWhiteboard", event);
+                io.compress(false).to(readOnlyId).emit("drawToWhiteboard", event);
+            }
+            res.send({ ids });
+        })
+    );
+
+    // List the stored whiteboards; the ids give write access, so a token is required
+    app.get(
+        "/api/boards",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            if (!boardAccessService.isAdmin(query["at"])) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const { sort, order, offset, limit } = query;
+            try {
+                res.send(
+                    await boardListService.list({
+                        sort,
+                        order,
+                        offset: offset === undefined ? undefined : Number(offset),
+                        limit: limit === undefined ? undefined : Number(limit),
+                    })
+                );
+            } catch (err) {
+                res.status(400).send({ errors: [err.message] });
+            }
+        })
+    );
+
+    // Draw a whiteboard as an SVG image on the server
+    app.get(
+        "/api/boards/:wid/export.svg",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const svg = await renderBoardSvg(await whiteboardStorage.load(widForData), {
+                    resolveImage: embedUploadedImages("public/uploads"),
+                });
+                // the image shows user content: nothing in it may run
+                res.set("Content-Security-Policy", "default-src 'none'; img-src * data:");
+                res.type("image/svg+xml").send(svg);
+            } catch (err) {
+                console.log("Could not export", widForData, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Print a whiteboard to a PDF document on the server
+    app.get(
+        "/api/boards/:wid/export.pdf",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const pdf = await renderBoardPdf(await whiteboardStorage.load(widForData), {
+                    pageSize: query["pageSize"] || "a4",
+                    readImage: readUploadedImages("public/uploads"),
+                });
+                res.type("application/pdf").send(pdf);
+            } catch (err) {
+                console.log("Could not export", widForData, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Stream the events of a whiteboard as Server-Sent Events, from an offset
+    app.get(
+        "/api/boards/:wid/stream",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const offset = query["offset"];
+            if (offset !== undefined && !/^\d+$/.test(offset)) {
+                res.status(400).send({ errors: ["offset must be a non-negative integer"] });
+                return;
+            }
+            // events are streamed without the editable id, so read-only ids are fine
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            const lastEventId = req.get("Last-Event-ID");
+            try {
+                await boardStreamService.open(
+                    widForData,
+                    offset !== undefined || lastEventId === undefined
+                        ? parseInt(offset || "0")
+                        : boardStreamService.resumeOffset(widForData, lastEventId),
+                    res
+                );
+            } catch (err) {
+                console.log("Could not stream", widForData, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // List the versions of a whiteboard
+    app.get(
+        "/api/boards/:wid/versions",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                res.send(await whiteboardStorage.listVersions(widForData));
+            } catch (err) {
+                console.log("Could not list the versions of", widForData, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Save the current content of a whiteboard as a named version
+    app.post(
+        "/api/boards/:wid/versions",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayManageVersions(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await whiteboardStorage.createVersion(wid, { name: query["name"] || "" }));
+            } catch (err) {
+                console.log("Could not save a version of", wid, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Preview a version of a whiteboard
+    app.get(
+        "/api/boards/:wid/versions/:versionId",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const { wid, versionId } = escapeAllContentStrings(req.params);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const version = await whiteboardStorage.loadVersion(widForData, versionId);
+                if (version) {
+                    res.send(version);
+                } else {
+                    res.status(404);
+                    res.end();
+                }
+            } catch (err) {
+                console.log("Could not load the version", versionId, "of", widForData, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Restore a version of a whiteboard
+    app.post(
+        "/api/boards/:wid/versions/:versionId/restore",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const { wid, versionId } = escapeAllContentStrings(req.params);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayManageVersions(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                const version = await whiteboardStorage.restoreVersion(wid, versionId);
+                boardAccessService.forgetStickyNotes(wid);
+                if (!version) {
+                    res.status(404);
+                    res.end();
+                    return;
+                }
+                // Clients on every node reload the whiteboard
+                const broadcastTo = (targetWid) =>
+                    io.compress(false).to(targetWid).emit("whiteboardRestored", version);
+                broadcastTo(wid);
+                broadcastTo(await ReadOnlyBackendService.getReadOnlyId(wid));
+                boardStreamService.reload(wid);
+                res.send(version);
+            } catch (err) {
+                console.log("Could not restore the version", versionId, "of", wid, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Collapse the superseded events of a whiteboard
+    app.post(
+        "/api/boards/:wid/compact",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const { wid } = escapeAllContentStrings(req.params);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayManageVersions(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await whiteboardStorage.compactBoard(wid));
+                boardStreamService.reload(wid);
+            } catch (err) {
+                console.log("Could not compact", wid, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Copy a whiteboard and its uploaded images to a new whiteboard
+    app.post(
+        "/api/boards/:wid/fork",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const fork = await trackWrite(boardForkService.fork(widForData));
+                if (query["secret"]) {
+                    await boardAccessService.setSecret(fork.wid, query["secret"]);
+                } else {
+                    await boardAccessService.copySecret(widForData, fork.wid);
+                }
+                res.send(withBoardLinks(req, fork));
+            } catch (err) {
+                console.log("Could not fork", widForData, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Protect a whiteboard with a secret; anybody can set the secret of a new whiteboard of an open server
+    app.post(
+        "/api/boards/:wid/secret",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.maySetSecret(wid, query["at"]))) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                await boardAccessService.setSecret(wid, query["secret"] || "");
+                res.status(204).end();
+            } catch (err) {
+                console.log("Could not set the secret of", wid, err.message);
+                res.status(500);
+                res.end();
+            }
+        })
+    );
+
+    // List the roles given to users on a whiteboard, for its owners
+    app.get(
+        "/api/boards/:wid/members",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                (await boardAccessService.role(wid, query["at"])) !== "owner"
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await boardAccessService.members(wid));
+            } catch (err) {
+                console.log("Could not list the members of", wid, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Give a role on a whiteboard to a user, or remove it (without role), for its owners
+    app.post(
+        "/api/boards/:wid/members/:userId",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            const userId = escapeAllContentStrings(req.params["userId"]);
+            const role = query["role"] || "";
+            if (
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                (await boardAccessService.role(wid, query["at"])) !== "owner"
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
+            if (role !== "" && !isRole(role)) {
+                res.status(400);
+                res.end();
+                return;
+            }
+
+            try {
+                await boardAccessService.setMember(wid, userId, role);
+                res.status(204).end();
+            } catch (err) {
+                console.log("Could not set a member of", wid, err.message);
+                res.status(500);
+                res.end();
+            }
+        })
+    );
+
+    // Lock (or unlock, with locked=false) a whiteboard for everyone, for its owners
+    app.post(
+        "/api/boards/:wid/lock",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayLockBoard(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                await setBoardLocked(wid, query["locked"] !== "false");
+                res.status(204).end();
+            } catch (err) {
+                console.log("Could not lock", wid, err.message);
+                res.status(500);
+                res.end();
+            }
+        })
+    );
+
+    // List the whiteboard templates
+    app.get(
+        "/api/templates",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            if (accessToken !== "" && !boardAccessService.isAdmin(query["at"])) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await templateService.list());
+            } catch (err) {
+                console.log("Could not list the templates", err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Save a whiteboard as a template; admins only, so a token is required
+    app.post(
+        "/api/templates",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            if (!boardAccessService.isAdmin(query["at"])) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            const wid = query["wid"];
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                res.send(await templateService.saveBoard(widForData, query["name"] || ""));
+            } catch (err) {
+                res.status(400).send({ errors: [err.message] });
+            }
+        })
+    );
+
+    // Create a whiteboard from a template
+    app.post(
+        "/api/templates/:id/boards",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const id = escapeAllContentStrings(req.params["id"]);
+            if (accessToken !== "" && !boardAccessService.isAdmin(query["at"])) {
+                res.status(401);
+                res.end();
+                return;
+            }
+
+            try {
+                const board = await trackWrite(templateService.createBoard(id));
+                if (!board) {
+                    res.status(404);
+                    res.end();
+                    return;
+                }
+                if (query["secret"]) {
+                    await boardAccessService.setSecret(board.wid, query["secret"]);
+                }
+                res.send(withBoardLinks(req, board));
+            } catch (err) {
+                console.log("Could not create a whiteboard from the template", id, err.message);
+                res.status(400);
+                res.end();
+            }
+        })
+    );
+
+    // Store whiteboard changes, tracked so that the shutdown waits for them
+    function storeEventsAndData(content) {
+        if (content["t"] === "clear") {
+            boardAccessService.forgetStickyNotes(content["wid"]);
         }
-    });
+        return trackWrite(whiteboardStorage.handleEventsAndData(content));
+    }
+
+    function storeEventBatch(wid, contents) {
+        return trackWrite(whiteboardStorage.handleEventBatch(wid, contents));
+    }
+
+    // Lock or unlock a whiteboard: its clients switch to read-only mode (and back) together
+    async function setBoardLocked(wid, locked) {
+        await trackWrite(boardAccessService.setLocked(wid, locked));
+        io.to(wid).emit("boardLocked", { locked });
+        io.to(await ReadOnlyBackendService.getReadOnlyId(wid)).emit("boardLocked", { locked });
+    }
+
+    function trackWrite(promise) {
+        const write = promise.finally(() => pendingWrites.delete(write));
+        pendingWrites.add(write);
+        return write;
+    }
 
-    function progressUploadFormData(formData, callback) {
+    // Ids of a new whiteboard, with its links on the host the request was sent to
+    function withBoardLinks(req, { wid, readOnlyWid }) {
+        const baseUrl = `${req.protocol}://${req.get("host")}/`;
+        return {
+            wid,
+            readOnlyWid,
+            url: `${baseUrl}?whiteboardid=${wid}`,
+            readOnlyUrl: `${baseUrl}?whiteboardid=${readOnlyWid}`,
+        };
+    }
+
+    /**
+     * Store the image of an upload: the file of a multipart upload,
+     * or the base64 encoded imagedata field
+     *
+     * @return {Promise<object>} the stored image: filename, path in the uploads folder, type, size
+     * and the widths of its downscaled variants
+     */
+    async function progressUploadFormData(fields, file) {
         console.log("Progress new Form Data");
-        const fields = escapeAllContentStrings(formData.fields);
-        const wid = fields["wid"];
-        if (ReadOnlyBackendService.isReadOnly(wid)) return;
+        fields = escapeAllContentStrings(fields);
+        const readOnlyWid = await ReadOnlyBackendService.getReadOnlyId(fields["wid"]);
 
-        const readOnlyWid = ReadOnlyBackendService.getReadOnlyId(wid);
         const date = fields["date"] || +new Date();
-        const filename = `${readOnlyWid}_${date}.png`;
         let webdavaccess = fields["webdavaccess"] || false;
-        
-        try { webdavaccess = JSON.parse(webdavaccess); } catch (e) { webdavaccess = false; }
+        try {
+            webdavaccess = JSON.parse(webdavaccess);
+        } catch (e) {
+            webdavaccess = false;
+        }
 
-        const savingDir = getSafeFilePath("public/uploads", readOnlyWid);
-        fs.ensureDir(savingDir, function (err) {
-            if (err) {
-                console.log("Could not create upload folder!", err);
-                return;
-            }
-            let imagedata = fields["imagedata"];
-            if (imagedata && imagedata != "") {
-                imagedata = imagedata
-                    .replace(/^data:image\/png;base64,/, "")
-                    .replace(/^data:image\/jpeg;base64,/, "");
-                console.log(filename, "uploaded");
-                const savingPath = getSafeFilePath(savingDir, filename);
-                fs.writeFile(savingPath, imagedata, "base64", function (err) {
-                    if (err) {
-                        console.log("error", err);
-                        callback(err);
-                    } else {
-                        if (webdavaccess && enableWebdav) {
-                            saveImageToWebdav(savingPath, filename, webdavaccess, callback);
-                        } else if (webdavaccess) {
-                            callback("Webdav is not enabled on the server!");
-                        } else {
-                            callback();
-                        }
-                    }
-                });
-            } else {
-                callback("no imagedata!");
-                console.log("No image Data found for this upload!", filename);
+        const imagedata = file
+            ? await fs.readFile(file.filepath)
+            : Buffer.from((fields["imagedata"] || "").replace(/^data:[^,]*;base64,/, ""), "base64");
+        const upload = await uploadService.save(readOnlyWid, imagedata, date);
+        console.log(upload.filename, "uploaded");
+
+        if (webdavaccess) {
+            //Save image to webdav
+            if (!enableWebdav) {
+                throw "Webdav is not enabled on the server!";
             }
-        });
+            const savingPath = getSafeFilePath(
+                getSafeFilePath("public/uploads", readOnlyWid),
+                upload.filename
+            );
+            await new Promise((resolve, reject) => {
+                saveImageToWebdav(savingPath, upload.filename, webdavaccess, (err) =>
+                    err ? reject(err) : resolve()
+                );
+            });
+        }
+        return upload;
+    }
+
+    function sendUploadError(res, err) {
+        res.status(err.status).send({ code: err.code, errors: [err.message] });
     }
 
     function saveImageToWebdav(imagepath, filename, webdavaccess, callback) {
@@ -333,72 +1088,149 @@ export default async function startBackendServer(port) {
     // Socket.IO connection handling
     io.on("connection", function (socket) {
         let whiteboardId = null;
-        
+        let rateLimitedAt = 0; // last rateLimited notice sent
+        // an event is dropped: tell the sender, at most once a second
+        function dropRateLimited(scope) {
+            metricsService.eventsRateLimited(scope);
+            if (Date.now() - rateLimitedAt >= 1000) {
+                rateLimitedAt = Date.now();
+                socket.emit("rateLimited", { scope });
+            }
+        }
+
         metricsService.connectionOpened();
         console.log(`[${NODE_ID}] Client connected: ${socket.id}`);
 
         socket.on("disconnect", function () {
+            rateLimitService.forget("socket", socket.id);
             metricsService.connectionClosed();
             console.log(`[${NODE_ID}] Client disconnected: ${socket.id}`);
             WhiteboardInfoBackendService.leave(socket.id, whiteboardId);
+            if (whiteboardId) webhookService.boardLeft(whiteboardId);
             socket.compress(false).broadcast.to(whiteboardId).emit("refreshUserBadges", null);
         });
 
         socket.on("drawToWhiteboard", async function (content) {
-            if (!whiteboardId || ReadOnlyBackendService.isReadOnly(whiteboardId)) return;
+            if (
+                shuttingDown ||
+                !whiteboardId ||
+                (await ReadOnlyBackendService.isReadOnly(whiteboardId))
+            )
+                return;
+
+            // the sender is limited first, so it can't flood the server with invalid events
+            const limitedScope = rateLimitService.take({
+                socket: socket.id,
+                ip: socket.handshake.address,
+            });
+            if (limitedScope) {
+                dropRateLimited(limitedScope);
+                return;
+            }
 
             content = escapeAllContentStrings(content);
+            const { valid, errors } = validateEvent(content);
+            if (!valid) {
+                // tell the sender, its whiteboard doesn't match the others anymore
+                socket.emit("invalidEvent", { t: content && content["t"], errors });
+                return;
+            }
             content = purifyEncodedStrings(content);
 
-            if (accessToken === "" || accessToken == content["at"]) {
+            if (await boardAccessService.authorize(whiteboardId, content["at"])) {
+                const role = await boardAccessService.role(whiteboardId, content["at"]);
+                if (!(await boardAccessService.mayDraw(whiteboardId, role, content))) {
+                    // tell the sender, its whiteboard doesn't match the others anymore
+                    socket.emit("forbiddenEvent", { t: content["t"], role });
+                    return;
+                }
+                if (await boardAccessService.isLocked(whiteboardId)) {
+                    // the sender missed the lock: switch it to read-only mode
+                    socket.emit("boardLocked", { locked: true });
+                    return;
+                }
+                // the whiteboard only for the events drawn, so nobody else drains its bucket
+                if (rateLimitService.take({ board: whiteboardId })) {
+                    dropRateLimited("board");
+                    return;
+                }
+                // the username of an authenticated user can't be taken by others
+                stampUsername(content, boardAccessService.authenticate(content["at"]));
+                // the secret isn't sent to the others (read-only clients included) nor stored
+                delete content["at"];
                 metricsService.drawEvent();
-                
+
                 const broadcastTo = (wid) =>
                     socket.compress(false).broadcast.to(wid).emit("drawToWhiteboard", content);
-                
+
                 broadcastTo(whiteboardId);
-                const readOnlyId = ReadOnlyBackendService.getReadOnlyId(whiteboardId);
+                const readOnlyId = await ReadOnlyBackendService.getReadOnlyId(whiteboardId);
                 broadcastTo(readOnlyId);
-                
-                if (useDistributed) {
-                    await whiteboardService.handleEventsAndData(content);
-                } else {
-                    whiteboardService.handleEventsAndData(content);
-                }
+
+                await storeEventsAndData(content);
+                webhookService.eventsDrawn(whiteboardId, [content]);
+                boardStreamService.publish(whiteboardId, content);
             } else {
                 socket.emit("wrongAccessToken", true);
             }
         });
 
-        socket.on("joinWhiteboard", function (content) {
+        socket.on("joinWhiteboard", async function (content) {
+            if (shuttingDown) return;
             content = escapeAllContentStrings(content);
-            if (accessToken === "" || accessToken == content["at"]) {
+            if (await boardAccessService.authorize(content["wid"], content["at"])) {
                 whiteboardId = content["wid"];
                 metricsService.whiteboardJoined(whiteboardId);
+                const user = boardAccessService.authenticate(content["at"]);
 
                 socket.emit("whiteboardConfig", {
                     common: config.frontend,
                     whiteboardSpecific: {
-                        correspondingReadOnlyWid: ReadOnlyBackendService.getReadOnlyId(whiteboardId),
-                        isReadOnly: ReadOnlyBackendService.isReadOnly(whiteboardId),
+                        correspondingReadOnlyWid: await ReadOnlyBackendService.getReadOnlyId(
+                            whiteboardId
+                        ),
+                        isReadOnly: await ReadOnlyBackendService.isReadOnly(whiteboardId),
+                        username: user ? user.username : null,
+                        role: await boardAccessService.role(whiteboardId, content["at"]),
+                        locked: await boardAccessService.isLocked(whiteboardId),
                     },
                 });
 
                 socket.join(whiteboardId);
                 const screenResolution = content["windowWidthHeight"];
                 WhiteboardInfoBackendService.join(socket.id, whiteboardId, screenResolution);
-                
+                webhookService.boardJoined(whiteboardId);
+
                 console.log(`[${NODE_ID}] User joined whiteboard: ${whiteboardId}`);
             } else {
                 socket.emit("wrongAccessToken", true);
             }
         });
 
-        socket.on("updateScreenResolution", function (content) {
+        socket.on("setBoardLocked", async function (content) {
+            if (shuttingDown || !whiteboardId) return;
             content = escapeAllContentStrings(content);
-            if (accessToken === "" || accessToken == content["at"]) {
+            if (!(await boardAccessService.authorize(whiteboardId, content["at"]))) {
+                socket.emit("wrongAccessToken", true);
+                return;
+            }
+            const role = await boardAccessService.role(whiteboardId, content["at"]);
+            if (!mayLockBoard(role)) {
+                socket.emit("forbiddenEvent", { t: "lock", role });
+                return;
+            }
+            await setBoardLocked(whiteboardId, content["locked"] === true);
+        });
+
+        socket.on("updateScreenResolution", async function (content) {
+            content = escapeAllContentStrings(content);
+            if (await boardAccessService.authorize(whiteboardId, content["at"])) {
                 const screenResolution = content["windowWidthHeight"];
-                WhiteboardInfoBackendService.setScreenResolution(socket.id, whiteboardId, screenResolution);
+                WhiteboardInfoBackendService.setScreenResolution(
+                    socket.id,
+                    whiteboardId,
+                    screenResolution
+                );
             }
         });
     });
@@ -454,4 +1286,30 @@ export default async function startBackendServer(port) {
     process.on("unhandledRejection", (error) => {
         console.log("unhandledRejection", error.message);
     });
+
+    // Stop this node without losing whiteboard changes; its clients reconnect to another node
+    async function shutdown() {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`[${NODE_ID}] Shutting down`);
+
+        // stop accepting connections and socket events
+        server.close();
+        server.closeIdleConnections();
+        retentionService.stop();
+        webhookService.stop();
+        boardStreamService.stop();
+        rateLimitService.stop();
+        // only the clients of this node
+        io.local.emit("serverShutdown");
+        io.local.disconnectSockets(true);
+
+        await Promise.allSettled(Array.from(pendingWrites));
+        await whiteboardStorage.close();
+        await Promise.allSettled(socketRedisClients.map((client) => client.quit()));
+        await redisAdapter.disconnect();
+        console.log(`[${NODE_ID}] Whiteboards saved, server stopped`);
+    }
+
+    return { shutdown };
 }
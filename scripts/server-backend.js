@@ -2,11 +2,9 @@ import path from "path";
 
 import config from "./config/config.js";
 import ROBackendService from "./services/ReadOnlyBackendService.js";
-const ReadOnlyBackendService = new ROBackendService();
 import WBInfoBackendService from "./services/WhiteboardInfoBackendService.js";
-const WhiteboardInfoBackendService = new WBInfoBackendService();
 
-import { getSafeFilePath } from "./utils.js";
+import { asyncHandler, getSafeFilePath } from "./utils.js";
 
 import fs from "fs-extra";
 import express from "express";
@@ -16,7 +14,22 @@ import createDOMPurify from "dompurify"; //Prevent xss
 import { JSDOM } from "jsdom";
 
 import { createClient } from "webdav";
-import s_whiteboard from "./s_whiteboard.js";
+import { loadStorageProvider } from "./services/storageProviders.js";
+import { MAX_BATCH_SIZE, validateEvent, validateEventBatch } from "./services/EventValidator.js";
+import RetentionService from "./services/RetentionService.js";
+import BoardListService from "./services/BoardListService.js";
+import BoardForkService from "./services/BoardForkService.js";
+import TemplateService from "./services/TemplateService.js";
+import WebhookService from "./services/WebhookService.js";
+import BoardStreamService from "./services/BoardStreamService.js";
+import UploadService, { UploadError } from "./services/UploadService.js";
+import BoardAccessService from "./services/BoardAccessService.js";
+import JwtService, { stampUsername } from "./services/JwtService.js";
+import RateLimitService from "./services/RateLimitService.js";
+import { embedUploadedImages, renderBoardSvg } from "./services/SvgExport.js";
+import { renderBoardPdf } from "./services/PdfExport.js";
+import { readUploadedImages } from "./services/BoardScene.js";
+import { isRole, mayLockBoard, mayManageVersions } from "../src/js/shared/roles.js";
 
 import http from "http";
 import { Server } from "socket.io";
@@ -26,10 +39,64 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export default function startBackendServer(port) {
+export default async function startBackendServer(port) {
     const window = new JSDOM("").window;
     const DOMPurify = createDOMPurify(window);
 
+    const whiteboardStorage = await loadStorageProvider(config.backend.storageProvider);
+    if (!(await whiteboardStorage.initialize())) {
+        throw new Error(
+            `Could not initialize the storage provider "${config.backend.storageProvider}"`
+        );
+    }
+    whiteboardStorage.startVersionHistory(config.backend.history);
+    // Read-only ids are stored with the whiteboards, so shared links survive restarts
+    const ReadOnlyBackendService = new ROBackendService(whiteboardStorage);
+    const WhiteboardInfoBackendService = new WBInfoBackendService(ReadOnlyBackendService);
+    const retentionService = new RetentionService({
+        storage: whiteboardStorage,
+        whiteboardInfoBackendService: WhiteboardInfoBackendService,
+        uploadsFolder: "public/uploads",
+        policy: config.backend.retention,
+    });
+    retentionService.start();
+    const boardListService = new BoardListService({
+        storage: whiteboardStorage,
+        whiteboardInfoBackendService: WhiteboardInfoBackendService,
+    });
+    const boardForkService = new BoardForkService({
+        storage: whiteboardStorage,
+        readOnlyBackendService: ReadOnlyBackendService,
+        uploadsFolder: "public/uploads",
+    });
+    const templateService = new TemplateService({
+        storage: whiteboardStorage,
+        boardForkService,
+        templatesFolder: config.backend.templatesFolder,
+        uploadsFolder: "public/uploads",
+    });
+    const webhookService = new WebhookService({
+        webhooks: config.backend.webhooks,
+        whiteboardInfoBackendService: WhiteboardInfoBackendService,
+    });
+    const boardStreamService = new BoardStreamService({ storage: whiteboardStorage });
+    boardStreamService.start();
+    // the dropped events are only counted by the distributed backend, this one has no metrics
+    const rateLimitService = new RateLimitService({ limits: config.backend.rateLimits });
+    rateLimitService.start();
+    const uploadService = new UploadService({
+        uploadsFolder: "public/uploads",
+        limits: config.backend.uploads,
+        purify: DOMPurify,
+    });
+    const boardAccessService = new BoardAccessService({
+        storage: whiteboardStorage,
+        readOnlyBackendService: ReadOnlyBackendService,
+        accessToken: config.backend.accessToken,
+        jwtService: new JwtService({ jwt: config.backend.jwt }),
+        defaultRole: config.backend.defaultRole,
+    });
+
     var app = express();
 
     var server = http.Server(app);
@@ -41,8 +108,35 @@ export default function startBackendServer(port) {
 
     const { accessToken, enableWebdav } = config.backend;
 
+    let shuttingDown = false;
+    // Whiteboard changes being stored, waited for on shutdown
+    const pendingWrites = new Set();
+
+    // Refuse the requests coming through connections still open during the shutdown
+    app.use(function (req, res, next) {
+        if (shuttingDown) {
+            res.set("Connection", "close");
+            res.status(503); //Service unavailable
+            res.end();
+        } else {
+            next();
+        }
+    });
+
     //Expose static folders
     app.use(express.static(path.join(__dirname, "..", "dist")));
+    // Downscaled variant of an uploaded image for ?w=<displayed width>, if there is one
+    app.use(
+        "/uploads",
+        asyncHandler(async function (req, res, next) {
+            const width = Number(req.query.w);
+            if (Number.isInteger(width) && width > 0) {
+                const variant = await uploadService.variantPath(req.path.slice(1), width);
+                if (variant) req.url = "/" + variant;
+            }
+            next();
+        })
+    );
     app.use("/uploads", express.static(path.join(__dirname, "..", "public", "uploads")));
 
     /**
@@ -65,7 +159,7 @@ export default function startBackendServer(port) {
      * @apiGroup WhiteboardAPI
      *
      * @apiParam {Number} wid WhiteboardId you find in the Whiteboard URL
-     * @apiParam {Number} [at] Accesstoken (Only if activated for this server)
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
      *
      * @apiSuccess {String} body returns the data as JSON String
      * @apiError {Number} 401 Unauthorized
@@ -73,22 +167,25 @@ export default function startBackendServer(port) {
      * @apiExample {curl} Example usage:
      *     curl -i http://[rootUrl]/api/loadwhiteboard?wid=[MyWhiteboardId]
      */
-    app.get("/api/loadwhiteboard", function (req, res) {
-        let query = escapeAllContentStrings(req["query"]);
-        const wid = query["wid"];
-        const at = query["at"]; //accesstoken
-        if (accessToken === "" || accessToken == at) {
-            const widForData = ReadOnlyBackendService.isReadOnly(wid)
-                ? ReadOnlyBackendService.getIdFromReadOnlyId(wid)
-                : wid;
-            const ret = s_whiteboard.loadStoredData(widForData);
-            res.send(ret);
-            res.end();
-        } else {
-            res.status(401); //Unauthorized
-            res.end();
-        }
-    });
+    app.get(
+        "/api/loadwhiteboard",
+        asyncHandler(async function (req, res) {
+            let query = escapeAllContentStrings(req["query"]);
+            const wid = query["wid"];
+            const at = query["at"]; //accesstoken
+            if (await boardAccessService.authorize(wid, at)) {
+                const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                    ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                    : wid;
+                const ret = await whiteboardStorage.load(widForData);
+                res.send(ret);
+                res.end();
+            } else {
+                res.status(401); //Unauthorized
+                res.end();
+            }
+        })
+    );
 
     /**
      * @api {get} /api/getReadOnlyWid Get the readOnlyWhiteboardId
@@ -97,7 +194,7 @@ export default function startBackendServer(port) {
      * @apiGroup WhiteboardAPI
      *
      * @apiParam {Number} wid WhiteboardId you find in the Whiteboard URL
-     * @apiParam {Number} [at] Accesstoken (Only if activated for this server)
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
      *
      * @apiSuccess {String} body returns the readOnlyWhiteboardId as text
      * @apiError {Number} 401 Unauthorized
@@ -105,76 +202,98 @@ export default function startBackendServer(port) {
      * @apiExample {curl} Example usage:
      *     curl -i http://[rootUrl]/api/getReadOnlyWid?wid=[MyWhiteboardId]
      */
-    app.get("/api/getReadOnlyWid", function (req, res) {
-        let query = escapeAllContentStrings(req["query"]);
-        const wid = query["wid"];
-        const at = query["at"]; //accesstoken
-        if (accessToken === "" || accessToken == at) {
-            res.send(ReadOnlyBackendService.getReadOnlyId(wid));
-            res.end();
-        } else {
-            res.status(401); //Unauthorized
-            res.end();
-        }
-    });
+    app.get(
+        "/api/getReadOnlyWid",
+        asyncHandler(async function (req, res) {
+            let query = escapeAllContentStrings(req["query"]);
+            const wid = query["wid"];
+            const at = query["at"]; //accesstoken
+            if (await boardAccessService.authorize(wid, at)) {
+                res.send(await ReadOnlyBackendService.getReadOnlyId(wid));
+                res.end();
+            } else {
+                res.status(401); //Unauthorized
+                res.end();
+            }
+        })
+    );
 
     /**
      * @api {post} /api/upload Upload Images
-     * @apiDescription Upload Image to the server. Note that you need to add the image to the board after upload by calling "drawToWhiteboard" with addImgBG set as tool
+     * @apiDescription Upload Image to the server, as a multipart/form-data file or base64 encoded. PNG, JPEG, GIF, WebP and SVG images are accepted, whatever their name: the type is read from the content, and gives the extension of the stored file. SVG images are sanitized (no scripts, event handlers...). Note that you need to add the image to the board after upload by calling "drawToWhiteboard" with addImgBG set as tool
      * @apiName upload
      * @apiGroup WhiteboardAPI
      *
      * @apiParam {Number} wid WhiteboardId you find in the Whiteboard URL
-     * @apiParam {Number} [at] Accesstoken (Only if activated for this server)
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
      * @apiParam {Number} [date] current timestamp (This is for the filename on the server; Don't set it if not sure)
      * @apiParam {Boolean} [webdavaccess] set true to upload to webdav (Optional; Only if activated for this server)
-     * @apiParam {String} imagedata The imagedata base64 encoded
+     * @apiParam {File} [file] The image file
+     * @apiParam {String} [imagedata] The imagedata base64 encoded, if no file is sent
      *
-     * @apiSuccess {String} body returns "done"
+     * @apiSuccess {Object} body the stored image as JSON: filename, path (in [rootUrl]/uploads/), type, size and variants (widths of the downscaled variants, sent for [rootUrl]/uploads/[path]?w=[displayed width])
+     * @apiError {Number} 400 NO_IMAGE: no image in the upload; the code and the errors are returned as JSON
      * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 413 FILE_TOO_LARGE: larger than uploads.maxFileSize; QUOTA_EXCEEDED: the images of the whiteboard would take more than uploads.boardQuota
+     * @apiError {Number} 415 UNSUPPORTED_TYPE: not a PNG, JPEG, GIF, WebP nor SVG image
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -F wid=[MyWhiteboardId] -F file=@image.jpg http://[rootUrl]/api/upload
      */
-    app.post("/api/upload", function (req, res) {
-        //File upload
-        var form = formidable({}); //Receive form
-        var formData = {
-            files: {},
-            fields: {},
-        };
-
-        form.on("file", function (name, file) {
-            formData["files"][file.name] = file;
-        });
-
-        form.on("field", function (name, value) {
-            formData["fields"][name] = value;
-        });
-
-        form.on("error", function (err) {
-            console.log("File uplaod Error!");
-        });
+    app.post(
+        "/api/upload",
+        asyncHandler(async function (req, res) {
+            //File upload
+            const { maxFileSize } = uploadService;
+            const form = formidable({
+                maxFileSize,
+                // room for an image encoded in base64 in the imagedata field
+                maxFieldsSize: Math.ceil((maxFileSize * 4) / 3) + 1024 * 1024,
+            }); //Receive form
+            let fields, files;
+            try {
+                [fields, files] = await form.parse(req);
+            } catch (err) {
+                console.log("File upload Error!", err.message);
+                sendUploadError(
+                    res,
+                    err.httpCode === 413
+                        ? uploadService.fileTooLarge()
+                        : new UploadError("NO_IMAGE", 400, "The upload could not be read")
+                );
+                return;
+            }
+            // formidable gives lists of values
+            fields = Object.fromEntries(
+                Object.entries(fields).map(([name, values]) => [name, values[0]])
+            );
+            const uploadedFiles = Object.values(files).flat();
 
-        form.on("end", function () {
-            if (accessToken === "" || accessToken == formData["fields"]["at"]) {
-                progressUploadFormData(formData, function (err) {
-                    if (err) {
-                        if (err == "403") {
-                            res.status(403);
-                        } else {
-                            res.status(500);
-                        }
-                        res.end();
-                    } else {
-                        res.send("done");
-                    }
-                });
-            } else {
-                res.status(401); //Unauthorized
-                res.end();
+            try {
+                const wid = fields["wid"];
+                if (
+                    !wid ||
+                    (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                    !(await boardAccessService.authorize(wid, fields["at"]))
+                ) {
+                    res.status(401); //Unauthorized
+                    res.end();
+                    return;
+                }
+                res.send(await progressUploadFormData(fields, uploadedFiles[0]));
+            } catch (err) {
+                if (err instanceof UploadError) {
+                    sendUploadError(res, err);
+                } else {
+                    console.log("error", err);
+                    res.status(err == "403" ? 403 : 500);
+                    res.end();
+                }
+            } finally {
+                uploadedFiles.forEach((file) => fs.remove(file.filepath));
             }
-            //End file upload
-        });
-        form.parse(req);
-    });
+        })
+    );
 
     /**
      * @api {get} /api/drawToWhiteboard Draw on the Whiteboard
@@ -183,7 +302,7 @@ export default function startBackendServer(port) {
      * @apiGroup WhiteboardAPI
      *
      * @apiParam {Number} wid WhiteboardId you find in the Whiteboard URL
-     * @apiParam {Number} [at] Accesstoken (Only if activated for this server)
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
      * @apiParam {String} t The tool you want to use:  "line",
      * "pen",
      * "rect",
@@ -197,8 +316,9 @@ export default function startBackendServer(port) {
      * "removeTextbox",
      * "setTextboxPosition",
      * "setTextboxFontSize",
-     * "setTextboxFontColor"
-     * @apiParam {String} [username] The username performing this action. Only relevant for the undo/redo function
+     * "setTextboxFontColor",
+     * "setTextboxBackgroundColor"
+     * @apiParam {String} [username] The username performing this action. Only relevant for the undo/redo function. Replaced by an id of the user if at is a JWT
      * @apiParam {Number} [draw] Only has a function if t is set to "addImgBG". Set 1 to draw on canvas; 0  to draw into background
      * @apiParam {String} [url] Only has a function if t is set to "addImgBG", then it has to be set to: [rootUrl]/uploads/[ReadOnlyWid]/[ReadOnlyWid]_[date].png
      * @apiParam {String} [c] Color: Only used if color is needed (pen, rect, circle, addTextBox ... )
@@ -207,56 +327,973 @@ export default function startBackendServer(port) {
      * fx. pen or addImgBG: [width, height, left, top, rotation]
      *
      * @apiSuccess {String} body returns "done" as text
+     * @apiError {Number} 400 The event doesn't match the schema of its tool, the reasons are returned as JSON in "errors"
      * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 403 The role of the user on the whiteboard doesn't allow the event (e.g. clear for an editor)
+     * @apiError {Number} 423 The whiteboard is locked
+     * @apiError {Number} 429 Too many events of the IP address or of the whiteboard (see rateLimits in the configuration), the JSON gives the limit as scope: {"code": "RATE_LIMITED", "scope": "ip"}
      *
      * @apiExample {curl} Example usage to draw a circle:
      * curl -i http://[rootUrl]/api/drawToWhiteboard?wid=[MyWhiteboardId]&t=circle&d=[388,201,100]&th=4
      */
-    app.get("/api/drawToWhiteboard", function (req, res) {
-        let query = escapeAllContentStrings(req["query"]);
-        const wid = query["wid"];
-        const at = query["at"]; //accesstoken
-        if (!wid || ReadOnlyBackendService.isReadOnly(wid)) {
-            res.status(401); //Unauthorized
-            res.end();
-        }
+    app.get(
+        "/api/drawToWhiteboard",
+        asyncHandler(async function (req, res) {
+            let query = escapeAllContentStrings(req["query"]);
+            const wid = query["wid"];
+            const at = query["at"]; //accesstoken
+            if (!wid || (await ReadOnlyBackendService.isReadOnly(wid))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            if (await boardAccessService.authorize(wid, at)) {
+                delete query["at"]; // not sent to the others nor stored
+                if (query.th !== undefined) {
+                    query.th = parseFloat(query.th);
+                }
+                try {
+                    query.d = JSON.parse(query.d);
+                } catch (e) {
+                    //Dont do a thing, the validation tells what is wrong
+                }
+                const { valid, errors } = validateEvent(query);
+                if (!valid) {
+                    res.status(400).send({ errors }); //Bad request
+                    return;
+                }
+                // the username of an authenticated user can't be taken by others
+                stampUsername(query, boardAccessService.authenticate(at));
+                const role = await boardAccessService.role(wid, at);
+                if (!(await boardAccessService.mayDraw(wid, role, query))) {
+                    res.status(403); //Forbidden
+                    res.end();
+                    return;
+                }
+                if (await boardAccessService.isLocked(wid)) {
+                    res.status(423); //Locked
+                    res.end();
+                    return;
+                }
+                // only charged for the events drawn, so nobody drains the buckets of the others
+                const limitedScope = rateLimitService.take({ ip: req.ip, board: wid });
+                if (limitedScope) {
+                    res.status(429).send({ code: "RATE_LIMITED", scope: limitedScope }); //Too many requests
+                    return;
+                }
+
+                const broadcastTo = (wid) =>
+                    io.compress(false).to(wid).emit("drawToWhiteboard", query);
+                // broadcast to current whiteboard
+                broadcastTo(wid);
+                // broadcast the same query to the associated read-only whiteboard
+                const readOnlyId = await ReadOnlyBackendService.getReadOnlyId(wid);
+                broadcastTo(readOnlyId);
+                await storeEventsAndData(query); //save whiteboardchanges on the server
+                webhookService.eventsDrawn(wid, [query]);
+                boardStreamService.publish(wid, query);
+                res.send("done");
+            } else {
+                res.status(401); //Unauthorized
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/v2/boards/:wid/events Draw a Batch of Events
+     * @apiDescription Draw several events on the whiteboard with one request. The body is a JSON array of events, with the same fields as the query of drawToWhiteboard (without wid and at). All the events are checked first, then they are stored and broadcast all together, or not at all. Only drawing events are accepted (no undo, redo or clear), at most 1000 per request, and no more than the burst of the ip and board rate limits.
+     * @apiName drawEvents
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Object} body the ids given to the events, in the same order, e.g. {"ids": ["6c1f...", "a2b4..."]}
+     * @apiError {Number} 400 The body is not a list of valid drawing events, the reasons are returned as JSON in "errors" (prefixed by the index of the event)
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 403 The role of the user on the whiteboard doesn't allow the event (e.g. clear for an editor)
+     * @apiError {Number} 423 The whiteboard is locked
+     * @apiError {Number} 429 Too many events of the IP address or of the whiteboard (see rateLimits in the configuration), the JSON gives the limit as scope: {"code": "RATE_LIMITED", "scope": "ip"}
+     *
+     * @apiExample {curl} Example usage to draw a circle and a rectangle:
+     * curl -i -X POST -H "Content-Type: application/json" -d '[{"t":"circle","d":[388,201,100],"th":4},{"t":"rect","d":[10,10,80,60],"c":"#ff0000"}]' http://[rootUrl]/api/v2/boards/[MyWhiteboardId]/events
+     */
+    app.post(
+        "/api/v2/boards/:wid/events",
+        express.json({ limit: "10mb" }),
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"]))
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            // escaped one by one: escapeAllContentStrings only goes 10 objects deep
+            const events = Array.isArray(req.body)
+                ? req.body.map((event) => escapeAllContentStrings(event))
+                : req.body;
+            // a batch over the burst of a limit could never be accepted
+            const maxSize = Math.min(
+                MAX_BATCH_SIZE,
+                rateLimitService.maxCount({ ip: req.ip, board: wid })
+            );
+            const { valid, errors } = validateEventBatch(events, maxSize);
+            if (!valid) {
+                res.status(400).send({ errors }); //Bad request
+                return;
+            }
+            const role = await boardAccessService.role(wid, query["at"]);
+            for (const event of events) {
+                if (!(await boardAccessService.mayDraw(wid, role, event))) {
+                    res.status(403); //Forbidden
+                    res.end();
+                    return;
+                }
+            }
+            if (await boardAccessService.isLocked(wid)) {
+                res.status(423); //Locked
+                res.end();
+                return;
+            }
+            // only charged for the events drawn, so nobody drains the buckets of the others
+            const limitedScope = rateLimitService.take({ ip: req.ip, board: wid }, events.length);
+            if (limitedScope) {
+                res.status(429).send({ code: "RATE_LIMITED", scope: limitedScope }); //Too many requests
+                return;
+            }
+            const user = boardAccessService.authenticate(query["at"]);
+            events.forEach((event) => {
+                event["wid"] = wid;
+                stampUsername(event, user);
+                purifyEncodedStrings(event);
+            });
+
+            let ids;
+            try {
+                ids = await storeEventBatch(wid, events);
+                webhookService.eventsDrawn(wid, events);
+                events.forEach((event) => boardStreamService.publish(wid, event));
+            } catch (err) {
+                console.log("Could not store the events of", wid, err.message);
+                res.status(400); //Bad request
+                res.end();
+                return;
+            }
+
+            const readOnlyId = await ReadOnlyBackendService.getReadOnlyId(wid);
+            for (const event of events) {
+                io.compress(false).to(wid).emit("drawToWhiteboard", event);
+                io.compress(false).to(readOnlyId).emit("drawToWhiteboard", event);
+            }
+            res.send({ ids });
+        })
+    );
+
+    /**
+     * @api {get} /api/boards List Whiteboards
+     * @apiDescription This returns a page of the stored whiteboards with their metadata. Only available when an accesstoken is configured, as the ids give write access to the whiteboards.
+     * @apiName listBoards
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {Number} at Accesstoken
+     * @apiParam {String} [sort] wid, lastModified (default), eventCount, connectedUsers or storageSize
+     * @apiParam {String} [order] asc or desc (default)
+     * @apiParam {Number} [offset] Number of whiteboards to skip (default 0)
+     * @apiParam {Number} [limit] Number of whiteboards to return (default 50, at most 500)
+     *
+     * @apiSuccess {Object} body total (number of whiteboards), offset, limit, sort, order and boards: wid, readOnlyWid, eventCount, lastModified (timestamp), connectedUsers (on this server) and storageSize (bytes)
+     * @apiError {Number} 400 Invalid paging or sorting, with the errors as JSON
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl "http://[rootUrl]/api/boards?at=[MyAccessToken]&sort=eventCount&limit=10"
+     */
+    app.get(
+        "/api/boards",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            if (!boardAccessService.isAdmin(query["at"])) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
 
-        if (accessToken === "" || accessToken == at) {
-            const broadcastTo = (wid) => io.compress(false).to(wid).emit("drawToWhiteboard", query);
-            // broadcast to current whiteboard
-            broadcastTo(wid);
-            // broadcast the same query to the associated read-only whiteboard
-            const readOnlyId = ReadOnlyBackendService.getReadOnlyId(wid);
-            broadcastTo(readOnlyId);
+            const { sort, order, offset, limit } = query;
             try {
-                query.th = parseFloat(query.th);
-            } catch (e) {
-                //Dont do a thing
+                res.send(
+                    await boardListService.list({
+                        sort,
+                        order,
+                        offset: offset === undefined ? undefined : Number(offset),
+                        limit: limit === undefined ? undefined : Number(limit),
+                    })
+                );
+            } catch (err) {
+                res.status(400).send({ errors: [err.message] }); //Bad request
             }
+        })
+    );
 
+    /**
+     * @api {get} /api/boards/:wid/export.svg Export a Whiteboard as SVG
+     * @apiDescription This returns an SVG image of the whiteboard, drawn on the server from its stored events (no browser needed): background images, pen strokes, shapes, erasers, images drawn to the canvas and textboxes. Uploaded images are embedded. The image covers the content of the whiteboard.
+     * @apiName exportSvg
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) you find in the Whiteboard URL
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {String} body the SVG image
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -o whiteboard.svg http://[rootUrl]/api/boards/[MyWhiteboardId]/export.svg
+     */
+    app.get(
+        "/api/boards/:wid/export.svg",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
             try {
-                query.d = JSON.parse(query.d);
-            } catch (e) {
-                //Dont do a thing
+                const svg = await renderBoardSvg(await whiteboardStorage.load(widForData), {
+                    resolveImage: embedUploadedImages("public/uploads"),
+                });
+                // the image shows user content: nothing in it may run
+                res.set("Content-Security-Policy", "default-src 'none'; img-src * data:");
+                res.type("image/svg+xml").send(svg);
+            } catch (err) {
+                console.log("Could not export", widForData, err.message);
+                res.status(400); //Bad request
+                res.end();
             }
-            s_whiteboard.handleEventsAndData(query); //save whiteboardchanges on the server
-            res.send("done");
-        } else {
-            res.status(401); //Unauthorized
-            res.end();
+        })
+    );
+
+    /**
+     * @api {get} /api/boards/:wid/export.pdf Export a Whiteboard as PDF
+     * @apiDescription This returns a PDF document of the whiteboard, drawn on the server from its stored events. The content of the whiteboard is tiled across as many pages as needed (at the scale of the screen, in the orientation taking less pages). Textboxes are selectable text. Uploaded PNG and JPEG images are embedded.
+     * @apiName exportPdf
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) you find in the Whiteboard URL
+     * @apiParam {String} [pageSize] a4 (default) or letter
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {String} body the PDF document
+     * @apiError {Number} 400 Unknown page size
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -o whiteboard.pdf "http://[rootUrl]/api/boards/[MyWhiteboardId]/export.pdf?pageSize=letter"
+     */
+    app.get(
+        "/api/boards/:wid/export.pdf",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const pdf = await renderBoardPdf(await whiteboardStorage.load(widForData), {
+                    pageSize: query["pageSize"] || "a4",
+                    readImage: readUploadedImages("public/uploads"),
+                });
+                res.type("application/pdf").send(pdf);
+            } catch (err) {
+                console.log("Could not export", widForData, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {get} /api/boards/:wid/stream Stream the Changes of a Whiteboard
+     * @apiDescription This streams the events of the whiteboard as Server-Sent Events, for clients without websockets (e.g. an EventSource). The stored events are replayed from the offset, then the events drawn afterwards are sent as they are stored, as "drawToWhiteboard" events with the same content as on the websocket. The id of an event is the number of stored events up to it, prefixed by the generation of the whiteboard, so reconnecting clients resume from their Last-Event-ID. A "reload" event means the whiteboard is replayed from the start: after a restore or a compaction, or when a client resumes from another generation (the positions of the stored events changed meanwhile: undo, clear, compaction...).
+     * @apiName streamWhiteboard
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) you find in the Whiteboard URL
+     * @apiParam {Number} [offset] Number of stored events to skip (default: the position of the Last-Event-ID header, or 0)
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {String} body the events, as text/event-stream
+     * @apiError {Number} 400 Invalid offset, with the errors as JSON
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -N "http://[rootUrl]/api/boards/[MyWhiteboardId]/stream?offset=0"
+     */
+    app.get(
+        "/api/boards/:wid/stream",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const offset = query["offset"];
+            if (offset !== undefined && !/^\d+$/.test(offset)) {
+                res.status(400).send({ errors: ["offset must be a non-negative integer"] }); //Bad request
+                return;
+            }
+            // events are streamed without the editable id, so read-only ids are fine
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            const lastEventId = req.get("Last-Event-ID");
+            try {
+                await boardStreamService.open(
+                    widForData,
+                    offset !== undefined || lastEventId === undefined
+                        ? parseInt(offset || "0")
+                        : boardStreamService.resumeOffset(widForData, lastEventId),
+                    res
+                );
+            } catch (err) {
+                console.log("Could not stream", widForData, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {get} /api/boards/:wid/versions List Whiteboard Versions
+     * @apiDescription This returns the versions (point-in-time copies) of a whiteboard, newest first
+     * @apiName listVersions
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) you find in the Whiteboard URL
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Object[]} body the versions as JSON: id, name, automatic, createdAt (timestamp) and eventCount
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i http://[rootUrl]/api/boards/[MyWhiteboardId]/versions
+     */
+    app.get(
+        "/api/boards/:wid/versions",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                res.send(await whiteboardStorage.listVersions(widForData));
+            } catch (err) {
+                console.log("Could not list the versions of", widForData, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/versions Save a Whiteboard Version
+     * @apiDescription Save the current content of the whiteboard as a named version. Only available to the owners of the whiteboard.
+     * @apiName createVersion
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     * @apiParam {String} [name] Name of the version
+     *
+     * @apiSuccess {Object} body the saved version as JSON
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST "http://[rootUrl]/api/boards/[MyWhiteboardId]/versions?name=Draft"
+     */
+    app.post(
+        "/api/boards/:wid/versions",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayManageVersions(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await whiteboardStorage.createVersion(wid, { name: query["name"] || "" }));
+            } catch (err) {
+                console.log("Could not save a version of", wid, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {get} /api/boards/:wid/versions/:versionId Preview a Whiteboard Version
+     * @apiDescription This returns a version of a whiteboard with all its data
+     * @apiName loadVersion
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) you find in the Whiteboard URL
+     * @apiParam {String} versionId Id of the version
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Object} body the version as JSON, its data is in "events"
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 404 Version not found
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i http://[rootUrl]/api/boards/[MyWhiteboardId]/versions/[versionId]
+     */
+    app.get(
+        "/api/boards/:wid/versions/:versionId",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const { wid, versionId } = escapeAllContentStrings(req.params);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const version = await whiteboardStorage.loadVersion(widForData, versionId);
+                if (version) {
+                    res.send(version);
+                } else {
+                    res.status(404); //Not found
+                    res.end();
+                }
+            } catch (err) {
+                console.log("Could not load the version", versionId, "of", widForData, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/versions/:versionId/restore Restore a Whiteboard Version
+     * @apiDescription Replace the content of the whiteboard by one of its versions. The current content is saved as a version first. Connected clients reload the whiteboard. Only available to the owners of the whiteboard.
+     * @apiName restoreVersion
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} versionId Id of the version
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Object} body the restored version as JSON
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 404 Version not found
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST http://[rootUrl]/api/boards/[MyWhiteboardId]/versions/[versionId]/restore
+     */
+    app.post(
+        "/api/boards/:wid/versions/:versionId/restore",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const { wid, versionId } = escapeAllContentStrings(req.params);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayManageVersions(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                const version = await whiteboardStorage.restoreVersion(wid, versionId);
+                boardAccessService.forgetStickyNotes(wid);
+                if (!version) {
+                    res.status(404); //Not found
+                    res.end();
+                    return;
+                }
+                const broadcastTo = (wid) =>
+                    io.compress(false).to(wid).emit("whiteboardRestored", version);
+                // tell the clients of the whiteboard and its read-only whiteboard to reload it
+                broadcastTo(wid);
+                broadcastTo(await ReadOnlyBackendService.getReadOnlyId(wid));
+                boardStreamService.reload(wid);
+                res.send(version);
+            } catch (err) {
+                console.log("Could not restore the version", versionId, "of", wid, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/compact Compact a Whiteboard
+     * @apiDescription Fold the edits of every textbox into its final state and drop the events of the removed textboxes, so the whiteboard is stored and loaded with fewer events. It looks the same afterwards. Whiteboards are also compacted when their snapshot is saved. Only available to the owners of the whiteboard.
+     * @apiName compactWhiteboard
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Object} body number of events before and after, e.g. {"before": 120, "after": 42}
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST http://[rootUrl]/api/boards/[MyWhiteboardId]/compact
+     */
+    app.post(
+        "/api/boards/:wid/compact",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const { wid } = escapeAllContentStrings(req.params);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayManageVersions(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await whiteboardStorage.compactBoard(wid));
+                boardStreamService.reload(wid);
+            } catch (err) {
+                console.log("Could not compact", wid, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/fork Fork a Whiteboard
+     * @apiDescription Copy a whiteboard to a new whiteboard with a generated id. The images uploaded to this server are copied to the folder of the new whiteboard, and its events point to the copies.
+     * @apiName forkWhiteboard
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) you find in the Whiteboard URL; the fork is editable in both cases
+     * @apiParam {String} [at] Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     * @apiParam {String} [secret] Secret of the new whiteboard (default: the secret of the whiteboard, if any)
+     *
+     * @apiSuccess {Object} body the new whiteboard: wid, readOnlyWid, and its links url and readOnlyUrl
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST http://[rootUrl]/api/boards/[MyWhiteboardId]/fork
+     */
+    app.post(
+        "/api/boards/:wid/fork",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.authorize(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                const fork = await trackWrite(boardForkService.fork(widForData));
+                if (query["secret"]) {
+                    await boardAccessService.setSecret(fork.wid, query["secret"]);
+                } else {
+                    await boardAccessService.copySecret(widForData, fork.wid);
+                }
+                res.send(withBoardLinks(req, fork));
+            } catch (err) {
+                console.log("Could not fork", widForData, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/secret Set the Secret of a Whiteboard
+     * @apiDescription Protect a whiteboard with a secret (password or token): afterwards, it is needed as "at" by every request and client of the whiteboard (and of its read-only id). The accesstoken of the server still opens every whiteboard. The first secret of a whiteboard is set with the accesstoken or a JWT allowed on the whiteboard, or by anybody for a new whiteboard (no events, no secret yet) of a server without accesstoken; changing or removing it needs the current secret or the accesstoken. Only available to the owners of the whiteboard.
+     * @apiName setBoardSecret
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} [at] Current secret of the whiteboard, or Accesstoken of the server
+     * @apiParam {String} [secret] The new secret, none to remove it
+     *
+     * @apiSuccess {Number} 204 Secret set
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 500 The settings of the whiteboard could not be stored
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST "http://[rootUrl]/api/boards/[MyWhiteboardId]/secret?secret=[MyPassword]"
+     */
+    app.post(
+        "/api/boards/:wid/secret",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (!(await boardAccessService.maySetSecret(wid, query["at"]))) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                await boardAccessService.setSecret(wid, query["secret"] || "");
+                res.status(204).end();
+            } catch (err) {
+                console.log("Could not set the secret of", wid, err.message);
+                res.status(500); //Internal server error
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {get} /api/boards/:wid/members List the Members of a Whiteboard
+     * @apiDescription This returns the roles given to users on a whiteboard, by the id of the user ("sub" claim of its JWT). Only available to the owners of the whiteboard.
+     * @apiName listBoardMembers
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} [at] JWT of an owner, Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Object} body the role of each member as JSON, e.g. {"alice": "editor", "bob": "commenter"}
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i http://[rootUrl]/api/boards/[MyWhiteboardId]/members?at=[MyJwt]
+     */
+    app.get(
+        "/api/boards/:wid/members",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                (await boardAccessService.role(wid, query["at"])) !== "owner"
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await boardAccessService.members(wid));
+            } catch (err) {
+                console.log("Could not list the members of", wid, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/members/:userId Set the Role of a Member
+     * @apiDescription Give a role on a whiteboard to a user authenticated by a JWT, whatever the role claim of its JWT: "owner" (draw, clear, manage the versions and the members), "editor" (draw), "commenter" (only add sticky notes) or "viewer" (only watch). Only available to the owners of the whiteboard.
+     * @apiName setBoardMember
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {String} userId Id of the user ("sub" claim of its JWT)
+     * @apiParam {String} [role] The role of the user, none to remove it from the members
+     * @apiParam {String} [at] JWT of an owner, Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Number} 204 Role set
+     * @apiError {Number} 400 Unknown role
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 500 The settings of the whiteboard could not be stored
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST "http://[rootUrl]/api/boards/[MyWhiteboardId]/members/[UserId]?role=commenter&at=[MyJwt]"
+     */
+    app.post(
+        "/api/boards/:wid/members/:userId",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            const userId = escapeAllContentStrings(req.params["userId"]);
+            const role = query["role"] || "";
+            if (
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                (await boardAccessService.role(wid, query["at"])) !== "owner"
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+            if (role !== "" && !isRole(role)) {
+                res.status(400); //Bad request
+                res.end();
+                return;
+            }
+
+            try {
+                await boardAccessService.setMember(wid, userId, role);
+                res.status(204).end();
+            } catch (err) {
+                console.log("Could not set a member of", wid, err.message);
+                res.status(500); //Internal server error
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/boards/:wid/lock Lock a Whiteboard
+     * @apiDescription Lock (or unlock) a whiteboard for everyone: while it is locked, its events are rejected whoever sends them, and the connected clients are switched to read-only mode. Only available to the owners of the whiteboard.
+     * @apiName lockBoard
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} wid WhiteboardId you find in the Whiteboard URL
+     * @apiParam {Boolean} [locked=true] false to unlock the whiteboard
+     * @apiParam {String} [at] JWT of an owner, Secret of the whiteboard, or Accesstoken of the server (Only if one of them is set)
+     *
+     * @apiSuccess {Number} 204 Whiteboard locked or unlocked
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 500 The settings of the whiteboard could not be stored
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST "http://[rootUrl]/api/boards/[MyWhiteboardId]/lock?locked=true&at=[MyJwt]"
+     */
+    app.post(
+        "/api/boards/:wid/lock",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const wid = escapeAllContentStrings(req.params["wid"]);
+            if (
+                (await ReadOnlyBackendService.isReadOnly(wid)) ||
+                !(await boardAccessService.authorize(wid, query["at"])) ||
+                !mayLockBoard(await boardAccessService.role(wid, query["at"]))
+            ) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                await setBoardLocked(wid, query["locked"] !== "false");
+                res.status(204).end();
+            } catch (err) {
+                console.log("Could not lock", wid, err.message);
+                res.status(500); //Internal server error
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {get} /api/templates List Whiteboard Templates
+     * @apiDescription This returns the templates new whiteboards can be started from, by name
+     * @apiName listTemplates
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {Number} [at] Accesstoken (Only if activated for this server)
+     *
+     * @apiSuccess {Object[]} body the templates as JSON: id, name, createdAt (timestamp) and eventCount
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i http://[rootUrl]/api/templates
+     */
+    app.get(
+        "/api/templates",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            if (accessToken !== "" && !boardAccessService.isAdmin(query["at"])) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                res.send(await templateService.list());
+            } catch (err) {
+                console.log("Could not list the templates", err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/templates Save a Whiteboard as Template
+     * @apiDescription Save the content of a whiteboard, with its uploaded images, as a template. A template with the same name is replaced. Only available when an accesstoken is configured.
+     * @apiName saveTemplate
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {Number} at Accesstoken
+     * @apiParam {String} wid WhiteboardId (or readOnlyWhiteboardId) of the whiteboard to save
+     * @apiParam {String} name Name of the template
+     *
+     * @apiSuccess {Object} body the template as JSON: id, name, createdAt and eventCount
+     * @apiError {Number} 400 Invalid name, with the errors as JSON
+     * @apiError {Number} 401 Unauthorized
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST "http://[rootUrl]/api/templates?at=[MyAccessToken]&wid=[MyWhiteboardId]&name=Retro"
+     */
+    app.post(
+        "/api/templates",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            if (!boardAccessService.isAdmin(query["at"])) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            const wid = query["wid"];
+            const widForData = (await ReadOnlyBackendService.isReadOnly(wid))
+                ? await ReadOnlyBackendService.getIdFromReadOnlyId(wid)
+                : wid;
+            try {
+                res.send(await templateService.saveBoard(widForData, query["name"] || ""));
+            } catch (err) {
+                res.status(400).send({ errors: [err.message] }); //Bad request
+            }
+        })
+    );
+
+    /**
+     * @api {post} /api/templates/:id/boards Create a Whiteboard from a Template
+     * @apiDescription Create a whiteboard with a generated id and the content of a template
+     * @apiName createBoardFromTemplate
+     * @apiGroup WhiteboardAPI
+     *
+     * @apiParam {String} id Id of the template
+     * @apiParam {Number} [at] Accesstoken (Only if activated for this server)
+     * @apiParam {String} [secret] Secret protecting the new whiteboard
+     *
+     * @apiSuccess {Object} body the new whiteboard: wid, readOnlyWid, and its links url and readOnlyUrl
+     * @apiError {Number} 401 Unauthorized
+     * @apiError {Number} 404 Unknown template
+     *
+     * @apiExample {curl} Example usage:
+     *     curl -i -X POST http://[rootUrl]/api/templates/retro/boards
+     */
+    app.post(
+        "/api/templates/:id/boards",
+        asyncHandler(async function (req, res) {
+            const query = escapeAllContentStrings(req["query"]);
+            const id = escapeAllContentStrings(req.params["id"]);
+            if (accessToken !== "" && !boardAccessService.isAdmin(query["at"])) {
+                res.status(401); //Unauthorized
+                res.end();
+                return;
+            }
+
+            try {
+                const board = await trackWrite(templateService.createBoard(id));
+                if (!board) {
+                    res.status(404); //Not found
+                    res.end();
+                    return;
+                }
+                if (query["secret"]) {
+                    await boardAccessService.setSecret(board.wid, query["secret"]);
+                }
+                res.send(withBoardLinks(req, board));
+            } catch (err) {
+                console.log("Could not create a whiteboard from the template", id, err.message);
+                res.status(400); //Bad request
+                res.end();
+            }
+        })
+    );
+
+    //Save whiteboard changes on the server; the shutdown waits for the pending ones
+    function storeEventsAndData(content) {
+        if (content["t"] === "clear") {
+            boardAccessService.forgetStickyNotes(content["wid"]);
         }
-    });
+        return trackWrite(whiteboardStorage.handleEventsAndData(content));
+    }
 
-    function progressUploadFormData(formData, callback) {
-        console.log("Progress new Form Data");
-        const fields = escapeAllContentStrings(formData.fields);
-        const wid = fields["wid"];
-        if (ReadOnlyBackendService.isReadOnly(wid)) return;
+    function storeEventBatch(wid, contents) {
+        return trackWrite(whiteboardStorage.handleEventBatch(wid, contents));
+    }
 
-        const readOnlyWid = ReadOnlyBackendService.getReadOnlyId(wid);
+    // Lock or unlock a whiteboard: its clients switch to read-only mode (and back) together
+    async function setBoardLocked(wid, locked) {
+        await trackWrite(boardAccessService.setLocked(wid, locked));
+        io.to(wid).emit("boardLocked", { locked });
+        io.to(await ReadOnlyBackendService.getReadOnlyId(wid)).emit("boardLocked", { locked });
+    }
+
+    function trackWrite(promise) {
+        const write = promise.finally(() => pendingWrites.delete(write));
+        pendingWrites.add(write);
+        return write;
+    }
+
+    // Ids of a new whiteboard, with its links on the host the request was sent to
+    function withBoardLinks(req, { wid, readOnlyWid }) {
+        const baseUrl = `${req.protocol}://${req.get("host")}/`;
+        return {
+            wid,
+            readOnlyWid,
+            url: `${baseUrl}?whiteboardid=${wid}`,
+            readOnlyUrl: `${baseUrl}?whiteboardid=${readOnlyWid}`,
+        };
+    }
+
+    /**
+     * Store the image of an upload: the file of a multipart upload,
+     * or the base64 encoded imagedata field
+     *
+     * @return {Promise<object>} the stored image: filename, path in the uploads folder, type, size
+     * and the widths of its downscaled variants
+     */
+    async function progressUploadFormData(fields, file) {
+        console.log("Progress new Form Data");
+        fields = escapeAllContentStrings(fields);
+        const readOnlyWid = await ReadOnlyBackendService.getReadOnlyId(fields["wid"]);
 
         const date = fields["date"] || +new Date();
-        const filename = `${readOnlyWid}_${date}.png`;
         let webdavaccess = fields["webdavaccess"] || false;
         try {
             webdavaccess = JSON.parse(webdavaccess);
@@ -264,54 +1301,32 @@ export default function startBackendServer(port) {
             webdavaccess = false;
         }
 
-        const savingDir = getSafeFilePath("public/uploads", readOnlyWid);
-        fs.ensureDir(savingDir, function (err) {
-            if (err) {
-                console.log("Could not create upload folder!", err);
-                return;
-            }
-            let imagedata = fields["imagedata"];
-            if (imagedata && imagedata != "") {
-                //Save from base64 data
-                imagedata = imagedata
-                    .replace(/^data:image\/png;base64,/, "")
-                    .replace(/^data:image\/jpeg;base64,/, "");
-                console.log(filename, "uploaded");
-                const savingPath = getSafeFilePath(savingDir, filename);
-                fs.writeFile(savingPath, imagedata, "base64", function (err) {
-                    if (err) {
-                        console.log("error", err);
-                        callback(err);
-                    } else {
-                        if (webdavaccess) {
-                            //Save image to webdav
-                            if (enableWebdav) {
-                                saveImageToWebdav(
-                                    savingPath,
-                                    filename,
-                                    webdavaccess,
-                                    function (err) {
-                                        if (err) {
-                                            console.log("error", err);
-                                            callback(err);
-                                        } else {
-                                            callback();
-                                        }
-                                    }
-                                );
-                            } else {
-                                callback("Webdav is not enabled on the server!");
-                            }
-                        } else {
-                            callback();
-                        }
-                    }
-                });
-            } else {
-                callback("no imagedata!");
-                console.log("No image Data found for this upload!", filename);
+        const imagedata = file
+            ? await fs.readFile(file.filepath)
+            : Buffer.from((fields["imagedata"] || "").replace(/^data:[^,]*;base64,/, ""), "base64");
+        const upload = await uploadService.save(readOnlyWid, imagedata, date);
+        console.log(upload.filename, "uploaded");
+
+        if (webdavaccess) {
+            //Save image to webdav
+            if (!enableWebdav) {
+                throw "Webdav is not enabled on the server!";
             }
-        });
+            const savingPath = getSafeFilePath(
+                getSafeFilePath("public/uploads", readOnlyWid),
+                upload.filename
+            );
+            await new Promise((resolve, reject) => {
+                saveImageToWebdav(savingPath, upload.filename, webdavaccess, (err) =>
+                    err ? reject(err) : resolve()
+                );
+            });
+        }
+        return upload;
+    }
+
+    function sendUploadError(res, err) {
+        res.status(err.status).send({ code: err.code, errors: [err.message] });
     }
 
     function saveImageToWebdav(imagepath, filename, webdavaccess, callback) {
@@ -344,56 +1359,132 @@ export default function startBackendServer(port) {
 
     io.on("connection", function (socket) {
         let whiteboardId = null;
+        let rateLimitedAt = 0; // last rateLimited notice sent
+        // an event is dropped: tell the sender, at most once a second
+        function dropRateLimited(scope) {
+            if (Date.now() - rateLimitedAt >= 1000) {
+                rateLimitedAt = Date.now();
+                socket.emit("rateLimited", { scope });
+            }
+        }
         socket.on("disconnect", function () {
+            rateLimitService.forget("socket", socket.id);
             WhiteboardInfoBackendService.leave(socket.id, whiteboardId);
+            if (whiteboardId) webhookService.boardLeft(whiteboardId);
             socket.compress(false).broadcast.to(whiteboardId).emit("refreshUserBadges", null); //Removes old user Badges
         });
 
-        socket.on("drawToWhiteboard", function (content) {
-            if (!whiteboardId || ReadOnlyBackendService.isReadOnly(whiteboardId)) return;
+        socket.on("drawToWhiteboard", async function (content) {
+            if (
+                shuttingDown ||
+                !whiteboardId ||
+                (await ReadOnlyBackendService.isReadOnly(whiteboardId))
+            )
+                return;
+
+            // the sender is limited first, so it can't flood the server with invalid events
+            const limitedScope = rateLimitService.take({
+                socket: socket.id,
+                ip: socket.handshake.address,
+            });
+            if (limitedScope) {
+                dropRateLimited(limitedScope);
+                return;
+            }
 
             content = escapeAllContentStrings(content);
+            const { valid, errors } = validateEvent(content);
+            if (!valid) {
+                // tell the sender, its whiteboard doesn't match the others anymore
+                socket.emit("invalidEvent", { t: content && content["t"], errors });
+                return;
+            }
             content = purifyEncodedStrings(content);
 
-            if (accessToken === "" || accessToken == content["at"]) {
+            if (await boardAccessService.authorize(whiteboardId, content["at"])) {
+                const role = await boardAccessService.role(whiteboardId, content["at"]);
+                if (!(await boardAccessService.mayDraw(whiteboardId, role, content))) {
+                    // tell the sender, its whiteboard doesn't match the others anymore
+                    socket.emit("forbiddenEvent", { t: content["t"], role });
+                    return;
+                }
+                if (await boardAccessService.isLocked(whiteboardId)) {
+                    // the sender missed the lock: switch it to read-only mode
+                    socket.emit("boardLocked", { locked: true });
+                    return;
+                }
+                // the whiteboard only for the events drawn, so nobody else drains its bucket
+                if (rateLimitService.take({ board: whiteboardId })) {
+                    dropRateLimited("board");
+                    return;
+                }
+                // the username of an authenticated user can't be taken by others
+                stampUsername(content, boardAccessService.authenticate(content["at"]));
+                // the secret isn't sent to the others (read-only clients included) nor stored
+                delete content["at"];
                 const broadcastTo = (wid) =>
                     socket.compress(false).broadcast.to(wid).emit("drawToWhiteboard", content);
                 // broadcast to current whiteboard
                 broadcastTo(whiteboardId);
                 // broadcast the same content to the associated read-only whiteboard
-                const readOnlyId = ReadOnlyBackendService.getReadOnlyId(whiteboardId);
+                const readOnlyId = await ReadOnlyBackendService.getReadOnlyId(whiteboardId);
                 broadcastTo(readOnlyId);
-                s_whiteboard.handleEventsAndData(content); //save whiteboardchanges on the server
+                await storeEventsAndData(content); //save whiteboardchanges on the server
+                webhookService.eventsDrawn(whiteboardId, [content]);
+                boardStreamService.publish(whiteboardId, content);
             } else {
                 socket.emit("wrongAccessToken", true);
             }
         });
 
-        socket.on("joinWhiteboard", function (content) {
+        socket.on("joinWhiteboard", async function (content) {
+            if (shuttingDown) return;
             content = escapeAllContentStrings(content);
-            if (accessToken === "" || accessToken == content["at"]) {
+            if (await boardAccessService.authorize(content["wid"], content["at"])) {
                 whiteboardId = content["wid"];
+                const user = boardAccessService.authenticate(content["at"]);
 
                 socket.emit("whiteboardConfig", {
                     common: config.frontend,
                     whiteboardSpecific: {
-                        correspondingReadOnlyWid:
-                            ReadOnlyBackendService.getReadOnlyId(whiteboardId),
-                        isReadOnly: ReadOnlyBackendService.isReadOnly(whiteboardId),
+                        correspondingReadOnlyWid: await ReadOnlyBackendService.getReadOnlyId(
+                            whiteboardId
+                        ),
+                        isReadOnly: await ReadOnlyBackendService.isReadOnly(whiteboardId),
+                        // the username stamped on the events, null if the client chooses it
+                        username: user ? user.username : null,
+                        role: await boardAccessService.role(whiteboardId, content["at"]),
+                        locked: await boardAccessService.isLocked(whiteboardId),
                     },
                 });
 
                 socket.join(whiteboardId); //Joins room name=wid
                 const screenResolution = content["windowWidthHeight"];
                 WhiteboardInfoBackendService.join(socket.id, whiteboardId, screenResolution);
+                webhookService.boardJoined(whiteboardId);
             } else {
                 socket.emit("wrongAccessToken", true);
             }
         });
 
-        socket.on("updateScreenResolution", function (content) {
+        socket.on("setBoardLocked", async function (content) {
+            if (shuttingDown || !whiteboardId) return;
+            content = escapeAllContentStrings(content);
+            if (!(await boardAccessService.authorize(whiteboardId, content["at"]))) {
+                socket.emit("wrongAccessToken", true);
+                return;
+            }
+            const role = await boardAccessService.role(whiteboardId, content["at"]);
+            if (!mayLockBoard(role)) {
+                socket.emit("forbiddenEvent", { t: "lock", role });
+                return;
+            }
+            await setBoardLocked(whiteboardId, content["locked"] === true);
+        });
+
+        socket.on("updateScreenResolution", async function (content) {
             content = escapeAllContentStrings(content);
-            if (accessToken === "" || accessToken == content["at"]) {
+            if (await boardAccessService.authorize(whiteboardId, content["at"])) {
                 const screenResolution = content["windowWidthHeight"];
                 WhiteboardInfoBackendService.setScreenResolution(
                     socket.id,
@@ -466,4 +1557,30 @@ export default function startBackendServer(port) {
         // Will print "unhandledRejection err is not defined"
         console.log("unhandledRejection", error.message);
     });
+
+    /**
+     * Stop the server without losing whiteboard changes:
+     * stop accepting connections and socket events, tell the clients to reconnect,
+     * wait for the changes being saved and flush the storage
+     */
+    async function shutdown() {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log("Shutting down the server");
+
+        server.close();
+        server.closeIdleConnections();
+        retentionService.stop();
+        webhookService.stop();
+        boardStreamService.stop();
+        rateLimitService.stop();
+        io.emit("serverShutdown");
+        io.disconnectSockets(true);
+
+        await Promise.allSettled(Array.from(pendingWrites));
+        await whiteboardStorage.close();
+        console.log("Whiteboards saved, server stopped");
+    }
+
+    return { shutdown };
 }
@@ -18,6 +18,9 @@ if (args.mode !== "production" && args.mode !== "development") {
 
 const server_mode = args.mode === "production" ? SERVER_MODES.PRODUCTION : SERVER_MODES.DEVELOPMENT;
 
+// Time given to the backend to save the whiteboards before the process exits anyway
+const SHUTDOWN_TIMEOUT = 8000;
+
 // Check if Redis/distributed mode is enabled
 const useRedis = process.env.USE_REDIS === "true";
 
@@ -30,15 +33,39 @@ if (useRedis) {
     startBackendServer = (await import("./server-backend.js")).default;
 }
 
+// resolves to the started backend, with its shutdown function
+let backendServer = null;
+
 if (server_mode === SERVER_MODES.DEVELOPMENT) {
     let startFrontendDevServer = (await import("./server-frontend-dev.js")).startFrontendDevServer;
     console.info("Starting server in development mode.");
     startFrontendDevServer(8080, function () {
         // this time, it's the frontend server that is on port 8080
         // requests for the backend will be proxied to prevent cross origins errors
-        startBackendServer(3000);
+        backendServer = startBackendServer(3000);
     });
 } else {
     console.info("Starting server in production mode.");
-    startBackendServer(process.env.PORT || 8080);
+    backendServer = startBackendServer(process.env.PORT || 8080);
+}
+
+async function shutdown(signal) {
+    console.info(`${signal} received, shutting down.`);
+    setTimeout(() => {
+        console.error("The whiteboards could not be saved in time, exiting anyway.");
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT).unref();
+
+    try {
+        if (backendServer) {
+            await (await backendServer).shutdown();
+        }
+    } catch (err) {
+        console.error("Error while shutting down:", err);
+        process.exitCode = 1;
+    }
+    process.exit();
 }
+
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);
@@ -0,0 +1,346 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+import { TEXTBOX_TOOLS, isRole, mayUseTool } from "../../src/js/shared/roles.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+// verified secrets remembered, so the events of a socket don't each cost a hash
+const MAX_VERIFIED_SECRETS = 1000;
+// ids of the sticky notes remembered, so the changes of a commenter don't each load the whiteboard
+const MAX_KNOWN_STICKY_NOTES = 1000;
+
+/**
+ * Hash the secret of a whiteboard for its storage
+ *
+ * @param {string} secret
+ * @return {Promise<string>} "scrypt:<salt>:<hash>", in hex
+ */
+export async function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(secret, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+/**
+ * @param {string} secret
+ * @param {string} storedHash result of hashSecret
+ * @return {Promise<boolean>} true if the secret is the hashed one
+ */
+export async function verifySecret(secret, storedHash) {
+    const [algorithm, salt, hash] = storedHash.split(":");
+    if (algorithm !== "scrypt" || !salt || !hash) return false;
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(secret, Buffer.from(salt, "hex"), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Tells who may use a whiteboard: the owner of a whiteboard can protect it with a secret (password
+ * or token), stored hashed with its settings. The access token of the server is an admin override
+ * opening every whiteboard; whiteboards without a secret need it when it is configured, like before.
+ * Users authenticated by a JWT may use the whiteboards of its claims, whatever their secret.
+ *
+ * What a user may do on a whiteboard depends on its role (see roles.js): the role of a member of
+ * the whiteboard, else the role claim of its JWT, else the default role. The read-only id only
+ * gives the viewer role, the access token of the server the owner role.
+ *
+ * The owners can also lock a whiteboard: nobody draws on it anymore until it is unlocked.
+ */
+export default class BoardAccessService {
+    /**
+     * @param {object} options
+     * @param {import("./StorageProvider.js").default} options.storage
+     * @param {import("./ReadOnlyBackendService.js").default} options.readOnlyBackendService
+     * @param {string} options.accessToken the access token of the server, "" if there is none
+     * @param {import("./JwtService.js").default} [options.jwtService] authenticates the users
+     * @param {string} [options.defaultRole] role of the users who are neither members nor given a
+     * role by their JWT
+     */
+    constructor({
+        storage,
+        readOnlyBackendService,
+        accessToken,
+        jwtService = null,
+        defaultRole = "owner",
+    }) {
+        this.storage = storage;
+        this.readOnlyBackendService = readOnlyBackendService;
+        this.accessToken = accessToken;
+        this.jwtService = jwtService;
+        this.defaultRole = defaultRole;
+        this.verifiedSecrets = new Map(); // result by stored hash and digest of the secret
+        this.knownStickyNotes = new Set(); // "<wid>/<textbox id>"
+    }
+
+    /**
+     * @param {string} at access token of a request
+     * @return {boolean} true if it is the access token of the server
+     */
+    isAdmin(at) {
+        return this.accessToken !== "" && typeof at === "string" && at === this.accessToken;
+    }
+
+    /**
+     * @param {string} at access token of a request
+     * @return {object|null} the user authenticated by it if it is a valid JWT, see JwtService.user
+     */
+    authenticate(at) {
+        return this.jwtService ? this.jwtService.user(at) : null;
+    }
+
+    /**
+     * Tell if a request may use a whiteboard
+     *
+     * @param {string} wid editable or read-only id of the whiteboard
+     * @param {string} at access token of the request: a JWT, the secret of the whiteboard, or the
+     * access token of the server
+     * @return {Promise<boolean>}
+     */
+    async authorize(wid, at) {
+        if (this.isAdmin(at)) return true;
+        const user = this.authenticate(at);
+        if (user) {
+            return (
+                user.boards === null || (!!wid && user.boards.includes(await this.editableId(wid)))
+            );
+        }
+        if (this.jwtService && this.jwtService.required) return false;
+        if (!wid) return this.accessToken === "";
+
+        const { secret } = await this.storage.loadBoardSettings(await this.editableId(wid));
+        if (!secret) return this.accessToken === "";
+        return typeof at === "string" && at !== "" && (await this.isSecret(at, secret));
+    }
+
+    /**
+     * @param {string} wid editable or read-only id of the whiteboard
+     * @return {Promise<boolean>}
+     */
+    async hasSecret(wid) {
+        const { secret } = await this.storage.loadBoardSettings(await this.editableId(wid));
+        return !!secret;
+    }
+
+    /**
+     * Tell if a request may set, change or remove the secret of a whiteboard: only its owners
+     * may, like they manage its members. Changing or removing it needs the current secret, the
+     * first one is set by the access token of the server or an authorized JWT, or by anybody for a
+     * new whiteboard of an open server (no access token, no JWT required)
+     *
+     * @param {string} wid editable or read-only id of the whiteboard
+     * @param {string} at access token of the request
+     * @return {Promise<boolean>}
+     */
+    async maySetSecret(wid, at) {
+        if ((await this.role(wid, at)) !== "owner") return false;
+        if ((await this.hasSecret(wid)) || this.isAdmin(at) || this.authenticate(at)) {
+            return this.authorize(wid, at);
+        }
+        const open = this.accessToken === "" && !(this.jwtService && this.jwtService.required);
+        return open && (await this.storage.load(wid)).length === 0;
+    }
+
+    /**
+     * Protect a whiteboard with a secret, or remove its secret
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} secret "" to remove it
+     */
+    async setSecret(wid, secret) {
+        const settings = await this.storage.loadBoardSettings(wid);
+        if (secret) {
+            settings.secret = await hashSecret(secret);
+        } else {
+            delete settings.secret;
+        }
+        await this.storage.saveBoardSettings(wid, settings);
+    }
+
+    /**
+     * Protect a new whiteboard with the same secret as another one, e.g. its fork
+     *
+     * @param {string} sourceWid editable id of the protected whiteboard
+     * @param {string} wid editable id of the new whiteboard
+     */
+    async copySecret(sourceWid, wid) {
+        const { secret } = await this.storage.loadBoardSettings(sourceWid);
+        if (!secret) return;
+        const settings = await this.storage.loadBoardSettings(wid);
+        await this.storage.saveBoardSettings(wid, { ...settings, secret });
+    }
+
+    /**
+     * @param {string} wid editable or read-only id of the whiteboard
+     * @return {Promise<boolean>} true if the whiteboard is locked
+     */
+    async isLocked(wid) {
+        const { locked } = await this.storage.loadBoardSettings(await this.editableId(wid));
+        return !!locked;
+    }
+
+    /**
+     * @param {string} wid editable id of the whiteboard
+     * @param {boolean} locked
+     */
+    async setLocked(wid, locked) {
+        const settings = await this.storage.loadBoardSettings(wid);
+        if (locked) {
+            settings.locked = true;
+        } else {
+            delete settings.locked;
+        }
+        await this.storage.saveBoardSettings(wid, settings);
+    }
+
+    /**
+     * Role of an authorized request on a whiteboard
+     *
+     * @param {string} wid editable or read-only id of the whiteboard
+     * @param {string} at access token of the request
+     * @return {Promise<string>} one of ROLES
+     */
+    async role(wid, at) {
+        if (await this.readOnlyBackendService.isReadOnly(wid)) return "viewer";
+        if (this.isAdmin(at)) return "owner";
+        const user = this.authenticate(at);
+        if (!user) return this.defaultRole;
+
+        const members = await this.members(wid);
+        const role = Object.prototype.hasOwnProperty.call(members, user.id)
+            ? members[user.id]
+            : user.role || this.defaultRole;
+        // e.g. a typo in a claim: no rights rather than too many
+        return isRole(role) ? role : "viewer";
+    }
+
+    /**
+     * @param {string} wid editable id of the whiteboard
+     * @return {Promise<Object<string, string>>} the role of each member, by user id
+     */
+    async members(wid) {
+        const { members = {} } = await this.storage.loadBoardSettings(wid);
+        return { ...members };
+    }
+
+    /**
+     * Give a role on a whiteboard to a user (authenticated by a JWT), or remove it
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} userId "sub" claim of the JWTs of the user
+     * @param {string} role one of ROLES, "" to remove the member
+     */
+    async setMember(wid, userId, role) {
+        const settings = await this.storage.loadBoardSettings(wid);
+        const members = { ...settings.members };
+        if (role) {
+            members[userId] = role;
+        } else {
+            delete members[userId];
+        }
+        await this.storage.saveBoardSettings(wid, { ...settings, members });
+    }
+
+    /**
+     * Tell if a role may send an event: commenters may only add and change sticky notes
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} role
+     * @param {object} event valid event
+     * @return {Promise<boolean>}
+     */
+    async mayDraw(wid, role, event) {
+        if (!mayUseTool(role, event["t"])) return false;
+        if (role !== "commenter" || !TEXTBOX_TOOLS.includes(event["t"])) return true;
+
+        if (event["t"] === "addTextBox") {
+            // a new sticky note, not one taking the id of another textbox
+            const textboxId = event["d"][5];
+            if (event["d"][6] !== true || (await this.isTextbox(wid, textboxId))) return false;
+            // known before it is stored, for the changes which follow it
+            this.rememberStickyNote(wid, textboxId);
+            return true;
+        }
+        return this.isStickyNote(wid, event["d"][0]);
+    }
+
+    /**
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} textboxId
+     * @return {Promise<boolean>} true if the textbox was added as a sticky note
+     */
+    async isStickyNote(wid, textboxId) {
+        if (this.knownStickyNotes.has(wid + "/" + textboxId)) return true;
+
+        const textbox = await this.loadTextbox(wid, textboxId);
+        const isStickyNote = !!textbox && textbox["d"][6] === true;
+        if (isStickyNote) this.rememberStickyNote(wid, textboxId);
+        return isStickyNote;
+    }
+
+    /**
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} textboxId
+     * @return {Promise<boolean>} true if a textbox (or sticky note) has the id
+     */
+    async isTextbox(wid, textboxId) {
+        return (
+            this.knownStickyNotes.has(wid + "/" + textboxId) ||
+            !!(await this.loadTextbox(wid, textboxId))
+        );
+    }
+
+    /**
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} textboxId
+     * @return {Promise<object|undefined>} the addTextBox event of the textbox
+     */
+    async loadTextbox(wid, textboxId) {
+        const events = await this.storage.load(wid);
+        return events.find(({ t, d }) => t === "addTextBox" && !!d && d[5] === textboxId);
+    }
+
+    /**
+     * Forget the sticky notes of a whiteboard which content was replaced (cleared, restored...):
+     * their ids could be given to other textboxes
+     *
+     * @param {string} wid editable id of the whiteboard
+     */
+    forgetStickyNotes(wid) {
+        for (const key of this.knownStickyNotes) {
+            if (key.startsWith(wid + "/")) this.knownStickyNotes.delete(key);
+        }
+    }
+
+    rememberStickyNote(wid, textboxId) {
+        if (this.knownStickyNotes.size >= MAX_KNOWN_STICKY_NOTES) {
+            // forget the oldest one
+            this.knownStickyNotes.delete(this.knownStickyNotes.values().next().value);
+        }
+        this.knownStickyNotes.add(wid + "/" + textboxId);
+    }
+
+    async editableId(wid) {
+        return (await this.readOnlyBackendService.isReadOnly(wid))
+            ? await this.readOnlyBackendService.getIdFromReadOnlyId(wid)
+            : wid;
+    }
+
+    /**
+     * @param {string} at
+     * @param {string} storedHash
+     * @return {Promise<boolean>}
+     */
+    async isSecret(at, storedHash) {
+        const key = storedHash + ":" + crypto.createHash("sha256").update(at).digest("hex");
+        if (!this.verifiedSecrets.has(key)) {
+            if (this.verifiedSecrets.size >= MAX_VERIFIED_SECRETS) {
+                // forget the oldest one
+                this.verifiedSecrets.delete(this.verifiedSecrets.keys().next().value);
+            }
+            this.verifiedSecrets.set(key, await verifySecret(at, storedHash));
+        }
+        return this.verifiedSecrets.get(key);
+    }
+}
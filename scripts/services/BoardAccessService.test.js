@@ -0,0 +1,235 @@
+import BoardAccessService, { hashSecret, verifySecret } from "./BoardAccessService";
+
+function createService(
+    accessToken,
+    settings = {},
+    jwtService = null,
+    boards = {},
+    defaultRole = "owner"
+) {
+    return new BoardAccessService({
+        storage: {
+            async load(wid) {
+                return boards[wid] || [];
+            },
+            async loadBoardSettings(wid) {
+                return { ...settings[wid] };
+            },
+            async saveBoardSettings(wid, boardSettings) {
+                settings[wid] = boardSettings;
+            },
+        },
+        readOnlyBackendService: {
+            async isReadOnly(wid) {
+                return wid.startsWith("ro-");
+            },
+            async getIdFromReadOnlyId(readOnlyId) {
+                return readOnlyId.slice(3);
+            },
+        },
+        accessToken,
+        jwtService,
+        defaultRole,
+    });
+}
+
+test("Secrets are stored hashed", async () => {
+    const hash = await hashSecret("s3cret");
+    expect(hash).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/);
+    expect(hash).not.toBe(await hashSecret("s3cret"));
+    expect(await verifySecret("s3cret", hash)).toBe(true);
+    expect(await verifySecret("other", hash)).toBe(false);
+});
+
+test("Whiteboards without a secret need the access token of the server, if any", async () => {
+    expect(await createService("").authorize("wid", undefined)).toBe(true);
+
+    const service = createService("admin");
+    expect(await service.authorize("wid", "admin")).toBe(true);
+    expect(await service.authorize("wid", "")).toBe(false);
+    expect(await service.authorize("wid", undefined)).toBe(false);
+});
+
+test("Whiteboards with a secret need it, or the access token of the server", async () => {
+    const settings = {};
+    const service = createService("admin", settings);
+    await service.setSecret("wid", "s3cret");
+    expect(settings.wid.secret).toMatch(/^scrypt:/);
+
+    expect(await service.authorize("wid", "s3cret")).toBe(true);
+    // the read-only id has the same secret
+    expect(await service.authorize("ro-wid", "s3cret")).toBe(true);
+    expect(await service.authorize("wid", "admin")).toBe(true);
+    expect(await service.authorize("wid", "wrong")).toBe(false);
+    expect(await service.authorize("wid", undefined)).toBe(false);
+    expect(await service.authorize("other", "s3cret")).toBe(false);
+
+    // without access token on the server, the secret is still needed
+    const open = createService("", settings);
+    expect(await open.authorize("wid", undefined)).toBe(false);
+    expect(await open.authorize("wid", "s3cret")).toBe(true);
+
+    await service.copySecret("wid", "fork");
+    expect(await service.authorize("fork", "s3cret")).toBe(true);
+
+    await service.setSecret("wid", "");
+    expect(await service.hasSecret("wid")).toBe(false);
+    expect(await open.authorize("wid", undefined)).toBe(true);
+});
+
+test("Only the admin and allowed JWTs set the first secret, if the server needs a token", async () => {
+    const users = { alice: { id: "1", boards: ["wid"] } };
+    const jwtService = { required: false, user: (token) => users[token] || null };
+    const settings = {};
+    const boards = { drawn: [{ t: "pen" }] };
+
+    const service = createService("admin", settings, jwtService, boards);
+    expect(await service.maySetSecret("wid", undefined)).toBe(false);
+    expect(await service.maySetSecret("wid", "x")).toBe(false);
+    expect(await service.maySetSecret("wid", "admin")).toBe(true);
+    expect(await service.maySetSecret("wid", "alice")).toBe(true);
+    expect(await service.maySetSecret("other", "alice")).toBe(false);
+    expect(await service.maySetSecret("ro-wid", "admin")).toBe(false);
+
+    // an open server: anybody for a new whiteboard only
+    const open = createService("", settings, jwtService, boards);
+    expect(await open.maySetSecret("wid", undefined)).toBe(true);
+    expect(await open.maySetSecret("drawn", undefined)).toBe(false);
+    jwtService.required = true;
+    expect(await open.maySetSecret("wid", undefined)).toBe(false);
+    jwtService.required = false;
+
+    // then only with the current secret
+    await service.setSecret("wid", "s3cret");
+    expect(await open.maySetSecret("wid", undefined)).toBe(false);
+    expect(await open.maySetSecret("wid", "s3cret")).toBe(true);
+});
+
+test("Only the owners change or remove the secret", async () => {
+    const users = {
+        alice: { id: "1", boards: ["wid"], role: "owner" },
+        bob: { id: "2", boards: ["wid"], role: "editor" },
+        carol: { id: "3", boards: ["wid"], role: "viewer" },
+    };
+    const jwtService = { required: false, user: (token) => users[token] || null };
+    const settings = {};
+    const service = createService("admin", settings, jwtService);
+    await service.setSecret("wid", "s3cret");
+
+    expect(await service.maySetSecret("wid", "alice")).toBe(true);
+    expect(await service.maySetSecret("wid", "bob")).toBe(false);
+    expect(await service.maySetSecret("wid", "carol")).toBe(false);
+    await service.setMember("wid", "3", "owner");
+    expect(await service.maySetSecret("wid", "carol")).toBe(true);
+
+    // the secret only gives the default role
+    const viewers = createService("admin", settings, jwtService, {}, "viewer");
+    expect(await viewers.maySetSecret("wid", "s3cret")).toBe(false);
+    expect(await viewers.maySetSecret("wid", "admin")).toBe(true);
+    expect(await service.maySetSecret("wid", "s3cret")).toBe(true);
+});
+
+test("Users with a JWT may use the whiteboards of its claims", async () => {
+    const users = { alice: { id: "1", boards: ["wid"] }, bob: { id: "2", boards: null } };
+    const jwtService = { required: false, user: (token) => users[token] || null };
+    const settings = {};
+    const service = createService("admin", settings, jwtService);
+    await service.setSecret("wid", "s3cret");
+
+    expect(service.authenticate("alice")).toBe(users.alice);
+    expect(service.authenticate("s3cret")).toBe(null);
+    expect(await service.authorize("wid", "alice")).toBe(true);
+    expect(await service.authorize("ro-wid", "alice")).toBe(true);
+    expect(await service.authorize("other", "alice")).toBe(false);
+    expect(await service.authorize("other", "bob")).toBe(true);
+    expect(await service.authorize("wid", "s3cret")).toBe(true);
+
+    // only users with a JWT, and the admin
+    jwtService.required = true;
+    expect(await service.authorize("wid", "s3cret")).toBe(false);
+    expect(await service.authorize("wid", "alice")).toBe(true);
+    expect(await service.authorize("wid", "admin")).toBe(true);
+});
+
+test("Members have their role, other users the one of their JWT or the default one", async () => {
+    const users = {
+        alice: { id: "1", boards: null, role: "editor" },
+        bob: { id: "2", boards: null },
+    };
+    const jwtService = { required: false, user: (token) => users[token] || null };
+    const service = createService("admin", {}, jwtService);
+
+    expect(await service.role("wid", "alice")).toBe("editor");
+    expect(await service.role("wid", "bob")).toBe("owner");
+    expect(await service.role("wid", undefined)).toBe("owner");
+    expect(await service.role("wid", "admin")).toBe("owner");
+    expect(await service.role("ro-wid", "admin")).toBe("viewer");
+
+    await service.setMember("wid", "1", "commenter");
+    await service.setMember("wid", "2", "viewer");
+    expect(await service.members("wid")).toEqual({ 1: "commenter", 2: "viewer" });
+    expect(await service.role("wid", "alice")).toBe("commenter");
+    expect(await service.role("other", "alice")).toBe("editor");
+
+    await service.setMember("wid", "1", "");
+    expect(await service.role("wid", "alice")).toBe("editor");
+    users.bob.role = "superuser";
+    expect(await service.role("other", "bob")).toBe("viewer");
+});
+
+test("Commenters may only add and change sticky notes", async () => {
+    const events = [
+        { t: "addTextBox", d: ["#000", "#ff0", 10, 1, 2, "tx1", true] },
+        { t: "addTextBox", d: ["#000", "#fff", 10, 1, 2, "tx2"] },
+    ];
+    const service = new BoardAccessService({
+        storage: { load: jest.fn(async () => events) },
+        readOnlyBackendService: {},
+        accessToken: "",
+    });
+    const mayDraw = (event) => service.mayDraw("wid", "commenter", event);
+
+    expect(await mayDraw({ t: "pen", d: [1, 2, 3, 4] })).toBe(false);
+    expect(await mayDraw({ t: "addTextBox", d: ["#000", "#ff0", 10, 1, 2, "tx3", true] })).toBe(
+        true
+    );
+    expect(await mayDraw({ t: "addTextBox", d: ["#000", "#fff", 10, 1, 2, "tx4"] })).toBe(false);
+    // not a sticky note taking over a textbox
+    expect(await mayDraw({ t: "addTextBox", d: ["#000", "#ff0", 10, 1, 2, "tx2", true] })).toBe(
+        false
+    );
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx1", "note"] })).toBe(true);
+    expect(await mayDraw({ t: "removeTextbox", d: ["tx1"] })).toBe(true);
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx2", "text"] })).toBe(false);
+    // the sticky notes are remembered, even before they are stored
+    service.storage.load.mockClear();
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx3", "note"] })).toBe(true);
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx1", "note"] })).toBe(true);
+    expect(service.storage.load).not.toHaveBeenCalled();
+
+    // until the whiteboard is cleared: its textbox ids can be used again
+    service.forgetStickyNotes("wid2");
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx3", "note"] })).toBe(true);
+    expect(service.storage.load).not.toHaveBeenCalled();
+    service.forgetStickyNotes("wid");
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx3", "note"] })).toBe(false);
+    expect(await mayDraw({ t: "setTextboxText", d: ["tx1", "note"] })).toBe(true);
+
+    expect(await service.mayDraw("wid", "editor", { t: "setTextboxText", d: ["tx2", ""] })).toBe(
+        true
+    );
+    expect(await service.mayDraw("wid", "editor", { t: "clear" })).toBe(false);
+});
+
+test("Whiteboards are locked with their settings", async () => {
+    const settings = {};
+    const service = createService("", settings);
+
+    expect(await service.isLocked("wid")).toBe(false);
+    await service.setLocked("wid", true);
+    expect(settings.wid).toEqual({ locked: true });
+    // the read-only id is locked too
+    expect(await service.isLocked("ro-wid")).toBe(true);
+    await service.setLocked("wid", false);
+    expect(await service.isLocked("wid")).toBe(false);
+});
@@ -0,0 +1,112 @@
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+
+import { getSafeFilePath } from "../utils.js";
+import { uploadPathFromUrl } from "./RetentionService.js";
+
+/**
+ * Get the path of the copy of an uploaded image in the folder of another read-only id
+ *
+ * @param {string} uploadPath "<folder>/<file>", e.g. ro/ro_1234.png
+ * @param {string} readOnlyId read-only id of the whiteboard the copy belongs to
+ * @return {string} e.g. newRo/newRo_1234.png
+ */
+export function forkedUploadPath(uploadPath, readOnlyId) {
+    const [folder, file] = uploadPath.split("/");
+    const name = file.startsWith(`${folder}_`) ? file.slice(folder.length + 1) : file;
+    return `${readOnlyId}/${readOnlyId}_${name}`;
+}
+
+/**
+ * Copy an uploaded image
+ *
+ * @param {string} fromFolder
+ * @param {string} uploadPath "<folder>/<file>" path of the image in fromFolder
+ * @param {string} toFolder
+ * @param {string} copyPath "<folder>/<file>" path of the copy in toFolder
+ * @return {Promise<boolean>} false if the image could not be copied
+ */
+export async function copyUpload(fromFolder, uploadPath, toFolder, copyPath) {
+    const [folder, file] = uploadPath.split("/");
+    const [copyFolder, copyFile] = copyPath.split("/");
+    try {
+        const source = getSafeFilePath(getSafeFilePath(fromFolder, folder), file);
+        const targetFolder = getSafeFilePath(toFolder, copyFolder);
+        await fs.promises.mkdir(targetFolder, { recursive: true });
+        await fs.promises.copyFile(source, getSafeFilePath(targetFolder, copyFile));
+        return true;
+    } catch (err) {
+        console.log("Could not copy the upload", uploadPath, err.message);
+        return false;
+    }
+}
+
+/**
+ * Forks whiteboards: copies a whiteboard and its uploaded images to a new whiteboard
+ */
+export default class BoardForkService {
+    /**
+     * @param {object} options
+     * @param {import("./StorageProvider.js").default} options.storage
+     * @param {import("./ReadOnlyBackendService.js").default} options.readOnlyBackendService
+     * @param {string} options.uploadsFolder folder with one sub folder of images per read-only id
+     */
+    constructor({ storage, readOnlyBackendService, uploadsFolder }) {
+        this.storage = storage;
+        this.readOnlyBackendService = readOnlyBackendService;
+        this.uploadsFolder = uploadsFolder;
+    }
+
+    /**
+     * Copy a whiteboard to a new whiteboard with a generated id
+     *
+     * The images uploaded to this server are copied to the folder of the new read-only id and
+     * the addImgBG events point to the copies, so both whiteboards can be deleted independently.
+     * Images that can't be copied (other servers, deleted files) keep their url.
+     *
+     * @param {string} wid editable id of the whiteboard to fork
+     * @return {Promise<{wid: string, readOnlyWid: string}>} ids of the new whiteboard
+     */
+    async fork(wid) {
+        return this.createBoard(await this.storage.load(wid));
+    }
+
+    /**
+     * Store events in a new whiteboard with a generated id, with copies of their images
+     * (see fork)
+     *
+     * @param {Array<object>} events
+     * @param {string} [imagesFolder] folder holding the images of the events, with the layout of
+     * the uploads folder
+     * @return {Promise<{wid: string, readOnlyWid: string}>} ids of the new whiteboard
+     */
+    async createBoard(events, imagesFolder = this.uploadsFolder) {
+        const wid = uuidv4();
+        const readOnlyWid = await this.readOnlyBackendService.getReadOnlyId(wid);
+
+        const copies = new Map(); // path of the copy by uploaded image
+        for (const event of events) {
+            const uploadPath = event["t"] === "addImgBG" && uploadPathFromUrl(event["url"]);
+            if (!uploadPath || copies.has(uploadPath)) continue;
+
+            const copyPath = forkedUploadPath(uploadPath, readOnlyWid);
+            if (await copyUpload(imagesFolder, uploadPath, this.uploadsFolder, copyPath)) {
+                copies.set(uploadPath, copyPath);
+            }
+        }
+
+        const boardEvents = events.map((event) => {
+            const uploadPath = event["t"] === "addImgBG" && uploadPathFromUrl(event["url"]);
+            if (!copies.has(uploadPath)) return event;
+            const url = event["url"].replace(
+                `/uploads/${uploadPath}`,
+                `/uploads/${copies.get(uploadPath)}`
+            );
+            return { ...event, url };
+        });
+        if (boardEvents.length > 0) {
+            await this.storage.saveData(wid, JSON.stringify(boardEvents));
+        }
+        return { wid, readOnlyWid };
+    }
+}
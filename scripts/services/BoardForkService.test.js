@@ -0,0 +1,77 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import BoardForkService, { forkedUploadPath } from "./BoardForkService";
+
+let uploadsFolder;
+
+beforeEach(() => {
+    uploadsFolder = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    fs.mkdirSync(path.join(uploadsFolder, "ro"));
+    fs.writeFileSync(path.join(uploadsFolder, "ro", "ro_1.png"), "image");
+});
+
+afterEach(() => {
+    fs.rmSync(uploadsFolder, { recursive: true, force: true });
+});
+
+function createService(events) {
+    const saved = {};
+    const service = new BoardForkService({
+        storage: {
+            async load() {
+                return events;
+            },
+            async saveData(wid, data) {
+                saved[wid] = JSON.parse(data);
+            },
+        },
+        readOnlyBackendService: {
+            getReadOnlyId: async () => "forkro",
+        },
+        uploadsFolder,
+    });
+    return { service, saved };
+}
+
+test("Forked upload paths are in the folder of the new read-only id", () => {
+    expect(forkedUploadPath("ro/ro_1.png", "new")).toBe("new/new_1.png");
+    expect(forkedUploadPath("ro/image.png", "new")).toBe("new/new_image.png");
+});
+
+test("Forks get a copy of the events and of the uploaded images", async () => {
+    const events = [
+        { t: "rect", d: [1, 2, 3, 4] },
+        { t: "addImgBG", d: [10, 10, 0, 0, 0], url: "http://host/uploads/ro/ro_1.png" },
+        { t: "addImgBG", d: [10, 10, 0, 0, 0], url: "/uploads/ro/ro_1.png", draw: "1" },
+        { t: "addImgBG", d: [10, 10, 0, 0, 0], url: "http://other/uploads/ro/ro_2.png" },
+        { t: "addImgBG", d: [10, 10, 0, 0, 0], url: "http://other/image.png" },
+    ];
+    const { service, saved } = createService(events);
+
+    const { wid, readOnlyWid } = await service.fork("wid");
+    expect(wid).toMatch(/^[0-9a-f-]{36}$/);
+    expect(readOnlyWid).toBe("forkro");
+    expect(saved[wid].map((event) => event.url)).toEqual([
+        undefined,
+        "http://host/uploads/forkro/forkro_1.png",
+        "/uploads/forkro/forkro_1.png",
+        // not uploaded to this server
+        "http://other/uploads/ro/ro_2.png",
+        "http://other/image.png",
+    ]);
+    expect(saved[wid][0]).toEqual(events[0]);
+    expect(fs.readFileSync(path.join(uploadsFolder, "forkro", "forkro_1.png"), "utf8")).toBe(
+        "image"
+    );
+    // the source is unchanged
+    expect(events[1].url).toBe("http://host/uploads/ro/ro_1.png");
+});
+
+test("Empty whiteboards are forked without storing anything", async () => {
+    const { service, saved } = createService([]);
+    const { wid } = await service.fork("wid");
+    expect(wid).toBeTruthy();
+    expect(saved).toEqual({});
+});
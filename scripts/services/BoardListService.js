@@ -0,0 +1,117 @@
+/**
+ * Fields the whiteboards can be sorted by
+ * @type {string[]}
+ */
+export const BOARD_SORT_FIELDS = [
+    "wid",
+    "lastModified",
+    "eventCount",
+    "connectedUsers",
+    "storageSize",
+];
+
+// read from the storage for each whiteboard, see BoardListService.list()
+const STATS_FIELDS = ["eventCount", "storageSize"];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+/**
+ * Lists the stored whiteboards with their metadata, page by page
+ */
+export default class BoardListService {
+    /**
+     * @param {object} options
+     * @param {import("./StorageProvider.js").default} options.storage
+     * @param {import("./WhiteboardInfoBackendService.js").default} [options.whiteboardInfoBackendService]
+     * gives the users connected to this server
+     */
+    constructor({ storage, whiteboardInfoBackendService = null }) {
+        this.storage = storage;
+        this.whiteboardInfoBackendService = whiteboardInfoBackendService;
+    }
+
+    /**
+     * Get a page of the stored whiteboards
+     *
+     * The event count and the storage size are only read for the whiteboards of the page,
+     * unless the whiteboards are sorted by them.
+     *
+     * @param {object} [options]
+     * @param {string} [options.sort] a field of BOARD_SORT_FIELDS
+     * @param {string} [options.order] asc or desc
+     * @param {number} [options.offset] number of whiteboards to skip
+     * @param {number} [options.limit] number of whiteboards of the page, at most MAX_PAGE_SIZE
+     * @return {Promise<{total: number, offset: number, limit: number, sort: string, order: string, boards: Array<{wid: string, readOnlyWid: string|null, eventCount: number, lastModified: number, connectedUsers: number, storageSize: number}>}>}
+     * @throws {Error} if an option is invalid
+     */
+    async list({
+        sort = "lastModified",
+        order = "desc",
+        offset = 0,
+        limit = DEFAULT_PAGE_SIZE,
+    } = {}) {
+        if (!BOARD_SORT_FIELDS.includes(sort)) {
+            throw new Error(`sort must be one of ${BOARD_SORT_FIELDS.join(", ")}`);
+        }
+        if (order !== "asc" && order !== "desc") {
+            throw new Error("order must be asc or desc");
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error("offset must be a positive integer");
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        let boards = (await this.storage.listBoards()).map(({ wid, lastModified }) => ({
+            wid,
+            lastModified,
+            connectedUsers: this.connectedUsers(wid),
+        }));
+        const sortByStats = STATS_FIELDS.includes(sort);
+        if (sortByStats) {
+            boards = await this.addDetails(boards);
+        }
+
+        const direction = order === "asc" ? 1 : -1;
+        boards.sort((a, b) => {
+            const compared = sort === "wid" ? a.wid.localeCompare(b.wid) : a[sort] - b[sort];
+            // the wid keeps the order stable from one page to the next
+            return direction * compared || a.wid.localeCompare(b.wid);
+        });
+
+        let page = boards.slice(offset, offset + limit);
+        if (!sortByStats) {
+            page = await this.addDetails(page);
+        }
+        return { total: boards.length, offset, limit, sort, order, boards: page };
+    }
+
+    /**
+     * @param {string} wid
+     * @return {number}
+     */
+    connectedUsers(wid) {
+        if (!this.whiteboardInfoBackendService) return 0;
+        return this.whiteboardInfoBackendService.getNbClientOnWhiteboard(wid) || 0;
+    }
+
+    /**
+     * Add the read-only id, the event count and the storage size to whiteboards
+     *
+     * @param {Array<{wid: string, lastModified: number, connectedUsers: number}>} boards
+     * @return {Promise<Array<object>>}
+     */
+    async addDetails(boards) {
+        return Promise.all(
+            boards.map(async ({ wid, lastModified, connectedUsers }) => {
+                const [readOnlyWid, { eventCount, storageSize }] = await Promise.all([
+                    this.storage.loadReadOnlyId(wid),
+                    this.storage.boardStats(wid),
+                ]);
+                return { wid, readOnlyWid, eventCount, lastModified, connectedUsers, storageSize };
+            })
+        );
+    }
+}
@@ -0,0 +1,81 @@
+import BoardListService from "./BoardListService";
+
+/**
+ * Minimal storage: lastModified and event count of each whiteboard
+ */
+function createStorage(boards) {
+    const statsRead = [];
+    return {
+        statsRead,
+        async listBoards() {
+            return Object.entries(boards).map(([wid, [lastModified]]) => ({ wid, lastModified }));
+        },
+        async loadReadOnlyId(wid) {
+            return wid === "new" ? null : `ro-${wid}`;
+        },
+        async boardStats(wid) {
+            statsRead.push(wid);
+            const eventCount = boards[wid][1];
+            return { eventCount, storageSize: eventCount * 100 };
+        },
+    };
+}
+
+const whiteboardInfoBackendService = {
+    getNbClientOnWhiteboard: (wid) => (wid === "b" ? 2 : null),
+};
+
+test("Whiteboards are listed by last change, page by page", async () => {
+    const storage = createStorage({ a: [3, 10], b: [1, 5], c: [2, 1], new: [4, 0] });
+    const service = new BoardListService({ storage, whiteboardInfoBackendService });
+
+    const page = await service.list({ limit: 2 });
+    expect(page).toMatchObject({ total: 4, offset: 0, limit: 2, sort: "lastModified" });
+    expect(page.boards).toEqual([
+        {
+            wid: "new",
+            readOnlyWid: null,
+            eventCount: 0,
+            lastModified: 4,
+            connectedUsers: 0,
+            storageSize: 0,
+        },
+        {
+            wid: "a",
+            readOnlyWid: "ro-a",
+            eventCount: 10,
+            lastModified: 3,
+            connectedUsers: 0,
+            storageSize: 1000,
+        },
+    ]);
+    // only the listed whiteboards are read
+    expect(storage.statsRead).toEqual(["new", "a"]);
+
+    const nextPage = await service.list({ limit: 2, offset: 2 });
+    expect(nextPage.boards.map((board) => board.wid)).toEqual(["c", "b"]);
+    expect(nextPage.boards[1].connectedUsers).toBe(2);
+});
+
+test("Whiteboards can be sorted by any field", async () => {
+    const service = new BoardListService({
+        storage: createStorage({ a: [3, 10], b: [1, 5], c: [2, 5] }),
+        whiteboardInfoBackendService,
+    });
+    const wids = async (options) => (await service.list(options)).boards.map(({ wid }) => wid);
+
+    expect(await wids({ sort: "eventCount" })).toEqual(["a", "b", "c"]);
+    expect(await wids({ sort: "storageSize", order: "asc" })).toEqual(["b", "c", "a"]);
+    expect(await wids({ sort: "connectedUsers" })).toEqual(["b", "a", "c"]);
+    expect(await wids({ sort: "wid", order: "desc" })).toEqual(["c", "b", "a"]);
+});
+
+test("Invalid options are rejected", async () => {
+    const service = new BoardListService({ storage: createStorage({}) });
+
+    await expect(service.list({ sort: "name" })).rejects.toThrow("sort");
+    await expect(service.list({ order: "up" })).rejects.toThrow("order");
+    await expect(service.list({ offset: -1 })).rejects.toThrow("offset");
+    await expect(service.list({ limit: 1000 })).rejects.toThrow("limit");
+    expect((await service.list()).boards).toEqual([]);
+});
@@ -0,0 +1,370 @@
+import fs from "fs";
+
+import { getSafeFilePath } from "../utils.js";
+import { uploadPathFromUrl } from "./RetentionService.js";
+import { smoothPenSegment } from "../../src/js/shared/smoothing.js";
+
+/**
+ * Size of 1em in the textboxes (px)
+ * @type {number}
+ */
+const EM = 16;
+// as in the whiteboard when an event doesn't set them
+const DEFAULT_COLOR = "black";
+const DEFAULT_THICKNESS = 4;
+const STICKY_NOTE_SIZE = 200;
+const TEXTBOX_MIN_WIDTH = 50;
+// the textboxes use a monospace font: width of a character and height of a line, in em
+const CHAR_WIDTH = 0.6;
+const LINE_HEIGHT = 1.2;
+// space around the content of the whiteboard (px)
+const MARGIN = 20;
+
+/**
+ * Offset of the shadow of the sticky notes (px)
+ * @type {number}
+ */
+export const STICKY_NOTE_SHADOW = 5;
+
+/**
+ * @param {*} value
+ * @param {number} [fallback]
+ * @return {number}
+ */
+function toNumber(value, fallback = 0) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Lines of the text of a textbox, from the html written by its contentEditable div
+ * (only div and br tags are left once the server purified it)
+ *
+ * @param {string} html
+ * @return {string[]}
+ */
+export function textboxLines(html) {
+    const text = html
+        .replace(/^<div[^>]*>/i, "")
+        .replace(/<div[^>]*><br\s*\/?><\/div>/gi, "\n")
+        .replace(/<br\s*\/?>|<div[^>]*>/gi, "\n")
+        .replace(/<[^>]*>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, "&");
+    return text.split("\n");
+}
+
+/**
+ * Area covered by the content of the whiteboard
+ */
+class Bounds {
+    minX = Infinity;
+    minY = Infinity;
+    maxX = -Infinity;
+    maxY = -Infinity;
+
+    add(x1, y1, x2, y2) {
+        this.minX = Math.min(this.minX, x1, x2);
+        this.minY = Math.min(this.minY, y1, y2);
+        this.maxX = Math.max(this.maxX, x1, x2);
+        this.maxY = Math.max(this.maxY, y1, y2);
+    }
+
+    /**
+     * @return {{x: number, y: number, width: number, height: number}} the area with a margin
+     */
+    toRect() {
+        if (this.minX > this.maxX) {
+            return { x: 0, y: 0, width: 100, height: 100 };
+        }
+        return {
+            x: Math.floor(this.minX - MARGIN),
+            y: Math.floor(this.minY - MARGIN),
+            width: Math.ceil(this.maxX - this.minX + 2 * MARGIN),
+            height: Math.ceil(this.maxY - this.minY + 2 * MARGIN),
+        };
+    }
+}
+
+function rect(x, y, width, height) {
+    return {
+        x: Math.min(x, x + width),
+        y: Math.min(y, y + height),
+        width: Math.abs(width),
+        height: Math.abs(height),
+    };
+}
+
+/**
+ * The canvas of the whiteboard: drawings, images drawn to the canvas and what erases them
+ *
+ * Erasing only applies to what was drawn before, so the erasers are turned into an "erased"
+ * group of the nodes drawn so far.
+ */
+class CanvasLayer {
+    nodes = [];
+    erasers = [];
+    lastStroke = null;
+
+    draw(node) {
+        this.applyErasers();
+        this.lastStroke = null;
+        this.nodes.push(node);
+    }
+
+    /**
+     * Draw a segment of a stroke, merged with the previous one if it continues it
+     *
+     * @param {number[][]} points
+     * @param {string} color
+     * @param {number} thickness
+     */
+    drawStroke(points, color, thickness) {
+        const last = this.lastStroke;
+        const [x, y] = points[0];
+        const end = last && last.points[last.points.length - 1];
+        if (
+            last &&
+            this.erasers.length === 0 &&
+            last.color === color &&
+            last.thickness === thickness &&
+            end[0] === x &&
+            end[1] === y
+        ) {
+            last.points.push(...points.slice(1));
+        } else {
+            const stroke = { type: "stroke", points: points.slice(), color, thickness };
+            this.draw(stroke);
+            this.lastStroke = stroke;
+        }
+    }
+
+    erase(shape) {
+        this.erasers.push(shape);
+    }
+
+    /**
+     * Move a part of the canvas (recSelect)
+     */
+    move(fromX, fromY, toX, toY, width, height) {
+        this.applyErasers();
+        const source = rect(fromX, fromY, width, height);
+        this.nodes = [
+            { type: "moved", ...source, dx: toX - fromX, dy: toY - fromY, children: this.nodes },
+        ];
+        this.lastStroke = null;
+    }
+
+    applyErasers() {
+        if (this.erasers.length === 0) return;
+        this.nodes = [{ type: "erased", erasers: this.erasers, children: this.nodes }];
+        this.erasers = [];
+    }
+}
+
+/**
+ * Rebuild the content of a whiteboard from its events, to export it (SVG, PDF...)
+ *
+ * The content has 3 layers, like in the browser:
+ * - background: the images added to the background
+ * - canvas: nodes drawn in order
+ *   - {type: "stroke", points, color, thickness}: pen and lines
+ *   - {type: "rect", x, y, width, height, color, thickness}
+ *   - {type: "circle", cx, cy, r, color, thickness}
+ *   - {type: "image", url, x, y, width, height, rotation}: rotation around its center (rad)
+ *   - {type: "erased", erasers, children}: the children, minus the erasers
+ *     (strokes and rects without color)
+ *   - {type: "moved", x, y, width, height, dx, dy, children}: the children, with the rect
+ *     cut and moved by dx, dy
+ * - textboxes: {x, y, width, height, fontSize, color, background, isStickyNote, lines}, lines
+ *   being {text, x, y} with y the baseline
+ *
+ * @param {Array<object>} events events of the whiteboard, as loaded from the storage
+ * @return {{bounds: object, background: object[], canvas: object[], textboxes: object[],
+ * images: object[]}} images lists the image nodes of all the layers
+ */
+export function buildBoardScene(events) {
+    const bounds = new Bounds();
+    const canvas = new CanvasLayer();
+    const background = [];
+    const images = [];
+    const textboxes = new Map();
+
+    for (const event of events) {
+        const d = event["d"];
+        if (!Array.isArray(d)) continue;
+        const color = event["c"] || DEFAULT_COLOR;
+        const thickness = toNumber(event["th"], DEFAULT_THICKNESS);
+        const n = (i) => toNumber(d[i]);
+
+        switch (event["t"]) {
+            case "line":
+            case "pen": {
+                const points =
+                    d.length === 4
+                        ? [
+                              [n(0), n(1)],
+                              [n(2), n(3)],
+                          ]
+                        : smoothPenSegment(d.map((value, i) => n(i)));
+                const halfThickness = thickness / 2;
+                points.forEach(([x, y]) =>
+                    bounds.add(
+                        x - halfThickness,
+                        y - halfThickness,
+                        x + halfThickness,
+                        y + halfThickness
+                    )
+                );
+                canvas.drawStroke(points, color, thickness);
+                break;
+            }
+            case "rect":
+                bounds.add(n(0) - thickness, n(1) - thickness, n(2) + thickness, n(3) + thickness);
+                canvas.draw({
+                    type: "rect",
+                    ...rect(n(0), n(1), n(2) - n(0), n(3) - n(1)),
+                    color,
+                    thickness,
+                });
+                break;
+            case "circle": {
+                const r = Math.abs(n(2));
+                const radius = r + thickness / 2;
+                bounds.add(n(0) - radius, n(1) - radius, n(0) + radius, n(1) + radius);
+                canvas.draw({ type: "circle", cx: n(0), cy: n(1), r, color, thickness });
+                break;
+            }
+            case "eraser": {
+                const points = [
+                    [n(0), n(1)],
+                    [n(2), n(3)],
+                ];
+                canvas.erase({ type: "stroke", points, thickness: thickness * 2 });
+                break;
+            }
+            case "eraseRec":
+                canvas.erase({ type: "rect", ...rect(n(0), n(1), n(2), n(3)) });
+                break;
+            case "recSelect":
+                bounds.add(n(2), n(3), n(2) + n(4), n(3) + n(5));
+                canvas.move(n(0), n(1), n(2), n(3), n(4), n(5));
+                break;
+            case "addImgBG": {
+                const [width, height, x, y, rotation] = [n(0), n(1), n(2), n(3), n(4)];
+                // rotated around its center, covered by the circle around it
+                const radius = rotation ? Math.hypot(width, height) / 2 : 0;
+                const [cx, cy] = [x + width / 2, y + height / 2];
+                bounds.add(
+                    Math.min(x, cx - radius),
+                    Math.min(y, cy - radius),
+                    Math.max(x + width, cx + radius),
+                    Math.max(y + height, cy + radius)
+                );
+                const url = String(event["url"] || "");
+                const image = { type: "image", url, x, y, width, height, rotation };
+                images.push(image);
+                if (event["draw"] == "1") {
+                    canvas.draw(image);
+                } else {
+                    background.push(image);
+                }
+                break;
+            }
+            case "addTextBox":
+                textboxes.set(d[5], {
+                    color: d[0] || DEFAULT_COLOR,
+                    background: d[1],
+                    fontSize: toNumber(d[2], 1),
+                    left: n(3),
+                    top: n(4),
+                    isStickyNote: d[6] === true || d[6] === "true",
+                    lines: [],
+                });
+                break;
+            case "removeTextbox":
+                textboxes.delete(d[0]);
+                break;
+            default: {
+                const textbox = textboxes.get(d[0]);
+                if (!textbox) break;
+                if (event["t"] === "setTextboxText") {
+                    textbox.lines = textboxLines(Buffer.from(String(d[1]), "base64").toString());
+                } else if (event["t"] === "setTextboxPosition") {
+                    [textbox.top, textbox.left] = [n(1), n(2)];
+                } else if (event["t"] === "setTextboxFontSize") {
+                    textbox.fontSize = toNumber(d[1], textbox.fontSize);
+                } else if (event["t"] === "setTextboxFontColor") {
+                    textbox.color = d[1];
+                } else if (event["t"] === "setTextboxBackgroundColor") {
+                    textbox.background = d[1];
+                }
+            }
+        }
+    }
+    canvas.applyErasers();
+
+    const textboxNodes = [...textboxes.values()].map((textbox) => {
+        const { left: x, top: y, lines, isStickyNote } = textbox;
+        const fontSize = textbox.fontSize * EM;
+        const lineHeight = LINE_HEIGHT * fontSize;
+        const longestLine = Math.max(0, ...lines.map((line) => line.length));
+        const width = isStickyNote
+            ? STICKY_NOTE_SIZE
+            : Math.max(TEXTBOX_MIN_WIDTH, longestLine * CHAR_WIDTH * fontSize);
+        const height = isStickyNote ? STICKY_NOTE_SIZE : Math.max(1, lines.length) * lineHeight;
+        const shadow = isStickyNote ? STICKY_NOTE_SHADOW : 0;
+        bounds.add(x, y, x + width + shadow, y + height + shadow);
+        return {
+            x,
+            y,
+            width,
+            height,
+            fontSize,
+            color: textbox.color,
+            background: textbox.background !== "transparent" ? textbox.background : null,
+            isStickyNote,
+            lines: lines.map((text, i) => ({
+                text,
+                x,
+                // baseline, above the descenders
+                y: y + (i + 1) * lineHeight - 0.3 * fontSize,
+            })),
+        };
+    });
+
+    return {
+        bounds: bounds.toRect(),
+        background,
+        canvas: canvas.nodes,
+        textboxes: textboxNodes,
+        images,
+    };
+}
+
+/**
+ * Get a function reading the images uploaded to this server
+ *
+ * @param {string} uploadsFolder folder with one sub folder of images per read-only id
+ * @return {function(string): Promise<Buffer|null>} gives the content of the image of a url,
+ * null if it wasn't uploaded to this server (anymore)
+ */
+export function readUploadedImages(uploadsFolder) {
+    return async (url) => {
+        const uploadPath = uploadPathFromUrl(url);
+        if (!uploadPath) return null;
+        const [folder, file] = uploadPath.split("/");
+        try {
+            return await fs.promises.readFile(
+                getSafeFilePath(getSafeFilePath(uploadsFolder, folder), file)
+            );
+        } catch (err) {
+            return null;
+        }
+    };
+}
@@ -0,0 +1,58 @@
+import { buildBoardScene, textboxLines } from "./BoardScene";
+
+test("Erasers and moves apply to what was drawn before them", () => {
+    const { canvas } = buildBoardScene([
+        { t: "rect", d: [0, 0, 100, 100], c: "red", th: 2 },
+        { t: "eraser", d: [0, 0, 50, 50], th: 5 },
+        { t: "eraseRec", d: [60, 60, -10, -10] },
+        { t: "circle", d: [50, 50, 20] },
+        { t: "recSelect", d: [0, 0, 200, 200, 30, 30] },
+        { t: "pen", d: [0, 0, 1, 1, 2, 2, 3, 3] },
+    ]);
+
+    expect(canvas.map((node) => node.type)).toEqual(["moved", "stroke"]);
+    const [moved] = canvas;
+    expect(moved).toMatchObject({ x: 0, y: 0, width: 30, height: 30, dx: 200, dy: 200 });
+    expect(moved.children.map((node) => node.type)).toEqual(["erased", "circle"]);
+    const [erased] = moved.children;
+    expect(erased.erasers).toEqual([
+        {
+            type: "stroke",
+            points: [
+                [0, 0],
+                [50, 50],
+            ],
+            thickness: 10,
+        },
+        { type: "rect", x: 50, y: 50, width: 10, height: 10 },
+    ]);
+    expect(erased.children).toEqual([
+        { type: "rect", x: 0, y: 0, width: 100, height: 100, color: "red", thickness: 2 },
+    ]);
+});
+
+test("Textboxes have their last state and removed ones are dropped", () => {
+    const text = Buffer.from("first<div>second</div>").toString("base64");
+    const { textboxes, bounds } = buildBoardScene([
+        { t: "addTextBox", d: ["#000", "transparent", 1, 0, 0, "tx1", false] },
+        { t: "setTextboxText", d: ["tx1", text] },
+        { t: "setTextboxPosition", d: ["tx1", 30, 40] },
+        { t: "setTextboxFontColor", d: ["tx1", "red"] },
+        { t: "addTextBox", d: ["#000", "yellow", 1, 500, 500, "tx2", true] },
+        { t: "removeTextbox", d: ["tx2"] },
+    ]);
+
+    expect(textboxes).toHaveLength(1);
+    expect(textboxes[0]).toMatchObject({ x: 40, y: 30, color: "red", background: null });
+    expect(textboxes[0].lines.map((line) => line.text)).toEqual(["first", "second"]);
+    expect(bounds.x + bounds.width).toBeLessThan(500);
+});
+
+test("The lines of a textbox are read from its html", () => {
+    expect(textboxLines("first<div>second</div><div><br></div><div>&amp;&nbsp;x</div>")).toEqual([
+        "first",
+        "second",
+        "",
+        "& x",
+    ]);
+});
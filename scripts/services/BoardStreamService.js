@@ -0,0 +1,249 @@
+import { isPersistedTool } from "../../src/js/shared/tools.js";
+
+/**
+ * Write a Server-Sent Event
+ *
+ * @param {import("http").ServerResponse} res
+ * @param {string} event
+ * @param {object} data
+ * @param {string} [id] "<generation>:<position in the stored events after this event>", omitted
+ * if it is unchanged
+ */
+function writeEvent(res, event, data, id) {
+    const idLine = id === undefined ? "" : `id: ${id}\n`;
+    res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Remove what only the server may know from an event: the editable id of the whiteboard
+ * (streams of read-only ids get the same events) and the access token
+ *
+ * @param {object} event
+ * @return {object}
+ */
+function publicEvent(event) {
+    const copy = { ...event };
+    delete copy["wid"];
+    delete copy["at"];
+    return copy;
+}
+
+/**
+ * Streams the changes of whiteboards to HTTP clients as Server-Sent Events
+ *
+ * A stream first replays the stored events of the whiteboard from an offset, then sends the events
+ * drawn afterwards, once they are stored, as "drawToWhiteboard" events (the same as the websocket).
+ * The id of an event is the number of stored events after it, prefixed by the generation of the
+ * whiteboard: clients reconnecting with Last-Event-ID (or offset) resume where they stopped.
+ *
+ * The positions of the stored events only hold until they are replaced other than by appending
+ * (undo, clear, restore, superseded textbox changes dropped, compaction): the whiteboard then
+ * gets a new generation. The streams renumber their next ids, the clients having the same
+ * whiteboard as the storage, or replay it after a "reload" event when the positions can't be
+ * told; clients resuming with the id of another generation get the whole whiteboard after a
+ * "reload" event.
+ */
+export default class BoardStreamService {
+    /**
+     * @param {object} options
+     * @param {import("./StorageProvider.js").default} options.storage
+     * @param {number} [options.keepAliveInterval] interval between the comments keeping idle
+     * connections open through proxies (in seconds)
+     */
+    constructor({ storage, keepAliveInterval = 30 }) {
+        this.storage = storage;
+        this.keepAliveInterval = keepAliveInterval;
+        this.streams = new Map(); // Set of streams by wid
+        this.timer = null;
+        // ids sent by another process (or node) are never resumed
+        this.epoch = Date.now().toString(36);
+        this.generations = new Map(); // number of replacements of the stored events, by wid
+        storage.onEventsReplaced((wid) => this.replaced(wid));
+    }
+
+    /**
+     * @param {string} wid editable id of the whiteboard
+     * @return {string} generation of the positions of its stored events
+     */
+    generation(wid) {
+        return `${this.epoch}.${this.generations.get(wid) || 0}`;
+    }
+
+    /**
+     * Start a new generation of a whiteboard, after its stored events were replaced
+     *
+     * @param {string} wid editable id of the whiteboard
+     */
+    replaced(wid) {
+        this.generations.set(wid, (this.generations.get(wid) || 0) + 1);
+    }
+
+    /**
+     * Get the number of stored events a reconnecting client has
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} lastEventId id of the last event the client received
+     * @return {number|null} null if the id is of another generation (or invalid)
+     */
+    resumeOffset(wid, lastEventId) {
+        const match = /^(.+):(\d+)$/.exec(lastEventId);
+        return match && match[1] === this.generation(wid) ? parseInt(match[2]) : null;
+    }
+
+    /**
+     * Send the keep-alive comments
+     */
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.streams.forEach((streams) =>
+                    streams.forEach(({ res }) => res.write(": keep-alive\n\n"))
+                );
+            }, this.keepAliveInterval * 1000);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Close all the streams
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.streams.forEach((streams) => streams.forEach(({ res }) => res.end()));
+        this.streams.clear();
+    }
+
+    /**
+     * Stream the changes of a whiteboard to a client, until it disconnects
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {number|null} offset number of stored events the client already has, null if the
+     * client has to reload the whole whiteboard (see resumeOffset)
+     * @param {import("http").ServerResponse} res
+     */
+    async open(wid, offset, res) {
+        const events = await this.storage.load(wid);
+        const generation = this.generation(wid);
+
+        // no await from here: the events stored after the load are all sent as live events
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no", // nginx
+        });
+        const stream = { res, position: events.length, generation, queue: Promise.resolve() };
+        if (!this.streams.has(wid)) this.streams.set(wid, new Set());
+        this.streams.get(wid).add(stream);
+        res.on("close", () => {
+            const streams = this.streams.get(wid);
+            if (!streams) return;
+            streams.delete(stream);
+            if (streams.size === 0) this.streams.delete(wid);
+        });
+
+        if (offset === null || offset > events.length) {
+            writeEvent(res, "reload", {}, `${generation}:0`);
+            offset = 0;
+        }
+        events.slice(offset).forEach((event, i) => {
+            writeEvent(
+                res,
+                "drawToWhiteboard",
+                publicEvent(event),
+                `${generation}:${offset + i + 1}`
+            );
+        });
+    }
+
+    /**
+     * Send an event to the streams of its whiteboard; call it once the event is stored
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {object} event
+     */
+    publish(wid, event) {
+        const tool = event["t"];
+        if (tool === "clear" || tool === "undo" || tool === "redo") this.replaced(wid);
+
+        this.enqueue(wid, async (stream) => {
+            let position;
+            if (tool === "clear") {
+                position = 0;
+            } else if (tool === "undo" || tool === "redo") {
+                position = (await this.storage.load(wid)).length;
+            } else if (isPersistedTool(tool)) {
+                const count = (await this.storage.load(wid)).length;
+                if (stream.generation === this.generation(wid) && count > stream.position) {
+                    // the next events of a batch may already be stored
+                    position = stream.position + 1;
+                } else if (count === stream.position) {
+                    // it replaced a previous event (e.g. the text of a textbox), maybe stored by
+                    // another node: the client still has the same whiteboard as the storage
+                    if (stream.generation === this.generation(wid)) this.replaced(wid);
+                    position = count;
+                } else {
+                    // the positions can't be told anymore (e.g. compacted meanwhile)
+                    await this.replay(stream, wid);
+                    return;
+                }
+            }
+            let id;
+            if (position !== undefined) {
+                stream.position = position;
+                stream.generation = this.generation(wid);
+                id = `${stream.generation}:${position}`;
+            }
+            writeEvent(stream.res, "drawToWhiteboard", publicEvent(event), id);
+        });
+    }
+
+    /**
+     * Replay the whole whiteboard to its streams, after its stored events were replaced
+     *
+     * @param {string} wid editable id of the whiteboard
+     */
+    reload(wid) {
+        this.replaced(wid);
+        this.enqueue(wid, (stream) => this.replay(stream, wid));
+    }
+
+    /**
+     * Send a "reload" event and the whole whiteboard to a stream
+     *
+     * @param {object} stream
+     * @param {string} wid editable id of the whiteboard
+     */
+    async replay(stream, wid) {
+        const events = await this.storage.load(wid);
+        const generation = this.generation(wid);
+        writeEvent(stream.res, "reload", {}, `${generation}:0`);
+        events.forEach((event, i) => {
+            writeEvent(
+                stream.res,
+                "drawToWhiteboard",
+                publicEvent(event),
+                `${generation}:${i + 1}`
+            );
+        });
+        stream.position = events.length;
+        stream.generation = generation;
+    }
+
+    /**
+     * Run a task for every stream of a whiteboard, after the tasks already queued for the stream
+     *
+     * @param {string} wid
+     * @param {function(object): Promise<void>} task
+     */
+    enqueue(wid, task) {
+        const streams = this.streams.get(wid);
+        if (!streams) return;
+        for (const stream of streams) {
+            stream.queue = stream.queue
+                .then(() => task(stream))
+                .catch((err) => console.log("Could not stream an event of", wid, err.message));
+        }
+    }
+}
@@ -0,0 +1,193 @@
+import BoardStreamService from "./BoardStreamService";
+
+/**
+ * Response collecting the Server-Sent Events written to it
+ */
+function createResponse() {
+    const listeners = {};
+    const res = {
+        chunks: [],
+        ended: false,
+        writeHead(status, headers) {
+            res.status = status;
+            res.headers = headers;
+        },
+        write(chunk) {
+            res.chunks.push(chunk);
+        },
+        end() {
+            res.ended = true;
+        },
+        on(name, listener) {
+            listeners[name] = listener;
+        },
+        close() {
+            listeners["close"]();
+        },
+        events() {
+            return res.chunks
+                .filter((chunk) => !chunk.startsWith(":"))
+                .map((chunk) => {
+                    const fields = Object.fromEntries(
+                        chunk
+                            .trim()
+                            .split("\n")
+                            .map((line) => line.split(/: (.*)/s).slice(0, 2))
+                    );
+                    return { ...fields, data: JSON.parse(fields.data) };
+                });
+        },
+    };
+    return res;
+}
+
+function createService(boards) {
+    const storage = {
+        async load(wid) {
+            return boards[wid] || [];
+        },
+        onEventsReplaced(listener) {
+            storage.eventsReplaced = listener;
+        },
+    };
+    const service = new BoardStreamService({ storage });
+    // id of an event of the current generation of a whiteboard
+    const id = (position, wid = "wid") => `${service.generation(wid)}:${position}`;
+    return { service, storage, id };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("Streams replay the stored events from an offset", async () => {
+    const { service, id } = createService({
+        wid: [{ t: "line", at: "secret" }, { t: "rect" }, { t: "circle" }],
+    });
+    const res = createResponse();
+
+    await service.open("wid", service.resumeOffset("wid", id(1)), res);
+    expect(res.status).toBe(200);
+    expect(res.headers["Content-Type"]).toBe("text/event-stream");
+    expect(res.events()).toEqual([
+        { id: id(2), event: "drawToWhiteboard", data: { t: "rect" } },
+        { id: id(3), event: "drawToWhiteboard", data: { t: "circle" } },
+    ]);
+
+    const fromStart = createResponse();
+    await service.open("wid", 0, fromStart);
+    // the access token is not streamed
+    expect(fromStart.events()[0].data).toEqual({ t: "line" });
+});
+
+test("Streams send the new events with their position", async () => {
+    const board = [{ t: "line" }];
+    const { service, id } = createService({ wid: board });
+    const res = createResponse();
+    await service.open("wid", 1, res);
+
+    board.push({ t: "rect" });
+    service.publish("wid", { t: "rect", wid: "wid", at: "secret" });
+    service.publish("wid", { t: "cursor", wid: "wid" });
+    await flush();
+    const rectId = id(2);
+    board.pop();
+    service.publish("wid", { t: "undo", wid: "wid" });
+    await flush();
+    const undoId = id(1);
+    board.pop();
+    service.publish("wid", { t: "clear", wid: "wid" });
+    service.publish("other", { t: "line", wid: "other" });
+    await flush();
+
+    expect(res.events()).toEqual([
+        { id: rectId, event: "drawToWhiteboard", data: { t: "rect" } },
+        // not stored: the position doesn't change
+        { event: "drawToWhiteboard", data: { t: "cursor" } },
+        // new generations: the positions changed
+        { id: undoId, event: "drawToWhiteboard", data: { t: "undo" } },
+        { id: id(0), event: "drawToWhiteboard", data: { t: "clear" } },
+    ]);
+    expect(new Set([rectId, undoId, id(0)]).size).toBe(3);
+    // the events before the undo may have moved
+    expect(service.resumeOffset("wid", rectId)).toBe(null);
+
+    res.close();
+    service.publish("wid", { t: "line", wid: "wid" });
+    await flush();
+    expect(res.events()).toHaveLength(4);
+    expect(service.streams.size).toBe(0);
+});
+
+test("Streams replay the whole whiteboard when it is reloaded", async () => {
+    const boards = { wid: [{ t: "line" }] };
+    const { service, id } = createService(boards);
+    const res = createResponse();
+    await service.open("wid", 1, res);
+
+    boards.wid = [{ t: "rect" }, { t: "circle" }];
+    service.reload("wid");
+    await flush();
+    boards.wid.push({ t: "line" });
+    service.publish("wid", { t: "line", wid: "wid" });
+    await flush();
+
+    expect(res.events()).toEqual([
+        { id: id(0), event: "reload", data: {} },
+        { id: id(1), event: "drawToWhiteboard", data: { t: "rect" } },
+        { id: id(2), event: "drawToWhiteboard", data: { t: "circle" } },
+        { id: id(3), event: "drawToWhiteboard", data: { t: "line" } },
+    ]);
+
+    service.stop();
+    expect(res.ended).toBe(true);
+});
+
+test("Streams renumber the events after a previous one was replaced", async () => {
+    const board = [{ t: "addTextBox" }, { t: "setTextboxText", d: ["tb", "a"] }, { t: "line" }];
+    const { service, storage, id } = createService({ wid: board });
+    const res = createResponse();
+    await service.open("wid", 3, res);
+    const oldId = id(3);
+
+    // the storage drops the previous text of the textbox
+    board.splice(1, 1);
+    storage.eventsReplaced("wid");
+    board.push({ t: "setTextboxText", d: ["tb", "b"] });
+    service.publish("wid", { t: "setTextboxText", d: ["tb", "b"], wid: "wid" });
+    await flush();
+
+    expect(res.events()).toEqual([
+        { id: id(3), event: "drawToWhiteboard", data: { t: "setTextboxText", d: ["tb", "b"] } },
+    ]);
+    expect(id(3)).not.toBe(oldId);
+    expect(service.resumeOffset("wid", id(3))).toBe(3);
+
+    // a client which missed it replays the whole whiteboard
+    const resumed = createResponse();
+    await service.open("wid", service.resumeOffset("wid", oldId), resumed);
+    expect(resumed.events().map((event) => event.event)).toEqual([
+        "reload",
+        "drawToWhiteboard",
+        "drawToWhiteboard",
+        "drawToWhiteboard",
+    ]);
+    expect(service.resumeOffset("wid", "3")).toBe(null);
+});
+
+test("Streams replay the whiteboard when it was compacted meanwhile", async () => {
+    const board = [{ t: "line" }, { t: "rect" }, { t: "circle" }];
+    const { service, storage, id } = createService({ wid: board });
+    const res = createResponse();
+    await service.open("wid", 3, res);
+
+    board.splice(0, 2);
+    storage.eventsReplaced("wid");
+    board.push({ t: "line" });
+    service.publish("wid", { t: "line", wid: "wid" });
+    await flush();
+
+    expect(res.events()).toEqual([
+        { id: id(0), event: "reload", data: {} },
+        { id: id(1), event: "drawToWhiteboard", data: { t: "circle" } },
+        { id: id(2), event: "drawToWhiteboard", data: { t: "line" } },
+    ]);
+});
@@ -0,0 +1,65 @@
+import { REPLACING_TOOLS } from "../../src/js/shared/tools.js";
+
+/**
+ * Get the id of the textbox an event applies to
+ *
+ * @param {object} event
+ * @return {string|null} null for the events of the other tools
+ */
+function textboxIdOf(event) {
+    const data = event["d"];
+    if (!Array.isArray(data)) return null;
+    if (event["t"] === "addTextBox") return data[5];
+    if (event["t"] === "removeTextbox" || REPLACING_TOOLS.includes(event["t"])) return data[0];
+    return null;
+}
+
+/**
+ * Find the events of a whiteboard that don't change what it shows anymore:
+ * - the events of the textboxes that were removed, removeTextbox included
+ * - the setTextbox* events followed by another one of the same kind for the same textbox
+ *
+ * @param {Array<object>} events events of the whiteboard, in order
+ * @return {Set<number>} indexes of the superseded events
+ */
+export function findSupersededEvents(events) {
+    const removedTextboxes = new Set();
+    const lastReplacingEvent = new Map();
+    events.forEach((event, index) => {
+        const textboxId = textboxIdOf(event);
+        if (textboxId === null) return;
+        if (event["t"] === "removeTextbox") {
+            removedTextboxes.add(textboxId);
+        } else if (REPLACING_TOOLS.includes(event["t"])) {
+            lastReplacingEvent.set(`${event["t"]}:${textboxId}`, index);
+        }
+    });
+
+    const superseded = new Set();
+    events.forEach((event, index) => {
+        const textboxId = textboxIdOf(event);
+        if (textboxId === null) return;
+        if (
+            removedTextboxes.has(textboxId) ||
+            (REPLACING_TOOLS.includes(event["t"]) &&
+                lastReplacingEvent.get(`${event["t"]}:${textboxId}`) !== index)
+        ) {
+            superseded.add(index);
+        }
+    });
+    return superseded;
+}
+
+/**
+ * Fold the edits of every textbox into its final state and drop the removed textboxes
+ *
+ * The whiteboard looks the same once loaded, with fewer events to store and to draw.
+ *
+ * @param {Array<object>} events events of the whiteboard, in order
+ * @return {Array<object>} the remaining events, in order
+ */
+export function compactEvents(events) {
+    const superseded = findSupersededEvents(events);
+    if (superseded.size === 0) return events;
+    return events.filter((event, index) => !superseded.has(index));
+}
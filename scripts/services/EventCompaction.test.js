@@ -0,0 +1,34 @@
+import { compactEvents } from "./EventCompaction";
+
+const addTextBox = (id) => ({ t: "addTextBox", d: ["#000", "#fff", 10, 0, 0, id, false] });
+
+test("Textbox edits are folded into their final state", () => {
+    const events = [
+        addTextBox("tx1"),
+        { t: "setTextboxPosition", d: ["tx1", 10, 10] },
+        { t: "rect", d: [1, 2, 3, 4] },
+        { t: "setTextboxFontColor", d: ["tx1", "red"] },
+        { t: "setTextboxPosition", d: ["tx1", 20, 20] },
+        { t: "setTextboxFontColor", d: ["tx1", "blue"] },
+        { t: "setTextboxText", d: ["tx1", "YQ=="] },
+    ];
+
+    expect(compactEvents(events)).toEqual([events[0], events[2], events[4], events[5], events[6]]);
+});
+
+test("Removed textboxes are dropped", () => {
+    const events = [
+        addTextBox("tx1"),
+        addTextBox("tx2"),
+        { t: "setTextboxText", d: ["tx1", "YQ=="] },
+        { t: "setTextboxPosition", d: ["tx2", 20, 20] },
+        { t: "removeTextbox", d: ["tx1"] },
+    ];
+
+    expect(compactEvents(events)).toEqual([events[1], events[3]]);
+});
+
+test("Whiteboards without superseded events are kept as they are", () => {
+    const events = [{ t: "pen", d: [1, 2, 3, 4] }, addTextBox("tx1"), { t: "undo" }];
+    expect(compactEvents(events)).toBe(events);
+});
@@ -0,0 +1,89 @@
+import {
+    MAX_UNDO_STACK_SIZE,
+    moveLastDrawingOfUser,
+    removePreviousTextboxText,
+} from "./StorageProvider.js";
+
+/**
+ * Operations stored in the journal of a whiteboard
+ *
+ * Instead of rewriting the whole board on every change, the storage providers append one entry
+ * per change to the journal of the board, and compact the journal into a snapshot of the board
+ * ({events, undos}) in the background.
+ */
+export const JOURNAL_OPS = {
+    APPEND: "append",
+    // several events appended at once, replayed all or not at all
+    APPEND_ALL: "appendAll",
+    UNDO: "undo",
+    REDO: "redo",
+};
+
+/**
+ * Create the state of a whiteboard, as stored in a snapshot
+ *
+ * @param {Array<object>} [events] drawing events of the board
+ * @param {Array<object>} [undos] undo stack of the board
+ * @return {{events: Array<object>, undos: Array<object>}}
+ */
+export function createBoardState(events = [], undos = []) {
+    return { events, undos };
+}
+
+/**
+ * Apply a journal entry to the state of a whiteboard
+ *
+ * @param {{events: Array<object>, undos: Array<object>}} board state, modified in place
+ * @param {{op: string, event?: object, events?: Array<object>, username?: string}} entry
+ * @return {boolean} true if stored events were replaced (see StorageProvider.onEventsReplaced)
+ */
+export function applyJournalEntry(board, entry) {
+    let replaced = false;
+    switch (entry.op) {
+        case JOURNAL_OPS.APPEND:
+            replaced = appendEvent(board, entry.event);
+            break;
+        case JOURNAL_OPS.APPEND_ALL:
+            entry.events.forEach((event) => (replaced = appendEvent(board, event) || replaced));
+            break;
+        case JOURNAL_OPS.UNDO:
+            moveLastDrawingOfUser(board.events, board.undos, entry.username);
+            if (board.undos.length > MAX_UNDO_STACK_SIZE) {
+                board.undos.splice(0, board.undos.length - MAX_UNDO_STACK_SIZE);
+            }
+            break;
+        case JOURNAL_OPS.REDO:
+            moveLastDrawingOfUser(board.undos, board.events, entry.username);
+            break;
+        default:
+            console.warn("Ignoring unknown journal entry:", entry.op);
+    }
+    return replaced;
+}
+
+/**
+ * @param {{events: Array<object>, undos: Array<object>}} board state, modified in place
+ * @param {object} event
+ * @return {boolean} true if previous events were removed
+ */
+function appendEvent(board, event) {
+    let replaced = false;
+    if (event["t"] === "setTextboxText") {
+        //Remove old textbox text -> dont store it twice
+        replaced = removePreviousTextboxText(board.events, event);
+    }
+    board.events.push(event);
+    return replaced;
+}
+
+/**
+ * Apply a list of journal entries to the state of a whiteboard
+ *
+ * @param {{events: Array<object>, undos: Array<object>}} board state, modified in place
+ * @param {Array<object>} entries
+ * @return {{events: Array<object>, undos: Array<object>}} the board state
+ */
+export function replayJournal(board, entries) {
+    entries.forEach((entry) => applyJournalEntry(board, entry));
+    return board;
+}
@@ -0,0 +1,196 @@
+import Ajv from "ajv/dist/2020.js";
+
+import { isPersistedTool } from "../../src/js/shared/tools.js";
+
+/**
+ * Largest coordinate, size or thickness accepted in an event
+ * @type {number}
+ */
+export const MAX_COORDINATE = 1000000;
+
+/**
+ * Longest base64 text of a textbox
+ * @type {number}
+ */
+export const MAX_TEXT_LENGTH = 100000;
+
+/**
+ * Most events accepted in one batch
+ * @type {number}
+ */
+export const MAX_BATCH_SIZE = 1000;
+
+const number = { type: "number", minimum: -MAX_COORDINATE, maximum: MAX_COORDINATE };
+const positiveNumber = { type: "number", minimum: 0, maximum: MAX_COORDINATE };
+// thicknesses and font sizes are sent as strings when they come from the slider
+const size = {
+    anyOf: [positiveNumber, { type: "string", pattern: "^[0-9]{1,6}(\\.[0-9]+)?$", maxLength: 20 }],
+};
+const color = { type: "string", maxLength: 100 };
+const textboxId = { type: "string", minLength: 1, maxLength: 100 };
+
+/**
+ * Schema of the data (d) of an event: a list of items
+ * @param {Array<object>} items schema of every item
+ * @param {number} [minItems] for optional trailing items
+ * @return {object}
+ */
+function data(items, minItems = items.length) {
+    return { type: "array", prefixItems: items, minItems, maxItems: items.length };
+}
+
+/**
+ * Schema of a list of coordinates
+ * @param {number} minItems
+ * @param {number} maxItems
+ * @return {object}
+ */
+function coordinates(minItems, maxItems) {
+    return { type: "array", items: number, minItems, maxItems };
+}
+
+/**
+ * Properties of the events of every tool, besides the common ones
+ * @type {Object<string, {properties?: object, required?: string[]}>}
+ */
+export const TOOL_SCHEMAS = {
+    line: { properties: { d: coordinates(4, 4), c: color, th: size }, required: ["d"] },
+    // the pen sends the last points of the smoothed line
+    pen: { properties: { d: coordinates(4, 8), c: color, th: size }, required: ["d"] },
+    rect: { properties: { d: coordinates(4, 4), c: color, th: size }, required: ["d"] },
+    circle: {
+        properties: { d: data([number, number, positiveNumber]), c: color, th: size },
+        required: ["d"],
+    },
+    eraser: { properties: { d: coordinates(4, 4), th: size }, required: ["d"] },
+    eraseRec: { properties: { d: coordinates(4, 4) }, required: ["d"] },
+    recSelect: { properties: { d: coordinates(6, 6) }, required: ["d"] },
+    addImgBG: {
+        properties: {
+            d: data([positiveNumber, positiveNumber, number, number, number]),
+            url: { type: "string", minLength: 1, maxLength: 2048 },
+            draw: { enum: [0, 1, "0", "1"] },
+        },
+        required: ["d", "url"],
+    },
+    addTextBox: {
+        // [font color, background color, font size, left, top, textbox id, is a sticky note]
+        properties: {
+            d: data([color, color, size, number, number, textboxId, { type: "boolean" }], 6),
+        },
+        required: ["d"],
+    },
+    setTextboxText: {
+        properties: { d: data([textboxId, { type: "string", maxLength: MAX_TEXT_LENGTH }]) },
+        required: ["d"],
+    },
+    removeTextbox: { properties: { d: data([textboxId]) }, required: ["d"] },
+    setTextboxPosition: {
+        // [textbox id, top, left]
+        properties: { d: data([textboxId, number, number]) },
+        required: ["d"],
+    },
+    setTextboxFontSize: { properties: { d: data([textboxId, size]) }, required: ["d"] },
+    setTextboxFontColor: { properties: { d: data([textboxId, color]) }, required: ["d"] },
+    setTextboxBackgroundColor: { properties: { d: data([textboxId, color]) }, required: ["d"] },
+    cursor: {
+        properties: { event: { enum: ["move", "out"] }, d: coordinates(2, 2) },
+        required: ["event"],
+    },
+    undo: {},
+    redo: {},
+    clear: {},
+};
+
+/**
+ * Properties every event may have
+ */
+const COMMON_PROPERTIES = {
+    t: { type: "string" },
+    wid: { type: "string", maxLength: 200 },
+    username: { type: "string", maxLength: 1000 },
+    // a string when sent to the REST API
+    drawId: { type: ["number", "string"], maxLength: 100 },
+    at: { type: "string" },
+};
+
+// unknown properties are removed instead of being stored;
+// tuples may have optional trailing items (e.g. the sticky note flag of older clients)
+const ajv = new Ajv({
+    allErrors: true,
+    removeAdditional: true,
+    strictTuples: false,
+    allowUnionTypes: true,
+});
+
+const validators = Object.fromEntries(
+    Object.entries(TOOL_SCHEMAS).map(([tool, { properties = {}, required = [] }]) => [
+        tool,
+        ajv.compile({
+            type: "object",
+            properties: { ...COMMON_PROPERTIES, ...properties },
+            required: ["t", ...required],
+            additionalProperties: false,
+        }),
+    ])
+);
+
+/**
+ * Check an event sent by a client against the schema of its tool
+ *
+ * Properties the schema doesn't know are removed from the event.
+ *
+ * @param {object} event
+ * @return {{valid: boolean, errors: string[]}}
+ */
+export function validateEvent(event) {
+    if (typeof event !== "object" || event === null || Array.isArray(event)) {
+        return { valid: false, errors: ["the event must be an object"] };
+    }
+    const validate = Object.hasOwn(validators, event["t"]) ? validators[event["t"]] : null;
+    if (!validate) {
+        return { valid: false, errors: [`unknown tool "${String(event["t"]).slice(0, 100)}"`] };
+    }
+    if (validate(event)) {
+        return { valid: true, errors: [] };
+    }
+    return {
+        valid: false,
+        errors: validate.errors.map((error) => `${error.instancePath || "event"} ${error.message}`),
+    };
+}
+
+/**
+ * Check a batch of drawing events sent to the REST API
+ *
+ * Only the events of persisted tools can be sent in a batch (no undo, clear...).
+ * Their "at" is removed, like the unknown properties: the access token of a batch is the one of
+ * the request, it must not be stored nor broadcast with the events.
+ * The errors are prefixed by the index of their event.
+ *
+ * @param {Array<object>} events
+ * @param {number} [maxSize] most events accepted, e.g. less than MAX_BATCH_SIZE if a rate limit
+ * could never let more through
+ * @return {{valid: boolean, errors: string[]}}
+ */
+export function validateEventBatch(events, maxSize = MAX_BATCH_SIZE) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return { valid: false, errors: ["the events must be a non-empty array"] };
+    }
+    if (events.length > maxSize) {
+        return { valid: false, errors: [`a batch has at most ${maxSize} events`] };
+    }
+
+    const errors = [];
+    events.forEach((event, index) => {
+        const result = validateEvent(event);
+        if (result.valid && !isPersistedTool(event["t"])) {
+            result.errors.push(`tool "${event["t"]}" can't be sent in a batch`);
+        }
+        if (result.valid) {
+            delete event["at"];
+        }
+        errors.push(...result.errors.map((error) => `[${index}] ${error}`));
+    });
+    return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,79 @@
+import { TOOLS } from "../../src/js/shared/tools";
+import {
+    MAX_BATCH_SIZE,
+    MAX_TEXT_LENGTH,
+    TOOL_SCHEMAS,
+    validateEvent,
+    validateEventBatch,
+} from "./EventValidator";
+
+test("Events sent by the whiteboard are valid", () => {
+    const events = [
+        { t: "pen", d: [1, 2, 3, 4, 5, 6, 7, 8], c: "#000000", th: "4" },
+        { t: "rect", d: [1, 2, -3, 4.5], c: "#000000", th: 4 },
+        { t: "circle", d: [10, 20, 5], c: "#000000", th: 4 },
+        { t: "recSelect", d: [1, 2, 3, 4, 5, 6] },
+        { t: "addImgBG", draw: "1", url: "http://host/uploads/ro/ro_1.png", d: [10, 10, 0, 0, 0] },
+        { t: "addTextBox", d: ["#000000", "transparent", 10, 1, 2, "tx1", true] },
+        { t: "setTextboxText", d: ["tx1", "PGRpdj5hPC9kaXY+"] },
+        { t: "setTextboxPosition", d: ["tx1", 10, 20] },
+        { t: "cursor", event: "out", username: "dXNlcg==" },
+        { t: "clear" },
+    ];
+    events.forEach((event) => {
+        const content = { ...event, wid: "wid", username: "dXNlcg==", drawId: 3, at: "" };
+        expect(validateEvent(content)).toEqual({ valid: true, errors: [] });
+    });
+});
+
+test("Malformed events are rejected", () => {
+    expect(validateEvent({ t: "rect", d: [1, 2, 3] }).valid).toBe(false);
+    expect(validateEvent({ t: "rect", d: [1, 2, 3, "4"] }).valid).toBe(false);
+    expect(validateEvent({ t: "rect", d: [1, 2, 3, 1e12] }).valid).toBe(false);
+    expect(validateEvent({ t: "addTextBox", d: ["#000000"] }).valid).toBe(false);
+    expect(
+        validateEvent({ t: "setTextboxText", d: ["tx1", "a".repeat(MAX_TEXT_LENGTH + 1)] }).valid
+    ).toBe(false);
+    expect(validateEvent({ t: "unknownTool" }).errors).toEqual(['unknown tool "unknownTool"']);
+    expect(validateEvent("rect").valid).toBe(false);
+});
+
+test("Unknown properties are removed", () => {
+    const event = { t: "undo", wid: "wid", injected: "<img>" };
+    expect(validateEvent(event).valid).toBe(true);
+    expect(event).toEqual({ t: "undo", wid: "wid" });
+});
+
+test("Every tool has a schema", () => {
+    expect(Object.keys(TOOL_SCHEMAS).sort()).toEqual(Object.keys(TOOLS).sort());
+});
+
+test("Batches only contain valid drawing events", () => {
+    const rect = { t: "rect", d: [1, 2, 3, 4] };
+    expect(validateEventBatch([rect, { t: "circle", d: [1, 2, 3] }])).toEqual({
+        valid: true,
+        errors: [],
+    });
+    expect(validateEventBatch([rect, { t: "rect", d: [1] }, { t: "undo" }]).errors).toEqual([
+        "[1] /d must NOT have fewer than 4 items",
+        '[2] tool "undo" can\'t be sent in a batch',
+    ]);
+    expect(validateEventBatch([]).valid).toBe(false);
+    expect(validateEventBatch({ t: "rect" }).valid).toBe(false);
+    expect(validateEventBatch(new Array(MAX_BATCH_SIZE + 1).fill(rect)).valid).toBe(false);
+    expect(validateEventBatch([rect, rect, rect], 2).errors).toEqual([
+        "a batch has at most 2 events",
+    ]);
+});
+
+test("The events of a batch don't keep an access token", () => {
+    const events = [
+        { t: "rect", d: [1, 2, 3, 4], at: "secret" },
+        { t: "circle", d: [1, 2, 3], at: "" },
+    ];
+    expect(validateEventBatch(events).valid).toBe(true);
+    expect(events).toEqual([
+        { t: "rect", d: [1, 2, 3, 4] },
+        { t: "circle", d: [1, 2, 3] },
+    ]);
+});
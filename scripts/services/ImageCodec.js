@@ -0,0 +1,397 @@
+import zlib from "zlib";
+
+import jpeg from "jpeg-js";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// number of samples per pixel, by PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * @param {Buffer} data
+ * @return {number} CRC-32 of the data, as in PNG chunks
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read the chunks of a PNG image
+ *
+ * @param {Buffer} data
+ * @return {{width, height, bitDepth, colorType, interlaced, palette, transparency, data}|null} data
+ * is the compressed image data
+ */
+export function pngInfo(data) {
+    let info = null;
+    const chunks = [];
+    let i = 8;
+    while (i + 8 <= data.length) {
+        const length = data.readUInt32BE(i);
+        const type = data.toString("ascii", i + 4, i + 8);
+        const content = data.subarray(i + 8, i + 8 + length);
+        if (type === "IHDR") {
+            info = {
+                width: content.readUInt32BE(0),
+                height: content.readUInt32BE(4),
+                bitDepth: content[8],
+                colorType: content[9],
+                interlaced: content[12] === 1,
+                palette: null,
+                transparency: null,
+            };
+        } else if (type === "PLTE" && info) {
+            info.palette = content;
+        } else if (type === "tRNS" && info) {
+            info.transparency = content;
+        } else if (type === "IDAT") {
+            chunks.push(content);
+        } else if (type === "IEND") {
+            break;
+        }
+        i += 12 + length;
+    }
+    return info && { ...info, data: Buffer.concat(chunks) };
+}
+
+/**
+ * Undo the filters of the rows of a (decompressed) PNG image
+ *
+ * @param {Buffer} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bytesPerPixel 1 for bit depths below 8
+ * @param {number} [rowLength] bytes per row, for bit depths below 8
+ * @return {Buffer} the pixels
+ */
+export function unfilterPng(data, width, height, bytesPerPixel, rowLength = width * bytesPerPixel) {
+    const pixels = Buffer.alloc(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (rowLength + 1)];
+        const row = y * rowLength;
+        for (let x = 0; x < rowLength; x++) {
+            const raw = data[y * (rowLength + 1) + 1 + x];
+            const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[row - rowLength + x] : 0;
+            const upLeft =
+                y > 0 && x >= bytesPerPixel ? pixels[row - rowLength + x - bytesPerPixel] : 0;
+            let predictor = 0;
+            if (filter === 1) {
+                predictor = left;
+            } else if (filter === 2) {
+                predictor = up;
+            } else if (filter === 3) {
+                predictor = Math.floor((left + up) / 2);
+            } else if (filter === 4) {
+                const p = left + up - upLeft;
+                const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+                predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            pixels[row + x] = (raw + predictor) & 0xff;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * @param {Buffer} data
+ * @param {number} maxPixels
+ * @return {{width: number, height: number, data: Uint8Array}|null}
+ */
+function decodePng(data, maxPixels) {
+    const png = pngInfo(data);
+    if (!png || png.interlaced || !(png.colorType in PNG_CHANNELS)) return null;
+    const { width, height, bitDepth, colorType, palette, transparency } = png;
+    if (width * height > maxPixels) return null;
+
+    const channels = PNG_CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const rowLength = Math.ceil((width * bitsPerPixel) / 8);
+    const pixels = unfilterPng(
+        zlib.inflateSync(png.data),
+        width,
+        height,
+        Math.max(1, bitsPerPixel / 8),
+        rowLength
+    );
+
+    const maxSample = 2 ** bitDepth - 1;
+    // value of a sample, at the bit depth of the image
+    const sample = (row, index) => {
+        if (bitDepth === 16) return pixels.readUInt16BE(row + index * 2);
+        if (bitDepth === 8) return pixels[row + index];
+        const bit = index * bitDepth;
+        return (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const to8Bits = (value) => (bitDepth === 8 ? value : Math.round((value * 255) / maxSample));
+    // transparent color of the gray and RGB images
+    const transparent =
+        transparency &&
+        (colorType === 0 || colorType === 2) &&
+        Array.from({ length: transparency.length / 2 }, (_, i) => transparency.readUInt16BE(i * 2));
+
+    const rgba = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = y * rowLength;
+        for (let x = 0; x < width; x++) {
+            const samples = [];
+            for (let c = 0; c < channels; c++) {
+                samples.push(sample(row, x * channels + c));
+            }
+            let color;
+            if (colorType === 3) {
+                const index = samples[0];
+                color = palette ? [...palette.subarray(index * 3, index * 3 + 3)] : [0, 0, 0];
+                color.push(transparency && index < transparency.length ? transparency[index] : 255);
+            } else {
+                const isTransparent =
+                    transparent && transparent.every((value, i) => samples[i] === value);
+                color = samples.map(to8Bits);
+                if (channels <= 2) color.splice(1, 0, color[0], color[0]); // gray
+                if (color.length === 3) color.push(isTransparent ? 0 : 255);
+            }
+            rgba.set(color, (y * width + x) * 4);
+        }
+    }
+    return { width, height, data: rgba };
+}
+
+/**
+ * Read the orientation of a JPEG image in its EXIF data
+ *
+ * @param {Uint8Array} exif content of the APP1 segment after "Exif\0"
+ * @return {number} 1 to 8, 1 if the image isn't rotated nor flipped
+ */
+export function exifOrientation(exif) {
+    if (!exif) return 1;
+    const data = Buffer.from(exif.buffer, exif.byteOffset, exif.length);
+    const start = data[0] === 0 ? 1 : 0; // padding of the "Exif\0\0" header
+    if (data.length < start + 8) return 1;
+    const littleEndian = data.toString("ascii", start, start + 2) === "II";
+    const uint16 = (i) => (littleEndian ? data.readUInt16LE(i) : data.readUInt16BE(i));
+    const uint32 = (i) => (littleEndian ? data.readUInt32LE(i) : data.readUInt32BE(i));
+
+    const ifd = start + uint32(start + 4);
+    if (ifd + 2 > data.length) return 1;
+    for (let i = 0; i < uint16(ifd); i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > data.length) break;
+        if (uint16(entry) === 0x0112) {
+            const orientation = uint16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+}
+
+/**
+ * Rotate and flip an image as its EXIF orientation tells
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @param {number} orientation
+ * @return {{width: number, height: number, data: Uint8Array}}
+ */
+export function orientImage(image, orientation) {
+    if (orientation === 1) return image;
+    const { width: w, height: h } = image;
+    const transposed = orientation >= 5;
+    const width = transposed ? h : w;
+    const height = transposed ? w : h;
+    // position in the stored image of the pixel displayed at x, y
+    const source = {
+        2: (x, y) => [w - 1 - x, y],
+        3: (x, y) => [w - 1 - x, h - 1 - y],
+        4: (x, y) => [x, h - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, h - 1 - x],
+        7: (x, y) => [w - 1 - y, h - 1 - x],
+        8: (x, y) => [w - 1 - y, x],
+    }[orientation];
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = source(x, y);
+            const from = (sy * w + sx) * 4;
+            data.set(image.data.subarray(from, from + 4), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Decode a PNG or JPEG image, as it is displayed: JPEG images are oriented with their EXIF data
+ *
+ * @param {Buffer} data content of the image file
+ * @param {number} [maxPixels] larger images are not decoded
+ * @return {{width: number, height: number, data: Uint8Array}|null} RGBA pixels, null if the
+ * image isn't supported (interlaced PNG, other types) or is too large
+ * @throws {Error} if the image is corrupted
+ */
+export function decodeImage(data, maxPixels = 40 * 1000 * 1000) {
+    if (data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return decodePng(data, maxPixels);
+    }
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        let image;
+        try {
+            image = jpeg.decode(data, {
+                useTArray: true,
+                formatAsRGBA: true,
+                maxResolutionInMP: maxPixels / (1000 * 1000),
+                maxMemoryUsageInMB: Math.ceil((maxPixels * 8) / (1024 * 1024)),
+            });
+        } catch (err) {
+            if (/limit exceeded/.test(err.message)) return null;
+            throw err;
+        }
+        return orientImage(image, exifOrientation(image.exifBuffer));
+    }
+    return null;
+}
+
+/**
+ * For each destination pixel of a row or column, the source pixels it covers and how much
+ *
+ * @param {number} from source size
+ * @param {number} to destination size
+ * @return {Array<{start: number, weights: number[]}>}
+ */
+function boxWeights(from, to) {
+    const scale = from / to;
+    return Array.from({ length: to }, (_, i) => {
+        const begin = i * scale;
+        const end = Math.min(from, begin + scale);
+        const start = Math.floor(begin);
+        const weights = [];
+        for (let j = start; j < end; j++) {
+            weights.push((Math.min(j + 1, end) - Math.max(j, begin)) / scale);
+        }
+        return { start, weights };
+    });
+}
+
+/**
+ * Downscale an image by averaging the pixels each destination pixel covers (box filter),
+ * weighted by their alpha so transparent pixels don't darken the edges
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image RGBA pixels
+ * @param {number} width width of the result, the height keeps the aspect ratio
+ * @return {{width: number, height: number, data: Uint8Array}}
+ */
+export function resizeImage(image, width) {
+    const height = Math.max(1, Math.round((image.height * width) / image.width));
+    const columns = boxWeights(image.width, width);
+    const rows = boxWeights(image.height, height);
+
+    // horizontal pass, with premultiplied alpha
+    const horizontal = new Float32Array(width * image.height * 4);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < width; x++) {
+            const { start, weights } = columns[x];
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let a = 0;
+            weights.forEach((weight, j) => {
+                const i = (y * image.width + start + j) * 4;
+                const alpha = image.data[i + 3] * weight;
+                r += image.data[i] * alpha;
+                g += image.data[i + 1] * alpha;
+                b += image.data[i + 2] * alpha;
+                a += alpha;
+            });
+            horizontal.set([r, g, b, a], (y * width + x) * 4);
+        }
+    }
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const { start, weights } = rows[y];
+        for (let x = 0; x < width; x++) {
+            const sum = [0, 0, 0, 0];
+            weights.forEach((weight, j) => {
+                const i = ((start + j) * width + x) * 4;
+                for (let c = 0; c < 4; c++) sum[c] += horizontal[i + c] * weight;
+            });
+            const alpha = sum[3];
+            const i = (y * width + x) * 4;
+            if (alpha > 0) {
+                data[i] = Math.round(sum[0] / alpha);
+                data[i + 1] = Math.round(sum[1] / alpha);
+                data[i + 2] = Math.round(sum[2] / alpha);
+                data[i + 3] = Math.round(alpha);
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} content
+ * @return {Buffer} the PNG chunk
+ */
+function pngChunk(type, content) {
+    const chunk = Buffer.alloc(12 + content.length);
+    chunk.writeUInt32BE(content.length, 0);
+    chunk.write(type, 4, "ascii");
+    content.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + content.length)), 8 + content.length);
+    return chunk;
+}
+
+/**
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @return {Buffer} RGBA PNG image, each row filtered with Sub
+ */
+function encodePng({ width, height, data }) {
+    const rowLength = width * 4;
+    const filtered = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * rowLength;
+        const out = y * (rowLength + 1);
+        filtered[out] = 1;
+        for (let x = 0; x < rowLength; x++) {
+            const left = x >= 4 ? data[row + x - 4] : 0;
+            filtered[out + 1 + x] = (data[row + x] - left) & 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", zlib.deflateSync(filtered)),
+        pngChunk("IEND", Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Encode an image as PNG or JPEG
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image RGBA pixels
+ * @param {string} type "png" or "jpg"
+ * @param {number} [quality] of JPEG images, 1 to 100
+ * @return {Buffer}
+ */
+export function encodeImage(image, type, quality = 80) {
+    if (type === "png") return encodePng(image);
+    return Buffer.from(jpeg.encode(image, quality).data);
+}
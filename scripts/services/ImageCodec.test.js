@@ -0,0 +1,91 @@
+import zlib from "zlib";
+
+import { decodeImage, encodeImage, exifOrientation, orientImage, resizeImage } from "./ImageCodec";
+
+/**
+ * Image of a color, with a transparent right half
+ */
+function createImage(width, height, color) {
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set(i % width < width / 2 ? color : [0, 0, 0, 0], i * 4);
+    }
+    return { width, height, data };
+}
+
+/**
+ * PNG image of a palette, 2 bits per pixel
+ */
+function createPalettePng() {
+    const chunk = (type, content) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(content.length);
+        // decoders don't check the CRC
+        return Buffer.concat([length, Buffer.from(type), content, Buffer.alloc(4)]);
+    };
+    const header = Buffer.from([0, 0, 0, 3, 0, 0, 0, 1, 2, 3, 0, 0, 0]);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk("IHDR", header),
+        chunk("PLTE", Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255])),
+        chunk("tRNS", Buffer.from([255, 255, 0])),
+        // one row with no filter: pixels 0, 1, 2
+        chunk("IDAT", zlib.deflateSync(Buffer.from([0, 0b00011000]))),
+        chunk("IEND", Buffer.alloc(0)),
+    ]);
+}
+
+test("PNG images are decoded as RGBA", () => {
+    const image = createImage(5, 3, [10, 20, 30, 255]);
+    expect(decodeImage(encodeImage(image, "png"))).toEqual(image);
+
+    expect(decodeImage(createPalettePng())).toEqual({
+        width: 3,
+        height: 1,
+        data: new Uint8Array([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 0]),
+    });
+});
+
+test("JPEG images are decoded as RGBA", () => {
+    const image = createImage(16, 8, [200, 100, 50, 255]);
+    image.data.forEach((_, i) => (image.data[i] = i % 4 === 3 ? 255 : image.data[i]));
+
+    const decoded = decodeImage(encodeImage(image, "jpg", 100));
+    expect(decoded.width).toBe(16);
+    expect(decoded.height).toBe(8);
+    expect(Math.abs(decoded.data[0] - 200)).toBeLessThan(8);
+    expect(decoded.data[3]).toBe(255);
+});
+
+test("Images too large or of other types are not decoded", () => {
+    expect(decodeImage(encodeImage(createImage(10, 10, [0, 0, 0, 255]), "png"), 50)).toBe(null);
+    expect(decodeImage(Buffer.from("GIF89a\x01\x00\x01\x00"))).toBe(null);
+});
+
+test("Images are oriented with their EXIF orientation", () => {
+    // big-endian TIFF header, one entry: orientation 6
+    const exif = Buffer.from("004d4d002a00000008000101120003000000010006000000", "hex");
+    expect(exifOrientation(exif)).toBe(6);
+    expect(exifOrientation(undefined)).toBe(1);
+
+    // 2x1: red, green
+    const image = { width: 2, height: 1, data: new Uint8Array([255, 0, 0, 255, 0, 255, 0, 255]) };
+    // rotated clockwise: red on top
+    expect(orientImage(image, 6)).toEqual({
+        width: 1,
+        height: 2,
+        data: new Uint8Array([255, 0, 0, 255, 0, 255, 0, 255]),
+    });
+    // flipped: green first
+    expect(orientImage(image, 2).data.slice(0, 4)).toEqual(new Uint8Array([0, 255, 0, 255]));
+});
+
+test("Images are downscaled keeping their aspect ratio, without darkening transparent edges", () => {
+    const resized = resizeImage(createImage(100, 50, [200, 0, 0, 255]), 3);
+    expect([resized.width, resized.height]).toEqual([3, 2]);
+    // left: opaque, middle: half transparent but still red, right: transparent
+    expect([...resized.data.slice(0, 4)]).toEqual([200, 0, 0, 255]);
+    expect([...resized.data.slice(4, 7)]).toEqual([200, 0, 0]);
+    expect(Math.abs(resized.data[7] - 127.5)).toBeLessThan(1);
+    expect([...resized.data.slice(8, 12)]).toEqual([0, 0, 0, 0]);
+});
@@ -0,0 +1,178 @@
+import crypto from "crypto";
+
+/**
+ * Algorithms accepted in the header of a JWT, "none" is never accepted
+ */
+const ALGORITHMS = {
+    HS256: { hmac: "sha256" },
+    HS384: { hmac: "sha384" },
+    HS512: { hmac: "sha512" },
+    RS256: { hash: "sha256" },
+    RS384: { hash: "sha384" },
+    RS512: { hash: "sha512" },
+    PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+    ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+    ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+    EdDSA: { hash: null },
+};
+
+// difference of clocks tolerated for exp and nbf, in seconds
+const CLOCK_TOLERANCE = 30;
+
+function decodePart(part) {
+    try {
+        const decoded = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+        return decoded !== null && typeof decoded === "object" ? decoded : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Prefix of the usernames of the authenticated users. The frontend's usernames (base64 of an URI
+ * encoded name) can't start with a "j", as their first byte is ASCII.
+ */
+const AUTHENTICATED_USERNAME_PREFIX = "jwt";
+
+/**
+ * Username stamped on the events of an authenticated user, derived from its id,
+ * so two users with the same name don't share it
+ *
+ * @param {string} id sub claim of the user
+ * @return {string}
+ */
+export function authenticatedUsername(id) {
+    const hash = crypto.createHash("sha256").update(id).digest("hex");
+    return AUTHENTICATED_USERNAME_PREFIX + hash.slice(0, 32);
+}
+
+/**
+ * Stamp the username of its sender on an event: the one of the authenticated user, else the one
+ * sent by the client, namespaced if it looks like the username of an authenticated user
+ *
+ * @param {object} event event to stamp, modified in place
+ * @param {object|null} user authenticated sender, see JwtService.user
+ */
+export function stampUsername(event, user) {
+    if (user) {
+        event["username"] = user.username;
+        // shown next to the cursor, as the username doesn't encode it
+        if (event["t"] === "cursor") event["name"] = user.name;
+    } else if (
+        typeof event["username"] === "string" &&
+        event["username"].startsWith(AUTHENTICATED_USERNAME_PREFIX)
+    ) {
+        event["username"] = "anon" + event["username"];
+    }
+}
+
+/**
+ * Verify the signature and the time and audience claims of a JWT.
+ * Tokens signed with a HMAC are only accepted with a secret, the others only with a public key,
+ * so a public key can't be used as a HMAC secret.
+ *
+ * @param {string} token
+ * @param {object} options
+ * @param {string} options.secret secret of the HS* algorithms, "" if they are not accepted
+ * @param {string} options.publicKey PEM public key of the other algorithms, "" if they are not accepted
+ * @param {string} options.issuer required iss claim, "" to accept any
+ * @param {string} options.audience required aud claim, "" to accept any
+ * @param {number} [now] current time in milliseconds
+ * @return {object|null} the claims of the JWT, null if it is not valid
+ */
+export function verifyJwt(token, { secret, publicKey, issuer, audience }, now = Date.now()) {
+    if (typeof token !== "string") return null;
+    const parts = token.split(".");
+    if (parts.length !== 3) return null;
+    const [header, payload] = parts.slice(0, 2).map(decodePart);
+    if (!header || !payload || !ALGORITHMS.hasOwnProperty(header.alg)) return null;
+
+    const signedContent = Buffer.from(parts[0] + "." + parts[1]);
+    const signature = Buffer.from(parts[2], "base64url");
+    const { hmac, hash, padding, dsaEncoding } = ALGORITHMS[header.alg];
+    if (hmac) {
+        if (!secret) return null;
+        const expected = crypto.createHmac(hmac, secret).update(signedContent).digest();
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected))
+            return null;
+    } else {
+        if (!publicKey) return null;
+        try {
+            const key = { key: publicKey, padding, dsaEncoding };
+            if (!crypto.verify(hash, signedContent, key, signature)) return null;
+        } catch (e) {
+            // e.g. a key of another type than the algorithm
+            return null;
+        }
+    }
+
+    const seconds = now / 1000;
+    if (typeof payload.exp === "number" && seconds > payload.exp + CLOCK_TOLERANCE) return null;
+    if (typeof payload.nbf === "number" && seconds < payload.nbf - CLOCK_TOLERANCE) return null;
+    if (issuer && payload.iss !== issuer) return null;
+    if (audience && ![].concat(payload.aud).includes(audience)) return null;
+    return payload;
+}
+
+/**
+ * Authenticates the users with JWTs signed by a trusted issuer: the server stamps the events of a
+ * user with its name instead of trusting the one sent by the client.
+ *
+ * The claims of a JWT are:
+ * - sub: id of the user (required)
+ * - name: display name of the user, its id if missing
+ * - boards: ids of the whiteboards the user may use, all of them if missing or "*"
+ * - role: role of the user on these whiteboards
+ */
+export default class JwtService {
+    /**
+     * @param {object} options
+     * @param {{secret: string, publicKey: string, issuer: string, audience: string, required: boolean}} options.jwt
+     */
+    constructor({ jwt }) {
+        this.options = jwt;
+    }
+
+    /**
+     * @return {boolean} true if JWTs are accepted
+     */
+    get enabled() {
+        return this.options.secret !== "" || this.options.publicKey !== "";
+    }
+
+    /**
+     * @return {boolean} true if the whiteboards can only be used with a JWT (or the access token of
+     * the server)
+     */
+    get required() {
+        return this.enabled && this.options.required;
+    }
+
+    /**
+     * @param {string} token
+     * @return {{id: string, name: string, username: string, boards: string[]|null, role: string|null}|null}
+     * the user authenticated by the token, null if it is not a valid JWT
+     */
+    user(token) {
+        if (!this.enabled) return null;
+        const claims = verifyJwt(token, this.options);
+        if (!claims || typeof claims.sub !== "string" || claims.sub === "") return null;
+
+        const name =
+            typeof claims.name === "string" && claims.name !== "" ? claims.name : claims.sub;
+        const boards =
+            Array.isArray(claims.boards) && !claims.boards.includes("*")
+                ? claims.boards.filter((wid) => typeof wid === "string")
+                : null;
+        return {
+            id: claims.sub,
+            name,
+            username: authenticatedUsername(claims.sub),
+            boards,
+            role: typeof claims.role === "string" ? claims.role : null,
+        };
+    }
+}
@@ -0,0 +1,112 @@
+import crypto from "crypto";
+
+import JwtService, { authenticatedUsername, stampUsername, verifyJwt } from "./JwtService";
+
+const OPTIONS = { secret: "", publicKey: "", issuer: "", audience: "", required: false };
+
+function encode(part) {
+    return Buffer.from(JSON.stringify(part)).toString("base64url");
+}
+
+function signHmac(claims, secret, alg = "HS256") {
+    const content = encode({ alg, typ: "JWT" }) + "." + encode(claims);
+    const hash = "sha" + alg.slice(2);
+    return content + "." + crypto.createHmac(hash, secret).update(content).digest("base64url");
+}
+
+function signEs256(claims, privateKey) {
+    const content = encode({ alg: "ES256", typ: "JWT" }) + "." + encode(claims);
+    const signature = crypto.sign("sha256", Buffer.from(content), {
+        key: privateKey,
+        dsaEncoding: "ieee-p1363",
+    });
+    return content + "." + signature.toString("base64url");
+}
+
+test("JWTs signed with the secret are accepted", () => {
+    const options = { ...OPTIONS, secret: "s3cret" };
+    expect(verifyJwt(signHmac({ sub: "42" }, "s3cret"), options)).toEqual({ sub: "42" });
+    expect(verifyJwt(signHmac({ sub: "42" }, "s3cret", "HS512"), options)).toEqual({ sub: "42" });
+
+    expect(verifyJwt(signHmac({ sub: "42" }, "other"), options)).toBe(null);
+    expect(verifyJwt(signHmac({ sub: "42" }, "s3cret"), OPTIONS)).toBe(null);
+    const [header, payload] = signHmac({ sub: "42" }, "s3cret").split(".");
+    expect(verifyJwt(`${header}.${encode({ sub: "admin" })}.`, options)).toBe(null);
+    expect(verifyJwt(`${encode({ alg: "none" })}.${payload}.`, options)).toBe(null);
+    expect(verifyJwt("not a jwt", options)).toBe(null);
+    expect(verifyJwt(undefined, options)).toBe(null);
+});
+
+test("JWTs signed with the private key are accepted, its public key isn't a secret", () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const pem = publicKey.export({ type: "spki", format: "pem" });
+    const options = { ...OPTIONS, publicKey: pem };
+
+    expect(verifyJwt(signEs256({ sub: "42" }, privateKey), options)).toEqual({ sub: "42" });
+    expect(verifyJwt(signHmac({ sub: "42" }, pem), options)).toBe(null);
+    const other = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+    expect(verifyJwt(signEs256({ sub: "42" }, other), options)).toBe(null);
+});
+
+test("JWTs are checked for their time, issuer and audience", () => {
+    const options = { ...OPTIONS, secret: "s3cret" };
+    const now = 1700000000000;
+    const verify = (claims, checked = options) =>
+        verifyJwt(signHmac(claims, "s3cret"), checked, now) !== null;
+
+    expect(verify({ exp: now / 1000 + 60 })).toBe(true);
+    expect(verify({ exp: now / 1000 - 60 })).toBe(false);
+    expect(verify({ nbf: now / 1000 - 60 })).toBe(true);
+    expect(verify({ nbf: now / 1000 + 60 })).toBe(false);
+
+    const restricted = { ...options, issuer: "idp", audience: "whiteboard" };
+    expect(verify({ iss: "idp", aud: "whiteboard" }, restricted)).toBe(true);
+    expect(verify({ iss: "idp", aud: ["other", "whiteboard"] }, restricted)).toBe(true);
+    expect(verify({ iss: "other", aud: "whiteboard" }, restricted)).toBe(false);
+    expect(verify({ iss: "idp" }, restricted)).toBe(false);
+});
+
+test("Users are read from the claims, with a username derived from their id", () => {
+    const service = new JwtService({ jwt: { ...OPTIONS, secret: "s3cret" } });
+    const user = (claims) => service.user(signHmac(claims, "s3cret"));
+
+    expect(user({ sub: "42", name: "Zoë", boards: ["a", "b"], role: "editor" })).toEqual({
+        id: "42",
+        name: "Zoë",
+        username: authenticatedUsername("42"),
+        boards: ["a", "b"],
+        role: "editor",
+    });
+    expect(authenticatedUsername("42")).toMatch(/^jwt[0-9a-f]{32}$/);
+    expect(user({ sub: "43", name: "Zoë" }).username).not.toBe(authenticatedUsername("42"));
+    expect(user({ sub: "42", boards: "*" })).toMatchObject({
+        name: "42",
+        boards: null,
+        role: null,
+    });
+    expect(user({ sub: "42", boards: ["*"] }).boards).toBe(null);
+    expect(user({ name: "anonymous" })).toBe(null);
+
+    expect(new JwtService({ jwt: OPTIONS }).user(signHmac({ sub: "42" }, ""))).toBe(null);
+});
+
+test("Events are stamped with the username of their sender", () => {
+    const user = { id: "42", name: "Zoë", username: authenticatedUsername("42") };
+    const stamped = (event, user) => {
+        stampUsername(event, user);
+        return event;
+    };
+
+    expect(stamped({ t: "pen", username: "Wm8lQzMlQUI" }, user)).toEqual({
+        t: "pen",
+        username: user.username,
+    });
+    expect(stamped({ t: "cursor", username: "Wm8lQzMlQUI" }, user)).toEqual({
+        t: "cursor",
+        username: user.username,
+        name: "Zoë",
+    });
+    expect(stamped({ t: "pen", username: "Wm8lQzMlQUI" }, null).username).toBe("Wm8lQzMlQUI");
+    // the username of an authenticated user can't be sent by anybody else
+    expect(stamped({ t: "pen", username: user.username }, null).username).not.toBe(user.username);
+});
@@ -18,6 +18,9 @@ class MetricsService {
             totalRedoEvents: 0,
             totalClearEvents: 0,
             
+            // Rate limiting metrics (dropped events by scope)
+            rateLimitedEvents: { socket: 0, ip: 0, board: 0 },
+            
             // Performance metrics
             requestCount: 0,
             errorCount: 0,
@@ -73,6 +76,11 @@ class MetricsService {
         this.metrics.totalClearEvents++;
     }
 
+    // Rate limiting tracking
+    eventsRateLimited(scope, count = 1) {
+        this.metrics.rateLimitedEvents[scope] += count;
+    }
+
     // Request tracking
     requestReceived() {
         this.metrics.requestCount++;
@@ -131,6 +139,12 @@ class MetricsService {
             '# TYPE whiteboard_clear_events_total counter',
             `whiteboard_clear_events_total{node="${nodeId}"} ${this.metrics.totalClearEvents}`,
             '',
+            '# HELP whiteboard_rate_limited_events_total Total number of events dropped by the rate limits',
+            '# TYPE whiteboard_rate_limited_events_total counter',
+            ...Object.entries(this.metrics.rateLimitedEvents).map(([scope, count]) =>
+                `whiteboard_rate_limited_events_total{node="${nodeId}",scope="${scope}"} ${count}`
+            ),
+            '',
             '# HELP whiteboard_requests_total Total HTTP requests',
             '# TYPE whiteboard_requests_total counter',
             `whiteboard_requests_total{node="${nodeId}"} ${this.metrics.requestCount}`,
@@ -177,7 +191,8 @@ class MetricsService {
                 draw: this.metrics.totalDrawEvents,
                 undo: this.metrics.totalUndoEvents,
                 redo: this.metrics.totalRedoEvents,
-                clear: this.metrics.totalClearEvents
+                clear: this.metrics.totalClearEvents,
+                rateLimited: { ...this.metrics.rateLimitedEvents }
             },
             redis: {
                 connected: this.metrics.redisConnected,
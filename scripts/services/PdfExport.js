@@ -0,0 +1,575 @@
+import zlib from "zlib";
+
+import { STICKY_NOTE_SHADOW, buildBoardScene } from "./BoardScene.js";
+import { pngInfo, unfilterPng } from "./ImageCodec.js";
+
+/**
+ * Sizes of the pages (pt), in portrait
+ * @type {Object<string, number[]>}
+ */
+export const PAGE_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792],
+};
+
+// 96 px per inch on screen, 72 pt per inch on paper
+const PX_TO_PT = 0.75;
+const PAGE_MARGIN = 36; // pt
+// control points of the Bézier curves drawing a quarter of a circle
+const CIRCLE_CONTROL = 0.5523;
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    green: [0, 128, 0],
+    blue: [0, 0, 255],
+    yellow: [255, 255, 0],
+    orange: [255, 165, 0],
+    purple: [128, 0, 128],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+};
+
+// characters of the WinAnsi encoding (of the standard fonts) outside of Latin-1
+const WIN_ANSI_CHARACTERS = {
+    "€": 0x80,
+    "‚": 0x82,
+    "„": 0x84,
+    "…": 0x85,
+    "‘": 0x91,
+    "’": 0x92,
+    "“": 0x93,
+    "”": 0x94,
+    "•": 0x95,
+    "–": 0x96,
+    "—": 0x97,
+    "™": 0x99,
+};
+
+/**
+ * @param {number} value
+ * @return {string} the number as written in a PDF
+ */
+function num(value) {
+    return String(Number(value.toFixed(3)));
+}
+
+/**
+ * Parse a CSS color (hex, rgb(), rgba() or a basic color name)
+ *
+ * @param {string} color
+ * @return {{rgb: number[], alpha: number}} components between 0 and 1, black if unknown
+ */
+export function parseColor(color) {
+    const value = String(color).trim().toLowerCase();
+    let rgba = null;
+    const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? hex[1].replace(/./g, "$&$&") : hex[1];
+        rgba = digits.match(/../g).map((component) => parseInt(component, 16));
+        rgba[3] = rgba.length === 4 ? rgba[3] / 255 : 1;
+    }
+    const functional = /^rgba?\(([^)]*)\)$/.exec(value);
+    if (functional) {
+        rgba = functional[1]
+            .split(/[\s,/]+/)
+            .filter(Boolean)
+            .map(Number);
+        rgba[3] = rgba.length >= 4 ? rgba[3] : 1;
+    }
+    if (NAMED_COLORS[value]) {
+        rgba = [...NAMED_COLORS[value], 1];
+    }
+    if (value === "transparent") {
+        rgba = [0, 0, 0, 0];
+    }
+    if (!rgba || rgba.slice(0, 4).some((component) => !Number.isFinite(component))) {
+        rgba = [0, 0, 0, 1];
+    }
+    const clamp = (component) => Math.min(1, Math.max(0, component));
+    return {
+        rgb: rgba.slice(0, 3).map((component) => clamp(component / 255)),
+        alpha: clamp(rgba[3]),
+    };
+}
+
+/**
+ * @param {string} text
+ * @return {string} the text as a PDF string of the WinAnsi encoding (other characters become ?)
+ */
+function pdfString(text) {
+    let string = "(";
+    for (const character of text.replace(/\t/g, "    ")) {
+        const code = character.codePointAt(0);
+        if (character === "(" || character === ")" || character === "\\") {
+            string += "\\" + character;
+        } else if (code >= 0x20 && code < 0x7f) {
+            string += character;
+        } else if (code >= 0xa0 && code <= 0xff) {
+            string += "\\" + code.toString(8);
+        } else if (WIN_ANSI_CHARACTERS[character]) {
+            string += "\\" + WIN_ANSI_CHARACTERS[character].toString(8);
+        } else {
+            string += "?";
+        }
+    }
+    return string + ")";
+}
+
+/**
+ * Read the size and the color components of a JPEG image
+ *
+ * @param {Buffer} data
+ * @return {{width: number, height: number, components: number}|null}
+ */
+function jpegInfo(data) {
+    let i = 2;
+    while (i + 9 < data.length && data[i] === 0xff) {
+        const marker = data[i + 1];
+        // start of frame markers, except DHT, JPG and DAC
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                height: data.readUInt16BE(i + 5),
+                width: data.readUInt16BE(i + 7),
+                components: data[i + 9],
+            };
+        }
+        i += 2 + data.readUInt16BE(i + 2);
+    }
+    return null;
+}
+
+/**
+ * Objects of a PDF document, with the resources shared by all its pages and forms
+ */
+class PdfDocument {
+    objects = [];
+    xObjects = [];
+    graphicStates = [];
+    alphaStates = new Map();
+    pageIds = [];
+
+    constructor() {
+        this.pagesId = this.reserve();
+        this.resourcesId = this.reserve();
+        this.fontId = this.add(
+            "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>"
+        );
+    }
+
+    reserve() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * @param {string} dictionary
+     * @param {Buffer|string} [stream] compressed unless the dictionary sets a filter
+     * @param {number} [id] id of a reserved object
+     * @return {number} the id of the object
+     */
+    add(dictionary, stream = null, id = this.reserve()) {
+        if (stream === null) {
+            this.objects[id - 1] = Buffer.from(dictionary);
+        } else {
+            let data = Buffer.from(stream);
+            let entries = dictionary.slice(2, -2);
+            if (!entries.includes("/Filter")) {
+                data = zlib.deflateSync(data);
+                entries += " /Filter /FlateDecode";
+            }
+            this.objects[id - 1] = Buffer.concat([
+                Buffer.from(`<<${entries} /Length ${data.length} >>\nstream\n`),
+                data,
+                Buffer.from("\nendstream"),
+            ]);
+        }
+        return id;
+    }
+
+    /**
+     * Add a form drawing the given operators
+     *
+     * @param {string} operators
+     * @param {object} bounds {x, y, width, height} of what the form draws
+     * @param {string} [group] color space of the transparency group of the form
+     * @return {string} name of the form in the resources
+     */
+    form(operators, { x, y, width, height }, group = "DeviceRGB") {
+        const id = this.add(
+            `<< /Type /XObject /Subtype /Form /BBox [${num(x)} ${num(y)} ${num(x + width)} ${num(
+                y + height
+            )}] /Group << /S /Transparency /CS /${group} >> /Resources ${this.resourcesId} 0 R >>`,
+            operators
+        );
+        return this.xObject(id);
+    }
+
+    xObject(id) {
+        this.xObjects.push(id);
+        return `X${id}`;
+    }
+
+    graphicState(dictionary) {
+        const id = this.add(`<< /Type /ExtGState ${dictionary} >>`);
+        this.graphicStates.push(id);
+        return `G${id}`;
+    }
+
+    alphaState(alpha) {
+        if (!this.alphaStates.has(alpha)) {
+            this.alphaStates.set(alpha, this.graphicState(`/CA ${num(alpha)} /ca ${num(alpha)}`));
+        }
+        return this.alphaStates.get(alpha);
+    }
+
+    /**
+     * Add a PNG or JPEG image
+     *
+     * @param {Buffer} data content of the image file
+     * @return {string|null} name of the image in the resources, null if it can't be added
+     */
+    image(data) {
+        if (data[0] === 0xff && data[1] === 0xd8) {
+            const info = jpegInfo(data);
+            if (!info) return null;
+            const colorSpace = { 1: "DeviceGray", 3: "DeviceRGB", 4: "DeviceCMYK" }[
+                info.components
+            ];
+            return this.xObject(
+                this.add(
+                    `<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /ColorSpace /${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode >>`,
+                    data
+                )
+            );
+        }
+        if (data.toString("ascii", 1, 4) !== "PNG") return null;
+
+        const png = pngInfo(data);
+        if (!png || png.interlaced) return null;
+        const { width, height, bitDepth, colorType } = png;
+        const image = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent ${bitDepth}`;
+        const colorSpace = {
+            0: "/DeviceGray",
+            2: "/DeviceRGB",
+            3:
+                png.palette &&
+                `[/Indexed /DeviceRGB ${png.palette.length / 3 - 1} <${png.palette.toString(
+                    "hex"
+                )}>]`,
+            4: "/DeviceGray",
+            6: "/DeviceRGB",
+        }[colorType];
+        if (!colorSpace) return null;
+        const colors = { 0: 1, 2: 3, 3: 1, 4: 1, 6: 3 }[colorType];
+
+        if (colorType !== 4 && colorType !== 6) {
+            // PDF decodes the PNG filters itself
+            return this.xObject(
+                this.add(
+                    `<< ${image} /ColorSpace ${colorSpace} /Filter /FlateDecode /DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent ${bitDepth} /Columns ${width} >> >>`,
+                    png.data
+                )
+            );
+        }
+
+        // the alpha channel becomes a soft mask
+        const bytesPerSample = bitDepth / 8;
+        const bytesPerPixel = (colors + 1) * bytesPerSample;
+        const pixels = unfilterPng(zlib.inflateSync(png.data), width, height, bytesPerPixel);
+        const color = Buffer.alloc(width * height * colors * bytesPerSample);
+        const alpha = Buffer.alloc(width * height * bytesPerSample);
+        for (let i = 0; i < width * height; i++) {
+            const pixel = pixels.subarray(i * bytesPerPixel, (i + 1) * bytesPerPixel);
+            pixel.copy(color, i * colors * bytesPerSample, 0, colors * bytesPerSample);
+            pixel.copy(alpha, i * bytesPerSample, colors * bytesPerSample);
+        }
+        const maskId = this.add(`<< ${image} /ColorSpace /DeviceGray >>`, alpha);
+        return this.xObject(
+            this.add(`<< ${image} /ColorSpace ${colorSpace} /SMask ${maskId} 0 R >>`, color)
+        );
+    }
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {string} operators content of the page
+     */
+    addPage(width, height, operators) {
+        const contentId = this.add("<< >>", operators);
+        this.pageIds.push(
+            this.add(
+                `<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(
+                    height
+                )}] /Resources ${this.resourcesId} 0 R /Contents ${contentId} 0 R >>`
+            )
+        );
+    }
+
+    /**
+     * @return {Buffer} the PDF file
+     */
+    toBuffer() {
+        const reference = (prefix) => (id) => `/${prefix}${id} ${id} 0 R`;
+        this.add(
+            `<< /Font << /F1 ${this.fontId} 0 R >> /XObject << ${this.xObjects
+                .map(reference("X"))
+                .join(" ")} >> /ExtGState << ${this.graphicStates
+                .map(reference("G"))
+                .join(" ")} >> >>`,
+            null,
+            this.resourcesId
+        );
+        this.add(
+            `<< /Type /Pages /Kids [${this.pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${
+                this.pageIds.length
+            } >>`,
+            null,
+            this.pagesId
+        );
+        const catalogId = this.add(`<< /Type /Catalog /Pages ${this.pagesId} 0 R >>`);
+
+        const chunks = [Buffer.from("%PDF-1.5\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+        const offsets = [];
+        let length = chunks[0].length;
+        this.objects.forEach((object, i) => {
+            offsets.push(length);
+            const chunk = Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n`),
+                object,
+                Buffer.from("\nendobj\n"),
+            ]);
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+        const xref = [
+            "xref",
+            `0 ${this.objects.length + 1}`,
+            "0000000000 65535 f ",
+            ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+            "trailer",
+            `<< /Size ${this.objects.length + 1} /Root ${catalogId} 0 R >>`,
+            "startxref",
+            String(length),
+            "%%EOF\n",
+        ];
+        chunks.push(Buffer.from(xref.join("\n")));
+        return Buffer.concat(chunks);
+    }
+}
+
+/**
+ * Writes the nodes of a scene as PDF operators, in the coordinates of the whiteboard (y down)
+ */
+class PdfWriter {
+    /**
+     * @param {PdfDocument} document
+     * @param {object} bounds area of the whiteboard, masks have to cover it
+     * @param {Map<string, string>} images name of the image of every url
+     */
+    constructor(document, bounds, images) {
+        this.document = document;
+        this.bounds = bounds;
+        this.images = images;
+    }
+
+    color(color, operator) {
+        const { rgb, alpha } = parseColor(color);
+        const state = alpha < 1 ? `/${this.document.alphaState(alpha)} gs ` : "";
+        return `${state}${rgb.map(num).join(" ")} ${operator}`;
+    }
+
+    polyline({ points }) {
+        const [first, ...rest] = points;
+        const line = (rest.length > 0 ? rest : [first]).map(([x, y]) => `${num(x)} ${num(y)} l`);
+        return `${num(first[0])} ${num(first[1])} m ${line.join(" ")}`;
+    }
+
+    rect({ x, y, width, height }) {
+        return `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`;
+    }
+
+    circle({ cx, cy, r }) {
+        const k = r * CIRCLE_CONTROL;
+        const point = (x, y) => `${num(cx + x)} ${num(cy + y)}`;
+        return [
+            `${point(r, 0)} m`,
+            `${point(r, k)} ${point(k, r)} ${point(0, r)} c`,
+            `${point(-k, r)} ${point(-r, k)} ${point(-r, 0)} c`,
+            `${point(-r, -k)} ${point(-k, -r)} ${point(0, -r)} c`,
+            `${point(k, -r)} ${point(r, -k)} ${point(r, 0)} c`,
+        ].join(" ");
+    }
+
+    /**
+     * @param {object[]} nodes
+     * @return {string} the operators drawing the nodes
+     */
+    nodes(nodes) {
+        return nodes.map((node) => this.node(node)).join("\n");
+    }
+
+    node(node) {
+        const stroke = () => `${this.color(node.color, "RG")} ${num(node.thickness)} w 1 J 1 j`;
+        switch (node.type) {
+            case "stroke":
+                return `q ${stroke()} ${this.polyline(node)} S Q`;
+            case "rect":
+                return `q ${stroke()} ${this.rect(node)} S Q`;
+            case "circle":
+                return `q ${stroke()} ${this.circle(node)} S Q`;
+            case "image":
+                return this.image(node);
+            case "erased": {
+                const content = this.document.form(this.nodes(node.children), this.bounds);
+                return `q /${this.mask(node.erasers)} gs /${content} Do Q`;
+            }
+            case "moved": {
+                const content = this.document.form(this.nodes(node.children), this.bounds);
+                const mask = this.mask([{ type: "rect", ...node }]);
+                return [
+                    `q /${mask} gs /${content} Do Q`,
+                    `q 1 0 0 1 ${num(node.dx)} ${num(node.dy)} cm ${this.rect(
+                        node
+                    )} W n /${content} Do Q`,
+                ].join("\n");
+            }
+        }
+        return "";
+    }
+
+    image({ url, x, y, width, height, rotation }) {
+        const image = this.images.get(url);
+        if (!image) return "";
+        const [cx, cy] = [x + width / 2, y + height / 2];
+        const [cos, sin] = [Math.cos(rotation), Math.sin(rotation)];
+        // rotated around its center, the image space is upside down in the whiteboard
+        return `q ${[cos, sin, -sin, cos, cx, cy].map(num).join(" ")} cm ${num(width)} 0 0 ${num(
+            -height
+        )} ${num(-width / 2)} ${num(height / 2)} cm /${image} Do Q`;
+    }
+
+    /**
+     * Add a soft mask hiding what the erasers cover
+     *
+     * @param {object[]} erasers
+     * @return {string} name of the graphic state setting the mask
+     */
+    mask(erasers) {
+        const shapes = erasers.map((eraser) =>
+            eraser.type === "stroke"
+                ? `${num(eraser.thickness)} w 1 J 1 j ${this.polyline(eraser)} S`
+                : `${this.rect(eraser)} f`
+        );
+        const mask = this.document.form(
+            `1 g ${this.rect(this.bounds)} f 0 g 0 G ${shapes.join(" ")}`,
+            this.bounds,
+            "DeviceGray"
+        );
+        const maskId = mask.slice(1);
+        return this.document.graphicState(
+            `/SMask << /Type /Mask /S /Luminosity /G ${maskId} 0 R >>`
+        );
+    }
+
+    textbox(textbox) {
+        const operators = [];
+        if (textbox.isStickyNote) {
+            const shadow = {
+                ...textbox,
+                x: textbox.x + STICKY_NOTE_SHADOW,
+                y: textbox.y + STICKY_NOTE_SHADOW,
+            };
+            operators.push(`q ${this.color("rgba(33,33,33,0.7)", "rg")} ${this.rect(shadow)} f Q`);
+        }
+        if (textbox.background) {
+            operators.push(`q ${this.color(textbox.background, "rg")} ${this.rect(textbox)} f Q`);
+        }
+        // the text matrix turns the glyphs upright again
+        const lines = textbox.lines.map(
+            ({ text, x, y }) => `1 0 0 -1 ${num(x)} ${num(y)} Tm ${pdfString(text)} Tj`
+        );
+        operators.push(
+            `q ${this.color(textbox.color, "rg")} BT /F1 ${num(textbox.fontSize)} Tf ${lines.join(
+                " "
+            )} ET Q`
+        );
+        return operators.join("\n");
+    }
+}
+
+/**
+ * Print the whiteboard to a PDF document: its content is cut in tiles of the size of a page,
+ * at the scale of the screen (96 px per inch). The pages are portrait, or landscape if it
+ * takes less pages.
+ * The textboxes are written as text (Courier; characters outside of Latin-1 become ?).
+ * Only the PNG and JPEG images are printed.
+ *
+ * @param {Array<object>} events events of the whiteboard, as loaded from the storage
+ * @param {object} [options]
+ * @param {string} [options.pageSize] a key of PAGE_SIZES
+ * @param {function(string): Promise<Buffer|null>} [options.readImage] gives the content of the
+ * image of a url
+ * @return {Promise<Buffer>} the PDF file
+ */
+export async function renderBoardPdf(
+    events,
+    { pageSize = "a4", readImage = async () => null } = {}
+) {
+    if (!Object.hasOwn(PAGE_SIZES, pageSize)) {
+        throw new Error(`Unknown page size: ${pageSize}`);
+    }
+    const scene = buildBoardScene(events);
+    const document = new PdfDocument();
+
+    const images = new Map();
+    for (const { url } of scene.images) {
+        if (images.has(url)) continue;
+        const data = await readImage(url);
+        let image = null;
+        try {
+            image = data && document.image(data);
+        } catch (err) {
+            console.log("Could not add the image", url, "to the PDF", err.message);
+        }
+        images.set(url, image);
+    }
+
+    const writer = new PdfWriter(document, scene.bounds, images);
+    const board = document.form(
+        [
+            writer.nodes(scene.background),
+            writer.nodes(scene.canvas),
+            ...scene.textboxes.map((textbox) => writer.textbox(textbox)),
+        ].join("\n"),
+        scene.bounds
+    );
+
+    const { x, y, width, height } = scene.bounds;
+    const pageCount = ([pageWidth, pageHeight]) =>
+        Math.ceil((width * PX_TO_PT) / (pageWidth - 2 * PAGE_MARGIN)) *
+        Math.ceil((height * PX_TO_PT) / (pageHeight - 2 * PAGE_MARGIN));
+    const portrait = PAGE_SIZES[pageSize];
+    const landscape = [portrait[1], portrait[0]];
+    const [pageWidth, pageHeight] =
+        pageCount(landscape) < pageCount(portrait) ? landscape : portrait;
+
+    // area of the whiteboard on a page (px)
+    const tileWidth = (pageWidth - 2 * PAGE_MARGIN) / PX_TO_PT;
+    const tileHeight = (pageHeight - 2 * PAGE_MARGIN) / PX_TO_PT;
+    for (let tileY = y; tileY < y + height; tileY += tileHeight) {
+        for (let tileX = x; tileX < x + width; tileX += tileWidth) {
+            document.addPage(
+                pageWidth,
+                pageHeight,
+                `q ${PAGE_MARGIN} ${PAGE_MARGIN} ${num(pageWidth - 2 * PAGE_MARGIN)} ${num(
+                    pageHeight - 2 * PAGE_MARGIN
+                )} re W n ${PX_TO_PT} 0 0 ${-PX_TO_PT} ${num(PAGE_MARGIN - tileX * PX_TO_PT)} ${num(
+                    pageHeight - PAGE_MARGIN + tileY * PX_TO_PT
+                )} cm /${board} Do Q`
+            );
+        }
+    }
+    return document.toBuffer();
+}
@@ -0,0 +1,59 @@
+import zlib from "zlib";
+
+import { parseColor, renderBoardPdf } from "./PdfExport";
+
+const pageCount = (pdf) => pdf.toString("latin1").match(/\/Type \/Page /g).length;
+
+// decompressed content streams of the document
+const contents = (pdf) =>
+    [...pdf.toString("latin1").matchAll(/\/FlateDecode \/Length (\d+) >>\nstream\n/g)].map((m) =>
+        zlib
+            .inflateSync(pdf.subarray(m.index + m[0].length, m.index + m[0].length + Number(m[1])))
+            .toString("latin1")
+    );
+
+test("The content is tiled across the pages in the orientation taking less pages", async () => {
+    // about 1500 x 1000 px with the margins, 1128 x 753 pt
+    const events = [{ t: "line", d: [0, 0, 1460, 960] }];
+
+    const a4 = await renderBoardPdf(events);
+    expect(a4.toString("latin1", 0, 8)).toBe("%PDF-1.5");
+    expect(pageCount(a4)).toBe(3);
+    expect(a4.toString("latin1")).toContain("/MediaBox [0 0 595.28 841.89]");
+
+    const letter = await renderBoardPdf(events, { pageSize: "letter" });
+    expect(pageCount(letter)).toBe(4);
+    expect(letter.toString("latin1")).toContain("/MediaBox [0 0 792 612]");
+
+    expect(pageCount(await renderBoardPdf([]))).toBe(1);
+    await expect(renderBoardPdf(events, { pageSize: "a3" })).rejects.toThrow("a3");
+});
+
+test("Textboxes are written as text", async () => {
+    const text = Buffer.from("(a) &lt; b<div>été 漢</div>").toString("base64");
+    const pdf = await renderBoardPdf([
+        { t: "addTextBox", d: ["#ff0000", "transparent", 1, 10, 20, "tx1", false] },
+        { t: "setTextboxText", d: ["tx1", text] },
+    ]);
+    const board = contents(pdf).find((content) => content.includes("BT"));
+    expect(board).toContain("1 0 0 rg BT /F1 16 Tf");
+    expect(board).toContain("Tm (\\(a\\) < b) Tj");
+    expect(board).toContain("Tm (\\351t\\351 ?) Tj");
+    expect(board).not.toContain("re f");
+});
+
+test("Images that can't be read are left out", async () => {
+    const pdf = await renderBoardPdf(
+        [{ t: "addImgBG", d: [100, 100, 0, 0, 0], url: "http://example.com/a.png" }],
+        { readImage: async () => Buffer.from("not an image") }
+    );
+    expect(pdf.toString("latin1")).not.toContain("/Subtype /Image");
+});
+
+test("CSS colors are parsed", () => {
+    expect(parseColor("#f00")).toEqual({ rgb: [1, 0, 0], alpha: 1 });
+    expect(parseColor("#0000ff80").alpha).toBeCloseTo(0.5);
+    expect(parseColor("rgba(0, 255, 0, 0.25)")).toEqual({ rgb: [0, 1, 0], alpha: 0.25 });
+    expect(parseColor("transparent").alpha).toBe(0);
+    expect(parseColor("nonsense")).toEqual({ rgb: [0, 0, 0], alpha: 1 });
+});
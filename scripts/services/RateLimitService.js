@@ -0,0 +1,130 @@
+/**
+ * Scopes of the limits, in the order they are checked
+ */
+export const SCOPES = ["socket", "ip", "board"];
+
+/**
+ * Token bucket: holds up to `burst` tokens, refilled at `rate` tokens per second; every event
+ * takes one
+ */
+export class TokenBucket {
+    /**
+     * @param {number} rate
+     * @param {number} burst
+     * @param {number} now current time in milliseconds
+     */
+    constructor(rate, burst, now) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    /**
+     * @param {number} now current time in milliseconds
+     * @return {number} the tokens available
+     */
+    refill(now) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+        this.updatedAt = now;
+        return this.tokens;
+    }
+}
+
+/**
+ * Limits the drawing events of each socket, IP address and whiteboard with token buckets, so
+ * a single client can't flood the others and the storage
+ */
+export default class RateLimitService {
+    /**
+     * @param {object} options
+     * @param {Object<string, {rate: number, burst: number}>} options.limits limit of each scope
+     * (see SCOPES), a rate of 0 for no limit
+     * @param {number} [options.cleanupInterval] interval between the removals of the buckets full
+     * again (in seconds)
+     * @param {function(): number} [options.now] current time in milliseconds
+     */
+    constructor({ limits, cleanupInterval = 60, now = Date.now }) {
+        this.limits = limits;
+        this.cleanupInterval = cleanupInterval;
+        this.now = now;
+        this.buckets = Object.fromEntries(SCOPES.map((scope) => [scope, new Map()])); // by key
+        this.timer = null;
+    }
+
+    /**
+     * Remove the buckets full again regularly: they are the same as new ones
+     */
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.cleanup(), this.cleanupInterval * 1000);
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Take the tokens of events from the buckets of their sender and whiteboard, only if all of
+     * them have enough tokens
+     *
+     * @param {{socket: string, ip: string, board: string}} keys key of the bucket of each scope,
+     * scopes without key are not limited
+     * @param {number} [count] number of events
+     * @return {string|null} the first scope over its limit, null if the events are allowed
+     */
+    take(keys, count = 1) {
+        const now = this.now();
+        const buckets = [];
+        for (const scope of SCOPES) {
+            const { rate, burst } = this.limits[scope];
+            if (!keys[scope] || rate <= 0) continue;
+
+            let bucket = this.buckets[scope].get(keys[scope]);
+            if (!bucket) {
+                bucket = new TokenBucket(rate, burst, now);
+                this.buckets[scope].set(keys[scope], bucket);
+            }
+            if (bucket.refill(now) < count) return scope;
+            buckets.push(bucket);
+        }
+        buckets.forEach((bucket) => (bucket.tokens -= count));
+        return null;
+    }
+
+    /**
+     * Most events that can ever be taken at once for these keys: the smallest burst of their scopes
+     *
+     * @param {{socket: string, ip: string, board: string}} keys see take
+     * @return {number} Infinity if no scope is limited
+     */
+    maxCount(keys) {
+        const bursts = SCOPES.filter((scope) => keys[scope] && this.limits[scope].rate > 0).map(
+            (scope) => Math.floor(this.limits[scope].burst)
+        );
+        return Math.min(Infinity, ...bursts);
+    }
+
+    /**
+     * Forget the bucket of a key, e.g. of a disconnected socket
+     *
+     * @param {string} scope
+     * @param {string} key
+     */
+    forget(scope, key) {
+        this.buckets[scope].delete(key);
+    }
+
+    cleanup() {
+        const now = this.now();
+        Object.values(this.buckets).forEach((buckets) =>
+            buckets.forEach((bucket, key) => {
+                if (bucket.refill(now) >= bucket.burst) buckets.delete(key);
+            })
+        );
+    }
+}
@@ -0,0 +1,67 @@
+import RateLimitService from "./RateLimitService";
+
+function createService(limits = {}) {
+    let time = 0;
+    const service = new RateLimitService({
+        limits: {
+            socket: { rate: 10, burst: 5 },
+            ip: { rate: 0, burst: 0 },
+            board: { rate: 100, burst: 100 },
+            ...limits,
+        },
+        now: () => time,
+    });
+    return { service, wait: (ms) => (time += ms) };
+}
+
+test("Events over the burst are rejected until the bucket is refilled", () => {
+    const { service, wait } = createService();
+    const keys = { socket: "s1", ip: "1.2.3.4", board: "wid" };
+
+    for (let i = 0; i < 5; i++) expect(service.take(keys)).toBe(null);
+    expect(service.take(keys)).toBe("socket");
+    // other sockets have their own bucket
+    expect(service.take({ ...keys, socket: "s2" })).toBe(null);
+
+    wait(100); // one token
+    expect(service.take(keys)).toBe(null);
+    expect(service.take(keys)).toBe("socket");
+
+    wait(10000); // never more than the burst
+    expect(service.take(keys, 6)).toBe("socket");
+    expect(service.take(keys, 5)).toBe(null);
+});
+
+test("Tokens are only taken if every scope allows the events", () => {
+    const { service } = createService({ board: { rate: 1, burst: 3 } });
+
+    expect(service.take({ socket: "s1", board: "wid" }, 3)).toBe(null);
+    expect(service.take({ socket: "s2", board: "wid" })).toBe("board");
+    // the socket bucket was left untouched
+    expect(service.take({ socket: "s2" }, 5)).toBe(null);
+});
+
+test("Batches can't be larger than the smallest burst", () => {
+    const { service } = createService({ ip: { rate: 10, burst: 20.5 } });
+
+    expect(service.maxCount({ ip: "1.2.3.4", board: "wid" })).toBe(20);
+    expect(service.maxCount({ socket: "s1", ip: "1.2.3.4", board: "wid" })).toBe(5);
+    expect(service.maxCount({ board: "wid" })).toBe(100);
+    expect(createService({ board: { rate: 0, burst: 0 } }).service.maxCount({ board: "wid" })).toBe(
+        Infinity
+    );
+});
+
+test("Buckets full again are removed", () => {
+    const { service, wait } = createService();
+    service.take({ socket: "s1", board: "wid" });
+    service.take({ socket: "s2" }, 5);
+
+    wait(100);
+    service.cleanup();
+    expect([...service.buckets.socket.keys()]).toEqual(["s2"]);
+    expect(service.buckets.board.size).toBe(0);
+
+    service.forget("socket", "s2");
+    expect(service.buckets.socket.size).toBe(0);
+});
@@ -16,35 +16,77 @@ export default class ReadOnlyBackendService {
      */
     _readOnlyIdToId = new Map();
 
+    /**
+     * Storage provider persisting the mappings, so they survive restarts and are shared between nodes
+     * @type {import("./StorageProvider.js").default|null}
+     * @private
+     */
+    _storage = null;
+
+    /**
+     * @param {import("./StorageProvider.js").default} [storage] storage provider persisting the mappings;
+     * they are only kept in memory without it
+     */
+    constructor(storage = null) {
+        this._storage = storage;
+    }
+
     /**
      * Make sure a whiteboardId is ignited in the service
      *
-     * If it's not found in the service, we assume that it's an editable whiteboard
+     * If it's not found in the service or in the storage, we assume that it's an editable whiteboard.
+     * Its read-only id is only stored by getReadOnlyId: any id can be looked up before the request
+     * is authorized, it mustn't leave a mapping behind.
      *
      * @param {string} whiteboardId
      */
-    init(whiteboardId) {
-        const idToReadOnlyId = this._idToReadOnlyId;
-        const readOnlyIdToId = this._readOnlyIdToId;
+    async init(whiteboardId) {
+        if (this._idToReadOnlyId.has(whiteboardId) || this._readOnlyIdToId.has(whiteboardId)) {
+            return;
+        }
 
-        if (!idToReadOnlyId.has(whiteboardId) && !readOnlyIdToId.has(whiteboardId)) {
-            const readOnlyId = uuidv4();
-            idToReadOnlyId.set(whiteboardId, readOnlyId);
-            readOnlyIdToId.set(readOnlyId, whiteboardId);
+        if (!this._storage) {
+            this._remember(whiteboardId, uuidv4());
+            return;
         }
+
+        const editableId = await this._storage.loadIdFromReadOnlyId(whiteboardId);
+        if (editableId) {
+            this._remember(editableId, whiteboardId);
+            return;
+        }
+
+        const readOnlyId = await this._storage.loadReadOnlyId(whiteboardId);
+        if (readOnlyId) this._remember(whiteboardId, readOnlyId);
     }
 
     /**
-     * Get the read-only id corresponding to a whiteboard id
+     * Cache a mapping; mappings never change once stored
      *
      * @param {string} whiteboardId
-     * @return {string}
+     * @param {string} readOnlyId
+     * @private
      */
-    getReadOnlyId(whiteboardId) {
+    _remember(whiteboardId, readOnlyId) {
+        this._idToReadOnlyId.set(whiteboardId, readOnlyId);
+        this._readOnlyIdToId.set(readOnlyId, whiteboardId);
+    }
+
+    /**
+     * Get the read-only id corresponding to a whiteboard id, stored with a new one if it has none
+     * yet: only for the whiteboards a request is authorized to use
+     *
+     * @param {string} whiteboardId
+     * @return {Promise<string>}
+     */
+    async getReadOnlyId(whiteboardId) {
         // make sure it's inited
-        if (this.isReadOnly(whiteboardId)) return whiteboardId;
-        // run in isReadOnly
-        // this.init(whiteboardId);
+        if (await this.isReadOnly(whiteboardId)) return whiteboardId;
+        if (!this._idToReadOnlyId.has(whiteboardId)) {
+            // another node may store its own id first, the stored one is returned in that case
+            const readOnlyId = await this._storage.saveReadOnlyId(whiteboardId, uuidv4());
+            this._remember(whiteboardId, readOnlyId);
+        }
         return this._idToReadOnlyId.get(whiteboardId);
     }
 
@@ -52,9 +94,31 @@ export default class ReadOnlyBackendService {
      * Get the id corresponding to readonly id
      *
      * @param {string} readOnlyId
-     * @return {string}
+     * @return {Promise<string>}
+     */
+    async getIdFromReadOnlyId(readOnlyId) {
+        await this.init(readOnlyId);
+        return this._readOnlyIdToId.get(readOnlyId);
+    }
+
+    /**
+     * Get the read-only id corresponding to a whiteboard id, without looking it up in the storage
+     *
+     * @param {string} whiteboardId an id that went through init()
+     * @return {string|undefined}
+     */
+    getKnownReadOnlyId(whiteboardId) {
+        if (this._readOnlyIdToId.has(whiteboardId)) return whiteboardId;
+        return this._idToReadOnlyId.get(whiteboardId);
+    }
+
+    /**
+     * Get the id corresponding to a readonly id, without looking it up in the storage
+     *
+     * @param {string} readOnlyId an id that went through init()
+     * @return {string|undefined}
      */
-    getIdFromReadOnlyId(readOnlyId) {
+    getKnownIdFromReadOnlyId(readOnlyId) {
         return this._readOnlyIdToId.get(readOnlyId);
     }
 
@@ -62,10 +126,10 @@ export default class ReadOnlyBackendService {
      * Tell is whiteboard id corresponds to a read-only whiteboard
      *
      * @param whiteboardId
-     * @return {boolean}
+     * @return {Promise<boolean>}
      */
-    isReadOnly(whiteboardId) {
-        this.init(whiteboardId);
+    async isReadOnly(whiteboardId) {
+        await this.init(whiteboardId);
         return this._readOnlyIdToId.has(whiteboardId);
     }
 }
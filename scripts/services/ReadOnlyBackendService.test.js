@@ -0,0 +1,68 @@
+import ReadOnlyBackendService from "./ReadOnlyBackendService";
+
+/**
+ * Minimal storage keeping the read-only ids like the storage providers do
+ */
+function createStorage() {
+    const readOnlyIds = new Map();
+    return {
+        readOnlyIds,
+        async loadReadOnlyId(wid) {
+            return readOnlyIds.get(wid) || null;
+        },
+        async loadIdFromReadOnlyId(readOnlyId) {
+            for (const [wid, id] of readOnlyIds) {
+                if (id === readOnlyId) return wid;
+            }
+            return null;
+        },
+        async saveReadOnlyId(wid, readOnlyId) {
+            if (!readOnlyIds.has(wid)) readOnlyIds.set(wid, readOnlyId);
+            return readOnlyIds.get(wid);
+        },
+    };
+}
+
+test("Read-only ids without storage", async () => {
+    const service = new ReadOnlyBackendService();
+    const readOnlyId = await service.getReadOnlyId("wid");
+
+    expect(readOnlyId).not.toBe("wid");
+    expect(await service.isReadOnly("wid")).toBe(false);
+    expect(await service.isReadOnly(readOnlyId)).toBe(true);
+    expect(await service.getReadOnlyId(readOnlyId)).toBe(readOnlyId);
+    expect(await service.getIdFromReadOnlyId(readOnlyId)).toBe("wid");
+});
+
+test("Read-only ids are shared through the storage", async () => {
+    const storage = createStorage();
+    const readOnlyId = await new ReadOnlyBackendService(storage).getReadOnlyId("wid");
+    expect(storage.readOnlyIds.get("wid")).toBe(readOnlyId);
+
+    // e.g. after a restart or on another node
+    const otherService = new ReadOnlyBackendService(storage);
+    expect(await otherService.isReadOnly(readOnlyId)).toBe(true);
+    expect(await otherService.getIdFromReadOnlyId(readOnlyId)).toBe("wid");
+    expect(await otherService.getReadOnlyId("wid")).toBe(readOnlyId);
+    expect(otherService.getKnownReadOnlyId("wid")).toBe(readOnlyId);
+});
+
+test("Concurrent inits keep the stored read-only id", async () => {
+    const storage = createStorage();
+    const services = [new ReadOnlyBackendService(storage), new ReadOnlyBackendService(storage)];
+
+    const readOnlyIds = await Promise.all(services.map((service) => service.getReadOnlyId("wid")));
+    expect(readOnlyIds[0]).toBe(readOnlyIds[1]);
+});
+
+test("Looking up an id doesn't store a read-only id", async () => {
+    const storage = createStorage();
+    const service = new ReadOnlyBackendService(storage);
+
+    expect(await service.isReadOnly("wid")).toBe(false);
+    expect(await service.getIdFromReadOnlyId("unknown")).toBe(undefined);
+    expect(storage.readOnlyIds.size).toBe(0);
+
+    const readOnlyId = await service.getReadOnlyId("wid");
+    expect(storage.readOnlyIds.get("wid")).toBe(readOnlyId);
+});
@@ -4,6 +4,28 @@
  */
 import { createClient } from "redis";
 
+// Deletes a key if it has a value, as one atomic step
+const DELETE_IF_EQUALS_SCRIPT =
+    'if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end ' +
+    "return 0";
+
+/**
+ * Queue the replacement of lists in a transaction
+ * @param {Object} transaction MULTI of the Redis client
+ * @param {Object<string, Array>} replacements Items of each list, by key
+ */
+function queueListReplacements(transaction, replacements) {
+    Object.entries(replacements).forEach(([key, items]) => {
+        transaction.del(key);
+        if (items.length > 0) {
+            transaction.rPush(
+                key,
+                items.map((item) => JSON.stringify(item))
+            );
+        }
+    });
+}
+
 class RedisAdapter {
     constructor() {
         this.publisher = null;
@@ -224,6 +246,25 @@ class RedisAdapter {
         }
     }
 
+    /**
+     * Get all items of several Redis lists in one transaction, so they are read at the same time
+     * @param {Array<string>} keys List keys
+     * @returns {Array<Array>|null} Parsed items of each list, null on error
+     */
+    async listsGetAll(keys) {
+        if (!this.isConnected) return null;
+
+        try {
+            const transaction = this.publisher.multi();
+            keys.forEach((key) => transaction.lRange(key, 0, -1));
+            const replies = await transaction.exec();
+            return replies.map((items) => items.map((item) => JSON.parse(item)));
+        } catch (error) {
+            console.error("Redis listsGetAll error:", error);
+            return null;
+        }
+    }
+
     /**
      * Replace entire list with new data
      * @param {string} key List key
@@ -246,6 +287,192 @@ class RedisAdapter {
         }
     }
 
+    /**
+     * Replace several lists in one transaction
+     * @param {Object<string, Array>} replacements Items of each list to replace, by key
+     * @returns {boolean} true if they were all replaced
+     */
+    async listsReplace(replacements) {
+        if (!this.isConnected) return false;
+
+        try {
+            const transaction = this.publisher.multi();
+            queueListReplacements(transaction, replacements);
+            await transaction.exec();
+            return true;
+        } catch (error) {
+            console.error("Redis listsReplace error:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the length of a Redis list
+     * @param {string} key List key
+     * @returns {number} Number of items
+     */
+    async listLength(key) {
+        if (!this.isConnected) return 0;
+
+        try {
+            return await this.publisher.lLen(key);
+        } catch (error) {
+            console.error("Redis listLength error:", error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the memory used by a key and its value
+     * @param {string} key Key
+     * @returns {number} Bytes, 0 if the key doesn't exist
+     */
+    async memoryUsage(key) {
+        if (!this.isConnected) return 0;
+
+        try {
+            return (await this.publisher.memoryUsage(key)) || 0;
+        } catch (error) {
+            console.error("Redis memoryUsage error:", error);
+            return 0;
+        }
+    }
+
+    /**
+     * Replace lists and remove the first items of another list in one transaction
+     * @param {Object<string, Array>} replacements Items of each list to replace, by key
+     * @param {string} trimKey Key of the list to trim
+     * @param {number} trimCount Number of items to remove from the start of the list
+     */
+    async listReplaceAndTrim(replacements, trimKey, trimCount) {
+        if (!this.isConnected) return false;
+
+        try {
+            const transaction = this.publisher.multi();
+            queueListReplacements(transaction, replacements);
+            transaction.lTrim(trimKey, trimCount, -1);
+            await transaction.exec();
+            return true;
+        } catch (error) {
+            console.error("Redis listReplaceAndTrim error:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Store data in Redis only if the key does not exist (e.g. for locks)
+     * @param {string} key Key name
+     * @param {Object} value Value to store
+     * @param {number} ttl Time to live in seconds (optional)
+     * @returns {boolean} true if the value was stored
+     */
+    async setIfNotExists(key, value, ttl = null) {
+        if (!this.isConnected) return false;
+
+        try {
+            const options = ttl ? { NX: true, EX: ttl } : { NX: true };
+            const result = await this.publisher.set(key, JSON.stringify(value), options);
+            return result === "OK";
+        } catch (error) {
+            console.error("Redis setIfNotExists error:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a key only if it still has a value, e.g. a lock taken by this node
+     * @param {string} key Key name
+     * @param {Object} value Value the key must have
+     * @returns {boolean} true if the key was deleted
+     */
+    async deleteIfEquals(key, value) {
+        if (!this.isConnected) return false;
+
+        try {
+            const deleted = await this.publisher.eval(DELETE_IF_EQUALS_SCRIPT, {
+                keys: [key],
+                arguments: [JSON.stringify(value)],
+            });
+            return deleted === 1;
+        } catch (error) {
+            console.error("Redis deleteIfEquals error:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a member to a sorted set, or update its score
+     * @param {string} key Sorted set key
+     * @param {number} score Score of the member
+     * @param {string} member Member
+     * @param {boolean} onlyIfNew Keep the score of existing members
+     */
+    async sortedSetAdd(key, score, member, onlyIfNew = false) {
+        if (!this.isConnected) return false;
+
+        try {
+            const options = onlyIfNew ? { NX: true } : {};
+            await this.publisher.zAdd(key, { score, value: member }, options);
+            return true;
+        } catch (error) {
+            console.error("Redis sortedSetAdd error:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Get all the members of a sorted set with their scores
+     * @param {string} key Sorted set key
+     * @returns {Array<{value: string, score: number}>} Members, lowest score first
+     */
+    async sortedSetGetAll(key) {
+        if (!this.isConnected) return [];
+
+        try {
+            return await this.publisher.zRangeWithScores(key, 0, -1);
+        } catch (error) {
+            console.error("Redis sortedSetGetAll error:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Remove a member from a sorted set
+     * @param {string} key Sorted set key
+     * @param {string} member Member
+     */
+    async sortedSetRemove(key, member) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.publisher.zRem(key, member);
+            return true;
+        } catch (error) {
+            console.error("Redis sortedSetRemove error:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Find the keys matching a pattern, without blocking Redis
+     * @param {string} pattern Key pattern (e.g. "whiteboard:data:*")
+     * @returns {Array<string>} Keys
+     */
+    async scanKeys(pattern) {
+        if (!this.isConnected) return [];
+
+        try {
+            const keys = [];
+            for await (const key of this.publisher.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+                keys.push(key);
+            }
+            return keys;
+        } catch (error) {
+            console.error("Redis scanKeys error:", error);
+            return [];
+        }
+    }
+
     /**
      * Close Redis connections
      */
@@ -3,16 +3,34 @@
  * Replaces file-based storage for distributed consistency across nodes
  */
 import redisAdapter from "./RedisAdapter.js";
+import config from "../config/config.js";
+import StorageProvider, { imageUrls } from "./StorageProvider.js";
+import { JOURNAL_OPS, applyJournalEntry, createBoardState, replayJournal } from "./EventJournal.js";
+import { compactEvents } from "./EventCompaction.js";
 
 const WHITEBOARD_PREFIX = "whiteboard:data:";
 const UNDO_PREFIX = "whiteboard:undo:";
+const JOURNAL_PREFIX = "whiteboard:journal:";
+const VERSIONS_PREFIX = "whiteboard:versions:";
+const VERSION_EVENTS_PREFIX = "whiteboard:version:";
+const READ_ONLY_ID_PREFIX = "whiteboard:readonly:";
+const WID_BY_READ_ONLY_ID_PREFIX = "whiteboard:readonly-wid:";
+const SETTINGS_PREFIX = "whiteboard:settings:";
+const ACTIVITY_KEY = "whiteboard:activity"; // Sorted set: wid by time of its last change
+const COMPACTION_LOCK_PREFIX = "whiteboard:compacting:";
+const COMPACTION_LOCK_TTL = 60; // seconds
 const CHANNEL_WHITEBOARD_EVENTS = "whiteboard:events";
 
-class RedisWhiteboardService {
+class RedisWhiteboardService extends StorageProvider {
     constructor() {
+        super();
         this.localCache = {}; // Local cache for performance
-        this.nodeId = process.env.NODE_ID || `node-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.nodeId =
+            process.env.NODE_ID || `node-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         this.eventHandlers = [];
+        this.journaledWids = new Set(); // Whiteboards this node wrote to since the last compaction
+        this.compactionTimer = null;
+        this.compaction = null; // Running compaction of the journals
     }
 
     /**
@@ -20,7 +38,10 @@ class RedisWhiteboardService {
      */
     async initialize() {
         if (!redisAdapter.isReady()) {
-            console.warn("Redis not ready, using local storage only");
+            await redisAdapter.connect();
+        }
+        if (!redisAdapter.isReady()) {
+            console.warn("Redis not ready, the whiteboards can't be stored");
             return false;
         }
 
@@ -29,10 +50,53 @@ class RedisWhiteboardService {
             this.handleRemoteEvent(message);
         });
 
+        await this.trackStoredBoards();
+
+        if (!this.compactionTimer) {
+            const { journalCompactionInterval } = config.backend.performance;
+            this.compactionTimer = setInterval(
+                () =>
+                    (this.compaction = this.compactJournals().catch((err) =>
+                        console.log("Could not compact the journals", err)
+                    )),
+                journalCompactionInterval * 1000
+            );
+            this.compactionTimer.unref();
+        }
+
         console.log(`✅ RedisWhiteboardService initialized (Node: ${this.nodeId})`);
         return true;
     }
 
+    /**
+     * Wait for the running compaction and stop compacting
+     *
+     * The changes are written to Redis as they come, the connections are closed by the server
+     * with RedisAdapter.disconnect().
+     */
+    async close() {
+        await super.close();
+        clearInterval(this.compactionTimer);
+        this.compactionTimer = null;
+        await this.compaction; // its failures are logged
+    }
+
+    /**
+     * Add the whiteboards stored before their activity was tracked to the activity set
+     */
+    async trackStoredBoards() {
+        const keys = [
+            ...(await redisAdapter.scanKeys(WHITEBOARD_PREFIX + "*")),
+            ...(await redisAdapter.scanKeys(JOURNAL_PREFIX + "*")),
+        ];
+        for (const key of keys) {
+            const wid = key.startsWith(WHITEBOARD_PREFIX)
+                ? key.slice(WHITEBOARD_PREFIX.length)
+                : key.slice(JOURNAL_PREFIX.length);
+            await redisAdapter.sortedSetAdd(ACTIVITY_KEY, Date.now(), wid, true);
+        }
+    }
+
     /**
      * Handle events from other nodes
      * @param {Object} message Event message
@@ -41,10 +105,8 @@ class RedisWhiteboardService {
         // Ignore events from this node
         if (message.nodeId === this.nodeId) return;
 
-        // Update local cache with remote data
-        if (message.type === "update" && message.wid) {
-            this.localCache[message.wid] = message.data;
-        } else if (message.type === "clear" && message.wid) {
+        // The local cache no longer matches Redis, it is rebuilt on the next load
+        if ((message.type === "update" || message.type === "clear") && message.wid) {
             delete this.localCache[message.wid];
         }
 
@@ -65,24 +127,44 @@ class RedisWhiteboardService {
      * @param {string} wid Whiteboard ID
      * @returns {Array} Whiteboard data
      */
-    async loadStoredData(wid) {
+    async load(wid) {
         // Check local cache first
         if (this.localCache[wid]) {
-            return this.localCache[wid];
+            this.localCache[wid].lastAccess = Date.now();
+            return this.localCache[wid].events;
         }
 
-        // Try to load from Redis
-        if (redisAdapter.isReady()) {
-            const data = await redisAdapter.listGetAll(WHITEBOARD_PREFIX + wid);
-            if (data && data.length > 0) {
-                this.localCache[wid] = data;
-                return data;
-            }
+        // Try to load from Redis: snapshot + journal entries written since
+        const board = await this.readBoard(wid);
+        board.lastAccess = Date.now();
+        this.localCache[wid] = board;
+        return board.events;
+    }
+
+    /**
+     * Read the snapshot and the journal of a whiteboard from Redis
+     *
+     * They are read in one transaction: a compaction on another node could move entries from the
+     * journal to the snapshot between separate reads.
+     *
+     * @param {string} wid Whiteboard ID
+     * @returns {{events: Array, undos: Array, journalLength: number}}
+     */
+    async readBoard(wid) {
+        if (!redisAdapter.isReady()) {
+            return createBoardState();
         }
 
-        // Initialize empty whiteboard
-        this.localCache[wid] = [];
-        return this.localCache[wid];
+        const lists = await redisAdapter.listsGetAll([
+            WHITEBOARD_PREFIX + wid,
+            UNDO_PREFIX + wid,
+            JOURNAL_PREFIX + wid,
+        ]);
+        if (!lists) throw new Error(`Could not read the whiteboard ${wid} from Redis`);
+        const [events, undos, journal] = lists;
+        const board = replayJournal(createBoardState(events, undos), journal);
+        board.journalLength = journal.length;
+        return board;
     }
 
     /**
@@ -90,96 +172,54 @@ class RedisWhiteboardService {
      * @param {Object} content Event content
      */
     async handleEventsAndData(content) {
-        const tool = content["t"];
-        const wid = content["wid"];
-        const username = content["username"];
-
-        if (tool === "clear") {
-            await this.clearWhiteboard(wid);
-        } else if (tool === "undo") {
-            await this.handleUndo(wid, username);
-        } else if (tool === "redo") {
-            await this.handleRedo(wid, username);
-        } else if (this.isDrawingTool(tool)) {
-            await this.saveDrawingAction(wid, content);
-        }
+        await super.handleEventsAndData(content);
 
         // Publish event to other nodes
         await this.publishEvent({
             type: "update",
-            wid: wid,
-            tool: tool,
-            data: this.localCache[wid],
+            wid: content["wid"],
+            tool: content["t"],
             content: content,
         });
     }
 
     /**
-     * Check if tool is a drawing tool
-     * @param {string} tool Tool name
-     * @returns {boolean}
+     * Handle a batch of whiteboard events
+     * @param {string} wid Whiteboard ID
+     * @param {Array<Object>} contents Event contents
+     * @returns {Array<string>} Ids of the stored events
      */
-    isDrawingTool(tool) {
-        return [
-            "line",
-            "pen",
-            "rect",
-            "circle",
-            "eraser",
-            "addImgBG",
-            "recSelect",
-            "eraseRec",
-            "addTextBox",
-            "setTextboxText",
-            "removeTextbox",
-            "setTextboxPosition",
-            "setTextboxFontSize",
-            "setTextboxFontColor",
-        ].includes(tool);
+    async handleEventBatch(wid, contents) {
+        const ids = await super.handleEventBatch(wid, contents);
+
+        // Publish the events to other nodes
+        for (const content of contents) {
+            await this.publishEvent({
+                type: "update",
+                wid: wid,
+                tool: content["t"],
+                content: content,
+            });
+        }
+        return ids;
     }
 
     /**
      * Save a drawing action
      * @param {string} wid Whiteboard ID
-     * @param {Object} content Drawing content
-     */
-    async saveDrawingAction(wid, content) {
-        let savedBoard = await this.loadStoredData(wid);
-        
-        // Remove wid from content to avoid storing it twice
-        const contentToSave = { ...content };
-        delete contentToSave["wid"];
-
-        // Handle textbox text updates
-        if (content["t"] === "setTextboxText") {
-            savedBoard = savedBoard.filter(
-                (item) => !(item["t"] === "setTextboxText" && item["d"][0] === content["d"][0])
-            );
-        }
-
-        savedBoard.push(contentToSave);
-        this.localCache[wid] = savedBoard;
-
-        // Save to Redis
-        await this.saveToDB(wid);
+     * @param {Object} event Drawing content
+     */
+    async append(wid, event) {
+        await this.writeJournalEntry(wid, { op: JOURNAL_OPS.APPEND, event });
     }
 
     /**
-     * Clear whiteboard
+     * Save several drawing actions, in one journal entry
      * @param {string} wid Whiteboard ID
+     * @param {Array<Object>} events Drawing contents
      */
-    async clearWhiteboard(wid) {
-        delete this.localCache[wid];
-        
-        if (redisAdapter.isReady()) {
-            await redisAdapter.delete(WHITEBOARD_PREFIX + wid);
-            await redisAdapter.delete(UNDO_PREFIX + wid);
-        }
-
-        await this.publishEvent({
-            type: "clear",
-            wid: wid,
-        });
+    async appendAll(wid, events) {
+        await this.writeJournalEntry(wid, { op: JOURNAL_OPS.APPEND_ALL, events });
     }
 
     /**
@@ -187,31 +227,8 @@ class RedisWhiteboardService {
      * @param {string} wid Whiteboard ID
      * @param {string} username Username
      */
-    async handleUndo(wid, username) {
-        let savedBoard = await this.loadStoredData(wid);
-        let undoStack = await this.getUndoStack(wid);
-
-        for (let i = savedBoard.length - 1; i >= 0; i--) {
-            if (savedBoard[i]["username"] === username) {
-                const drawId = savedBoard[i]["drawId"];
-                for (let j = savedBoard.length - 1; j >= 0; j--) {
-                    if (savedBoard[j]["drawId"] === drawId && savedBoard[j]["username"] === username) {
-                        undoStack.push(savedBoard[j]);
-                        savedBoard.splice(j, 1);
-                    }
-                }
-                break;
-            }
-        }
-
-        // Limit undo stack size
-        if (undoStack.length > 1000) {
-            undoStack.splice(0, undoStack.length - 1000);
-        }
-
-        this.localCache[wid] = savedBoard;
-        await this.saveUndoStack(wid, undoStack);
-        await this.saveToDB(wid);
+    async undo(wid, username) {
+        await this.writeJournalEntry(wid, { op: JOURNAL_OPS.UNDO, username });
     }
 
     /**
@@ -219,62 +236,130 @@ class RedisWhiteboardService {
      * @param {string} wid Whiteboard ID
      * @param {string} username Username
      */
-    async handleRedo(wid, username) {
-        let savedBoard = await this.loadStoredData(wid);
-        let undoStack = await this.getUndoStack(wid);
-
-        for (let i = undoStack.length - 1; i >= 0; i--) {
-            if (undoStack[i]["username"] === username) {
-                const drawId = undoStack[i]["drawId"];
-                for (let j = undoStack.length - 1; j >= 0; j--) {
-                    if (undoStack[j]["drawId"] === drawId && undoStack[j]["username"] === username) {
-                        savedBoard.push(undoStack[j]);
-                        undoStack.splice(j, 1);
-                    }
-                }
-                break;
-            }
+    async redo(wid, username) {
+        await this.writeJournalEntry(wid, { op: JOURNAL_OPS.REDO, username });
+    }
+
+    /**
+     * Append a change to the journal of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {Object} entry Journal entry
+     */
+    async writeJournalEntry(wid, entry) {
+        if (this.localCache[wid]) {
+            if (applyJournalEntry(this.localCache[wid], entry)) this.eventsReplaced(wid);
+            this.localCache[wid].lastAccess = Date.now();
         }
 
-        this.localCache[wid] = savedBoard;
-        await this.saveUndoStack(wid, undoStack);
-        await this.saveToDB(wid);
+        if (redisAdapter.isReady()) {
+            await redisAdapter.listPush(JOURNAL_PREFIX + wid, entry);
+            await redisAdapter.sortedSetAdd(ACTIVITY_KEY, Date.now(), wid);
+            this.journaledWids.add(wid);
+        } else if (!this.localCache[wid]) {
+            // Redis is not available: keep the board in memory only
+            this.localCache[wid] = createBoardState();
+            this.localCache[wid].lastAccess = Date.now();
+            applyJournalEntry(this.localCache[wid], entry);
+        }
     }
 
     /**
-     * Get undo stack for whiteboard
+     * Compact the journals written by this node that reached the configured size
+     */
+    async compactJournals() {
+        const { journalCompactionThreshold } = config.backend.performance;
+        const wids = Array.from(this.journaledWids);
+        this.journaledWids.clear();
+
+        for (const wid of wids) {
+            const journalLength = await redisAdapter.listLength(JOURNAL_PREFIX + wid);
+            if (journalLength >= journalCompactionThreshold) {
+                await this.compact(wid);
+            } else if (journalLength > 0) {
+                // check it again next time
+                this.journaledWids.add(wid);
+            }
+        }
+    }
+
+    /**
+     * Write the snapshot of a whiteboard and drop the journal entries it contains
+     *
+     * A lock makes sure that only one node compacts a whiteboard at a time.
+     *
      * @param {string} wid Whiteboard ID
-     * @returns {Array} Undo stack
+     * @returns {Promise<{before: number, after: number}|null>} null if another node compacts it
+     * @throws {Error} if the compacted whiteboard couldn't be written
      */
-    async getUndoStack(wid) {
-        if (redisAdapter.isReady()) {
-            return await redisAdapter.listGetAll(UNDO_PREFIX + wid) || [];
+    async compact(wid) {
+        const lockKey = COMPACTION_LOCK_PREFIX + wid;
+        if (!(await redisAdapter.setIfNotExists(lockKey, this.nodeId, COMPACTION_LOCK_TTL))) {
+            return null;
+        }
+
+        try {
+            const board = await this.readBoard(wid);
+            const before = board.events.length;
+            board.events = compactEvents(board.events);
+            const written = await redisAdapter.listReplaceAndTrim(
+                {
+                    [WHITEBOARD_PREFIX + wid]: board.events,
+                    [UNDO_PREFIX + wid]: board.undos,
+                },
+                JOURNAL_PREFIX + wid,
+                board.journalLength
+            );
+            if (!written) throw new Error(`Could not write the compacted whiteboard ${wid}`);
+            if (board.events.length !== before) this.eventsReplaced(wid);
+            return { before, after: board.events.length };
+        } finally {
+            // unless the lock expired and another node took it meanwhile
+            await redisAdapter.deleteIfEquals(lockKey, this.nodeId);
         }
-        return [];
     }
 
     /**
-     * Save undo stack
+     * Compact a whiteboard now, see StorageProvider.compactBoard
      * @param {string} wid Whiteboard ID
-     * @param {Array} stack Undo stack
+     * @returns {Promise<{before: number, after: number}>}
      */
-    async saveUndoStack(wid, stack) {
-        if (redisAdapter.isReady()) {
-            await redisAdapter.listReplace(UNDO_PREFIX + wid, stack);
+    async compactBoard(wid) {
+        if (!redisAdapter.isReady()) {
+            const board = this.localCache[wid] || createBoardState();
+            const before = board.events.length;
+            board.events = compactEvents(board.events);
+            if (board.events.length !== before) this.eventsReplaced(wid);
+            return { before, after: board.events.length };
         }
+
+        const result = await this.compact(wid);
+        // load the compacted whiteboard next time
+        delete this.localCache[wid];
+        if (result) return result;
+
+        // another node is compacting it
+        const count = (await this.load(wid)).length;
+        return { before: count, after: count };
     }
 
     /**
-     * Save whiteboard to Redis
+     * Clear whiteboard
      * @param {string} wid Whiteboard ID
      */
-    async saveToDB(wid) {
-        if (!redisAdapter.isReady()) return;
+    async clear(wid) {
+        delete this.localCache[wid];
 
-        const data = this.localCache[wid];
-        if (data) {
-            await redisAdapter.listReplace(WHITEBOARD_PREFIX + wid, data);
+        if (redisAdapter.isReady()) {
+            await redisAdapter.delete(WHITEBOARD_PREFIX + wid);
+            await redisAdapter.delete(UNDO_PREFIX + wid);
+            await redisAdapter.delete(JOURNAL_PREFIX + wid);
+            await redisAdapter.sortedSetRemove(ACTIVITY_KEY, wid);
         }
+
+        await this.publishEvent({
+            type: "clear",
+            wid: wid,
+        });
     }
 
     /**
@@ -294,16 +379,15 @@ class RedisWhiteboardService {
      * @param {string} sourceWid Source whiteboard ID
      * @param {string} targetWid Target whiteboard ID
      */
-    async copyStoredData(sourceWid, targetWid) {
-        const sourceData = await this.loadStoredData(sourceWid);
-        const targetData = await this.loadStoredData(targetWid);
-        
+    async copy(sourceWid, targetWid) {
+        const sourceData = await this.load(sourceWid);
+        const targetData = await this.load(targetWid);
+
         if (sourceData.length === 0 || targetData.length > 0) {
             return;
         }
 
-        this.localCache[targetWid] = [...sourceData];
-        await this.saveToDB(targetWid);
+        await this.saveSnapshot(targetWid, [...sourceData]);
     }
 
     /**
@@ -312,13 +396,241 @@ class RedisWhiteboardService {
      * @param {string} data JSON string data
      */
     async saveData(wid, data) {
-        const existingData = await this.loadStoredData(wid);
+        const existingData = await this.load(wid);
         if (existingData.length > 0 || !data) {
             return;
         }
 
-        this.localCache[wid] = JSON.parse(data);
-        await this.saveToDB(wid);
+        await this.saveSnapshot(wid, JSON.parse(data));
+    }
+
+    /**
+     * Replace the events of a whiteboard and drop its undo stack and journal, in one transaction
+     * @param {string} wid Whiteboard ID
+     * @param {Array<Object>} events Drawing contents
+     */
+    async replaceEvents(wid, events) {
+        if (redisAdapter.isReady()) {
+            const replaced = await redisAdapter.listsReplace({
+                [WHITEBOARD_PREFIX + wid]: events,
+                [UNDO_PREFIX + wid]: [],
+                [JOURNAL_PREFIX + wid]: [],
+            });
+            if (!replaced) throw new Error(`Could not replace the whiteboard ${wid} in Redis`);
+            if (events.length > 0) {
+                await redisAdapter.sortedSetAdd(ACTIVITY_KEY, Date.now(), wid);
+            } else {
+                await redisAdapter.sortedSetRemove(ACTIVITY_KEY, wid);
+            }
+        }
+
+        this.localCache[wid] = createBoardState(events.slice());
+        this.localCache[wid].lastAccess = Date.now();
+        await this.publishEvent({ type: "clear", wid: wid });
+    }
+
+    /**
+     * Store a version of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {Object} version Version with its events
+     */
+    async saveVersion(wid, version) {
+        if (!redisAdapter.isReady()) return;
+
+        const { events, ...versionInfo } = version;
+        await redisAdapter.set(`${VERSION_EVENTS_PREFIX}${wid}:${version.id}`, events);
+        await redisAdapter.listPush(VERSIONS_PREFIX + wid, versionInfo);
+    }
+
+    /**
+     * List the versions of a whiteboard, newest first
+     * @param {string} wid Whiteboard ID
+     * @returns {Array} Versions without their events
+     */
+    async listVersions(wid) {
+        if (!redisAdapter.isReady()) return [];
+
+        const versions = await redisAdapter.listGetAll(VERSIONS_PREFIX + wid);
+        return versions.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Load a version of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {string} versionId Version ID
+     * @returns {Object|null} Version with its events
+     */
+    async loadVersion(wid, versionId) {
+        const versionInfo = (await this.listVersions(wid)).find((v) => v.id === versionId);
+        if (!versionInfo) return null;
+
+        const events = await redisAdapter.get(`${VERSION_EVENTS_PREFIX}${wid}:${versionId}`);
+        return { ...versionInfo, events: events || [] };
+    }
+
+    /**
+     * Delete a version of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {string} versionId Version ID
+     */
+    async deleteVersion(wid, versionId) {
+        if (!redisAdapter.isReady()) return;
+
+        const versions = await redisAdapter.listGetAll(VERSIONS_PREFIX + wid);
+        await redisAdapter.listReplace(
+            VERSIONS_PREFIX + wid,
+            versions.filter((v) => v.id !== versionId)
+        );
+        await redisAdapter.delete(`${VERSION_EVENTS_PREFIX}${wid}:${versionId}`);
+    }
+
+    /**
+     * List the stored whiteboards with the time of their last change
+     * @returns {Array<{wid: string, lastModified: number}>}
+     */
+    async listBoards() {
+        const boards = await redisAdapter.sortedSetGetAll(ACTIVITY_KEY);
+        return boards.map(({ value, score }) => ({ wid: value, lastModified: score }));
+    }
+
+    /**
+     * Get the number of events of a whiteboard and the memory its keys take in Redis
+     * @param {string} wid Whiteboard ID
+     * @returns {{eventCount: number, storageSize: number}}
+     */
+    async boardStats(wid) {
+        // read from Redis: the local cache may miss the changes made on other nodes
+        const [board, ...sizes] = await Promise.all([
+            this.readBoard(wid),
+            ...[WHITEBOARD_PREFIX, UNDO_PREFIX, JOURNAL_PREFIX].map((prefix) =>
+                redisAdapter.memoryUsage(prefix + wid)
+            ),
+        ]);
+        return {
+            eventCount: board.events.length,
+            storageSize: sizes.reduce((sum, size) => sum + size, 0),
+        };
+    }
+
+    /**
+     * List the urls of the images of a whiteboard, read from Redis without caching the whiteboard
+     * @param {string} wid Whiteboard ID
+     * @returns {Array<string>} Urls of the images
+     */
+    async listImageUrls(wid) {
+        // Without Redis, the cache is the only copy of the whiteboards
+        const { events } = redisAdapter.isReady()
+            ? await this.readBoard(wid)
+            : this.localCache[wid] || createBoardState();
+        return imageUrls(events);
+    }
+
+    /**
+     * Remove the whiteboards not used since a given time from the local cache
+     * @param {number} idleSince Timestamp
+     * @param {boolean} dryRun Only tell which whiteboards would be removed
+     * @returns {Array<string>} IDs of the removed whiteboards
+     */
+    async evictFromMemory(idleSince, dryRun = false) {
+        // Without Redis, the cache is the only copy of the whiteboards
+        if (!redisAdapter.isReady()) return [];
+
+        const evicted = Object.keys(this.localCache).filter(
+            (wid) => this.localCache[wid].lastAccess < idleSince
+        );
+        if (!dryRun) {
+            evicted.forEach((wid) => delete this.localCache[wid]);
+        }
+        return evicted;
+    }
+
+    /**
+     * Load the read-only id of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @returns {string|null} Read-only ID
+     */
+    async loadReadOnlyId(wid) {
+        if (!redisAdapter.isReady()) return null;
+        return await redisAdapter.get(READ_ONLY_ID_PREFIX + wid);
+    }
+
+    /**
+     * Load the whiteboard ID of a read-only ID
+     * @param {string} readOnlyId Read-only ID
+     * @returns {string|null} Whiteboard ID
+     */
+    async loadIdFromReadOnlyId(readOnlyId) {
+        if (!redisAdapter.isReady()) return null;
+        return await redisAdapter.get(WID_BY_READ_ONLY_ID_PREFIX + readOnlyId);
+    }
+
+    /**
+     * Store the read-only id of a whiteboard, unless a node already stored one
+     * @param {string} wid Whiteboard ID
+     * @param {string} readOnlyId Read-only ID
+     * @returns {string} The stored read-only ID
+     */
+    async saveReadOnlyId(wid, readOnlyId) {
+        if (!redisAdapter.isReady()) return readOnlyId;
+
+        // Store the reverse mapping first, so the read-only ID resolves as soon as it is visible
+        await redisAdapter.set(WID_BY_READ_ONLY_ID_PREFIX + readOnlyId, wid);
+        if (await redisAdapter.setIfNotExists(READ_ONLY_ID_PREFIX + wid, readOnlyId)) {
+            return readOnlyId;
+        }
+
+        await redisAdapter.delete(WID_BY_READ_ONLY_ID_PREFIX + readOnlyId);
+        return await redisAdapter.get(READ_ONLY_ID_PREFIX + wid);
+    }
+
+    /**
+     * Delete the read-only id of a deleted whiteboard
+     * @param {string} wid Whiteboard ID
+     */
+    async deleteReadOnlyId(wid) {
+        if (!redisAdapter.isReady()) return;
+
+        const readOnlyId = await redisAdapter.get(READ_ONLY_ID_PREFIX + wid);
+        if (!readOnlyId) return;
+        await redisAdapter.delete(READ_ONLY_ID_PREFIX + wid);
+        await redisAdapter.delete(WID_BY_READ_ONLY_ID_PREFIX + readOnlyId);
+    }
+
+    /**
+     * Load the settings of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @returns {object} The settings, empty if none are stored
+     */
+    async loadBoardSettings(wid) {
+        if (!redisAdapter.isReady()) return {};
+        return (await redisAdapter.get(SETTINGS_PREFIX + wid)) || {};
+    }
+
+    /**
+     * Replace the settings of a whiteboard, for all the nodes
+     * @param {string} wid Whiteboard ID
+     * @param {object} settings
+     * @throws {Error} if they couldn't be stored: a secret or a lock must not be silently lost
+     */
+    async saveBoardSettings(wid, settings) {
+        if (!(await redisAdapter.set(SETTINGS_PREFIX + wid, settings))) {
+            throw new Error(`Could not save the settings of the whiteboard ${wid} to Redis`);
+        }
+    }
+
+    /**
+     * Replace the content of an empty whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {Array} events Whiteboard data
+     */
+    async saveSnapshot(wid, events) {
+        this.localCache[wid] = createBoardState(events);
+        this.localCache[wid].lastAccess = Date.now();
+        if (redisAdapter.isReady()) {
+            await redisAdapter.listReplace(WHITEBOARD_PREFIX + wid, events);
+            await redisAdapter.sortedSetAdd(ACTIVITY_KEY, Date.now(), wid);
+        }
+        await this.publishEvent({ type: "clear", wid: wid });
     }
 }
 
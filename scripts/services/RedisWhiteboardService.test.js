@@ -0,0 +1,250 @@
+import redisAdapter from "./RedisAdapter";
+import { RedisWhiteboardService } from "./RedisWhiteboardService";
+
+jest.mock("../config/config.js", () => ({
+    __esModule: true,
+    default: {
+        backend: {
+            performance: { journalCompactionInterval: 60, journalCompactionThreshold: 3 },
+        },
+    },
+}));
+
+const WID = "board";
+
+/**
+ * In-memory replacement of the methods of the Redis adapter used by the service
+ *
+ * The values are stored as JSON, like in Redis.
+ */
+function createFakeRedis() {
+    const values = new Map();
+    const lists = new Map();
+    const sortedSets = new Map();
+    const list = (key) => (lists.get(key) || []).map((item) => JSON.parse(item));
+    return {
+        values,
+        lists,
+        isReady: () => true,
+        async publish() {},
+        async set(key, value) {
+            values.set(key, JSON.stringify(value));
+            return true;
+        },
+        async get(key) {
+            return values.has(key) ? JSON.parse(values.get(key)) : null;
+        },
+        async delete(key) {
+            values.delete(key);
+            lists.delete(key);
+        },
+        async setIfNotExists(key, value) {
+            if (values.has(key)) return false;
+            values.set(key, JSON.stringify(value));
+            return true;
+        },
+        async deleteIfEquals(key, value) {
+            if (values.get(key) !== JSON.stringify(value)) return false;
+            values.delete(key);
+            return true;
+        },
+        async listPush(key, value) {
+            lists.set(key, [...(lists.get(key) || []), JSON.stringify(value)]);
+        },
+        async listGetAll(key) {
+            return list(key);
+        },
+        async listsGetAll(keys) {
+            return keys.map(list);
+        },
+        async listReplace(key, items) {
+            lists.set(
+                key,
+                items.map((item) => JSON.stringify(item))
+            );
+        },
+        async listsReplace(replacements) {
+            Object.entries(replacements).forEach(([key, items]) => this.listReplace(key, items));
+            return true;
+        },
+        async listLength(key) {
+            return (lists.get(key) || []).length;
+        },
+        async listReplaceAndTrim(replacements, trimKey, trimCount) {
+            Object.entries(replacements).forEach(([key, items]) => this.listReplace(key, items));
+            lists.set(trimKey, (lists.get(trimKey) || []).slice(trimCount));
+            return true;
+        },
+        async sortedSetAdd(key, score, member) {
+            sortedSets.set(key, { ...sortedSets.get(key), [member]: score });
+        },
+        async sortedSetRemove(key, member) {
+            const { [member]: removed, ...members } = sortedSets.get(key) || {};
+            sortedSets.set(key, members);
+        },
+        async sortedSetGetAll(key) {
+            return Object.entries(sortedSets.get(key) || {}).map(([value, score]) => ({
+                value,
+                score,
+            }));
+        },
+    };
+}
+
+let redis;
+
+beforeEach(() => {
+    redis = createFakeRedis();
+    Object.assign(redisAdapter, redis);
+});
+
+function line(username, drawId) {
+    return { t: "line", username, drawId, d: [drawId, 0, drawId, 10] };
+}
+
+test("Events are appended, undone, redone and cleared", async () => {
+    const service = new RedisWhiteboardService();
+    await service.append(WID, line("alice", 1));
+    await service.appendAll(WID, [line("bob", 2), line("alice", 3)]);
+
+    await service.undo(WID, "alice");
+    expect(await service.load(WID)).toEqual([line("alice", 1), line("bob", 2)]);
+    await service.undo(WID, "alice");
+    await service.redo(WID, "alice");
+    expect(await service.load(WID)).toEqual([line("bob", 2), line("alice", 1)]);
+    expect(await service.listBoards()).toEqual([{ wid: WID, lastModified: expect.any(Number) }]);
+
+    await service.clear(WID);
+    expect(await service.load(WID)).toEqual([]);
+    expect(redis.lists.size).toBe(0);
+    expect(await service.listBoards()).toEqual([]);
+});
+
+test("The journal is reloaded after a restart", async () => {
+    const service = new RedisWhiteboardService();
+    await service.append(WID, line("alice", 1));
+    await service.append(WID, line("alice", 2));
+    await service.undo(WID, "alice");
+
+    const restarted = new RedisWhiteboardService();
+    expect(await restarted.load(WID)).toEqual([line("alice", 1)]);
+    // the undo stack is kept too
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([line("alice", 1), line("alice", 2)]);
+});
+
+test("The journals reaching the threshold are compacted into the snapshots", async () => {
+    const service = new RedisWhiteboardService();
+    await service.append(WID, line("alice", 1));
+    await service.append(WID, line("alice", 2));
+    await service.append("other", line("alice", 1));
+    await service.undo(WID, "alice");
+
+    await service.compactJournals();
+
+    expect(await redis.listGetAll("whiteboard:data:" + WID)).toEqual([line("alice", 1)]);
+    expect(await redis.listGetAll("whiteboard:undo:" + WID)).toEqual([line("alice", 2)]);
+    expect(await redis.listLength("whiteboard:journal:" + WID)).toBe(0);
+    // below the threshold
+    expect(await redis.listLength("whiteboard:journal:other")).toBe(1);
+    expect(redis.values.size).toBe(0); // the lock is released
+
+    const restarted = new RedisWhiteboardService();
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([line("alice", 1), line("alice", 2)]);
+});
+
+test("The entries journaled during a compaction are kept", async () => {
+    const service = new RedisWhiteboardService();
+    const other = new RedisWhiteboardService();
+    await service.append(WID, line("alice", 1));
+    await service.append(WID, line("alice", 2));
+
+    const { listsGetAll } = redis;
+    redisAdapter.listsGetAll = async (keys) => {
+        const lists = await listsGetAll(keys);
+        // another node draws while the whiteboard is compacted
+        await other.append(WID, line("bob", 3));
+        return lists;
+    };
+    expect(await service.compact(WID)).toEqual({ before: 2, after: 2 });
+    redisAdapter.listsGetAll = listsGetAll;
+
+    expect(await redis.listGetAll("whiteboard:journal:" + WID)).toEqual([
+        { op: "append", event: line("bob", 3) },
+    ]);
+    expect(await new RedisWhiteboardService().load(WID)).toEqual([
+        line("alice", 1),
+        line("alice", 2),
+        line("bob", 3),
+    ]);
+});
+
+test("A failed compaction keeps the journal and releases the lock", async () => {
+    const service = new RedisWhiteboardService();
+    const listener = jest.fn();
+    service.onEventsReplaced(listener);
+    // the compaction would only keep the last position
+    await service.append(WID, { t: "setTextboxPosition", d: ["text1", 0, 0] });
+    await service.append(WID, { t: "setTextboxPosition", d: ["text1", 10, 10] });
+    redisAdapter.listReplaceAndTrim = async () => false;
+
+    await expect(service.compact(WID)).rejects.toThrow("Could not write the compacted whiteboard");
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(await redis.listLength("whiteboard:journal:" + WID)).toBe(2);
+    expect(redis.values.size).toBe(0);
+});
+
+test("A whiteboard is only compacted by the node holding its lock", async () => {
+    const service = new RedisWhiteboardService();
+    await service.append(WID, line("alice", 1));
+    await redis.set("whiteboard:compacting:" + WID, "other-node");
+
+    expect(await service.compact(WID)).toBe(null);
+
+    expect(await redis.listLength("whiteboard:journal:" + WID)).toBe(1);
+    expect(await redis.get("whiteboard:compacting:" + WID)).toBe("other-node");
+});
+
+test("Settings that can't be stored are an error", async () => {
+    const service = new RedisWhiteboardService();
+    await service.saveBoardSettings(WID, { locked: true });
+    expect(await service.loadBoardSettings(WID)).toEqual({ locked: true });
+
+    // the adapter doesn't store anything while Redis is down
+    redisAdapter.set = async () => false;
+    await expect(service.saveBoardSettings(WID, {})).rejects.toThrow(
+        "Could not save the settings of the whiteboard board"
+    );
+    expect(await service.loadBoardSettings(WID)).toEqual({ locked: true });
+});
+
+test("A version is restored in one transaction", async () => {
+    const service = new RedisWhiteboardService();
+    await service.append(WID, line("alice", 1));
+    const version = await service.createVersion(WID, { name: "First" });
+    await service.append(WID, line("alice", 2));
+    await service.append(WID, line("alice", 3));
+    await service.undo(WID, "alice");
+
+    redisAdapter.listsReplace = async () => false;
+    await expect(service.restoreVersion(WID, version.id)).rejects.toThrow(
+        "Could not replace the whiteboard board"
+    );
+    expect(await new RedisWhiteboardService().load(WID)).toEqual([
+        line("alice", 1),
+        line("alice", 2),
+    ]);
+
+    redisAdapter.listsReplace = redis.listsReplace;
+    expect(await service.restoreVersion(WID, version.id)).toEqual(version);
+    expect(await service.load(WID)).toEqual([line("alice", 1)]);
+    expect(await redis.listGetAll("whiteboard:data:" + WID)).toEqual([line("alice", 1)]);
+    expect(await redis.listLength("whiteboard:undo:" + WID)).toBe(0);
+    expect(await redis.listLength("whiteboard:journal:" + WID)).toBe(0);
+
+    const restarted = new RedisWhiteboardService();
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([line("alice", 1)]);
+});
@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+
+import { getSafeFilePath } from "../utils.js";
+import { originalFilename } from "./UploadService.js";
+import { imageUrls } from "./StorageProvider.js";
+
+/**
+ * Uploads younger than this are never considered orphaned:
+ * an image is uploaded before the addImgBG event using it is sent
+ */
+const ORPHANED_UPLOAD_MIN_AGE = 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the "<folder>/<file>" part of the url of an uploaded image
+ *
+ * @param {string} url url of an addImgBG event, e.g. http://host/uploads/<readOnlyWid>/<readOnlyWid>_<date>.png
+ * @return {string|null}
+ */
+export function uploadPathFromUrl(url) {
+    const match = /\/uploads\/([^/?#]+)\/([^/?#]+)/.exec(url || "");
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Applies the retention policy of the whiteboards:
+ * - evicts the whiteboards nobody used for a while from the memory of the server
+ * - archives or deletes the whiteboards not changed for a number of days
+ * - deletes the uploaded images no whiteboard (nor version) uses
+ */
+export default class RetentionService {
+    /**
+     * @param {object} options
+     * @param {import("./StorageProvider.js").default} options.storage
+     * @param {import("./WhiteboardInfoBackendService.js").default} [options.whiteboardInfoBackendService]
+     * whiteboards with connected users are never archived nor deleted
+     * @param {string} options.uploadsFolder folder with one sub folder of images per read-only id
+     * @param {object} options.policy the retention config
+     */
+    constructor({ storage, whiteboardInfoBackendService = null, uploadsFolder, policy }) {
+        this.storage = storage;
+        this.whiteboardInfoBackendService = whiteboardInfoBackendService;
+        this.uploadsFolder = uploadsFolder;
+        this.policy = policy;
+        this.timer = null;
+    }
+
+    /**
+     * Apply the retention policy at the configured interval
+     */
+    start() {
+        const { interval } = this.policy;
+        if (interval > 0 && !this.timer) {
+            this.timer = setInterval(async () => {
+                try {
+                    await this.run();
+                } catch (err) {
+                    console.log("Could not apply the retention policy", err);
+                }
+            }, interval * 1000);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stop applying the retention policy
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Apply the retention policy once
+     *
+     * @param {boolean} [dryRun] only report what would be done
+     * @return {Promise<{dryRun: boolean, evicted: string[], archived: string[], deleted: string[], orphanedUploads: Array<{path: string, size: number}>}>}
+     */
+    async run(dryRun = this.policy.dryRun) {
+        const { memoryIdleTimeout, inactiveDays, inactiveAction, deleteOrphanedUploads } =
+            this.policy;
+        const report = { dryRun, evicted: [], archived: [], deleted: [], orphanedUploads: [] };
+        const now = Date.now();
+
+        if (memoryIdleTimeout > 0) {
+            report.evicted = await this.storage.evictFromMemory(
+                now - memoryIdleTimeout * 1000,
+                dryRun
+            );
+        }
+
+        if (inactiveDays > 0) {
+            const inactiveSince = now - inactiveDays * DAY;
+            for (const { wid, lastModified } of await this.storage.listBoards()) {
+                if (lastModified >= inactiveSince || this.hasConnectedUsers(wid)) continue;
+
+                if (inactiveAction === "delete") {
+                    if (!dryRun) await this.deleteBoard(wid);
+                    report.deleted.push(wid);
+                } else {
+                    if (!dryRun) await this.archiveBoard(wid);
+                    report.archived.push(wid);
+                }
+            }
+        }
+
+        if (deleteOrphanedUploads) {
+            report.orphanedUploads = await this.findOrphanedUploads(report.deleted);
+            if (!dryRun) {
+                report.orphanedUploads.forEach((upload) => this.deleteUpload(upload.path));
+            }
+        }
+
+        this.log(report);
+        return report;
+    }
+
+    /**
+     * @param {string} wid
+     * @return {boolean}
+     */
+    hasConnectedUsers(wid) {
+        return (
+            this.whiteboardInfoBackendService !== null &&
+            this.whiteboardInfoBackendService.getNbClientOnWhiteboard(wid) > 0
+        );
+    }
+
+    /**
+     * Keep the content of a whiteboard as a named version, and clear it
+     *
+     * It can be restored from the history of the whiteboard.
+     *
+     * @param {string} wid
+     */
+    async archiveBoard(wid) {
+        await this.storage.createVersion(wid, { name: "Archived" });
+        await this.storage.clear(wid);
+    }
+
+    /**
+     * Delete a whiteboard, its versions, its uploads and its read-only id
+     *
+     * @param {string} wid
+     */
+    async deleteBoard(wid) {
+        await this.storage.clear(wid);
+        for (const version of await this.storage.listVersions(wid)) {
+            await this.storage.deleteVersion(wid, version.id);
+        }
+        const readOnlyId = await this.storage.loadReadOnlyId(wid);
+        if (readOnlyId) {
+            const folder = getSafeFilePath(this.uploadsFolder, readOnlyId);
+            fs.rmSync(folder, { recursive: true, force: true });
+            await this.storage.deleteReadOnlyId(wid);
+        }
+    }
+
+    /**
+     * Find the uploaded images that no whiteboard nor version uses
+     *
+     * @param {string[]} deletedWids whiteboards being deleted, their images are deleted with them
+     * @return {Promise<Array<{path: string, size: number}>>} paths relative to the uploads folder
+     */
+    async findOrphanedUploads(deletedWids = []) {
+        if (!fs.existsSync(this.uploadsFolder)) return [];
+
+        const usedUploads = new Set();
+        const addUsedUploads = (urls) => {
+            urls.forEach((url) => usedUploads.add(uploadPathFromUrl(url)));
+        };
+        for (const { wid } of await this.storage.listBoards()) {
+            if (deletedWids.includes(wid)) continue;
+            // not loaded: that would bring every whiteboard back in memory
+            addUsedUploads(await this.storage.listImageUrls(wid));
+        }
+        // the images of the versions are needed to restore them, even for cleared whiteboards
+        for (const folder of fs.readdirSync(this.uploadsFolder)) {
+            const wid = await this.storage.loadIdFromReadOnlyId(folder);
+            if (!wid || deletedWids.includes(wid)) continue;
+            for (const { id } of await this.storage.listVersions(wid)) {
+                const version = await this.storage.loadVersion(wid, id);
+                if (version) addUsedUploads(imageUrls(version.events));
+            }
+        }
+
+        const orphaned = [];
+        const maxDate = Date.now() - ORPHANED_UPLOAD_MIN_AGE;
+        for (const folder of fs.readdirSync(this.uploadsFolder)) {
+            const folderPath = path.join(this.uploadsFolder, folder);
+            if (!fs.statSync(folderPath).isDirectory()) continue;
+
+            for (const file of fs.readdirSync(folderPath)) {
+                const uploadPath = `${folder}/${file}`;
+                const stats = fs.statSync(path.join(folderPath, file));
+                // the variants of an image are used with it
+                const used = usedUploads.has(`${folder}/${originalFilename(file)}`);
+                if (!used && stats.mtimeMs < maxDate) {
+                    orphaned.push({ path: uploadPath, size: stats.size });
+                }
+            }
+        }
+        return orphaned;
+    }
+
+    /**
+     * Delete an uploaded image, and its folder once empty
+     *
+     * @param {string} uploadPath path relative to the uploads folder
+     */
+    deleteUpload(uploadPath) {
+        const filePath = path.join(this.uploadsFolder, uploadPath);
+        fs.rmSync(filePath, { force: true });
+
+        const folderPath = path.dirname(filePath);
+        if (fs.existsSync(folderPath) && fs.readdirSync(folderPath).length === 0) {
+            fs.rmdirSync(folderPath);
+        }
+    }
+
+    /**
+     * @param {object} report
+     */
+    log(report) {
+        const { dryRun, evicted, archived, deleted, orphanedUploads } = report;
+        const actions = [
+            [evicted, "evicted from memory"],
+            [archived, "archived"],
+            [deleted, "deleted"],
+        ].filter(([wids]) => wids.length > 0);
+        if (actions.length === 0 && orphanedUploads.length === 0) return;
+
+        const prefix = dryRun ? "Retention (dry run, nothing changed):" : "Retention:";
+        actions.forEach(([wids, action]) => {
+            console.log(prefix, `${wids.length} whiteboard(s) ${action}:`, wids.join(", "));
+        });
+        if (orphanedUploads.length > 0) {
+            const size = orphanedUploads.reduce((total, upload) => total + upload.size, 0);
+            console.log(
+                prefix,
+                `${orphanedUploads.length} orphaned upload(s) deleted (${size} bytes):`,
+                orphanedUploads.map((upload) => upload.path).join(", ")
+            );
+        }
+    }
+}
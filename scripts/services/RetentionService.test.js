@@ -0,0 +1,120 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import RetentionService, { uploadPathFromUrl } from "./RetentionService";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimal storage with one whiteboard per entry of lastModified
+ */
+function createStorage(lastModified) {
+    const calls = [];
+    return {
+        calls,
+        async listBoards() {
+            return Object.entries(lastModified).map(([wid, date]) => ({ wid, lastModified: date }));
+        },
+        async evictFromMemory() {
+            return [];
+        },
+        async createVersion(wid, options) {
+            calls.push(["createVersion", wid, options.name]);
+        },
+        async clear(wid) {
+            calls.push(["clear", wid]);
+        },
+        async listVersions() {
+            return [];
+        },
+        async loadReadOnlyId(wid) {
+            return "ro-" + wid;
+        },
+        async deleteReadOnlyId(wid) {
+            calls.push(["deleteReadOnlyId", wid]);
+        },
+    };
+}
+
+test("Upload path from url", () => {
+    expect(uploadPathFromUrl("http://host/uploads/ro/ro_1.png")).toBe("ro/ro_1.png");
+    expect(uploadPathFromUrl("/uploads/ro/ro_1.png?x=1")).toBe("ro/ro_1.png");
+    expect(uploadPathFromUrl("http://host/other/ro_1.png")).toBe(null);
+    expect(uploadPathFromUrl(undefined)).toBe(null);
+});
+
+test("Inactive whiteboards are archived, unless users are connected", async () => {
+    const storage = createStorage({
+        old: Date.now() - 10 * DAY,
+        busy: Date.now() - 10 * DAY,
+        recent: Date.now() - DAY,
+    });
+    const service = new RetentionService({
+        storage,
+        whiteboardInfoBackendService: {
+            getNbClientOnWhiteboard: (wid) => (wid === "busy" ? 1 : 0),
+        },
+        uploadsFolder: "/nonexistent",
+        policy: { memoryIdleTimeout: 0, inactiveDays: 5, inactiveAction: "archive" },
+    });
+
+    const dryRunReport = await service.run(true);
+    expect(dryRunReport.archived).toEqual(["old"]);
+    expect(storage.calls).toEqual([]);
+
+    const report = await service.run(false);
+    expect(report.archived).toEqual(["old"]);
+    expect(storage.calls).toEqual([
+        ["createVersion", "old", "Archived"],
+        ["clear", "old"],
+    ]);
+});
+
+test("Deleted whiteboards lose their read-only id", async () => {
+    const storage = createStorage({ old: Date.now() - 10 * DAY });
+    const service = new RetentionService({
+        storage,
+        uploadsFolder: "/nonexistent",
+        policy: { memoryIdleTimeout: 0, inactiveDays: 5, inactiveAction: "delete" },
+    });
+
+    const report = await service.run(false);
+    expect(report.deleted).toEqual(["old"]);
+    expect(storage.calls).toEqual([
+        ["clear", "old"],
+        ["deleteReadOnlyId", "old"],
+    ]);
+});
+
+test("Orphaned uploads are found from the image urls, without loading the whiteboards", async () => {
+    const uploadsFolder = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    const old = new Date(Date.now() - 2 * DAY);
+    fs.mkdirSync(path.join(uploadsFolder, "ro-used"));
+    for (const file of ["ro-used_1.png", "ro-used_1.w320.png", "ro-used_2.png"]) {
+        fs.writeFileSync(path.join(uploadsFolder, "ro-used", file), "image");
+        fs.utimesSync(path.join(uploadsFolder, "ro-used", file), old, old);
+    }
+    const storage = {
+        ...createStorage({ used: Date.now() }),
+        async listImageUrls(wid) {
+            return [`http://host/uploads/ro-${wid}/ro-${wid}_1.png`];
+        },
+        async loadIdFromReadOnlyId(readOnlyId) {
+            return readOnlyId.replace(/^ro-/, "");
+        },
+    };
+    const service = new RetentionService({
+        storage,
+        uploadsFolder,
+        policy: { memoryIdleTimeout: 0, inactiveDays: 0, deleteOrphanedUploads: true },
+    });
+
+    try {
+        expect(await service.findOrphanedUploads()).toEqual([
+            { path: "ro-used/ro-used_2.png", size: 5 },
+        ]);
+    } finally {
+        fs.rmSync(uploadsFolder, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,546 @@
+/**
+ * SQLite-based Whiteboard Storage Service
+ * Stores every drawing event as a row, so a write never rewrites the whole board
+ */
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+import config from "../config/config.js";
+import {
+    FILE_DATABASE_FOLDER,
+    fileDatabasePath,
+    listFileDatabaseBoards,
+    listFileDatabaseBoardSettings,
+    listFileDatabaseReadOnlyIds,
+    readFileDatabaseBoard,
+} from "../s_whiteboard.js";
+import StorageProvider, { MAX_UNDO_STACK_SIZE } from "./StorageProvider.js";
+import { UNDOABLE_TOOLS } from "../../src/js/shared/tools.js";
+import { findSupersededEvents } from "./EventCompaction.js";
+
+const MIGRATED_FILE_SUFFIX = ".migrated";
+// tool names are constants, they can be part of the statements
+const UNDOABLE_TOOLS_SQL = UNDOABLE_TOOLS.map((tool) => `'${tool}'`).join(", ");
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wid TEXT NOT NULL,
+        tool TEXT,
+        username TEXT,
+        drawId TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS events_wid ON events (wid, id);
+
+    CREATE TABLE IF NOT EXISTS undo_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wid TEXT NOT NULL,
+        tool TEXT,
+        username TEXT,
+        drawId TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS undo_events_wid ON undo_events (wid, id);
+
+    CREATE TABLE IF NOT EXISTS versions (
+        id TEXT PRIMARY KEY,
+        wid TEXT NOT NULL,
+        name TEXT NOT NULL,
+        automatic INTEGER NOT NULL,
+        createdAt INTEGER NOT NULL,
+        eventCount INTEGER NOT NULL,
+        events TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS versions_wid ON versions (wid, createdAt);
+
+    CREATE TABLE IF NOT EXISTS boards (
+        wid TEXT PRIMARY KEY,
+        lastModified INTEGER NOT NULL
+    );
+    -- boards stored before the table existed
+    INSERT OR IGNORE INTO boards (wid, lastModified)
+        SELECT DISTINCT wid, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM events;
+
+    CREATE TABLE IF NOT EXISTS read_only_ids (
+        wid TEXT PRIMARY KEY,
+        readOnlyId TEXT NOT NULL UNIQUE
+    );
+
+    CREATE TABLE IF NOT EXISTS board_settings (
+        wid TEXT PRIMARY KEY,
+        settings TEXT NOT NULL
+    );
+`;
+
+const VERSION_INFO_COLUMNS = "id, name, automatic, createdAt, eventCount";
+
+class SqliteWhiteboardService extends StorageProvider {
+    /**
+     * @param {string} databaseFile Path to the SQLite database file
+     */
+    constructor(databaseFile = config.backend.sqliteDatabaseFile) {
+        super();
+        this.databaseFile = databaseFile;
+        this.db = null;
+        this.statements = {};
+    }
+
+    /**
+     * Open the database, create the tables and import the boards of the file database
+     */
+    async initialize() {
+        if (this.db) return true;
+
+        fs.mkdirSync(path.dirname(this.databaseFile), { recursive: true });
+        this.db = new Database(this.databaseFile);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        this.prepareStatements();
+
+        this.migrateFileDatabase();
+
+        console.log(`✅ SqliteWhiteboardService initialized (${this.databaseFile})`);
+        return true;
+    }
+
+    /**
+     * Close the database; every change is already written to it
+     */
+    async close() {
+        await super.close();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Prepare the statements used by the service
+     * @private
+     */
+    prepareStatements() {
+        const db = this.db;
+        const s = this.statements;
+        for (const table of ["events", "undo_events"]) {
+            s[table] = {
+                insert: db.prepare(
+                    `INSERT INTO ${table} (wid, tool, username, drawId, data) VALUES (?, ?, ?, ?, ?)`
+                ),
+                selectAll: db.prepare(`SELECT data FROM ${table} WHERE wid = ? ORDER BY id`),
+                lastDrawIdOfUser: db.prepare(
+                    `SELECT drawId FROM ${table}
+                     WHERE wid = ? AND username = ? AND tool IN (${UNDOABLE_TOOLS_SQL})
+                     ORDER BY id DESC LIMIT 1`
+                ),
+                selectDrawing: db.prepare(
+                    `SELECT id, tool, username, drawId, data FROM ${table}
+                     WHERE wid = ? AND username = ? AND drawId IS ? AND tool IN (${UNDOABLE_TOOLS_SQL})
+                     ORDER BY id DESC`
+                ),
+                deleteById: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+                deleteAll: db.prepare(`DELETE FROM ${table} WHERE wid = ?`),
+                count: db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE wid = ?`),
+                size: db.prepare(
+                    `SELECT COALESCE(SUM(LENGTH(data)), 0) AS size FROM ${table} WHERE wid = ?`
+                ),
+            };
+        }
+        s.deletePreviousTextboxText = db.prepare(
+            `DELETE FROM events
+             WHERE wid = ? AND tool = 'setTextboxText' AND json_extract(data, '$.d[0]') = ?`
+        );
+        s.selectEvents = db.prepare(`SELECT id, data FROM events WHERE wid = ? ORDER BY id`);
+        s.trimUndo = db.prepare(
+            `DELETE FROM undo_events WHERE wid = ? AND id NOT IN
+             (SELECT id FROM undo_events WHERE wid = ? ORDER BY id DESC LIMIT ?)`
+        );
+        s.versions = {
+            insert: db.prepare(
+                `INSERT INTO versions (${VERSION_INFO_COLUMNS}, wid, events)
+                 VALUES (@id, @name, @automatic, @createdAt, @eventCount, @wid, @events)`
+            ),
+            selectAll: db.prepare(
+                `SELECT ${VERSION_INFO_COLUMNS} FROM versions WHERE wid = ? ORDER BY createdAt DESC`
+            ),
+            select: db.prepare(
+                `SELECT ${VERSION_INFO_COLUMNS}, events FROM versions WHERE wid = ? AND id = ?`
+            ),
+            delete: db.prepare(`DELETE FROM versions WHERE wid = ? AND id = ?`),
+        };
+        s.boards = {
+            touch: db.prepare(
+                `INSERT INTO boards (wid, lastModified) VALUES (?, ?)
+                 ON CONFLICT (wid) DO UPDATE SET lastModified = excluded.lastModified`
+            ),
+            selectAll: db.prepare(`SELECT wid, lastModified FROM boards`),
+            delete: db.prepare(`DELETE FROM boards WHERE wid = ?`),
+        };
+        s.readOnlyIds = {
+            insert: db.prepare(
+                `INSERT OR IGNORE INTO read_only_ids (wid, readOnlyId) VALUES (?, ?)`
+            ),
+            selectByWid: db.prepare(`SELECT readOnlyId FROM read_only_ids WHERE wid = ?`),
+            selectByReadOnlyId: db.prepare(`SELECT wid FROM read_only_ids WHERE readOnlyId = ?`),
+            delete: db.prepare(`DELETE FROM read_only_ids WHERE wid = ?`),
+        };
+        s.boardSettings = {
+            upsert: db.prepare(
+                `INSERT INTO board_settings (wid, settings) VALUES (?, ?)
+                 ON CONFLICT (wid) DO UPDATE SET settings = excluded.settings`
+            ),
+            select: db.prepare(`SELECT settings FROM board_settings WHERE wid = ?`),
+        };
+        s.copy = db.prepare(
+            `INSERT INTO events (wid, tool, username, drawId, data)
+             SELECT ?, tool, username, drawId, data FROM events WHERE wid = ? ORDER BY id`
+        );
+
+        this.moveLastDrawingOfUser = db.transaction((wid, from, to, username) => {
+            const last = from.lastDrawIdOfUser.get(wid, username);
+            if (!last) return;
+            for (const row of from.selectDrawing.all(wid, username, last.drawId)) {
+                to.insert.run(wid, row.tool, row.username, row.drawId, row.data);
+                from.deleteById.run(row.id);
+            }
+        });
+        this.insertEvents = db.transaction((wid, events, undos = []) => {
+            for (const event of events) {
+                this.insertEvent(s.events, wid, event);
+            }
+            for (const event of undos) {
+                this.insertEvent(s.undo_events, wid, event);
+            }
+            s.boards.touch.run(wid, Date.now());
+        });
+        this.appendEvents = db.transaction((wid, events) => {
+            let replaced = false;
+            for (const event of events) {
+                if (event["t"] === "setTextboxText") {
+                    // Only keep the latest text of a textbox, like removePreviousTextboxText
+                    const { changes } = s.deletePreviousTextboxText.run(wid, event["d"][0]);
+                    replaced = replaced || changes > 0;
+                }
+                this.insertEvent(s.events, wid, event);
+            }
+            s.boards.touch.run(wid, Date.now());
+            return replaced;
+        });
+        this.replaceAllEvents = db.transaction((wid, events) => {
+            s.events.deleteAll.run(wid);
+            s.undo_events.deleteAll.run(wid);
+            s.boards.delete.run(wid);
+            if (events.length > 0) {
+                this.insertEvents(wid, events);
+            }
+        });
+        this.deleteSupersededEvents = db.transaction((wid) => {
+            const rows = s.selectEvents.all(wid);
+            const superseded = findSupersededEvents(rows.map((row) => JSON.parse(row.data)));
+            for (const index of superseded) {
+                s.events.deleteById.run(rows[index].id);
+            }
+            return { before: rows.length, after: rows.length - superseded.size };
+        });
+    }
+
+    /**
+     * Insert an event in the events or undo_events table
+     * @param {Object} table Prepared statements of the table
+     * @param {string} wid Whiteboard ID
+     * @param {Object} event Drawing event
+     * @private
+     */
+    insertEvent(table, wid, event) {
+        const drawId = event["drawId"] === undefined ? null : String(event["drawId"]);
+        const username = event["username"] === undefined ? null : String(event["username"]);
+        table.insert.run(wid, event["t"], username, drawId, JSON.stringify(event));
+    }
+
+    /**
+     * Import the boards of the file database (savedBoards folder)
+     *
+     * Boards already having events in SQLite are skipped.
+     * The read-only ids are imported too.
+     * Imported files are renamed to *.migrated and kept as a backup.
+     *
+     * @returns {number} Number of imported boards
+     */
+    migrateFileDatabase() {
+        let imported = 0;
+        for (const wid of listFileDatabaseBoards()) {
+            if (this.statements.events.count.get(wid).count === 0) {
+                try {
+                    const { events, undos } = readFileDatabaseBoard(wid);
+                    this.insertEvents(wid, events, undos);
+                } catch (error) {
+                    console.error(`Could not migrate whiteboard ${wid} to SQLite:`, error.message);
+                    continue;
+                }
+                imported++;
+            }
+            for (const extension of [".json", ".journal", ".journal.compacting"]) {
+                const filePath = fileDatabasePath(wid, extension);
+                if (fs.existsSync(filePath)) {
+                    fs.renameSync(filePath, filePath + MIGRATED_FILE_SUFFIX);
+                }
+            }
+        }
+
+        listFileDatabaseReadOnlyIds().forEach((readOnlyId, wid) => {
+            this.statements.readOnlyIds.insert.run(wid, readOnlyId);
+            const filePath = fileDatabasePath(wid, ".readonly");
+            fs.renameSync(filePath, filePath + MIGRATED_FILE_SUFFIX);
+        });
+        listFileDatabaseBoardSettings().forEach((settings, wid) => {
+            this.statements.boardSettings.upsert.run(wid, JSON.stringify(settings));
+            const filePath = fileDatabasePath(wid, ".settings");
+            fs.renameSync(filePath, filePath + MIGRATED_FILE_SUFFIX);
+        });
+
+        if (imported > 0) {
+            console.log(
+                `Migrated ${imported} whiteboard(s) from ${FILE_DATABASE_FOLDER} to SQLite`
+            );
+        }
+        return imported;
+    }
+
+    /**
+     * Load whiteboard data
+     * @param {string} wid Whiteboard ID
+     * @returns {Array} Whiteboard data
+     */
+    async load(wid) {
+        return this.statements.events.selectAll.all(wid).map((row) => JSON.parse(row.data));
+    }
+
+    /**
+     * Save a drawing action
+     * @param {string} wid Whiteboard ID
+     * @param {Object} event Drawing content
+     */
+    async append(wid, event) {
+        if (this.appendEvents(wid, [event])) this.eventsReplaced(wid);
+    }
+
+    /**
+     * Save several drawing actions, in one transaction
+     * @param {string} wid Whiteboard ID
+     * @param {Array<Object>} events Drawing contents
+     */
+    async appendAll(wid, events) {
+        if (this.appendEvents(wid, events)) this.eventsReplaced(wid);
+    }
+
+    /**
+     * Handle undo action
+     * @param {string} wid Whiteboard ID
+     * @param {string} username Username
+     */
+    async undo(wid, username) {
+        const { events, undo_events } = this.statements;
+        this.moveLastDrawingOfUser(wid, events, undo_events, username);
+        this.statements.trimUndo.run(wid, wid, MAX_UNDO_STACK_SIZE);
+        this.statements.boards.touch.run(wid, Date.now());
+    }
+
+    /**
+     * Handle redo action
+     * @param {string} wid Whiteboard ID
+     * @param {string} username Username
+     */
+    async redo(wid, username) {
+        const { events, undo_events } = this.statements;
+        this.moveLastDrawingOfUser(wid, undo_events, events, username);
+        this.statements.boards.touch.run(wid, Date.now());
+    }
+
+    /**
+     * Clear whiteboard
+     * @param {string} wid Whiteboard ID
+     */
+    async clear(wid) {
+        this.db.transaction(() => {
+            this.statements.events.deleteAll.run(wid);
+            this.statements.undo_events.deleteAll.run(wid);
+            this.statements.boards.delete.run(wid);
+        })();
+    }
+
+    /**
+     * Replace the events of a whiteboard and drop its undo stack, in one transaction
+     * @param {string} wid Whiteboard ID
+     * @param {Array<Object>} events Drawing contents
+     */
+    async replaceEvents(wid, events) {
+        this.replaceAllEvents(wid, events);
+    }
+
+    /**
+     * Compact a whiteboard now, see StorageProvider.compactBoard
+     * @param {string} wid Whiteboard ID
+     * @returns {Promise<{before: number, after: number}>}
+     */
+    async compactBoard(wid) {
+        const result = this.deleteSupersededEvents(wid);
+        if (result.after !== result.before) this.eventsReplaced(wid);
+        return result;
+    }
+
+    /**
+     * List the stored whiteboards with the time of their last change
+     * @returns {Array<{wid: string, lastModified: number}>}
+     */
+    async listBoards() {
+        return this.statements.boards.selectAll.all();
+    }
+
+    /**
+     * Get the number of events of a whiteboard and the size of its events and undo stack
+     * @param {string} wid Whiteboard ID
+     * @returns {{eventCount: number, storageSize: number}}
+     */
+    async boardStats(wid) {
+        const { events, undo_events } = this.statements;
+        return {
+            eventCount: events.count.get(wid).count,
+            storageSize: events.size.get(wid).size + undo_events.size.get(wid).size,
+        };
+    }
+
+    /**
+     * Store a version of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {Object} version Version with its events
+     */
+    async saveVersion(wid, version) {
+        this.statements.versions.insert.run({
+            ...version,
+            wid: wid,
+            automatic: version.automatic ? 1 : 0,
+            events: JSON.stringify(version.events),
+        });
+    }
+
+    /**
+     * List the versions of a whiteboard, newest first
+     * @param {string} wid Whiteboard ID
+     * @returns {Array} Versions without their events
+     */
+    async listVersions(wid) {
+        return this.statements.versions.selectAll
+            .all(wid)
+            .map((row) => ({ ...row, automatic: row.automatic === 1 }));
+    }
+
+    /**
+     * Load a version of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {string} versionId Version ID
+     * @returns {Object|null} Version with its events
+     */
+    async loadVersion(wid, versionId) {
+        const row = this.statements.versions.select.get(wid, versionId);
+        if (!row) return null;
+        return { ...row, automatic: row.automatic === 1, events: JSON.parse(row.events) };
+    }
+
+    /**
+     * Delete a version of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {string} versionId Version ID
+     */
+    async deleteVersion(wid, versionId) {
+        this.statements.versions.delete.run(wid, versionId);
+    }
+
+    /**
+     * Load the read-only id of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @returns {string|null} Read-only ID
+     */
+    async loadReadOnlyId(wid) {
+        const row = this.statements.readOnlyIds.selectByWid.get(wid);
+        return row ? row.readOnlyId : null;
+    }
+
+    /**
+     * Load the whiteboard ID of a read-only ID
+     * @param {string} readOnlyId Read-only ID
+     * @returns {string|null} Whiteboard ID
+     */
+    async loadIdFromReadOnlyId(readOnlyId) {
+        const row = this.statements.readOnlyIds.selectByReadOnlyId.get(readOnlyId);
+        return row ? row.wid : null;
+    }
+
+    /**
+     * Store the read-only id of a whiteboard, unless it already has one
+     * @param {string} wid Whiteboard ID
+     * @param {string} readOnlyId Read-only ID
+     * @returns {string} The stored read-only ID
+     */
+    async saveReadOnlyId(wid, readOnlyId) {
+        this.statements.readOnlyIds.insert.run(wid, readOnlyId);
+        return this.loadReadOnlyId(wid);
+    }
+
+    /**
+     * Delete the read-only id of a deleted whiteboard
+     * @param {string} wid Whiteboard ID
+     */
+    async deleteReadOnlyId(wid) {
+        this.statements.readOnlyIds.delete.run(wid);
+    }
+
+    /**
+     * Load the settings of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @returns {object} The settings, empty if none are stored
+     */
+    async loadBoardSettings(wid) {
+        const row = this.statements.boardSettings.select.get(wid);
+        return row ? JSON.parse(row.settings) : {};
+    }
+
+    /**
+     * Replace the settings of a whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {object} settings
+     */
+    async saveBoardSettings(wid, settings) {
+        this.statements.boardSettings.upsert.run(wid, JSON.stringify(settings));
+    }
+
+    /**
+     * Copy stored data from one whiteboard to another
+     * @param {string} sourceWid Source whiteboard ID
+     * @param {string} targetWid Target whiteboard ID
+     */
+    async copy(sourceWid, targetWid) {
+        const { count } = this.statements.events;
+        if (count.get(sourceWid).count === 0 || count.get(targetWid).count > 0) {
+            return;
+        }
+        this.statements.copy.run(targetWid, sourceWid);
+        this.statements.boards.touch.run(targetWid, Date.now());
+    }
+
+    /**
+     * Save raw data to whiteboard
+     * @param {string} wid Whiteboard ID
+     * @param {string} data JSON string data
+     */
+    async saveData(wid, data) {
+        if (this.statements.events.count.get(wid).count > 0 || !data) {
+            return;
+        }
+        this.insertEvents(wid, JSON.parse(data));
+    }
+}
+
+// Export singleton instance
+const sqliteWhiteboardService = new SqliteWhiteboardService();
+export { sqliteWhiteboardService as default, SqliteWhiteboardService };
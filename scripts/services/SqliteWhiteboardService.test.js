@@ -0,0 +1,183 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { SqliteWhiteboardService } from "./SqliteWhiteboardService";
+
+jest.mock("../config/config.js", () => ({
+    __esModule: true,
+    default: {
+        backend: {
+            enableFileDatabase: false,
+            sqliteDatabaseFile: ":memory:",
+            performance: { journalCompactionInterval: 60, journalCompactionThreshold: 100 },
+        },
+    },
+}));
+
+const WID = "board";
+
+let cwd;
+let folder;
+let service;
+
+beforeEach(async () => {
+    cwd = process.cwd();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "whiteboard-"));
+    // the boards of the file database are migrated from ./savedBoards
+    process.chdir(folder);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    service = new SqliteWhiteboardService(":memory:");
+    await service.initialize();
+});
+
+afterEach(async () => {
+    await service.close();
+    console.log.mockRestore();
+    process.chdir(cwd);
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+function line(username, drawId) {
+    return { t: "line", username, drawId, d: [drawId, 0, drawId, 10] };
+}
+
+test("The tables are created", () => {
+    const tables = service.db
+        .prepare(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`)
+        .all()
+        .map((row) => row.name);
+    expect(tables).toEqual(
+        expect.arrayContaining([
+            "board_settings",
+            "boards",
+            "events",
+            "read_only_ids",
+            "undo_events",
+            "versions",
+        ])
+    );
+});
+
+test("Events are appended, undone, redone and cleared", async () => {
+    await service.append(WID, line("alice", 1));
+    await service.appendAll(WID, [line("bob", 2), line("alice", 3)]);
+
+    await service.undo(WID, "alice");
+    expect(await service.load(WID)).toEqual([line("alice", 1), line("bob", 2)]);
+    await service.undo(WID, "alice");
+    expect(await service.load(WID)).toEqual([line("bob", 2)]);
+    await service.redo(WID, "alice");
+    expect(await service.load(WID)).toEqual([line("bob", 2), line("alice", 1)]);
+    expect(await service.listBoards()).toEqual([{ wid: WID, lastModified: expect.any(Number) }]);
+
+    await service.clear(WID);
+    expect(await service.load(WID)).toEqual([]);
+    expect(await service.boardStats(WID)).toEqual({ eventCount: 0, storageSize: 0 });
+    expect(await service.listBoards()).toEqual([]);
+});
+
+test("Only the latest text of a textbox is stored, like in the other providers", async () => {
+    const listener = jest.fn();
+    service.onEventsReplaced(listener);
+
+    await service.append(WID, { t: "setTextboxPosition", d: ["text1", 0, 0] });
+    await service.append(WID, { t: "setTextboxText", d: ["text1", "a"] });
+    await service.append(WID, { t: "setTextboxPosition", d: ["text1", 10, 10] });
+    expect(listener).not.toHaveBeenCalled();
+    await service.append(WID, { t: "setTextboxText", d: ["text1", "b"] });
+
+    expect(await service.load(WID)).toEqual([
+        { t: "setTextboxPosition", d: ["text1", 0, 0] },
+        { t: "setTextboxPosition", d: ["text1", 10, 10] },
+        { t: "setTextboxText", d: ["text1", "b"] },
+    ]);
+    expect(listener).toHaveBeenCalledWith(WID);
+});
+
+test("The whiteboards are reloaded after a restart", async () => {
+    const databaseFile = path.join(folder, "db", "whiteboard.db");
+    const first = new SqliteWhiteboardService(databaseFile);
+    await first.initialize();
+    await first.append(WID, line("alice", 1));
+    await first.append(WID, line("alice", 2));
+    await first.undo(WID, "alice");
+    await first.close();
+
+    const restarted = new SqliteWhiteboardService(databaseFile);
+    await restarted.initialize();
+    expect(await restarted.load(WID)).toEqual([line("alice", 1)]);
+    // the undo stack is kept too
+    await restarted.redo(WID, "alice");
+    expect(await restarted.load(WID)).toEqual([line("alice", 1), line("alice", 2)]);
+    await restarted.close();
+});
+
+test("Versions are created, restored and deleted", async () => {
+    await service.append(WID, line("alice", 1));
+    const version = await service.createVersion(WID, { name: "First" });
+    await service.append(WID, line("alice", 2));
+
+    expect(await service.restoreVersion(WID, version.id)).toEqual(version);
+    expect(await service.load(WID)).toEqual([line("alice", 1)]);
+
+    const versions = await service.listVersions(WID);
+    expect(versions.map((v) => [v.name, v.automatic, v.eventCount])).toEqual(
+        expect.arrayContaining([
+            ["First", false, 1],
+            ["Before restore", true, 2],
+        ])
+    );
+    expect((await service.loadVersion(WID, version.id)).events).toEqual([line("alice", 1)]);
+
+    await service.deleteVersion(WID, version.id);
+    expect(await service.loadVersion(WID, version.id)).toBe(null);
+    expect(await service.restoreVersion(WID, version.id)).toBe(null);
+});
+
+test("Settings and read-only ids are stored", async () => {
+    expect(await service.loadBoardSettings(WID)).toEqual({});
+    await service.saveBoardSettings(WID, { locked: true });
+    expect(await service.loadBoardSettings(WID)).toEqual({ locked: true });
+
+    expect(await service.saveReadOnlyId(WID, "ro1")).toBe("ro1");
+    // a whiteboard keeps its first read-only id
+    expect(await service.saveReadOnlyId(WID, "ro2")).toBe("ro1");
+    expect(await service.loadIdFromReadOnlyId("ro1")).toBe(WID);
+    await service.deleteReadOnlyId(WID);
+    expect(await service.loadReadOnlyId(WID)).toBe(null);
+});
+
+test("The boards of the file database are migrated", async () => {
+    fs.mkdirSync("savedBoards");
+    fs.writeFileSync(
+        path.join("savedBoards", "old.json"),
+        JSON.stringify({ seq: 1, events: [line("alice", 1)], undos: [line("alice", 2)] })
+    );
+    fs.writeFileSync(
+        path.join("savedBoards", "old.journal"),
+        JSON.stringify({ seq: 2, op: "append", event: line("bob", 3) }) + "\n"
+    );
+    fs.writeFileSync(path.join("savedBoards", "old.readonly"), "ro-old");
+    fs.writeFileSync(path.join("savedBoards", "old.settings"), JSON.stringify({ locked: true }));
+
+    const migrated = new SqliteWhiteboardService(":memory:");
+    await migrated.initialize();
+
+    expect(await migrated.load("old")).toEqual([line("alice", 1), line("bob", 3)]);
+    await migrated.redo("old", "alice");
+    expect(await migrated.load("old")).toEqual([
+        line("alice", 1),
+        line("bob", 3),
+        line("alice", 2),
+    ]);
+    expect(await migrated.loadIdFromReadOnlyId("ro-old")).toBe("old");
+    expect(await migrated.loadBoardSettings("old")).toEqual({ locked: true });
+    expect(fs.readdirSync("savedBoards").sort()).toEqual([
+        "old.journal.migrated",
+        "old.json.migrated",
+        "old.readonly.migrated",
+        "old.settings.migrated",
+    ]);
+    await migrated.close();
+});
@@ -0,0 +1,548 @@
+import { v4 as uuidv4 } from "uuid";
+
+import { isPersistedTool, isUndoableTool } from "../../src/js/shared/tools.js";
+
+/**
+ * Max number of events kept on the undo stack of a whiteboard
+ * @type {number}
+ */
+export const MAX_UNDO_STACK_SIZE = 1000;
+
+/**
+ * Default number of automatic versions kept per whiteboard (named versions are always kept)
+ * @type {number}
+ */
+export const DEFAULT_MAX_AUTOMATIC_VERSIONS = 20;
+
+/**
+ * Base class of the whiteboard storage providers
+ *
+ * A provider stores the events of every whiteboard and its undo stack.
+ * All methods are async, so that a provider can be backed by a file, a database or a remote service.
+ * Subclasses have to implement load, append, appendAll, undo, redo, clear, copy and saveData,
+ * saveVersion, listVersions, loadVersion and deleteVersion for the version history,
+ * loadReadOnlyId, loadIdFromReadOnlyId, saveReadOnlyId and deleteReadOnlyId for the read-only ids,
+ * loadBoardSettings and saveBoardSettings for the settings of the whiteboards,
+ * listBoards for the retention policy, boardStats for the listing of the whiteboards,
+ * and compactBoard.
+ */
+export default class StorageProvider {
+    /**
+     * Number of automatic versions kept per whiteboard
+     * @type {number}
+     */
+    maxAutomaticVersions = DEFAULT_MAX_AUTOMATIC_VERSIONS;
+
+    /**
+     * Whiteboards changed since their last version
+     * @type {Set<string>}
+     */
+    changedWids = new Set();
+
+    /**
+     * Listeners of the whiteboards which stored events were replaced, see onEventsReplaced
+     * @type {Set<function(string): void>}
+     */
+    eventsReplacedListeners = new Set();
+
+    versionTimer = null;
+
+    /**
+     * Prepare the provider (open connections, create folders...)
+     *
+     * @return {Promise<boolean>} false if the provider could not be initialized
+     */
+    async initialize() {
+        return true;
+    }
+
+    /**
+     * Register a handler for events that were stored by another server node
+     *
+     * Only providers shared between several nodes call the handler.
+     *
+     * @param {Function} handler
+     */
+    onRemoteEvent(handler) {}
+
+    /**
+     * Register a listener called with the id of a whiteboard when its stored events change other
+     * than by appending or clearing: superseded events dropped when a new one is stored (the
+     * previous text of a textbox) or when the whiteboard is compacted. The positions of the
+     * stored events change then.
+     *
+     * @param {function(string): void} listener
+     */
+    onEventsReplaced(listener) {
+        this.eventsReplacedListeners.add(listener);
+    }
+
+    /**
+     * Tell the listeners that the stored events of a whiteboard were replaced
+     *
+     * @param {string} wid
+     * @protected
+     */
+    eventsReplaced(wid) {
+        this.eventsReplacedListeners.forEach((listener) => listener(wid));
+    }
+
+    /**
+     * Persist what is only kept in memory and release the resources of the provider
+     *
+     * Called once when the server shuts down, the provider isn't used afterwards.
+     * Subclasses overriding it have to call super.close().
+     */
+    async close() {
+        clearInterval(this.versionTimer);
+        this.versionTimer = null;
+    }
+
+    /**
+     * Load the events of a whiteboard
+     *
+     * @param {string} wid
+     * @return {Promise<Array<object>>}
+     */
+    async load(wid) {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    /**
+     * Append a drawing event to a whiteboard
+     *
+     * @param {string} wid
+     * @param {object} event event without its wid
+     */
+    async append(wid, event) {
+        throw new Error(`${this.constructor.name} does not implement append()`);
+    }
+
+    /**
+     * Append several drawing events to a whiteboard, all of them or none if it fails
+     *
+     * @param {string} wid
+     * @param {Array<object>} events events without their wid
+     */
+    async appendAll(wid, events) {
+        throw new Error(`${this.constructor.name} does not implement appendAll()`);
+    }
+
+    /**
+     * Move the last drawing of a user to the undo stack
+     *
+     * @param {string} wid
+     * @param {string} username
+     */
+    async undo(wid, username) {
+        throw new Error(`${this.constructor.name} does not implement undo()`);
+    }
+
+    /**
+     * Move the last undone drawing of a user back to the whiteboard
+     *
+     * @param {string} wid
+     * @param {string} username
+     */
+    async redo(wid, username) {
+        throw new Error(`${this.constructor.name} does not implement redo()`);
+    }
+
+    /**
+     * Delete all the events and the undo stack of a whiteboard
+     *
+     * @param {string} wid
+     */
+    async clear(wid) {
+        throw new Error(`${this.constructor.name} does not implement clear()`);
+    }
+
+    /**
+     * Copy the events of a whiteboard to an empty whiteboard
+     *
+     * @param {string} sourceWid
+     * @param {string} targetWid
+     */
+    async copy(sourceWid, targetWid) {
+        throw new Error(`${this.constructor.name} does not implement copy()`);
+    }
+
+    /**
+     * Store raw events (JSON string) in an empty whiteboard
+     *
+     * @param {string} wid
+     * @param {string} data
+     */
+    async saveData(wid, data) {
+        throw new Error(`${this.constructor.name} does not implement saveData()`);
+    }
+
+    /**
+     * Replace all the events of a whiteboard and drop its undo stack, e.g. to restore a version
+     *
+     * The built-in providers replace them at once, so a crash can't leave the whiteboard empty.
+     * Others clear the whiteboard and store the events in two steps, unless they override it.
+     *
+     * @param {string} wid
+     * @param {Array<object>} events
+     */
+    async replaceEvents(wid, events) {
+        await this.clear(wid);
+        if (events.length > 0) {
+            await this.saveData(wid, JSON.stringify(events));
+        }
+    }
+
+    /**
+     * List the stored whiteboards with the time of their last change
+     *
+     * @return {Promise<Array<{wid: string, lastModified: number}>>}
+     */
+    async listBoards() {
+        throw new Error(`${this.constructor.name} does not implement listBoards()`);
+    }
+
+    /**
+     * Get the number of events of a whiteboard and the space it takes in the storage
+     *
+     * @param {string} wid
+     * @return {Promise<{eventCount: number, storageSize: number}>} storageSize in bytes, undo
+     * stack and pending journal included
+     */
+    async boardStats(wid) {
+        throw new Error(`${this.constructor.name} does not implement boardStats()`);
+    }
+
+    /**
+     * List the urls of the images of a whiteboard (its addImgBG events), without keeping the
+     * whiteboard in memory: the retention reads them for every stored whiteboard
+     *
+     * Providers that don't keep whiteboards in memory can simply read them.
+     *
+     * @param {string} wid
+     * @return {Promise<string[]>}
+     */
+    async listImageUrls(wid) {
+        return imageUrls(await this.load(wid));
+    }
+
+    /**
+     * Fold the edits of every textbox of a whiteboard into its final state and drop the removed
+     * textboxes (see compactEvents), so it's stored and loaded with fewer events
+     *
+     * @param {string} wid
+     * @return {Promise<{before: number, after: number}>} number of events before and after
+     */
+    async compactBoard(wid) {
+        throw new Error(`${this.constructor.name} does not implement compactBoard()`);
+    }
+
+    /**
+     * Remove the whiteboards not used since a given time from the memory of the server
+     *
+     * They are loaded again from the storage when needed.
+     * Providers that don't keep whiteboards in memory have nothing to do.
+     *
+     * @param {number} idleSince timestamp
+     * @param {boolean} [dryRun] only tell which whiteboards would be removed
+     * @return {Promise<string[]>} ids of the removed whiteboards
+     */
+    async evictFromMemory(idleSince, dryRun = false) {
+        return [];
+    }
+
+    /**
+     * Store a version (point-in-time copy) of a whiteboard
+     *
+     * @param {string} wid
+     * @param {{id: string, name: string, automatic: boolean, createdAt: number, eventCount: number, events: Array<object>}} version
+     */
+    async saveVersion(wid, version) {
+        throw new Error(`${this.constructor.name} does not implement saveVersion()`);
+    }
+
+    /**
+     * List the versions of a whiteboard, newest first, without their events
+     *
+     * @param {string} wid
+     * @return {Promise<Array<{id: string, name: string, automatic: boolean, createdAt: number, eventCount: number}>>}
+     */
+    async listVersions(wid) {
+        throw new Error(`${this.constructor.name} does not implement listVersions()`);
+    }
+
+    /**
+     * Load a version of a whiteboard, with its events
+     *
+     * @param {string} wid
+     * @param {string} versionId
+     * @return {Promise<object|null>} null if the version doesn't exist
+     */
+    async loadVersion(wid, versionId) {
+        throw new Error(`${this.constructor.name} does not implement loadVersion()`);
+    }
+
+    /**
+     * Delete a version of a whiteboard
+     *
+     * @param {string} wid
+     * @param {string} versionId
+     */
+    async deleteVersion(wid, versionId) {
+        throw new Error(`${this.constructor.name} does not implement deleteVersion()`);
+    }
+
+    /**
+     * Load the read-only id of a whiteboard
+     *
+     * @param {string} wid
+     * @return {Promise<string|null>} null if the whiteboard has no read-only id yet
+     */
+    async loadReadOnlyId(wid) {
+        throw new Error(`${this.constructor.name} does not implement loadReadOnlyId()`);
+    }
+
+    /**
+     * Load the id of the whiteboard a read-only id belongs to
+     *
+     * @param {string} readOnlyId
+     * @return {Promise<string|null>} null if it isn't a read-only id
+     */
+    async loadIdFromReadOnlyId(readOnlyId) {
+        throw new Error(`${this.constructor.name} does not implement loadIdFromReadOnlyId()`);
+    }
+
+    /**
+     * Store the read-only id of a whiteboard, unless it already has one
+     *
+     * Read-only ids never change, they are part of the links shared with the viewers
+     * and of the upload folders of the whiteboards.
+     *
+     * @param {string} wid
+     * @param {string} readOnlyId
+     * @return {Promise<string>} the read-only id of the whiteboard (the already stored one, if any)
+     */
+    async saveReadOnlyId(wid, readOnlyId) {
+        throw new Error(`${this.constructor.name} does not implement saveReadOnlyId()`);
+    }
+
+    /**
+     * Delete the read-only id of a whiteboard, once the whiteboard is deleted
+     *
+     * @param {string} wid
+     */
+    async deleteReadOnlyId(wid) {
+        throw new Error(`${this.constructor.name} does not implement deleteReadOnlyId()`);
+    }
+
+    /**
+     * Load the settings of a whiteboard (e.g. the hash of its access secret)
+     *
+     * @param {string} wid
+     * @return {Promise<object>} empty if the whiteboard has no settings
+     */
+    async loadBoardSettings(wid) {
+        throw new Error(`${this.constructor.name} does not implement loadBoardSettings()`);
+    }
+
+    /**
+     * Replace the settings of a whiteboard
+     *
+     * Settings are kept when the whiteboard is cleared, like its read-only id.
+     *
+     * @param {string} wid
+     * @param {object} settings
+     */
+    async saveBoardSettings(wid, settings) {
+        throw new Error(`${this.constructor.name} does not implement saveBoardSettings()`);
+    }
+
+    /**
+     * Save the current content of a whiteboard as a new version
+     *
+     * Automatic versions of empty whiteboards are skipped, and only the latest
+     * maxAutomaticVersions automatic versions are kept.
+     *
+     * @param {string} wid
+     * @param {{name?: string, automatic?: boolean}} [options]
+     * @return {Promise<object|null>} the version, without its events
+     */
+    async createVersion(wid, { name = "", automatic = false } = {}) {
+        const events = await this.load(wid);
+        if (automatic && events.length === 0) return null;
+
+        const version = {
+            id: uuidv4(),
+            name: name,
+            automatic: automatic,
+            createdAt: Date.now(),
+            eventCount: events.length,
+        };
+        await this.saveVersion(wid, { ...version, events: events.slice() });
+        this.changedWids.delete(wid);
+
+        if (automatic) {
+            const automaticVersions = (await this.listVersions(wid)).filter((v) => v.automatic);
+            for (const oldVersion of automaticVersions.slice(this.maxAutomaticVersions)) {
+                await this.deleteVersion(wid, oldVersion.id);
+            }
+        }
+        return version;
+    }
+
+    /**
+     * Configure the version history and start saving automatic versions in the background
+     *
+     * @param {{maxAutomaticVersions: number, automaticVersionInterval: number}} options
+     * automaticVersionInterval: seconds between automatic versions, 0 to only save them on clear and restore
+     */
+    startVersionHistory({ maxAutomaticVersions, automaticVersionInterval }) {
+        this.maxAutomaticVersions = maxAutomaticVersions;
+        if (automaticVersionInterval > 0 && !this.versionTimer) {
+            this.versionTimer = setInterval(
+                () => this.createAutomaticVersions(),
+                automaticVersionInterval * 1000
+            );
+            this.versionTimer.unref();
+        }
+    }
+
+    /**
+     * Save an automatic version of every whiteboard changed since its last version
+     */
+    async createAutomaticVersions() {
+        for (const wid of Array.from(this.changedWids)) {
+            try {
+                await this.createVersion(wid, { name: "Automatic", automatic: true });
+            } catch (err) {
+                console.log("Could not save a version of", wid, err);
+            }
+        }
+    }
+
+    /**
+     * Replace the content of a whiteboard by one of its versions
+     *
+     * The current content is saved as an automatic version first, so a restore can be undone.
+     *
+     * @param {string} wid
+     * @param {string} versionId
+     * @return {Promise<object|null>} the restored version, without its events; null if it doesn't exist
+     */
+    async restoreVersion(wid, versionId) {
+        const version = await this.loadVersion(wid, versionId);
+        if (!version) return null;
+
+        await this.createVersion(wid, { name: "Before restore", automatic: true });
+        await this.replaceEvents(wid, version.events);
+
+        const { events, ...versionInfo } = version;
+        return versionInfo;
+    }
+
+    /**
+     * Store the changes carried by an event received from a client
+     *
+     * @param {object} content event as sent by the client
+     */
+    async handleEventsAndData(content) {
+        const tool = content["t"];
+        const wid = content["wid"];
+        const username = content["username"];
+
+        if (tool === "clear") {
+            // Keep what was cleared, so it can be restored
+            await this.createVersion(wid, { name: "Before clear", automatic: true });
+            await this.clear(wid);
+        } else if (tool === "undo") {
+            await this.undo(wid, username);
+            this.changedWids.add(wid);
+        } else if (tool === "redo") {
+            await this.redo(wid, username);
+            this.changedWids.add(wid);
+        } else if (isPersistedTool(tool)) {
+            const event = { ...content };
+            delete event["wid"]; // Don't store the id twice
+            await this.append(wid, event);
+            this.changedWids.add(wid);
+        }
+    }
+
+    /**
+     * Store a batch of drawing events received through the REST API, all of them or none
+     *
+     * Every event gets an id, returned in the same order as the events.
+     *
+     * @param {string} wid
+     * @param {Array<object>} contents events of persisted tools, as sent by the client
+     * @return {Promise<string[]>} ids of the stored events
+     */
+    async handleEventBatch(wid, contents) {
+        const events = contents.map((content) => {
+            const event = { ...content, id: uuidv4() };
+            delete event["wid"]; // Don't store the id twice
+            return event;
+        });
+        await this.appendAll(wid, events);
+        this.changedWids.add(wid);
+        return events.map((event) => event["id"]);
+    }
+}
+
+/**
+ * Move all events of the last drawing of a user from one list to another
+ *
+ * Used for undo (board -> undo stack) and redo (undo stack -> board).
+ * Only the events of undoable tools are moved.
+ *
+ * @param {Array<object>} from
+ * @param {Array<object>} to
+ * @param {string} username
+ * @return {Array<object>} the moved events
+ */
+export function moveLastDrawingOfUser(from, to, username) {
+    const moved = [];
+    for (let i = from.length - 1; i >= 0; i--) {
+        if (from[i]["username"] == username && isUndoableTool(from[i]["t"])) {
+            const drawId = from[i]["drawId"];
+            for (let j = from.length - 1; j >= 0; j--) {
+                if (
+                    from[j]["drawId"] == drawId &&
+                    from[j]["username"] == username &&
+                    isUndoableTool(from[j]["t"])
+                ) {
+                    moved.push(from[j]);
+                    to.push(from[j]);
+                    from.splice(j, 1);
+                }
+            }
+            break;
+        }
+    }
+    return moved;
+}
+
+/**
+ * Remove the older setTextboxText events of a textbox, so only its latest text is stored
+ *
+ * @param {Array<object>} events events of the whiteboard, modified in place
+ * @param {object} event the new setTextboxText event
+ * @return {boolean} true if events were removed
+ */
+export function removePreviousTextboxText(events, event) {
+    const count = events.length;
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i]["t"] === "setTextboxText" && events[i]["d"][0] === event["d"][0]) {
+            events.splice(i, 1);
+        }
+    }
+    return events.length !== count;
+}
+
+/**
+ * @param {Array<object>} events events of a whiteboard
+ * @return {string[]} the urls of its images
+ */
+export function imageUrls(events) {
+    return events.filter((event) => event["t"] === "addImgBG").map((event) => event["url"]);
+}
@@ -0,0 +1,241 @@
+import path from "path";
+
+import { STICKY_NOTE_SHADOW, buildBoardScene, readUploadedImages } from "./BoardScene.js";
+
+// types of the uploaded images that can be embedded
+const IMAGE_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+};
+
+/**
+ * @param {*} value
+ * @return {string} the value, escaped for an XML attribute or text
+ */
+export function escapeXml(value) {
+    return String(value).replace(
+        /[&<>"']/g,
+        (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c])
+    );
+}
+
+function format(number) {
+    return String(Math.round(number * 100) / 100);
+}
+
+function rect({ x, y, width, height }, attributes) {
+    return `<rect x="${format(x)}" y="${format(y)}" width="${format(width)}" height="${format(
+        height
+    )}" ${attributes}/>`;
+}
+
+function strokeAttributes(color, thickness) {
+    return `fill="none" stroke="${escapeXml(color)}" stroke-width="${format(
+        thickness
+    )}" stroke-linecap="round" stroke-linejoin="round"`;
+}
+
+function polyline({ points }, attributes) {
+    const [first, ...rest] = points;
+    const line = (rest.length > 0 ? rest : [first]).map(([x, y]) => `${format(x)} ${format(y)}`);
+    return `<path d="M${format(first[0])} ${format(first[1])}L${line.join(" ")}" ${attributes}/>`;
+}
+
+/**
+ * @param {string} url
+ * @return {boolean} false for the urls an image must not point to (javascript:...)
+ */
+function isImageUrl(url) {
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    return !scheme || /^(https?|data)$/i.test(scheme[1]);
+}
+
+/**
+ * Writes the nodes of a scene as SVG elements
+ */
+class SvgWriter {
+    output = [];
+    definitions = [];
+    nextId = 0;
+
+    /**
+     * @param {object} bounds area of the whiteboard, masks have to cover it
+     * @param {Map<string, string>} hrefs url to use for the url of every image
+     */
+    constructor(bounds, hrefs) {
+        this.bounds = bounds;
+        this.hrefs = hrefs;
+    }
+
+    writeNodes(nodes, output = this.output) {
+        nodes.forEach((node) => this.writeNode(node, output));
+    }
+
+    writeNode(node, output) {
+        switch (node.type) {
+            case "stroke":
+                output.push(polyline(node, strokeAttributes(node.color, node.thickness)));
+                break;
+            case "rect":
+                output.push(rect(node, strokeAttributes(node.color, node.thickness)));
+                break;
+            case "circle":
+                output.push(
+                    `<circle cx="${format(node.cx)}" cy="${format(node.cy)}" r="${format(
+                        node.r
+                    )}" ${strokeAttributes(node.color, node.thickness)}/>`
+                );
+                break;
+            case "image":
+                this.writeImage(node, output);
+                break;
+            case "erased": {
+                const maskId = this.mask(node.erasers);
+                output.push(`<g mask="url(#${maskId})">`);
+                this.writeNodes(node.children, output);
+                output.push("</g>");
+                break;
+            }
+            case "moved": {
+                const contentId = `content${this.nextId++}`;
+                const clipId = `clip${this.nextId++}`;
+                this.definitions.push(`<g id="${contentId}">`);
+                this.writeNodes(node.children, this.definitions);
+                this.definitions.push("</g>");
+                this.definitions.push(
+                    `<clipPath id="${clipId}">${rect(node, 'fill="black"')}</clipPath>`
+                );
+                const maskId = this.mask([{ type: "rect", ...node }]);
+                output.push(
+                    `<use mask="url(#${maskId})" xlink:href="#${contentId}"/>`,
+                    `<g clip-path="url(#${clipId})" transform="translate(${format(
+                        node.dx
+                    )} ${format(node.dy)})"><use xlink:href="#${contentId}"/></g>`
+                );
+                break;
+            }
+        }
+    }
+
+    writeImage({ url, x, y, width, height, rotation }, output) {
+        const href = this.hrefs.get(url) || url;
+        if (!isImageUrl(href)) return;
+        const degrees = (rotation * 180) / Math.PI;
+        const transform = degrees
+            ? ` transform="rotate(${format(degrees)} ${format(x + width / 2)} ${format(
+                  y + height / 2
+              )})"`
+            : "";
+        output.push(
+            `<image x="${format(x)}" y="${format(y)}" width="${format(width)}" height="${format(
+                height
+            )}" preserveAspectRatio="none"${transform} xlink:href="${escapeXml(href)}"/>`
+        );
+    }
+
+    /**
+     * Define a mask hiding what the erasers cover
+     *
+     * @param {object[]} erasers
+     * @return {string} id of the mask
+     */
+    mask(erasers) {
+        const id = `mask${this.nextId++}`;
+        const { x, y, width, height } = this.bounds;
+        this.definitions.push(
+            `<mask id="${id}" maskUnits="userSpaceOnUse" x="${x}" y="${y}" width="${width}" height="${height}">`,
+            rect(this.bounds, 'fill="white"'),
+            ...erasers.map((eraser) =>
+                eraser.type === "stroke"
+                    ? polyline(eraser, strokeAttributes("black", eraser.thickness))
+                    : rect(eraser, 'fill="black"')
+            ),
+            "</mask>"
+        );
+        return id;
+    }
+
+    writeTextbox(textbox) {
+        if (textbox.isStickyNote) {
+            const shadow = {
+                ...textbox,
+                x: textbox.x + STICKY_NOTE_SHADOW,
+                y: textbox.y + STICKY_NOTE_SHADOW,
+            };
+            this.output.push(rect(shadow, 'fill="rgba(33,33,33,0.7)"'));
+        }
+        if (textbox.background) {
+            this.output.push(rect(textbox, `fill="${escapeXml(textbox.background)}"`));
+        }
+        const lines = textbox.lines.map(
+            ({ text, x, y }) =>
+                `<tspan x="${format(x)}" y="${format(y)}">${escapeXml(text)}</tspan>`
+        );
+        this.output.push(
+            `<text font-family="monospace" font-size="${format(
+                textbox.fontSize
+            )}" fill="${escapeXml(textbox.color)}" xml:space="preserve">${lines.join("")}</text>`
+        );
+    }
+}
+
+/**
+ * Draw the whiteboard as an SVG image, like the browser does:
+ * background images, then the canvas (pen, shapes, erasers, images drawn to the canvas),
+ * then the textboxes
+ *
+ * @param {Array<object>} events events of the whiteboard, as loaded from the storage
+ * @param {object} [options]
+ * @param {function(string): Promise<string|null>} [options.resolveImage] gives the url to use
+ * for an image, e.g. a data url to embed the uploaded images; null to keep the url of the event
+ * @return {Promise<string>} the SVG document
+ */
+export async function renderBoardSvg(events, { resolveImage = async () => null } = {}) {
+    const scene = buildBoardScene(events);
+    const hrefs = new Map();
+    for (const { url } of scene.images) {
+        if (!hrefs.has(url)) {
+            hrefs.set(url, (await resolveImage(url)) || url);
+        }
+    }
+
+    const writer = new SvgWriter(scene.bounds, hrefs);
+    writer.output.push('<g class="background">');
+    writer.writeNodes(scene.background);
+    writer.output.push('</g><g class="canvas">');
+    writer.writeNodes(scene.canvas);
+    writer.output.push('</g><g class="textboxes">');
+    scene.textboxes.forEach((textbox) => writer.writeTextbox(textbox));
+    writer.output.push("</g>");
+
+    const { x, y, width, height } = scene.bounds;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>\n',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+        "<defs>",
+        ...writer.definitions,
+        "</defs>",
+        ...writer.output,
+        "</svg>\n",
+    ].join("");
+}
+
+/**
+ * Get a resolveImage option of renderBoardSvg that embeds the uploaded images as data urls,
+ * so the SVG image shows them wherever it is opened
+ *
+ * @param {string} uploadsFolder folder with one sub folder of images per read-only id
+ * @return {function(string): Promise<string|null>}
+ */
+export function embedUploadedImages(uploadsFolder) {
+    const readImage = readUploadedImages(uploadsFolder);
+    return async (url) => {
+        const type = IMAGE_TYPES[path.extname(url.split(/[?#]/)[0]).toLowerCase()];
+        const data = type ? await readImage(url) : null;
+        return data ? `data:${type};base64,${data.toString("base64")}` : null;
+    };
+}
@@ -0,0 +1,55 @@
+import { renderBoardSvg } from "./SvgExport";
+
+const pen = (d) => ({ t: "pen", d, c: "#ff0000", th: 4 });
+
+test("Continuous pen segments are drawn as one smoothed path", async () => {
+    const svg = await renderBoardSvg([
+        pen([0, 0, 10, 10, 20, 10, 30, 10]),
+        pen([10, 10, 20, 10, 30, 10, 40, 10]),
+    ]);
+    expect(svg.match(/<path /g)).toHaveLength(1);
+    expect(svg).toContain('<path d="M10 10L');
+    expect(svg).toContain('stroke="#ff0000" stroke-width="4"');
+});
+
+test("Erasers only mask what was drawn before them", async () => {
+    const svg = await renderBoardSvg([
+        { t: "rect", d: [0, 0, 100, 100] },
+        { t: "eraser", d: [0, 0, 50, 50], th: 5 },
+        { t: "circle", d: [50, 50, 20] },
+    ]);
+    expect(svg).toMatch(
+        /<mask id="mask0"[^>]*><rect [^>]*fill="white"\/><path [^>]*stroke-width="10"/
+    );
+    expect(svg).toMatch(/<g mask="url\(#mask0\)"><rect [^>]*\/><\/g><circle /);
+});
+
+test("Textboxes are drawn with their last text and position", async () => {
+    const text = Buffer.from("a &lt; b<div>second</div>").toString("base64");
+    const svg = await renderBoardSvg([
+        { t: "addTextBox", d: ["#000", "yellow", 1, 0, 0, "tx1", false] },
+        { t: "setTextboxText", d: ["tx1", text] },
+        { t: "setTextboxPosition", d: ["tx1", 30, 40] },
+        { t: "addTextBox", d: ["#000", "transparent", 1, 0, 0, "tx2", false] },
+        { t: "removeTextbox", d: ["tx2"] },
+    ]);
+    expect(svg.match(/<text /g)).toHaveLength(1);
+    expect(svg).toContain('<rect x="40" y="30"');
+    expect(svg).toContain(">a &lt; b</tspan>");
+    expect(svg).toContain(">second</tspan>");
+});
+
+test("Images get the url given by resolveImage", async () => {
+    const svg = await renderBoardSvg(
+        [
+            { t: "addImgBG", draw: "0", url: "/uploads/ro/ro_1.png", d: [10, 10, 0, 0, 0] },
+            { t: "addImgBG", draw: "1", url: "javascript:alert(1)", d: [10, 10, 0, 0, 0] },
+        ],
+        {
+            resolveImage: async (url) =>
+                url.startsWith("/uploads/") ? "data:image/png;base64,AA==" : null,
+        }
+    );
+    expect(svg).toContain('xlink:href="data:image/png;base64,AA=="');
+    expect(svg).not.toContain("javascript");
+});
@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+
+import { getSafeFilePath } from "../utils.js";
+import { copyUpload } from "./BoardForkService.js";
+import { uploadPathFromUrl } from "./RetentionService.js";
+
+const TEMPLATE_EXTENSION = ".json";
+// sub folder of the templates folder with the images of the templates
+const IMAGES_FOLDER = "images";
+
+/**
+ * Get the id of a template from its name
+ *
+ * @param {string} name
+ * @return {string} e.g. "weekly-retro" for "Weekly retro!", empty if the name has no letter nor digit
+ */
+export function templateIdFromName(name) {
+    return String(name)
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "") // accents
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Stores whiteboard templates: each template is a JSON file of the templates folder
+ * (<id>.json: name, createdAt and events), and the images the events use are copied next to them,
+ * so a template outlives the whiteboard it was saved from.
+ */
+export default class TemplateService {
+    /**
+     * @param {object} options
+     * @param {import("./StorageProvider.js").default} options.storage
+     * @param {import("./BoardForkService.js").default} options.boardForkService creates the
+     * whiteboards
+     * @param {string} options.templatesFolder
+     * @param {string} options.uploadsFolder folder with one sub folder of images per read-only id
+     */
+    constructor({ storage, boardForkService, templatesFolder, uploadsFolder }) {
+        this.storage = storage;
+        this.boardForkService = boardForkService;
+        this.templatesFolder = templatesFolder;
+        this.uploadsFolder = uploadsFolder;
+    }
+
+    /**
+     * List the templates, by name
+     *
+     * @return {Promise<Array<{id: string, name: string, createdAt: number, eventCount: number}>>}
+     */
+    async list() {
+        if (!fs.existsSync(this.templatesFolder)) return [];
+
+        const templates = [];
+        for (const file of await fs.promises.readdir(this.templatesFolder)) {
+            if (!file.endsWith(TEMPLATE_EXTENSION)) continue;
+            const template = await this.load(path.basename(file, TEMPLATE_EXTENSION));
+            if (template) {
+                const { id, name, createdAt, events } = template;
+                templates.push({ id, name, createdAt, eventCount: events.length });
+            }
+        }
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} id
+     * @return {Promise<{id: string, name: string, createdAt: number, events: Array<object>}|null>}
+     * null if there is no such template
+     */
+    async load(id) {
+        try {
+            const file = getSafeFilePath(this.templatesFolder, id + TEMPLATE_EXTENSION);
+            const { name, createdAt, events } = JSON.parse(
+                await fs.promises.readFile(file, "utf8")
+            );
+            return { id, name, createdAt, events };
+        } catch (err) {
+            if (err.code !== "ENOENT") {
+                console.log("Could not read the template", id, err.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Save the content of a whiteboard as a template, replacing the template of the same name
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {string} name
+     * @return {Promise<{id: string, name: string, createdAt: number, eventCount: number}>}
+     * @throws {Error} if the name is invalid
+     */
+    async saveBoard(wid, name) {
+        const id = templateIdFromName(name);
+        if (!id) {
+            throw new Error("The name of a template needs a letter or a digit");
+        }
+
+        const events = await this.storage.load(wid);
+        const imagesFolder = path.join(this.templatesFolder, IMAGES_FOLDER);
+        const uploadPaths = new Set(
+            events
+                .filter((event) => event["t"] === "addImgBG")
+                .map((event) => uploadPathFromUrl(event["url"]))
+                .filter(Boolean)
+        );
+        for (const uploadPath of uploadPaths) {
+            await copyUpload(this.uploadsFolder, uploadPath, imagesFolder, uploadPath);
+        }
+
+        const template = { name, createdAt: Date.now(), events };
+        const file = getSafeFilePath(this.templatesFolder, id + TEMPLATE_EXTENSION);
+        await fs.promises.mkdir(this.templatesFolder, { recursive: true });
+        await fs.promises.writeFile(file + ".tmp", JSON.stringify(template));
+        await fs.promises.rename(file + ".tmp", file);
+        return { id, name, createdAt: template.createdAt, eventCount: events.length };
+    }
+
+    /**
+     * Create a whiteboard with the content of a template
+     *
+     * @param {string} id
+     * @return {Promise<{wid: string, readOnlyWid: string}|null>} ids of the new whiteboard,
+     * null if there is no such template
+     */
+    async createBoard(id) {
+        const template = await this.load(id);
+        if (!template) return null;
+        return this.boardForkService.createBoard(
+            template.events,
+            path.join(this.templatesFolder, IMAGES_FOLDER)
+        );
+    }
+}
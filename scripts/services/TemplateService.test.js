@@ -0,0 +1,77 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import TemplateService, { templateIdFromName } from "./TemplateService";
+
+let folder;
+
+beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+    fs.mkdirSync(path.join(folder, "uploads", "ro"), { recursive: true });
+    fs.writeFileSync(path.join(folder, "uploads", "ro", "ro_1.png"), "image");
+});
+
+afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+function createService(boards) {
+    const created = [];
+    const service = new TemplateService({
+        storage: {
+            async load(wid) {
+                return boards[wid] || [];
+            },
+        },
+        boardForkService: {
+            async createBoard(events, imagesFolder) {
+                created.push({ events, imagesFolder });
+                return { wid: "new", readOnlyWid: "newro" };
+            },
+        },
+        templatesFolder: path.join(folder, "templates"),
+        uploadsFolder: path.join(folder, "uploads"),
+    });
+    return { service, created };
+}
+
+test("Template ids are made from their names", () => {
+    expect(templateIdFromName("Weekly retro!")).toBe("weekly-retro");
+    expect(templateIdFromName("  Leçon n°2 ")).toBe("lecon-n-2");
+    expect(templateIdFromName("../..")).toBe("");
+});
+
+test("Whiteboards are saved as templates with their images", async () => {
+    const image = { t: "addImgBG", d: [10, 10, 0, 0, 0], url: "/uploads/ro/ro_1.png" };
+    const { service, created } = createService({
+        kanban: [{ t: "rect", d: [1, 2, 3, 4] }, image],
+        retro: [{ t: "circle", d: [1, 2, 3] }],
+    });
+    expect(await service.list()).toEqual([]);
+
+    const saved = await service.saveBoard("kanban", "Kanban");
+    expect(saved).toMatchObject({ id: "kanban", name: "Kanban", eventCount: 2 });
+    await service.saveBoard("retro", "Retro");
+    await service.saveBoard("retro", "retro");
+    const templates = await service.list();
+    expect(templates.map(({ id, name }) => [id, name])).toEqual([
+        ["kanban", "Kanban"],
+        ["retro", "retro"],
+    ]);
+    expect(
+        fs.readFileSync(path.join(folder, "templates", "images", "ro", "ro_1.png"), "utf8")
+    ).toBe("image");
+
+    expect(await service.createBoard("kanban")).toEqual({ wid: "new", readOnlyWid: "newro" });
+    expect(created[0].events).toEqual([{ t: "rect", d: [1, 2, 3, 4] }, image]);
+    expect(created[0].imagesFolder).toBe(path.join(folder, "templates", "images"));
+});
+
+test("Unknown templates and invalid names are rejected", async () => {
+    const { service, created } = createService({});
+    expect(await service.createBoard("missing")).toBe(null);
+    expect(await service.createBoard("../secret")).toBe(null);
+    expect(created).toEqual([]);
+    await expect(service.saveBoard("wid", "!!")).rejects.toThrow("name");
+});
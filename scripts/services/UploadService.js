@@ -0,0 +1,267 @@
+import fs from "fs";
+
+import { getSafeFilePath } from "../utils.js";
+import { decodeImage, encodeImage, resizeImage } from "./ImageCodec.js";
+
+const MB = 1024 * 1024;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Start of an SVG document: xml declaration, comments and doctype before the svg element
+const SVG_START = /^\uFEFF?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i;
+
+/**
+ * Image types accepted for uploads, by extension
+ */
+export const IMAGE_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    svg: "image/svg+xml",
+};
+
+// Image types with downscaled variants
+const VARIANT_TYPES = ["png", "jpg"];
+
+// "<name>.w<width>.<extension>"
+const VARIANT_NAME = /^(.+)\.w\d+(\.[a-z]+)$/;
+
+/**
+ * @param {string} filename name of an uploaded image
+ * @param {number} width
+ * @return {string} name of its variant of this width
+ */
+export function variantFilename(filename, width) {
+    return filename.replace(/(\.[a-z]+)$/, `.w${width}$1`);
+}
+
+/**
+ * @param {string} filename name of an uploaded image or of a variant
+ * @return {string} name of the uploaded image
+ */
+export function originalFilename(filename) {
+    return filename.replace(VARIANT_NAME, "$1$2");
+}
+
+/**
+ * Error of an upload, with a code telling the client what is wrong
+ */
+export class UploadError extends Error {
+    /**
+     * @param {string} code NO_IMAGE, UNSUPPORTED_TYPE, FILE_TOO_LARGE or QUOTA_EXCEEDED
+     * @param {number} status HTTP status of the response
+     * @param {string} message
+     */
+    constructor(code, status, message) {
+        super(message);
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Get the type of an image from its content, whatever its name or declared type
+ *
+ * @param {Buffer} data
+ * @return {string|null} extension of the image type (see IMAGE_TYPES), null if it isn't supported
+ */
+export function sniffImageType(data) {
+    if (data.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+    if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return "jpg";
+
+    const head = data.toString("latin1", 0, 12);
+    if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) return "gif";
+    if (head.startsWith("RIFF") && head.slice(8) === "WEBP") return "webp";
+    if (SVG_START.test(data.toString("utf8"))) return "svg";
+    return null;
+}
+
+/**
+ * Remove what could run from an SVG image: scripts, event handlers, javascript: links,
+ * foreign objects...
+ *
+ * @param {string} svg
+ * @param {object} purify DOMPurify instance
+ * @return {string|null} the sanitized image, null if nothing of it is left
+ */
+export function sanitizeSvg(svg, purify) {
+    const sanitized = purify
+        .sanitize(svg, { USE_PROFILES: { svg: true, svgFilters: true } })
+        .replace(/&nbsp;/g, "&#160;"); // serialized as HTML, but read as XML
+    if (!sanitized.startsWith("<svg")) return null;
+    // an image file needs the namespace, svg elements of HTML documents don't
+    return sanitized.replace(/^<svg(?![^>]*\sxmlns=)/, '<svg xmlns="http://www.w3.org/2000/svg"');
+}
+
+/**
+ * Stores the uploaded images, in one folder per read-only id, after checking their type and size
+ *
+ * PNG and JPEG images get downscaled variants for the configured widths, next to them: clients
+ * showing an image smaller than it is ask for a variant (see variantPath).
+ */
+export default class UploadService {
+    /**
+     * @param {object} options
+     * @param {string} options.uploadsFolder
+     * @param {object} options.limits the uploads config: maxFileSize and boardQuota, in MB, and
+     * variantWidths
+     * @param {object} options.purify DOMPurify instance, to sanitize SVG images
+     */
+    constructor({ uploadsFolder, limits, purify }) {
+        this.uploadsFolder = uploadsFolder;
+        this.maxFileSize = limits.maxFileSize * MB;
+        this.boardQuota = limits.boardQuota * MB;
+        this.variantWidths = [...(limits.variantWidths || [])].sort((a, b) => a - b);
+        this.purify = purify;
+    }
+
+    /**
+     * Store an uploaded image of a whiteboard, with its downscaled variants
+     *
+     * @param {string} readOnlyWid read-only id of the whiteboard
+     * @param {Buffer} data content of the image
+     * @param {string|number} date part of the file name, e.g. the time of the upload
+     * @return {Promise<object>} the stored image: filename, path ("<folder>/<file>" in the uploads
+     * folder), type, size and variants (the widths of its variants)
+     * @throws {UploadError} if the image isn't accepted
+     */
+    async save(readOnlyWid, data, date) {
+        if (!data || data.length === 0) {
+            throw new UploadError("NO_IMAGE", 400, "The upload contains no image");
+        }
+        if (data.length > this.maxFileSize) {
+            throw this.fileTooLarge();
+        }
+
+        const extension = sniffImageType(data);
+        if (!extension) {
+            throw new UploadError(
+                "UNSUPPORTED_TYPE",
+                415,
+                `Only ${Object.keys(IMAGE_TYPES).join(", ")} images can be uploaded`
+            );
+        }
+        if (extension === "svg") {
+            const svg = sanitizeSvg(data.toString("utf8"), this.purify);
+            if (!svg) {
+                throw new UploadError("UNSUPPORTED_TYPE", 415, "The SVG image is not valid");
+            }
+            data = Buffer.from(svg);
+        }
+
+        // encoded first, so that they count in the quota too
+        const variants = await this.encodeVariants(data, extension);
+        const size = variants.reduce((size, variant) => size + variant.data.length, data.length);
+        const folder = getSafeFilePath(this.uploadsFolder, readOnlyWid);
+        if (this.boardQuota > 0 && (await this.folderSize(folder)) + size > this.boardQuota) {
+            throw new UploadError(
+                "QUOTA_EXCEEDED",
+                413,
+                `The images of a whiteboard can't take more than ${this.boardQuota / MB} MB`
+            );
+        }
+
+        const filename = `${readOnlyWid}_${date}.${extension}`;
+        await fs.promises.mkdir(folder, { recursive: true });
+        await fs.promises.writeFile(getSafeFilePath(folder, filename), data);
+        for (const variant of variants) {
+            await fs.promises.writeFile(
+                getSafeFilePath(folder, variantFilename(filename, variant.width)),
+                variant.data
+            );
+        }
+        return {
+            filename,
+            path: `${readOnlyWid}/${filename}`,
+            type: IMAGE_TYPES[extension],
+            size: data.length,
+            variants: variants.map((variant) => variant.width),
+        };
+    }
+
+    /**
+     * Encode the downscaled variants of an image, for the configured widths smaller than the
+     * image. Images which can't be decoded simply get no variants.
+     *
+     * @param {Buffer} data content of the image
+     * @param {string} extension type of the image (see IMAGE_TYPES)
+     * @return {Promise<Array<{width: number, data: Buffer}>>}
+     */
+    async encodeVariants(data, extension) {
+        if (!VARIANT_TYPES.includes(extension) || this.variantWidths.length === 0) return [];
+
+        const variants = [];
+        try {
+            const image = decodeImage(data);
+            if (!image) return [];
+            for (const width of this.variantWidths.filter((width) => width < image.width)) {
+                // let the requests waiting for the processing go on between the variants
+                await new Promise((resolve) => setImmediate(resolve));
+                variants.push({ width, data: encodeImage(resizeImage(image, width), extension) });
+            }
+        } catch (err) {
+            console.log("Could not create the variants of an image", err.message);
+            return [];
+        }
+        return variants;
+    }
+
+    /**
+     * Find the variant of an uploaded image to send for a width: the smallest one at least as wide
+     *
+     * @param {string} uploadPath "<folder>/<file>" in the uploads folder
+     * @param {number} width width the image is shown at, in device pixels
+     * @return {Promise<string|null>} path of the variant, null to send the image itself
+     */
+    async variantPath(uploadPath, width) {
+        const [folder, filename, ...rest] = uploadPath.split("/");
+        if (!folder || !filename || rest.length || VARIANT_NAME.test(filename)) return null;
+        if (!VARIANT_TYPES.includes(filename.split(".").pop())) return null;
+
+        for (const variantWidth of this.variantWidths.filter((w) => w >= width)) {
+            const variant = variantFilename(filename, variantWidth);
+            try {
+                await fs.promises.access(
+                    getSafeFilePath(getSafeFilePath(this.uploadsFolder, folder), variant)
+                );
+                return `${folder}/${variant}`;
+            } catch (err) {
+                // no variant of this width: the image is smaller, or it was copied without them
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @return {UploadError}
+     */
+    fileTooLarge() {
+        return new UploadError(
+            "FILE_TOO_LARGE",
+            413,
+            `An image can't be larger than ${this.maxFileSize / MB} MB`
+        );
+    }
+
+    /**
+     * @param {string} folder
+     * @return {Promise<number>} size of the files of the folder, in bytes
+     */
+    async folderSize(folder) {
+        let files;
+        try {
+            files = await fs.promises.readdir(folder, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === "ENOENT") return 0;
+            throw err;
+        }
+        let size = 0;
+        for (const file of files) {
+            if (file.isFile()) {
+                size += (await fs.promises.stat(getSafeFilePath(folder, file.name))).size;
+            }
+        }
+        return size;
+    }
+}
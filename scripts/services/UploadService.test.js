@@ -0,0 +1,144 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import createDOMPurify from "dompurify";
+import { JSDOM } from "jsdom";
+
+import { decodeImage, encodeImage } from "./ImageCodec";
+import UploadService, {
+    originalFilename,
+    sanitizeSvg,
+    sniffImageType,
+    variantFilename,
+} from "./UploadService";
+
+const purify = createDOMPurify(new JSDOM("").window);
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+const JPEG = Buffer.from("ffd8ffe000104a464946", "hex");
+
+let uploadsFolder;
+
+beforeEach(() => {
+    uploadsFolder = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+});
+
+afterEach(() => {
+    fs.rmSync(uploadsFolder, { recursive: true, force: true });
+});
+
+function createService(limits = {}) {
+    return new UploadService({
+        uploadsFolder,
+        limits: { maxFileSize: 1, boardQuota: 0, variantWidths: [], ...limits },
+        purify,
+    });
+}
+
+test("Image types are sniffed from the content", () => {
+    expect(sniffImageType(PNG)).toBe("png");
+    expect(sniffImageType(JPEG)).toBe("jpg");
+    expect(sniffImageType(Buffer.from("GIF89a\x01\x00"))).toBe("gif");
+    expect(sniffImageType(Buffer.from("RIFF\x24\x00\x00\x00WEBPVP8 "))).toBe("webp");
+    expect(
+        sniffImageType(Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg width="1"></svg>'))
+    ).toBe("svg");
+    expect(sniffImageType(Buffer.from("<html><svg></svg></html>"))).toBe(null);
+    expect(sniffImageType(Buffer.from("BM\x00\x00"))).toBe(null);
+});
+
+test("SVG images are sanitized", () => {
+    const svg = sanitizeSvg(
+        '<svg width="10" onload="alert(1)"><script>alert(2)</script><rect width="5"/>' +
+            '<a href="javascript:alert(3)"><text>&nbsp;x</text></a></svg>',
+        purify
+    );
+    expect(svg).toBe(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="10"><rect width="5"></rect>' +
+            "<a><text>&#160;x</text></a></svg>"
+    );
+    expect(sanitizeSvg("<script>alert(1)</script>", purify)).toBe(null);
+});
+
+test("Images are stored with the extension of their type", async () => {
+    const service = createService();
+
+    expect(await service.save("ro", JPEG, 1)).toEqual({
+        filename: "ro_1.jpg",
+        path: "ro/ro_1.jpg",
+        type: "image/jpeg",
+        size: JPEG.length,
+        variants: [],
+    });
+    expect(fs.readFileSync(path.join(uploadsFolder, "ro", "ro_1.jpg"))).toEqual(JPEG);
+
+    const { path: svgPath } = await service.save("ro", Buffer.from("<svg><script/></svg>"), 2);
+    expect(fs.readFileSync(path.join(uploadsFolder, svgPath), "utf8")).toBe(
+        '<svg xmlns="http://www.w3.org/2000/svg"></svg>'
+    );
+});
+
+test("Invalid, too large and over quota images are rejected with a code", async () => {
+    const service = createService({ maxFileSize: 0.001, boardQuota: 0.002 });
+    const image = Buffer.concat([PNG, Buffer.alloc(800)]);
+    const codeOf = (promise) =>
+        promise.then(
+            () => null,
+            (err) => [err.code, err.status]
+        );
+
+    expect(await codeOf(service.save("ro", Buffer.alloc(0), 1))).toEqual(["NO_IMAGE", 400]);
+    expect(await codeOf(service.save("ro", Buffer.from("text"), 1))).toEqual([
+        "UNSUPPORTED_TYPE",
+        415,
+    ]);
+    expect(await codeOf(service.save("ro", Buffer.alloc(2000, 1), 1))).toEqual([
+        "FILE_TOO_LARGE",
+        413,
+    ]);
+
+    await service.save("ro", image, 1);
+    await service.save("ro", image, 2);
+    expect(await codeOf(service.save("ro", image, 3))).toEqual(["QUOTA_EXCEEDED", 413]);
+    // the quota is per whiteboard
+    await service.save("other", image, 3);
+});
+
+test("Variants are named after their image", () => {
+    expect(variantFilename("ro_1.png", 320)).toBe("ro_1.w320.png");
+    expect(originalFilename("ro_1.w320.png")).toBe("ro_1.png");
+    expect(originalFilename("ro_1.png")).toBe("ro_1.png");
+});
+
+test("Downscaled variants are created for the widths smaller than the image", async () => {
+    const service = createService({ variantWidths: [40, 10, 20] });
+    const image = { width: 30, height: 15, data: new Uint8Array(30 * 15 * 4).fill(255) };
+    const { variants, path: uploadPath } = await service.save("ro", encodeImage(image, "png"), 1);
+
+    expect(variants).toEqual([10, 20]);
+    const variant = decodeImage(fs.readFileSync(path.join(uploadsFolder, "ro", "ro_1.w10.png")));
+    expect([variant.width, variant.height]).toEqual([10, 5]);
+
+    expect(await service.variantPath(uploadPath, 8)).toBe("ro/ro_1.w10.png");
+    expect(await service.variantPath(uploadPath, 15)).toBe("ro/ro_1.w20.png");
+    // larger than the variants: the image itself
+    expect(await service.variantPath(uploadPath, 25)).toBe(null);
+    expect(await service.variantPath("ro/ro_1.w10.png", 8)).toBe(null);
+    expect(await service.variantPath("other/ro_1.png", 8)).toBe(null);
+
+    // no variants of images which can't be decoded
+    expect((await service.save("ro", PNG, 2)).variants).toEqual([]);
+});
+
+test("The variants of an image count in the quota of its whiteboard", async () => {
+    const image = { width: 30, height: 15, data: new Uint8Array(30 * 15 * 4).fill(255) };
+    const png = encodeImage(image, "png");
+    const quota = (png.length * 1.5) / (1024 * 1024);
+
+    expect((await createService({ boardQuota: quota }).save("ro", png, 1)).variants).toEqual([]);
+    const service = createService({ boardQuota: quota, variantWidths: [10, 20] });
+    await expect(service.save("other", png, 1)).rejects.toMatchObject({
+        code: "QUOTA_EXCEEDED",
+    });
+});
@@ -0,0 +1,220 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import { v4 as uuidv4 } from "uuid";
+
+// Header with the HMAC-SHA256 of the body, as "sha256=<hex>"
+export const SIGNATURE_HEADER = "X-Whiteboard-Signature";
+
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+/**
+ * Sign the body of a webhook request
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @return {string} value of the signature header
+ */
+export function signPayload(secret, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * POST a body
+ *
+ * @param {string} url
+ * @param {object} headers
+ * @param {string} body
+ * @return {Promise<number>} status of the response
+ */
+function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const client = new URL(url).protocol === "https:" ? https : http;
+        const req = client.request(
+            url,
+            {
+                method: "POST",
+                headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+                timeout: DELIVERY_TIMEOUT,
+            },
+            (res) => {
+                res.resume();
+                res.on("end", () => resolve(res.statusCode));
+            }
+        );
+        req.on("timeout", () => req.destroy(new Error("timeout")));
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+/**
+ * @param {object} event
+ * @return {boolean} false for the events which don't change the whiteboard, like the cursor moves:
+ * they don't keep it from being idle
+ */
+function isActivity(event) {
+    return event["t"] !== "cursor";
+}
+
+/**
+ * Sends the whiteboard events to the configured webhook targets, as signed JSON POST requests:
+ * - "join" and "leave": a user joined or left a whiteboard on this server
+ * - "clear": a whiteboard was cleared
+ * - "idle": nothing was drawn on a whiteboard for the configured number of minutes
+ *
+ * Failed deliveries (network errors, 429 and 5xx responses) are retried with a doubling delay.
+ */
+export default class WebhookService {
+    /**
+     * @param {object} options
+     * @param {object} options.webhooks the webhooks config: targets, idleMinutes, retries and retryDelay
+     * @param {import("./WhiteboardInfoBackendService.js").default} [options.whiteboardInfoBackendService]
+     * gives the number of users connected to the whiteboards
+     */
+    constructor({ webhooks, whiteboardInfoBackendService = null }) {
+        this.targets = webhooks.targets;
+        this.idleMinutes = webhooks.idleMinutes;
+        this.retries = webhooks.retries;
+        this.retryDelay = webhooks.retryDelay;
+        this.whiteboardInfoBackendService = whiteboardInfoBackendService;
+        this.idleTimers = new Map(); // by wid
+        this.retryTimers = new Set();
+    }
+
+    /**
+     * @param {string} wid
+     */
+    boardJoined(wid) {
+        this.send("join", wid, { connectedUsers: this.connectedUsers(wid) });
+    }
+
+    /**
+     * @param {string} wid
+     */
+    boardLeft(wid) {
+        this.send("leave", wid, { connectedUsers: this.connectedUsers(wid) });
+    }
+
+    /**
+     * Events were drawn on a whiteboard through this server
+     *
+     * @param {string} wid editable id of the whiteboard
+     * @param {Array<object>} events
+     */
+    eventsDrawn(wid, events) {
+        if (events.some((event) => event["t"] === "clear")) {
+            this.send("clear", wid, {});
+        }
+        if (events.some(isActivity)) this.restartIdleTimer(wid);
+    }
+
+    /**
+     * Events were drawn on a whiteboard through another server node:
+     * that node tells when the whiteboard is idle
+     *
+     * @param {string} wid
+     * @param {Array<object>} events
+     */
+    eventsDrawnElsewhere(wid, events) {
+        if (!events.some(isActivity)) return;
+        clearTimeout(this.idleTimers.get(wid));
+        this.idleTimers.delete(wid);
+    }
+
+    /**
+     * Stop the idle timers and the retries
+     */
+    stop() {
+        this.idleTimers.forEach((timer) => clearTimeout(timer));
+        this.idleTimers.clear();
+        this.retryTimers.forEach((timer) => clearTimeout(timer));
+        this.retryTimers.clear();
+    }
+
+    // tell when nothing was drawn on the whiteboard for idleMinutes
+    restartIdleTimer(wid) {
+        if (!(this.idleMinutes > 0) || !this.targetsOf("idle").length) return;
+
+        clearTimeout(this.idleTimers.get(wid));
+        const timer = setTimeout(() => {
+            this.idleTimers.delete(wid);
+            this.send("idle", wid, { idleMinutes: this.idleMinutes });
+        }, this.idleMinutes * 60 * 1000);
+        timer.unref();
+        this.idleTimers.set(wid, timer);
+    }
+
+    connectedUsers(wid) {
+        return (
+            (this.whiteboardInfoBackendService &&
+                this.whiteboardInfoBackendService.getNbClientOnWhiteboard(wid)) ||
+            0
+        );
+    }
+
+    /**
+     * @param {string} event
+     * @return {Array<object>} the targets accepting the event, all events if it has no filter
+     */
+    targetsOf(event) {
+        return this.targets.filter(
+            (target) => !target.events || !target.events.length || target.events.includes(event)
+        );
+    }
+
+    /**
+     * Send an event to its targets, without waiting for the deliveries
+     *
+     * @param {string} event
+     * @param {string} wid
+     * @param {object} data
+     */
+    send(event, wid, data) {
+        const targets = this.targetsOf(event);
+        if (!targets.length) return;
+
+        const body = JSON.stringify({ id: uuidv4(), event, wid, timestamp: Date.now(), data });
+        for (const target of targets) {
+            this.deliver(target, event, body, 0);
+        }
+    }
+
+    /**
+     * @param {object} target
+     * @param {string} event
+     * @param {string} body
+     * @param {number} attempt number of the previous attempts
+     * @return {Promise<void>} resolved after this attempt
+     */
+    async deliver(target, event, body, attempt) {
+        const headers = { "Content-Type": "application/json", "X-Whiteboard-Event": event };
+        if (target.secret) {
+            headers[SIGNATURE_HEADER] = signPayload(target.secret, body);
+        }
+
+        let error;
+        try {
+            const status = await post(target.url, headers, body);
+            if (status < 300) return;
+            if (status !== 429 && status < 500) {
+                console.log("Webhook rejected by", target.url, status);
+                return;
+            }
+            error = `status ${status}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        if (attempt >= this.retries) {
+            console.log("Could not deliver the webhook to", target.url, error);
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            this.deliver(target, event, body, attempt + 1);
+        }, this.retryDelay * 2 ** attempt);
+        timer.unref();
+        this.retryTimers.add(timer);
+    }
+}
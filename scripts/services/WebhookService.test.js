@@ -0,0 +1,106 @@
+import http from "http";
+
+import WebhookService, { SIGNATURE_HEADER, signPayload } from "./WebhookService";
+
+let server;
+let url;
+let received;
+// statuses of the next responses, 200 once empty
+let statuses;
+
+beforeEach(async () => {
+    received = [];
+    statuses = [];
+    server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses.shift() || 200;
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+});
+
+function createService(targets, options = {}) {
+    return new WebhookService({
+        webhooks: { targets, idleMinutes: 0, retries: 2, retryDelay: 10, ...options },
+        whiteboardInfoBackendService: { getNbClientOnWhiteboard: () => 3 },
+    });
+}
+
+async function waitFor(count) {
+    for (let i = 0; i < 100 && received.length < count; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+test("Events are sent signed to the targets they match", async () => {
+    const service = createService([
+        { url, secret: "s3cret", events: ["clear"] },
+        { url: url + "?all" },
+    ]);
+
+    service.boardJoined("wid");
+    service.eventsDrawn("wid", [{ t: "line" }, { t: "clear" }]);
+    await waitFor(3);
+    service.stop();
+
+    expect(received).toHaveLength(3);
+    const payloads = received.map(({ body }) => JSON.parse(body));
+    expect(payloads.map(({ event }) => event).sort()).toEqual(["clear", "clear", "join"]);
+    expect(payloads.find(({ event }) => event === "join")).toMatchObject({
+        wid: "wid",
+        data: { connectedUsers: 3 },
+    });
+
+    const signed = received.filter(({ headers }) => headers[SIGNATURE_HEADER.toLowerCase()]);
+    expect(signed).toHaveLength(1);
+    expect(signed[0].headers[SIGNATURE_HEADER.toLowerCase()]).toBe(
+        signPayload("s3cret", signed[0].body)
+    );
+    expect(signed[0].headers["x-whiteboard-event"]).toBe("clear");
+});
+
+test("Failed deliveries are retried", async () => {
+    const service = createService([{ url }]);
+    statuses = [500, 503];
+
+    service.boardLeft("wid");
+    await waitFor(3);
+    expect(received).toHaveLength(3);
+    // the same delivery every time
+    expect(new Set(received.map(({ body }) => body)).size).toBe(1);
+
+    // client errors are not retried
+    statuses = [400];
+    service.boardLeft("wid");
+    await waitFor(5);
+    service.stop();
+    expect(received).toHaveLength(4);
+});
+
+test("Whiteboards are idle after the configured time without drawing", async () => {
+    const service = createService([{ url, events: ["idle"] }], { idleMinutes: 0.001 });
+
+    service.eventsDrawn("a", [{ t: "line" }]);
+    service.eventsDrawn("b", [{ t: "line" }]);
+    // drawn on another node, which tells when it is idle
+    service.eventsDrawnElsewhere("b", [{ t: "line" }]);
+    // moving the cursor isn't drawing
+    service.eventsDrawn("c", [{ t: "cursor" }]);
+    service.eventsDrawnElsewhere("a", [{ t: "cursor" }]);
+    await waitFor(1);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    service.stop();
+
+    expect(received.map(({ body }) => JSON.parse(body))).toMatchObject([
+        { event: "idle", wid: "a", data: { idleMinutes: 0.001 } },
+    ]);
+});
@@ -1,6 +1,5 @@
 import config from "../config/config.js";
 import ROnlyBackendService from "./ReadOnlyBackendService.js";
-const ReadOnlyBackendService = new ROnlyBackendService();
 
 /**
  * Class to hold information related to a whiteboard
@@ -109,24 +108,39 @@ export class WhiteboardInfo {
  * Wrapper class around map to treat both the editable whiteboard and its read-only version the same
  */
 export class InfoByWhiteBoardMap extends Map {
+    /**
+     * @param {ROnlyBackendService} readOnlyBackendService
+     */
+    constructor(readOnlyBackendService) {
+        super();
+        this.readOnlyBackendService = readOnlyBackendService;
+    }
+
+    /**
+     * Whiteboards are joined after their ids went through the ReadOnlyBackendService,
+     * so the read-only id is already known here
+     *
+     * @param {string} wid
+     * @return {string}
+     */
+    keyOf(wid) {
+        return this.readOnlyBackendService.getKnownReadOnlyId(wid) || wid;
+    }
+
     get(wid) {
-        const readOnlyId = ReadOnlyBackendService.getReadOnlyId(wid);
-        return super.get(readOnlyId);
+        return super.get(this.keyOf(wid));
     }
 
     set(wid, val) {
-        const readOnlyId = ReadOnlyBackendService.getReadOnlyId(wid);
-        return super.set(readOnlyId, val);
+        return super.set(this.keyOf(wid), val);
     }
 
     has(wid) {
-        const readOnlyId = ReadOnlyBackendService.getReadOnlyId(wid);
-        return super.has(readOnlyId);
+        return super.has(this.keyOf(wid));
     }
 
     delete(wid) {
-        const readOnlyId = ReadOnlyBackendService.getReadOnlyId(wid);
-        return super.delete(readOnlyId);
+        return super.delete(this.keyOf(wid));
     }
 }
 
@@ -134,7 +148,21 @@ export default class WhiteboardInfoBackendService {
     /**
      * @type {Map<string, WhiteboardInfo>}
      */
-    #infoByWhiteboard = new InfoByWhiteBoardMap();
+    #infoByWhiteboard;
+
+    /**
+     * @type {ROnlyBackendService}
+     */
+    #readOnlyBackendService;
+
+    /**
+     * @param {ROnlyBackendService} [readOnlyBackendService] service resolving the read-only ids,
+     * shared with the server backend
+     */
+    constructor(readOnlyBackendService = new ROnlyBackendService()) {
+        this.#readOnlyBackendService = readOnlyBackendService;
+        this.#infoByWhiteboard = new InfoByWhiteBoardMap(readOnlyBackendService);
+    }
 
     /**
      * Start the auto sending of information to all the whiteboards
@@ -147,7 +175,8 @@ export default class WhiteboardInfoBackendService {
             this.#infoByWhiteboard.forEach((info, readOnlyWhiteboardId) => {
                 if (info.shouldSendInfo()) {
                     // broadcast to editable whiteboard
-                    const wid = ReadOnlyBackendService.getIdFromReadOnlyId(readOnlyWhiteboardId);
+                    const wid =
+                        this.#readOnlyBackendService.getKnownIdFromReadOnlyId(readOnlyWhiteboardId);
                     io.sockets
                         .in(wid)
                         .compress(false)
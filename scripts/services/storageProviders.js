@@ -0,0 +1,58 @@
+import path from "path";
+import { pathToFileURL } from "url";
+
+import StorageProvider from "./StorageProvider.js";
+
+// The whole provider contract, so the methods inherited from StorageProvider are required too
+const REQUIRED_METHODS = Object.getOwnPropertyNames(StorageProvider.prototype).filter(
+    (name) => name !== "constructor"
+);
+
+/**
+ * Built-in storage providers, by name
+ *
+ * Imported lazily so that unused providers don't open connections or create folders.
+ */
+const BUILT_IN_PROVIDERS = {
+    local: async () => (await import("../s_whiteboard.js")).default,
+    redis: async () => (await import("./RedisWhiteboardService.js")).default,
+    sqlite: async () => (await import("./SqliteWhiteboardService.js")).default,
+};
+
+/**
+ * Load the storage provider selected by the config
+ *
+ * @param {string} name "auto", the name of a built-in provider or the path to a module
+ * which default export is a StorageProvider instance or subclass
+ * @param {{distributed: boolean}} options distributed: Redis is available to the server
+ * @return {Promise<StorageProvider>}
+ * @throws {Error} If the provider can't be loaded or doesn't implement the provider contract
+ */
+export async function loadStorageProvider(name, { distributed = false } = {}) {
+    if (name === "auto") {
+        name = distributed ? "redis" : "local";
+    }
+
+    let provider;
+    if (BUILT_IN_PROVIDERS.hasOwnProperty(name)) {
+        provider = await BUILT_IN_PROVIDERS[name]();
+    } else {
+        const module = await import(pathToFileURL(path.resolve(name)).href);
+        provider = module.default;
+        if (typeof provider === "function") {
+            provider = new provider();
+        }
+    }
+
+    const missingMethods = REQUIRED_METHODS.filter(
+        (method) => !provider || typeof provider[method] !== "function"
+    );
+    if (missingMethods.length > 0) {
+        throw new Error(
+            `Storage provider "${name}" is missing: ${missingMethods.join(", ")}. ` +
+                "Custom providers should extend scripts/services/StorageProvider.js"
+        );
+    }
+
+    return provider;
+}
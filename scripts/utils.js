@@ -45,3 +45,16 @@ export function getSafeFilePath(rootPath, singleFileSegment) {
     }
     return filePath;
 }
+
+/**
+ * Wraps an async express handler: express 4 ignores the promise it returns, so its errors are
+ * passed to next() (an error response) instead of leaving the request hanging.
+ *
+ * @param {function(object, object, function): Promise} handler
+ * @return {function(object, object, function): void}
+ */
+export function asyncHandler(handler) {
+    return function (req, res, next) {
+        handler(req, res, next).catch(next);
+    };
+}
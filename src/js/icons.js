@@ -18,10 +18,12 @@ import {
     faExpandArrowsAlt,
     faLock,
     faLockOpen,
+    faUserLock,
     faInfoCircle,
     faGlobe,
     faStickyNote,
     faHandPaper,
+    faHistory,
 } from "@fortawesome/free-solid-svg-icons";
 import {
     faSquare,
@@ -55,10 +57,12 @@ library.add(
     faPlusSquare,
     faLock,
     faLockOpen,
+    faUserLock,
     faInfoCircle,
     faGlobe,
     faStickyNote,
-    faHandPaper
+    faHandPaper,
+    faHistory
 );
 
 dom.i2svg();
@@ -10,6 +10,7 @@ import InfoService from "./services/InfoService.js";
 import { getSubDir } from "./utils.js";
 import ConfigService from "./services/ConfigService.js";
 import { v4 as uuidv4 } from "uuid";
+import { mayLockBoard, mayManageVersions, mayUseTool, mayUseToolbarTool } from "./shared/roles.js";
 
 import * as pdfjsLib from "pdfjs-dist/webpack.mjs";
 
@@ -50,6 +51,19 @@ let signaling_socket;
 function main() {
     signaling_socket = io("", { path: subdir + "/ws-api" }); // Connect even if we are in a subdir behind a reverse proxy
 
+    let serverShutdown = false;
+    signaling_socket.on("serverShutdown", function () {
+        serverShutdown = true;
+    });
+    signaling_socket.on("disconnect", function (reason) {
+        // the server disconnects the clients when it shuts down: reconnect (to another node, or
+        // once the server is back); what is drawn meanwhile is sent once connected
+        if (serverShutdown && reason === "io server disconnect") {
+            serverShutdown = false;
+            signaling_socket.connect();
+        }
+    });
+
     signaling_socket.on("connect", function () {
         console.log("Websocket connected!");
 
@@ -69,6 +83,20 @@ function main() {
             InfoService.incrementNbMessagesReceived();
         });
 
+        signaling_socket.on("whiteboardRestored", function () {
+            // an older version of the whiteboard was restored: reload it
+            whiteboard.handleEventsAndData({ t: "clear" }, true);
+            $.get(subdir + "/api/loadwhiteboard", { wid: whiteboardId, at: accessToken }).done(
+                function (data) {
+                    whiteboard.loadData(data);
+                }
+            );
+        });
+
+        signaling_socket.on("boardLocked", function ({ locked }) {
+            ReadOnlyService.setBoardLocked(locked);
+        });
+
         signaling_socket.on("refreshUserBadges", function () {
             whiteboard.refreshUserBadges();
         });
@@ -81,6 +109,37 @@ function main() {
             }
         });
 
+        let invalidEventReported = false;
+        signaling_socket.on("invalidEvent", function ({ t, errors }) {
+            console.warn(`The server rejected a "${t}" event:`, errors);
+            if (!invalidEventReported) {
+                invalidEventReported = true;
+                showBasicAlert(
+                    "Some of your changes were rejected by the server, reload the page to see the whiteboard as the others see it."
+                );
+            }
+        });
+
+        signaling_socket.on("forbiddenEvent", function ({ t, role }) {
+            console.warn(`The server rejected a "${t}" event, not allowed to a ${role}`);
+            if (!invalidEventReported) {
+                invalidEventReported = true;
+                showBasicAlert(
+                    `Your role on this whiteboard (${role}) doesn't allow some of your changes, reload the page to see the whiteboard as the others see it.`
+                );
+            }
+        });
+
+        signaling_socket.on("rateLimited", function ({ scope }) {
+            console.warn(`The server dropped some events, over the rate limit of the ${scope}`);
+            if (!invalidEventReported) {
+                invalidEventReported = true;
+                showBasicAlert(
+                    "Some of your changes were dropped by the server, too many were sent at once. Reload the page to see the whiteboard as the others see it."
+                );
+            }
+        });
+
         signaling_socket.emit("joinWhiteboard", {
             wid: whiteboardId,
             at: accessToken,
@@ -154,7 +213,8 @@ function initWhiteboard() {
         whiteboard.loadWhiteboard("#whiteboardContainer", {
             //Load the whiteboard
             whiteboardId: whiteboardId,
-            username: btoa(encodeURIComponent(myUsername)),
+            // the server stamps its own username on the events of an authenticated user
+            username: ConfigService.username || btoa(encodeURIComponent(myUsername)),
             backgroundGridUrl: "./images/" + ConfigService.backgroundGridImage,
             sendFunction: function (content) {
                 if (ReadOnlyService.readOnlyActive) return;
@@ -302,13 +362,24 @@ function initWhiteboard() {
         $("#whiteboardUnlockBtn").hide();
         $("#whiteboardLockBtn").show();
 
+        // lock for everyone
+        $("#whiteboardBoardLockBtn")
+            .off("click")
+            .click(() => {
+                signaling_socket.emit("setBoardLocked", {
+                    locked: !ReadOnlyService.boardLocked,
+                    at: accessToken,
+                });
+            });
+
         // switch tool
         $(".whiteboard-tool")
             .off("click")
             .click(function () {
+                var activeTool = $(this).attr("tool");
+                if (!mayUseToolbarTool(ConfigService.role, activeTool)) return;
                 $(".whiteboard-tool").removeClass("active");
                 $(this).addClass("active");
-                var activeTool = $(this).attr("tool");
                 whiteboard.setTool(activeTool);
                 if (activeTool == "mouse" || activeTool == "recSelect") {
                     $(".activeToolIcon").empty();
@@ -395,6 +466,38 @@ function initWhiteboard() {
                 }, 0);
             });
 
+        // save the whiteboard as a PDF document, printed by the server
+        $("#saveAsPdfBtn")
+            .off("click")
+            .click(function () {
+                $("#savePdfDialog").toggleClass("displayNone", false);
+                $("#savePdfDialogGoBack")
+                    .off("click")
+                    .click(() => {
+                        $("#savePdfDialog").toggleClass("displayNone", true);
+                    });
+
+                function downloadPdf(pageSize) {
+                    $("#savePdfDialog").toggleClass("displayNone", true);
+                    var a = document.createElement("a");
+                    a.href = `${subdir}/api/boards/${whiteboardId}/export.pdf?${$.param({
+                        pageSize: pageSize,
+                        at: accessToken,
+                    })}`;
+                    a.download = "whiteboard.pdf";
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                }
+
+                $("#savePdfDialogA4")
+                    .off("click")
+                    .click(() => downloadPdf("a4"));
+                $("#savePdfDialogLetter")
+                    .off("click")
+                    .click(() => downloadPdf("letter"));
+            });
+
         $("#uploadWebDavBtn")
             .off("click")
             .click(function () {
@@ -554,6 +657,160 @@ function initWhiteboard() {
                     });
             });
 
+        $("#whiteboardHistoryBtn")
+            .off("click")
+            .click(() => {
+                const versionsUrl = `${subdir}/api/boards/${whiteboardId}/versions`;
+
+                function showHistoryMessage(text) {
+                    $("#whiteboardHistoryDialogMessage")
+                        .toggleClass("displayNone", false)
+                        .text(text);
+                }
+
+                function refreshVersions() {
+                    $.get(versionsUrl, { at: accessToken })
+                        .done((versions) => {
+                            const table = $("<table></table>");
+                            if (versions.length === 0) {
+                                table.append("<tr><td>No saved versions yet</td></tr>");
+                            }
+                            versions.forEach((version) => {
+                                const previewUrl = `${versionsUrl}/${version.id}?${$.param({
+                                    at: accessToken,
+                                })}`;
+                                const row = $("<tr></tr>")
+                                    .append(
+                                        $("<td></td>").text(
+                                            new Date(version.createdAt).toLocaleString()
+                                        )
+                                    )
+                                    .append(
+                                        $("<td></td>").text(
+                                            version.automatic
+                                                ? `${version.name} (automatic)`
+                                                : version.name || "Unnamed"
+                                        )
+                                    )
+                                    .append($("<td></td>").text(`${version.eventCount} events`))
+                                    .append(
+                                        $("<td></td>").append(
+                                            $('<a target="_blank">Preview</a>').attr(
+                                                "href",
+                                                previewUrl
+                                            )
+                                        )
+                                    );
+                                if (mayManageVersions(ConfigService.role)) {
+                                    const restoreBtn = $("<button>Restore</button>").click(() => {
+                                        if (!confirm("Replace the whiteboard by this version?")) {
+                                            return;
+                                        }
+                                        $.post(
+                                            `${versionsUrl}/${version.id}/restore?${$.param({
+                                                at: accessToken,
+                                            })}`
+                                        )
+                                            .done(() => {
+                                                $("#whiteboardHistoryDialog").toggleClass(
+                                                    "displayNone",
+                                                    true
+                                                );
+                                            })
+                                            .fail(() => showHistoryMessage("Restore failed!"));
+                                    });
+                                    row.append($("<td></td>").append(restoreBtn));
+                                }
+                                table.append(row);
+                            });
+                            $("#whiteboardHistoryVersions").empty().append(table);
+                        })
+                        .fail(() => showHistoryMessage("Could not load the history!"));
+                }
+
+                // UI related
+                $("#whiteboardHistoryDialogMessage").toggleClass("displayNone", true);
+                // the server only lets the owners save and restore versions
+                $("#whiteboardHistorySaveVersion").toggleClass(
+                    "displayNone",
+                    !mayManageVersions(ConfigService.role)
+                );
+                $("#whiteboardHistoryDialog").toggleClass("displayNone", false);
+                refreshVersions();
+
+                $("#whiteboardHistorySaveVersionBtn")
+                    .off("click")
+                    .click(() => {
+                        const name = $("#whiteboardHistoryVersionName").val();
+                        $.post(`${versionsUrl}?${$.param({ at: accessToken, name: name })}`)
+                            .done(() => {
+                                $("#whiteboardHistoryVersionName").val("");
+                                showHistoryMessage("Version saved ✓");
+                                refreshVersions();
+                            })
+                            .fail(() => showHistoryMessage("Could not save the version!"));
+                    });
+
+                $("#whiteboardHistoryDialogGoBack")
+                    .off("click")
+                    .click(() => {
+                        $("#whiteboardHistoryDialog").toggleClass("displayNone", true);
+                    });
+            });
+
+        $("#newFromTemplateBtn")
+            .off("click")
+            .click(() => {
+                function showTemplatesMessage(text) {
+                    $("#templatesDialogMessage").toggleClass("displayNone", false).text(text);
+                }
+
+                function openWhiteboard(wid) {
+                    const getParams = new URLSearchParams(window.location.search);
+                    getParams.set("whiteboardid", wid);
+                    window.location.search = getParams;
+                }
+
+                // UI related
+                $("#templatesDialogMessage").toggleClass("displayNone", true);
+                $("#templatesDialog").toggleClass("displayNone", false);
+
+                $.get(`${subdir}/api/templates`, { at: accessToken })
+                    .done((templates) => {
+                        const table = $("<table></table>");
+                        if (templates.length === 0) {
+                            table.append("<tr><td>No templates yet</td></tr>");
+                        }
+                        templates.forEach((template) => {
+                            const useBtn = $("<button>Use</button>").click(() => {
+                                $.post(
+                                    `${subdir}/api/templates/${template.id}/boards?${$.param({
+                                        at: accessToken,
+                                    })}`
+                                )
+                                    .done((board) => openWhiteboard(board.wid))
+                                    .fail(() =>
+                                        showTemplatesMessage("Could not create the whiteboard!")
+                                    );
+                            });
+                            table.append(
+                                $("<tr></tr>")
+                                    .append($("<td></td>").text(template.name))
+                                    .append($("<td></td>").text(`${template.eventCount} events`))
+                                    .append($("<td></td>").append(useBtn))
+                            );
+                        });
+                        $("#templatesList").empty().append(table);
+                    })
+                    .fail(() => showTemplatesMessage("Could not load the templates!"));
+
+                $("#templatesDialogGoBack")
+                    .off("click")
+                    .click(() => {
+                        $("#templatesDialog").toggleClass("displayNone", true);
+                    });
+            });
+
         $("#displayWhiteboardInfoBtn")
             .off("click")
             .click(() => {
@@ -637,13 +894,7 @@ function initWhiteboard() {
                     e.stopPropagation();
                     var filename = e.originalEvent.dataTransfer.files[0]["name"];
                     if (isImageFileName(filename)) {
-                        var blob = e.originalEvent.dataTransfer.files[0];
-                        var reader = new window.FileReader();
-                        reader.readAsDataURL(blob);
-                        reader.onloadend = function () {
-                            const base64data = reader.result;
-                            uploadImgAndAddToWhiteboard(base64data);
-                        };
+                        uploadImgAndAddToWhiteboard(e.originalEvent.dataTransfer.files[0]);
                     } else if (isPDFFileName(filename)) {
                         //Handle PDF Files
                         var blob = e.originalEvent.dataTransfer.files[0];
@@ -924,6 +1175,18 @@ function initWhiteboard() {
         // In any case, if we are on read-only whiteboard we activate read-only mode
         if (ConfigService.isReadOnly) ReadOnlyService.activateReadOnlyMode();
 
+        // hide what the role of the user doesn't allow (the server rejects it anyway)
+        const { role } = ConfigService;
+        $(".whiteboard-tool").each(function () {
+            $(this).toggle(mayUseToolbarTool(role, $(this).attr("tool")));
+        });
+        $("#whiteboardTrashBtn").toggle(mayUseTool(role, "clear"));
+        $("#whiteboardUndoBtn, #whiteboardRedoBtn").toggle(mayUseTool(role, "undo"));
+        $("#addImgToCanvasBtn, #uploadJsonBtn").toggle(mayUseTool(role, "addImgBG"));
+        $("#whiteboardBoardLockBtn").toggle(mayLockBoard(role) && !ConfigService.isReadOnly);
+
+        ReadOnlyService.setBoardLocked(ConfigService.isLocked);
+
         $("body").show();
     });
 
@@ -945,28 +1208,34 @@ function initWhiteboard() {
         false
     );
 
-    function uploadImgAndAddToWhiteboard(base64data) {
-        const date = +new Date();
+    // image: the image file, or its base64 data url
+    function uploadImgAndAddToWhiteboard(image) {
+        const formData = new FormData();
+        formData.append("wid", whiteboardId);
+        formData.append("date", +new Date());
+        formData.append("at", accessToken);
+        if (typeof image === "string") {
+            formData.append("imagedata", image);
+        } else {
+            formData.append("file", image);
+        }
         $.ajax({
             type: "POST",
             url: document.URL.substr(0, document.URL.lastIndexOf("/")) + "/api/upload",
-            data: {
-                imagedata: base64data,
-                wid: whiteboardId,
-                date: date,
-                at: accessToken,
-            },
-            success: function (msg) {
-                const { correspondingReadOnlyWid } = ConfigService;
-                const filename = `${correspondingReadOnlyWid}_${date}.png`;
+            data: formData,
+            processData: false,
+            contentType: false,
+            success: function (upload) {
+                // the server gives the name of the file, its extension depends on the image type
                 const rootUrl = document.URL.substr(0, document.URL.lastIndexOf("/"));
-                whiteboard.addImgToCanvasByUrl(
-                    `${rootUrl}/uploads/${correspondingReadOnlyWid}/${filename}`
-                ); //Add image to canvas
+                whiteboard.addImgToCanvasByUrl(`${rootUrl}/uploads/${upload.path}`); //Add image to canvas
                 console.log("Image uploaded!");
             },
             error: function (err) {
-                showBasicAlert("Failed to upload frame: " + JSON.stringify(err));
+                const errors = err.responseJSON && err.responseJSON.errors;
+                showBasicAlert(
+                    "Failed to upload frame: " + (errors ? errors.join(" ") : JSON.stringify(err))
+                );
             },
         });
     }
@@ -1007,7 +1276,8 @@ function initWhiteboard() {
     // verify if filename refers to an image
     function isImageFileName(filename) {
         var extension = filename.split(".")[filename.split(".").length - 1];
-        var known_extensions = ["png", "jpg", "jpeg", "gif", "tiff", "bmp", "webp"];
+        // the image types the server accepts
+        var known_extensions = ["png", "jpg", "jpeg", "gif", "webp", "svg"];
         return known_extensions.includes(extension.toLowerCase());
     }
 
@@ -1050,15 +1320,8 @@ function initWhiteboard() {
                     if (items[i].type.indexOf("image") !== -1) {
                         imgItemFound = true;
                         // We need to represent the image as a file,
-                        var blob = items[i].getAsFile();
-
-                        var reader = new window.FileReader();
-                        reader.readAsDataURL(blob);
-                        reader.onloadend = function () {
-                            console.log("Uploading image!");
-                            let base64data = reader.result;
-                            uploadImgAndAddToWhiteboard(base64data);
-                        };
+                        console.log("Uploading image!");
+                        uploadImgAndAddToWhiteboard(items[i].getAsFile());
                     }
                 }
             }
@@ -29,6 +29,33 @@ class ConfigService {
         return this.#isReadOnly;
     }
 
+    /**
+     * Username stamped by the server on the events of an authenticated user (JWT)
+     * @type {string|null}
+     */
+    #username = null;
+    get username() {
+        return this.#username;
+    }
+
+    /**
+     * Was the whiteboard locked by an owner when it was joined
+     * @type {boolean}
+     */
+    #isLocked = false;
+    get isLocked() {
+        return this.#isLocked;
+    }
+
+    /**
+     * Role of the user on this whiteboard: "owner", "editor", "commenter" or "viewer"
+     * @type {string}
+     */
+    #role = "owner";
+    get role() {
+        return this.#role;
+    }
+
     /**
      * @type {{displayInfo: boolean, setReadOnly: boolean}}
      * @readonly
@@ -115,10 +142,14 @@ class ConfigService {
         this.#refreshInfoInterval = 1000 / performance.refreshInfoFreq;
 
         const { whiteboardSpecific } = configFromServer;
-        const { correspondingReadOnlyWid, isReadOnly } = whiteboardSpecific;
+        const { correspondingReadOnlyWid, isReadOnly, username, role, locked } = whiteboardSpecific;
 
         this.#correspondingReadOnlyWid = correspondingReadOnlyWid;
-        this.#isReadOnly = isReadOnly;
+        this.#role = role || "owner";
+        // viewers can't edit the whiteboard, like the clients of its read-only id
+        this.#isReadOnly = isReadOnly || this.#role === "viewer";
+        this.#username = username || null;
+        this.#isLocked = !!locked;
 
         console.log("Whiteboard config from server:", configFromServer, "parsed:", this);
     }
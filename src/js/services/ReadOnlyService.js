@@ -12,6 +12,20 @@ class ReadOnlyService {
         return this.#readOnlyActive;
     }
 
+    /**
+     * Locked for everyone by an owner: read-only mode can't be left until it is unlocked
+     * @type {boolean}
+     */
+    #boardLocked = false;
+    get boardLocked() {
+        return this.#boardLocked;
+    }
+
+    /**
+     * @type {boolean}
+     */
+    #readOnlyBeforeLock = false;
+
     /**
      * @type {object}
      */
@@ -44,7 +58,7 @@ class ReadOnlyService {
      * Deactivate read-only mode
      */
     deactivateReadOnlyMode() {
-        if (ConfigService.isReadOnly) return;
+        if (ConfigService.isReadOnly || this.#boardLocked) return;
 
         this.#readOnlyActive = false;
 
@@ -58,6 +72,33 @@ class ReadOnlyService {
         const { previousToolHtmlElem } = this;
         if (previousToolHtmlElem) previousToolHtmlElem.click();
     }
+
+    /**
+     * Follow the lock of the whiteboard set by the server: read-only mode while it is locked,
+     * then back to the previous mode
+     *
+     * @param {boolean} locked
+     */
+    setBoardLocked(locked) {
+        if (locked === this.#boardLocked) return;
+
+        if (locked) {
+            this.#readOnlyBeforeLock = this.#readOnlyActive;
+            this.activateReadOnlyMode();
+            this.#boardLocked = true;
+        } else {
+            this.#boardLocked = false;
+            if (!this.#readOnlyBeforeLock) this.deactivateReadOnlyMode();
+        }
+
+        $("#whiteboardBoardLockBtn")
+            .css("background-color", locked ? "orange" : "")
+            .attr(
+                "title",
+                locked ? "Unlock the whiteboard for everyone" : "Lock the whiteboard for everyone"
+            );
+        $("#whiteboardLockBtn").attr("title", locked ? "Locked by an owner" : "View and Write");
+    }
 }
 
 export default new ReadOnlyService();
@@ -0,0 +1,87 @@
+/**
+ * Roles of the users of a whiteboard, shared by the frontend and the backend
+ *
+ * - owner: draws with every tool, clears and locks the whiteboard, and manages its versions and
+ *   its members
+ * - editor: draws with every tool, but doesn't clear the whiteboard
+ * - commenter: only adds sticky notes, and changes them
+ * - viewer: only watches
+ *
+ * This file has no imports, so that the server can load it without the frontend dependencies.
+ */
+export const ROLES = ["owner", "editor", "commenter", "viewer"];
+
+/**
+ * Tools of the events of a textbox (sticky notes are textboxes), the textbox id being their
+ * first data item, except for addTextBox
+ * @type {string[]}
+ */
+export const TEXTBOX_TOOLS = [
+    "addTextBox",
+    "setTextboxText",
+    "removeTextbox",
+    "setTextboxPosition",
+    "setTextboxFontSize",
+    "setTextboxFontColor",
+    "setTextboxBackgroundColor",
+];
+
+const COMMENTER_TOOLS = ["cursor", ...TEXTBOX_TOOLS];
+
+// buttons of the toolbar (their "tool" attribute) a commenter can use
+const COMMENTER_TOOLBAR = ["mouse", "hand", "stickynote"];
+
+/**
+ * @param {string} role
+ * @return {boolean}
+ */
+export function isRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * Tell if a role may send the events of a tool. The textbox events of a commenter must
+ * still be about sticky notes.
+ *
+ * @param {string} role
+ * @param {string} tool "t" of the event
+ * @return {boolean}
+ */
+export function mayUseTool(role, tool) {
+    switch (role) {
+        case "owner":
+            return true;
+        case "editor":
+            return tool !== "clear";
+        case "commenter":
+            return COMMENTER_TOOLS.includes(tool);
+        default:
+            return false;
+    }
+}
+
+/**
+ * @param {string} role
+ * @return {boolean} true if the role may lock and unlock the whiteboard for everyone
+ */
+export function mayLockBoard(role) {
+    return role === "owner";
+}
+
+/**
+ * @param {string} role
+ * @return {boolean} true if the role may save, restore and compact the versions of the whiteboard
+ * (a restore replaces its content, like a clear)
+ */
+export function mayManageVersions(role) {
+    return role === "owner";
+}
+
+/**
+ * @param {string} role
+ * @param {string} tool "tool" attribute of a button of the toolbar
+ * @return {boolean} true if the role may select the tool (viewers are in read-only mode)
+ */
+export function mayUseToolbarTool(role, tool) {
+    return role !== "commenter" || COMMENTER_TOOLBAR.includes(tool);
+}
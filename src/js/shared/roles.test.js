@@ -0,0 +1,27 @@
+import { isRole, mayLockBoard, mayManageVersions, mayUseTool, mayUseToolbarTool } from "./roles";
+
+test("Owners clear, editors draw, commenters add sticky notes and viewers watch", () => {
+    expect(mayUseTool("owner", "clear")).toBe(true);
+    expect(mayUseTool("editor", "clear")).toBe(false);
+    expect(mayUseTool("editor", "pen")).toBe(true);
+    expect(mayUseTool("commenter", "pen")).toBe(false);
+    expect(mayUseTool("commenter", "undo")).toBe(false);
+    expect(mayUseTool("commenter", "addTextBox")).toBe(true);
+    expect(mayUseTool("commenter", "setTextboxText")).toBe(true);
+    expect(mayUseTool("viewer", "cursor")).toBe(false);
+    expect(mayUseTool("unknown", "pen")).toBe(false);
+    expect(mayLockBoard("owner")).toBe(true);
+    expect(mayLockBoard("editor")).toBe(false);
+    expect(mayManageVersions("owner")).toBe(true);
+    expect(mayManageVersions("editor")).toBe(false);
+
+    expect(isRole("editor")).toBe(true);
+    expect(isRole("admin")).toBe(false);
+});
+
+test("Commenters only see the sticky notes in the toolbar", () => {
+    expect(mayUseToolbarTool("commenter", "stickynote")).toBe(true);
+    expect(mayUseToolbarTool("commenter", "hand")).toBe(true);
+    expect(mayUseToolbarTool("commenter", "text")).toBe(false);
+    expect(mayUseToolbarTool("editor", "text")).toBe(true);
+});
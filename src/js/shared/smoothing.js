@@ -0,0 +1,51 @@
+/**
+ * Smoothing of the pen strokes, shared by the frontend and the backend (SVG export)
+ *
+ * This file has no imports, so that the server can load it without the frontend dependencies.
+ */
+
+/**
+ * Distance between two interpolated points of a smoothed segment (px)
+ * @type {number}
+ */
+const SMOOTHING_STEP = 5;
+
+function lanczosKernel(x) {
+    if (x == 0) {
+        return 1.0;
+    }
+    return (2 * Math.sin(Math.PI * x) * Math.sin((Math.PI * x) / 2)) / Math.pow(Math.PI * x, 2);
+}
+
+function lanczosInterpolate(xm1, ym1, x0, y0, x1, y1, x2, y2, a) {
+    var cm1 = lanczosKernel(1 + a);
+    var c0 = lanczosKernel(a);
+    var c1 = lanczosKernel(1 - a);
+    var c2 = lanczosKernel(2 - a);
+    var delta = (cm1 + c0 + c1 + c2 - 1) / 4;
+    cm1 -= delta;
+    c0 -= delta;
+    c1 -= delta;
+    c2 -= delta;
+    return [cm1 * xm1 + c0 * x0 + c1 * x1 + c2 * x2, cm1 * ym1 + c0 * y0 + c1 * y1 + c2 * y2];
+}
+
+/**
+ * Points of a segment of a pen stroke, as drawn by the whiteboard
+ *
+ * The pen sends the last 4 points of a stroke: the segment goes from the 2nd to the 3rd one,
+ * bent by the 1st and the 4th one (Lanczos interpolation).
+ *
+ * @param {number[]} coords [xm1, ym1, x0, y0, x1, y1, x2, y2]
+ * @return {number[][]} the points of the segment, starting with [x0, y0]
+ */
+export function smoothPenSegment(coords) {
+    const [xm1, ym1, x0, y0, x1, y1, x2, y2] = coords;
+    const length = Math.sqrt(Math.pow(x0 - x1, 2) + Math.pow(y0 - y1, 2));
+    const steps = Math.ceil(length / SMOOTHING_STEP);
+    const points = [[x0, y0]];
+    for (let i = 0; i < steps; i++) {
+        points.push(lanczosInterpolate(xm1, ym1, x0, y0, x1, y1, x2, y2, (i + 1) / steps));
+    }
+    return points;
+}
@@ -0,0 +1,205 @@
+/**
+ * Definition of the whiteboard tools, shared by the frontend and the backend
+ *
+ * For every tool:
+ * - persisted: its events are part of the whiteboard content; the server stores them and the
+ *   clients keep them in their draw buffer (to redraw the whiteboard on undo, export it...)
+ * - undoable: undo and redo move its events between the content and the undo stack;
+ *   textboxes are not redrawn on undo, so their events stay in the content
+ * - replacesPrevious: an event of the tool replaces the previous ones of the same textbox,
+ *   so only the last one is kept when the whiteboard is compacted
+ * - render: draw an event of the tool on the whiteboard (only called by the frontend)
+ *
+ * This file has no imports, so that the server can load it without the frontend dependencies.
+ */
+export const TOOLS = {
+    line: { persisted: true, undoable: true, render: renderLine },
+    pen: { persisted: true, undoable: true, render: renderLine },
+    rect: {
+        persisted: true,
+        undoable: true,
+        render(whiteboard, { d, c, th }) {
+            whiteboard.drawRec(d[0], d[1], d[2], d[3], c, th, true);
+        },
+    },
+    circle: {
+        persisted: true,
+        undoable: true,
+        render(whiteboard, { d, c, th }) {
+            whiteboard.drawCircle(d[0], d[1], d[2], c, th, true);
+        },
+    },
+    eraser: {
+        persisted: true,
+        undoable: true,
+        render(whiteboard, { d, th }) {
+            whiteboard.drawEraserLine(d[0], d[1], d[2], d[3], th, true);
+        },
+    },
+    eraseRec: {
+        persisted: true,
+        undoable: true,
+        render(whiteboard, { d }) {
+            whiteboard.eraseRec(d[0], d[1], d[2], d[3], true);
+        },
+    },
+    recSelect: {
+        persisted: true,
+        undoable: true,
+        render(whiteboard, { d }) {
+            whiteboard.dragCanvasRectContent(d[0], d[1], d[2], d[3], d[4], d[5], true);
+        },
+    },
+    addImgBG: {
+        persisted: true,
+        undoable: true,
+        render(whiteboard, { d, url, draw }, doneCallback) {
+            if (draw == "1") {
+                whiteboard.drawImgToCanvas(url, d[0], d[1], d[2], d[3], d[4], doneCallback);
+            } else {
+                whiteboard.drawImgToBackground(url, d[0], d[1], d[2], d[3], d[4]);
+            }
+        },
+    },
+    addTextBox: {
+        persisted: true,
+        undoable: false,
+        render(whiteboard, { d }) {
+            whiteboard.addTextBox(d[0], d[1], d[2], d[3], d[4], d[5], d[6], true);
+        },
+    },
+    setTextboxText: {
+        persisted: true,
+        undoable: false,
+        replacesPrevious: true,
+        render(whiteboard, { d }) {
+            whiteboard.setTextboxText(d[0], d[1]);
+        },
+    },
+    removeTextbox: {
+        persisted: true,
+        undoable: false,
+        render(whiteboard, { d }) {
+            whiteboard.removeTextbox(d[0]);
+        },
+    },
+    setTextboxPosition: {
+        persisted: true,
+        undoable: false,
+        replacesPrevious: true,
+        render(whiteboard, { d }) {
+            whiteboard.setTextboxPosition(d[0], d[1], d[2]);
+        },
+    },
+    setTextboxFontSize: {
+        persisted: true,
+        undoable: false,
+        replacesPrevious: true,
+        render(whiteboard, { d }) {
+            whiteboard.setTextboxFontSize(d[0], d[1]);
+        },
+    },
+    setTextboxFontColor: {
+        persisted: true,
+        undoable: false,
+        replacesPrevious: true,
+        render(whiteboard, { d }) {
+            whiteboard.setTextboxFontColor(d[0], d[1]);
+        },
+    },
+    setTextboxBackgroundColor: {
+        persisted: true,
+        undoable: false,
+        replacesPrevious: true,
+        render(whiteboard, { d }) {
+            whiteboard.setTextboxBackgroundColor(d[0], d[1]);
+        },
+    },
+    cursor: {
+        persisted: false,
+        undoable: false,
+        render(whiteboard, content) {
+            whiteboard.drawUserCursor(content);
+        },
+    },
+    clear: {
+        persisted: false,
+        undoable: false,
+        render(whiteboard) {
+            whiteboard.clearContent();
+        },
+    },
+    undo: {
+        persisted: false,
+        undoable: false,
+        render(whiteboard, { username }) {
+            whiteboard.undoWhiteboard(username);
+        },
+    },
+    redo: {
+        persisted: false,
+        undoable: false,
+        render(whiteboard, { username }) {
+            whiteboard.redoWhiteboard(username);
+        },
+    },
+};
+
+/**
+ * Names of the tools whose events are part of the whiteboard content
+ * @type {string[]}
+ */
+export const PERSISTED_TOOLS = Object.keys(TOOLS).filter((tool) => TOOLS[tool].persisted);
+
+/**
+ * Names of the tools whose events can be undone
+ * @type {string[]}
+ */
+export const UNDOABLE_TOOLS = Object.keys(TOOLS).filter((tool) => TOOLS[tool].undoable);
+
+/**
+ * Names of the tools whose events replace the previous ones of the same textbox
+ * @type {string[]}
+ */
+export const REPLACING_TOOLS = Object.keys(TOOLS).filter((tool) => TOOLS[tool].replacesPrevious);
+
+/**
+ * @param {string} tool
+ * @return {boolean}
+ */
+export function isPersistedTool(tool) {
+    return PERSISTED_TOOLS.includes(tool);
+}
+
+/**
+ * @param {string} tool
+ * @return {boolean}
+ */
+export function isUndoableTool(tool) {
+    return UNDOABLE_TOOLS.includes(tool);
+}
+
+/**
+ * Draw an event received from the server or loaded with the whiteboard
+ *
+ * @param {object} whiteboard
+ * @param {object} content the event
+ * @param {Function} [doneCallback] called once an image is drawn
+ */
+export function renderEvent(whiteboard, content, doneCallback) {
+    const tool = Object.prototype.hasOwnProperty.call(TOOLS, content["t"])
+        ? TOOLS[content["t"]]
+        : null;
+    if (tool) {
+        tool.render(whiteboard, content, doneCallback);
+    }
+}
+
+function renderLine(whiteboard, { d, c, th }) {
+    if (d.length == 4) {
+        //Only used for old json imports
+        whiteboard.drawPenLine(d[0], d[1], d[2], d[3], c, th, true);
+    } else {
+        whiteboard.drawPenSmoothLine(d, c, th, true);
+    }
+}
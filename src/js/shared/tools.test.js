@@ -0,0 +1,26 @@
+import { TOOLS, isPersistedTool, isUndoableTool, renderEvent } from "./tools";
+
+test("Textbox changes are persisted but not undoable", () => {
+    expect(isPersistedTool("setTextboxBackgroundColor")).toBe(true);
+    expect(isUndoableTool("setTextboxBackgroundColor")).toBe(false);
+    expect(isPersistedTool("pen")).toBe(true);
+    expect(isUndoableTool("pen")).toBe(true);
+    expect(isPersistedTool("cursor")).toBe(false);
+    expect(isPersistedTool("toString")).toBe(false);
+});
+
+test("Undoable tools are persisted", () => {
+    Object.values(TOOLS)
+        .filter((tool) => tool.undoable)
+        .forEach((tool) => expect(tool.persisted).toBe(true));
+});
+
+test("Events are rendered by their tool", () => {
+    const whiteboard = { drawRec: jest.fn(), setTextboxBackgroundColor: jest.fn() };
+    renderEvent(whiteboard, { t: "rect", d: [1, 2, 3, 4], c: "red", th: 2 });
+    renderEvent(whiteboard, { t: "setTextboxBackgroundColor", d: ["tx1", "blue"] });
+    renderEvent(whiteboard, { t: "unknownTool" });
+
+    expect(whiteboard.drawRec).toHaveBeenCalledWith(1, 2, 3, 4, "red", 2, true);
+    expect(whiteboard.setTextboxBackgroundColor).toHaveBeenCalledWith("tx1", "blue");
+});
@@ -6,6 +6,9 @@ import ThrottlingService from "./services/ThrottlingService.js";
 import ConfigService from "./services/ConfigService.js";
 import html2canvas from "html2canvas";
 import DOMPurify from "dompurify";
+import { isPersistedTool, isUndoableTool, renderEvent } from "./shared/tools.js";
+import { smoothPenSegment } from "./shared/smoothing.js";
+import { mayUseTool } from "./shared/roles.js";
 
 const RAD_TO_DEG = 180.0 / Math.PI;
 const DEG_TO_RAD = Math.PI / 180.0;
@@ -781,26 +784,16 @@ const whiteboard = {
     },
     drawPenSmoothLine: function (coords, color, thickness, remote) {
         var _this = this;
-        var xm1 = coords[0];
-        var ym1 = coords[1];
-        var x0 = coords[2];
-        var y0 = coords[3];
-        var x1 = coords[4];
-        var y1 = coords[5];
-        var x2 = coords[6];
-        var y2 = coords[7];
-        var length = Math.sqrt(Math.pow(x0 - x1, 2) + Math.pow(y0 - y1, 2));
-        var steps = Math.ceil(length / 5);
+        var points = smoothPenSegment(coords);
         _this.ctx.beginPath();
         let xOffset = remote ? _this.viewCoords.x : 0;
         let yOffset = remote ? _this.viewCoords.y : 0;
-        _this.ctx.moveTo(x0 + xOffset, y0 + yOffset);
-        if (steps == 0) {
-            _this.ctx.lineTo(x0 + xOffset, y0 + yOffset);
+        _this.ctx.moveTo(points[0][0] + xOffset, points[0][1] + yOffset);
+        if (points.length == 1) {
+            _this.ctx.lineTo(points[0][0] + xOffset, points[0][1] + yOffset);
         }
-        for (var i = 0; i < steps; i++) {
-            var point = lanczosInterpolate(xm1, ym1, x0, y0, x1, y1, x2, y2, (i + 1) / steps);
-            _this.ctx.lineTo(point[0] + xOffset, point[1] + yOffset);
+        for (var i = 1; i < points.length; i++) {
+            _this.ctx.lineTo(points[i][0] + xOffset, points[i][1] + yOffset);
         }
         _this.ctx.strokeStyle = color;
         _this.ctx.lineWidth = thickness;
@@ -849,14 +842,9 @@ const whiteboard = {
     },
     clearWhiteboard: function () {
         var _this = this;
-        if (ReadOnlyService.readOnlyActive) return;
-        _this.canvas.height = _this.canvas.height;
-        _this.imgContainer.empty();
-        _this.textContainer.empty();
+        if (ReadOnlyService.readOnlyActive || !mayUseTool(ConfigService.role, "clear")) return;
+        _this.clearContent();
         _this.sendFunction({ t: "clear" });
-        _this.drawBuffer = [];
-        _this.undoBuffer = [];
-        _this.drawId = 0;
     },
     setStrokeThickness(thickness) {
         var _this = this;
@@ -878,6 +866,16 @@ const whiteboard = {
             })
         );
     },
+    /**
+     * Url of an uploaded image for the size it is shown at: the server sends a downscaled variant
+     * when it has one
+     */
+    imgUrlForWidth(url, width) {
+        if (!/\/uploads\/[^/?#]+\/[^/?#]+$/.test(url)) return url;
+        const zoom = (window.visualViewport && window.visualViewport.scale) || 1;
+        const pixels = Math.ceil(Number(width) * (window.devicePixelRatio || 1) * zoom);
+        return pixels > 0 ? url + "?w=" + pixels : url;
+    },
     addImgToCanvasByUrl: function (url) {
         var _this = this;
         var oldTool = _this.tool;
@@ -992,7 +990,7 @@ const whiteboard = {
         var _this = this;
         const px = (v) => Number(v).toString() + "px";
         this.imgContainer.append(
-            this.imgWithSrc(url).css({
+            this.imgWithSrc(this.imgUrlForWidth(url, width)).css({
                 width: px(width),
                 height: px(height),
                 top: px(top + _this.viewCoords.y),
@@ -1191,7 +1189,7 @@ const whiteboard = {
             }
         };
 
-        img.src = this.imgWithSrc(url).attr("src"); // or here - but consistent
+        img.src = this.imgWithSrc(this.imgUrlForWidth(url, width)).attr("src"); // or here - but consistent
     },
     undoWhiteboard: function (username) {
         //Not call this directly because you will get out of sync whith others...
@@ -1200,12 +1198,16 @@ const whiteboard = {
             username = _this.settings.username;
         }
         for (var i = _this.drawBuffer.length - 1; i >= 0; i--) {
-            if (_this.drawBuffer[i]["username"] == username) {
+            if (
+                _this.drawBuffer[i]["username"] == username &&
+                isUndoableTool(_this.drawBuffer[i]["t"])
+            ) {
                 var drawId = _this.drawBuffer[i]["drawId"];
                 for (var i = _this.drawBuffer.length - 1; i >= 0; i--) {
                     if (
                         _this.drawBuffer[i]["drawId"] == drawId &&
-                        _this.drawBuffer[i]["username"] == username
+                        _this.drawBuffer[i]["username"] == username &&
+                        isUndoableTool(_this.drawBuffer[i]["t"])
                     ) {
                         _this.undoBuffer.push(_this.drawBuffer[i]);
                         _this.drawBuffer.splice(i, 1);
@@ -1230,12 +1232,16 @@ const whiteboard = {
             username = _this.settings.username;
         }
         for (var i = _this.undoBuffer.length - 1; i >= 0; i--) {
-            if (_this.undoBuffer[i]["username"] == username) {
+            if (
+                _this.undoBuffer[i]["username"] == username &&
+                isUndoableTool(_this.undoBuffer[i]["t"])
+            ) {
                 var drawId = _this.undoBuffer[i]["drawId"];
                 for (var i = _this.undoBuffer.length - 1; i >= 0; i--) {
                     if (
                         _this.undoBuffer[i]["drawId"] == drawId &&
-                        _this.undoBuffer[i]["username"] == username
+                        _this.undoBuffer[i]["username"] == username &&
+                        isUndoableTool(_this.undoBuffer[i]["t"])
                     ) {
                         _this.drawBuffer.push(_this.undoBuffer[i]);
                         _this.undoBuffer.splice(i, 1);
@@ -1251,12 +1257,12 @@ const whiteboard = {
         });
     },
     undoWhiteboardClick: function () {
-        if (ReadOnlyService.readOnlyActive) return;
+        if (ReadOnlyService.readOnlyActive || !mayUseTool(ConfigService.role, "undo")) return;
         this.sendFunction({ t: "undo" });
         this.undoWhiteboard();
     },
     redoWhiteboardClick: function () {
-        if (ReadOnlyService.readOnlyActive) return;
+        if (ReadOnlyService.readOnlyActive || !mayUseTool(ConfigService.role, "redo")) return;
         this.sendFunction({ t: "redo" });
         this.redoWhiteboard();
     },
@@ -1323,140 +1329,12 @@ const whiteboard = {
     },
     handleEventsAndData: function (content, isNewData, doneCallback) {
         var _this = this;
-        var tool = content["t"];
-        var data = content["d"];
-        var color = content["c"];
-        var username = content["username"];
-        var thickness = content["th"];
 
         window.requestAnimationFrame(function () {
-            if (tool === "line" || tool === "pen") {
-                if (data.length == 4) {
-                    //Only used for old json imports
-                    _this.drawPenLine(data[0], data[1], data[2], data[3], color, thickness, true);
-                } else {
-                    _this.drawPenSmoothLine(data, color, thickness, true);
-                }
-            } else if (tool === "rect") {
-                _this.drawRec(data[0], data[1], data[2], data[3], color, thickness, true);
-            } else if (tool === "circle") {
-                _this.drawCircle(data[0], data[1], data[2], color, thickness, true);
-            } else if (tool === "eraser") {
-                _this.drawEraserLine(data[0], data[1], data[2], data[3], thickness, true);
-            } else if (tool === "eraseRec") {
-                _this.eraseRec(data[0], data[1], data[2], data[3], true);
-            } else if (tool === "recSelect") {
-                _this.dragCanvasRectContent(
-                    data[0],
-                    data[1],
-                    data[2],
-                    data[3],
-                    data[4],
-                    data[5],
-                    true
-                );
-            } else if (tool === "addImgBG") {
-                if (content["draw"] == "1") {
-                    _this.drawImgToCanvas(
-                        content["url"],
-                        data[0],
-                        data[1],
-                        data[2],
-                        data[3],
-                        data[4],
-                        doneCallback
-                    );
-                } else {
-                    _this.drawImgToBackground(
-                        content["url"],
-                        data[0],
-                        data[1],
-                        data[2],
-                        data[3],
-                        data[4]
-                    );
-                }
-            } else if (tool === "addTextBox") {
-                _this.addTextBox(
-                    data[0],
-                    data[1],
-                    data[2],
-                    data[3],
-                    data[4],
-                    data[5],
-                    data[6],
-                    true
-                );
-            } else if (tool === "setTextboxText") {
-                _this.setTextboxText(data[0], data[1]);
-            } else if (tool === "removeTextbox") {
-                _this.removeTextbox(data[0]);
-            } else if (tool === "setTextboxPosition") {
-                _this.setTextboxPosition(data[0], data[1], data[2]);
-            } else if (tool === "setTextboxFontSize") {
-                _this.setTextboxFontSize(data[0], data[1]);
-            } else if (tool === "setTextboxFontColor") {
-                _this.setTextboxFontColor(data[0], data[1]);
-            } else if (tool === "setTextboxBackgroundColor") {
-                _this.setTextboxBackgroundColor(data[0], data[1]);
-            } else if (tool === "clear") {
-                _this.canvas.height = _this.canvas.height;
-                _this.imgContainer.empty();
-                _this.textContainer.empty();
-                _this.drawBuffer = [];
-                _this.undoBuffer = [];
-                _this.drawId = 0;
-            } else if (tool === "cursor" && _this.settings) {
-                if (content["event"] === "move") {
-                    if (_this.cursorContainer.find("." + content["username"]).length >= 1) {
-                        _this.cursorContainer.find("." + content["username"]).css({
-                            left: data[0] + _this.viewCoords.x + "px",
-                            top: data[1] + _this.viewCoords.y - 15 + "px",
-                        });
-                    } else {
-                        _this.cursorContainer.append(
-                            '<div style="font-size:0.8em; padding-left:2px; padding-right:2px; background:gray; color:white; border-radius:3px; position:absolute; left:' +
-                                (data[0] + _this.viewCoords.x) +
-                                "px; top:" +
-                                (data[1] + _this.viewCoords.y - 151) +
-                                'px;" class="userbadge ' +
-                                content["username"] +
-                                '">' +
-                                '<div style="width:4px; height:4px; background:gray; position:absolute; top:13px; left:-2px; border-radius:50%;"></div>' +
-                                decodeURIComponent(atob(content["username"])) +
-                                "</div>"
-                        );
-                    }
-                } else {
-                    _this.cursorContainer.find("." + content["username"]).remove();
-                }
-            } else if (tool === "undo") {
-                _this.undoWhiteboard(username);
-            } else if (tool === "redo") {
-                _this.redoWhiteboard(username);
-            }
+            renderEvent(_this, content, doneCallback);
         });
 
-        if (
-            isNewData &&
-            [
-                "line",
-                "pen",
-                "rect",
-                "circle",
-                "eraser",
-                "addImgBG",
-                "recSelect",
-                "eraseRec",
-                "addTextBox",
-                "setTextboxText",
-                "removeTextbox",
-                "setTextboxPosition",
-                "setTextboxFontSize",
-                "setTextboxFontColor",
-                "setTextboxBackgroundColor",
-            ].includes(tool)
-        ) {
+        if (isNewData && isPersistedTool(content["t"])) {
             content["drawId"] = content["drawId"] ? content["drawId"] : _this.drawId;
             content["username"] = content["username"]
                 ? content["username"]
@@ -1464,6 +1342,46 @@ const whiteboard = {
             _this.drawBuffer.push(content);
         }
     },
+    clearContent() {
+        var _this = this;
+        _this.canvas.height = _this.canvas.height;
+        _this.imgContainer.empty();
+        _this.textContainer.empty();
+        _this.drawBuffer = [];
+        _this.undoBuffer = [];
+        _this.drawId = 0;
+    },
+    drawUserCursor(content) {
+        var _this = this;
+        if (!_this.settings) return;
+        var data = content["d"];
+        if (content["event"] === "move") {
+            if (_this.cursorContainer.find("." + content["username"]).length >= 1) {
+                _this.cursorContainer.find("." + content["username"]).css({
+                    left: data[0] + _this.viewCoords.x + "px",
+                    top: data[1] + _this.viewCoords.y - 15 + "px",
+                });
+            } else {
+                // the server sends the name of an authenticated user, the others encode it in their username
+                var name = content["name"] || decodeURIComponent(atob(content["username"]));
+                var badge = $(
+                    '<div style="font-size:0.8em; padding-left:2px; padding-right:2px; background:gray; color:white; border-radius:3px; position:absolute; left:' +
+                        (data[0] + _this.viewCoords.x) +
+                        "px; top:" +
+                        (data[1] + _this.viewCoords.y - 151) +
+                        'px;" class="userbadge ' +
+                        content["username"] +
+                        '">' +
+                        '<div style="width:4px; height:4px; background:gray; position:absolute; top:13px; left:-2px; border-radius:50%;"></div>' +
+                        "</div>"
+                );
+                badge.append(document.createTextNode(name));
+                _this.cursorContainer.append(badge);
+            }
+        } else {
+            _this.cursorContainer.find("." + content["username"]).remove();
+        }
+    },
     userLeftWhiteboard(username) {
         this.cursorContainer.find("." + username).remove();
     },
@@ -1605,29 +1523,10 @@ const whiteboard = {
         content["username"] = _this.settings.username;
         content["drawId"] = _this.drawId;
 
-        var tool = content["t"];
         if (_this.settings.sendFunction) {
             _this.settings.sendFunction(content);
         }
-        if (
-            [
-                "line",
-                "pen",
-                "rect",
-                "circle",
-                "eraser",
-                "addImgBG",
-                "recSelect",
-                "eraseRec",
-                "addTextBox",
-                "setTextboxText",
-                "removeTextbox",
-                "setTextboxPosition",
-                "setTextboxFontSize",
-                "setTextboxFontColor",
-                "setTextboxBackgroundColor",
-            ].includes(tool)
-        ) {
+        if (isPersistedTool(content["t"])) {
             _this.drawBuffer.push(content);
         }
     },
@@ -1645,26 +1544,6 @@ const whiteboard = {
     },
 };
 
-function lanczosKernel(x) {
-    if (x == 0) {
-        return 1.0;
-    }
-    return (2 * Math.sin(Math.PI * x) * Math.sin((Math.PI * x) / 2)) / Math.pow(Math.PI * x, 2);
-}
-
-function lanczosInterpolate(xm1, ym1, x0, y0, x1, y1, x2, y2, a) {
-    var cm1 = lanczosKernel(1 + a);
-    var c0 = lanczosKernel(a);
-    var c1 = lanczosKernel(1 - a);
-    var c2 = lanczosKernel(2 - a);
-    var delta = (cm1 + c0 + c1 + c2 - 1) / 4;
-    cm1 -= delta;
-    c0 -= delta;
-    c1 -= delta;
-    c2 -= delta;
-    return [cm1 * xm1 + c0 * x0 + c1 * x1 + c2 * x2, cm1 * ym1 + c0 * y0 + c1 * y1 + c2 * y2];
-}
-
 function testImage(url, callback, timeout) {
     timeout = timeout || 5000;
     var timedOut = false,